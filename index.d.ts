@@ -0,0 +1,9 @@
+// Type declarations for index.js
+// The library API lives in the src modules, each with its own declarations
+// (e.g. require('destiny-application-2/src/buildCrafting')); the roll stat calculator is also
+// exported from the package root.
+
+import { BuildData } from './src/buildData';
+
+export function main(): Promise<BuildData>;
+export { computeRollStats, calculateRollStats, compareRollStats, RollStats, RollStatsOptions } from './src/rollStats';
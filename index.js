@@ -1,5 +1,6 @@
 const { createBungieClient } = require('./src/bungieClient');
 const { getAllBuildCraftingData, getWeapons, getArmor, getArmorMods, getAspects, getFragments } = require('./src/buildCrafting');
+const { computeRollStats, calculateRollStats, compareRollStats } = require('./src/rollStats');
 
 /**
  * Main function to demonstrate fetching build crafting data from Bungie API
@@ -86,9 +87,20 @@ async function main() {
   }
 }
 
-// Run if called directly
+// Run if called directly: node index.js prints a summary; node index.js <command> runs a CLI command (see src/cli.js)
 if (require.main === module) {
-  main();
+  if (process.argv.length > 2) {
+    require('./src/cli').run(process.argv.slice(2)).then(exitCode => {
+      process.exitCode = exitCode;
+    });
+  } else {
+    main();
+  }
 }
 
-module.exports = { main };
+module.exports = {
+  main,
+  computeRollStats,
+  calculateRollStats,
+  compareRollStats
+};
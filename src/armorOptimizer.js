@@ -0,0 +1,478 @@
+const { getArmorMods, getSubclassItems, DEFAULT_LOCALE } = require('./buildCrafting');
+
+/**
+ * Armor stat optimizer.
+ *
+ * Armor definitions in the manifest don't carry stat rolls (those only exist on instanced items),
+ * so the optimizer works with armor archetypes instead: every piece spikes one stat in each of the
+ * two stat groups (Mobility/Resilience/Recovery and Discipline/Intellect/Strength). Given target
+ * stat values, it searches every archetype distribution across the four armor pieces, adds
+ * masterwork bonuses and the selected fragments' stat bonuses/penalties, fills the remaining gaps
+ * with stat mods that fit the available energy, and ranks the feasible combinations by wasted
+ * points (points that don't contribute to a full tier of 10).
+ */
+
+/**
+ * Armor stat hashes (see STAT_HASHES in csvExport.js)
+ */
+const ARMOR_STATS = {
+  MOBILITY: 2996146975,
+  RESILIENCE: 392767087,
+  RECOVERY: 1943323491,
+  DISCIPLINE: 1735777505,
+  INTELLECT: 144602215,
+  STRENGTH: 4244567218
+};
+
+/**
+ * Armor stat names by hash
+ */
+const ARMOR_STAT_NAMES = {
+  [ARMOR_STATS.MOBILITY]: 'Mobility',
+  [ARMOR_STATS.RESILIENCE]: 'Resilience',
+  [ARMOR_STATS.RECOVERY]: 'Recovery',
+  [ARMOR_STATS.DISCIPLINE]: 'Discipline',
+  [ARMOR_STATS.INTELLECT]: 'Intellect',
+  [ARMOR_STATS.STRENGTH]: 'Strength'
+};
+
+/**
+ * The two groups of three stats an armor roll distributes its points across
+ */
+const ARMOR_STAT_GROUPS = [
+  [ARMOR_STATS.MOBILITY, ARMOR_STATS.RESILIENCE, ARMOR_STATS.RECOVERY],
+  [ARMOR_STATS.DISCIPLINE, ARMOR_STATS.INTELLECT, ARMOR_STATS.STRENGTH]
+];
+
+/**
+ * Armor slots; stat rolls come from the first four, every slot can be masterworked and hold a stat mod
+ */
+const ARMOR_SLOTS = ['Helmet', 'Gauntlets', 'Chest Armor', 'Leg Armor', 'Class Item'];
+const ROLLED_ARMOR_SLOTS = ARMOR_SLOTS.slice(0, 4);
+
+/**
+ * Class type enum (Destiny.DestinyClass)
+ */
+const CLASS_TYPES = {
+  TITAN: 0,
+  HUNTER: 1,
+  WARLOCK: 2
+};
+
+/**
+ * Default optimizer options
+ */
+const DEFAULT_OPTIMIZER_OPTIONS = {
+  archetypeSpike: 20, // Points in the spiked stat of each group per piece
+  archetypeBase: 6, // Points in the other two stats of each group per piece
+  masterworkBonus: 2, // Points added to every stat per masterworked piece
+  energyCapacity: 10, // Energy capacity per piece
+  reservedEnergy: 0, // Energy per piece kept free for other mods
+  maxStatMods: 5, // One stat mod per armor slot
+  limit: 10 // Number of ranked combinations to return
+};
+
+/**
+ * Resolves a stat name or hash to an armor stat hash
+ * @param {string|number} stat - Stat name (case-insensitive) or hash
+ * @returns {number} - Armor stat hash
+ */
+function resolveArmorStatHash(stat) {
+  if (ARMOR_STAT_NAMES[stat]) {
+    return Number(stat);
+  }
+
+  const entry = Object.entries(ARMOR_STAT_NAMES)
+    .find(([, name]) => name.toLowerCase() === String(stat).toLowerCase());
+  if (!entry) {
+    throw new Error(`Unknown armor stat: ${stat}`);
+  }
+  return Number(entry[0]);
+}
+
+/**
+ * Normalizes target stats to a map of stat hash to value
+ * @param {object} targets - Target values keyed by stat name or hash (e.g., { Resilience: 100, Discipline: 70 })
+ * @returns {object} - Map of stat hash to target value
+ */
+function normalizeTargets(targets = {}) {
+  const normalized = {};
+  for (const [stat, value] of Object.entries(targets)) {
+    if (typeof value !== 'number' || value < 0 || value > 100) {
+      throw new Error(`Invalid target for ${stat}: ${value} (expected 0-100)`);
+    }
+    normalized[resolveArmorStatHash(stat)] = value;
+  }
+  return normalized;
+}
+
+/**
+ * Gets the tier (0-10) of a stat value
+ * @param {number} value - Stat value
+ * @returns {number} - Stat tier
+ */
+function getStatTier(value) {
+  return Math.min(10, Math.floor(Math.max(0, value) / 10));
+}
+
+/**
+ * Counts points that don't contribute to a tier: the remainder below the next tier,
+ * plus everything above 100
+ * @param {object} stats - Map of stat hash to value
+ * @returns {number} - Wasted points
+ */
+function calculateWastedPoints(stats) {
+  let wasted = 0;
+  for (const value of Object.values(stats)) {
+    if (value >= 100) {
+      wasted += value - 100;
+    } else if (value > 0) {
+      wasted += value % 10;
+    }
+  }
+  return wasted;
+}
+
+/**
+ * Finds the stat mods available for each armor stat
+ * Stat mods are armor mods with a single positive, unconditional armor stat in investmentStats.
+ * When several mods give the same bonus, the cheapest one is kept.
+ * @param {object[]} armorMods - Armor mod definitions
+ * @returns {object} - Map of stat hash to mods ({ hash, name, value, energyCost }), largest bonus first
+ */
+function findStatMods(armorMods = []) {
+  const statMods = {};
+
+  for (const mod of armorMods) {
+    const stats = (mod.investmentStats || []).filter(stat => !stat.isConditionallyActive && stat.value !== 0);
+    if (stats.length !== 1 || stats[0].value < 0 || !ARMOR_STAT_NAMES[stats[0].statTypeHash]) continue;
+
+    const statHash = stats[0].statTypeHash;
+    const candidate = {
+      hash: mod.hash,
+      name: mod.displayProperties?.name || '',
+      statHash,
+      value: stats[0].value,
+      energyCost: mod.plug?.energyCost?.energyCost || 0
+    };
+
+    const mods = statMods[statHash] || (statMods[statHash] = []);
+    const sameValue = mods.findIndex(existing => existing.value === candidate.value);
+    if (sameValue === -1) {
+      mods.push(candidate);
+    } else if (candidate.energyCost < mods[sameValue].energyCost) {
+      mods[sameValue] = candidate;
+    }
+  }
+
+  for (const mods of Object.values(statMods)) {
+    mods.sort((a, b) => b.value - a.value);
+  }
+  return statMods;
+}
+
+/**
+ * Sums the armor stat bonuses and penalties of fragments (or any other subclass plugs)
+ * @param {object[]} fragments - Fragment definitions
+ * @returns {object} - Map of stat hash to total bonus
+ */
+function sumFragmentStats(fragments = []) {
+  const totals = {};
+  for (const fragment of fragments) {
+    for (const stat of fragment.investmentStats || []) {
+      if (!ARMOR_STAT_NAMES[stat.statTypeHash]) continue;
+      totals[stat.statTypeHash] = (totals[stat.statTypeHash] || 0) + (stat.value || 0);
+    }
+  }
+  return totals;
+}
+
+/**
+ * Lists every way to distribute the spiked stat of a group across the rolled armor pieces
+ * @param {number} pieces - Number of armor pieces
+ * @returns {number[][]} - Spike counts per stat of the group (e.g., [4, 0, 0], [3, 1, 0], ...)
+ */
+function getSpikeDistributions(pieces = ROLLED_ARMOR_SLOTS.length) {
+  const distributions = [];
+  for (let first = pieces; first >= 0; first--) {
+    for (let second = pieces - first; second >= 0; second--) {
+      distributions.push([first, second, pieces - first - second]);
+    }
+  }
+  return distributions;
+}
+
+/**
+ * Computes armor stats for a pair of spike distributions, including masterwork bonuses
+ * @param {number[][]} distributions - Spike distribution per stat group
+ * @param {object} options - Optimizer options
+ * @returns {object} - Map of stat hash to value
+ */
+function computeArchetypeStats(distributions, options = DEFAULT_OPTIMIZER_OPTIONS) {
+  const stats = {};
+  const masterwork = ARMOR_SLOTS.length * options.masterworkBonus;
+
+  ARMOR_STAT_GROUPS.forEach((group, groupIndex) => {
+    group.forEach((statHash, statIndex) => {
+      const spikes = distributions[groupIndex][statIndex];
+      const base = ROLLED_ARMOR_SLOTS.length * options.archetypeBase;
+      stats[statHash] = base + spikes * (options.archetypeSpike - options.archetypeBase) + masterwork;
+    });
+  });
+
+  return stats;
+}
+
+/**
+ * Lists the minimal mod combinations that cover a stat deficit
+ * @param {number} deficit - Points missing for the stat
+ * @param {object[]} mods - Available mods for the stat, largest bonus first
+ * @returns {object[][]} - Mod combinations
+ */
+function getModOptions(deficit, mods = []) {
+  if (deficit <= 0) return [[]];
+  if (mods.length === 0) return [];
+
+  const [major, minor] = mods;
+  const options = [];
+  for (let majors = 0; majors <= Math.ceil(deficit / major.value); majors++) {
+    const remaining = deficit - majors * major.value;
+    let minors = 0;
+    if (remaining > 0) {
+      if (!minor) continue;
+      minors = Math.ceil(remaining / minor.value);
+    }
+    options.push([...Array(majors).fill(major), ...Array(minors).fill(minor)]);
+  }
+  return options;
+}
+
+/**
+ * Finds the stat mods that reach the targets with the fewest wasted points
+ * @param {object} stats - Stats before mods (map of stat hash to value)
+ * @param {object} targets - Map of stat hash to target value
+ * @param {object} statMods - Stat mods from findStatMods
+ * @param {object} options - Optimizer options
+ * @returns {object|null} - { mods, stats, wastedPoints, energyUsed }, or null when the targets can't be reached
+ */
+function planStatMods(stats, targets, statMods, options = DEFAULT_OPTIMIZER_OPTIONS) {
+  const availableEnergy = options.energyCapacity - options.reservedEnergy;
+  const perStatOptions = Object.entries(targets).map(([statHash, target]) =>
+    getModOptions(target - (stats[statHash] || 0), statMods[statHash])
+      .filter(mods => mods.every(mod => mod.energyCost <= availableEnergy))
+  );
+  if (perStatOptions.some(statOptions => statOptions.length === 0)) {
+    return null;
+  }
+
+  let best = null;
+  const search = (index, chosen) => {
+    if (chosen.length > options.maxStatMods) return;
+    if (index === perStatOptions.length) {
+      const finalStats = { ...stats };
+      for (const mod of chosen) {
+        finalStats[mod.statHash] = (finalStats[mod.statHash] || 0) + mod.value;
+      }
+      const plan = {
+        mods: chosen,
+        stats: finalStats,
+        wastedPoints: calculateWastedPoints(finalStats),
+        energyUsed: chosen.reduce((total, mod) => total + mod.energyCost, 0)
+      };
+      if (!best || plan.wastedPoints < best.wastedPoints ||
+        (plan.wastedPoints === best.wastedPoints && plan.energyUsed < best.energyUsed)) {
+        best = plan;
+      }
+      return;
+    }
+    for (const mods of perStatOptions[index]) {
+      search(index + 1, [...chosen, ...mods]);
+    }
+  };
+  search(0, []);
+
+  return best;
+}
+
+/**
+ * Finds an item by hash or (case-insensitive) name
+ * @param {object[]} items - Item definitions
+ * @param {string|number|object} reference - Hash, name, or the definition itself
+ * @param {string} label - Item kind for error messages
+ * @returns {object} - Item definition
+ */
+function resolveItem(items, reference, label) {
+  if (reference && typeof reference === 'object') {
+    return reference;
+  }
+
+  const item = items.find(candidate =>
+    String(candidate.hash) === String(reference) ||
+    candidate.displayProperties?.name?.toLowerCase() === String(reference).toLowerCase()
+  );
+  if (!item) {
+    throw new Error(`${label} not found: ${reference}`);
+  }
+  return item;
+}
+
+/**
+ * Searches armor archetypes and stat mods for combinations that reach target stat values
+ * @param {object} buildData - Build data with armorMods, fragments and subclasses (from getAllBuildCraftingData)
+ * @param {object} request - What to optimize for
+ * @param {number} request.classType - Class (0: Titan, 1: Hunter, 2: Warlock)
+ * @param {string|number} request.subclass - Optional subclass hash or name (must match classType)
+ * @param {Array<string|number>} request.fragments - Fragment hashes or names
+ * @param {object} request.targets - Target stat values keyed by stat name or hash (e.g., { Resilience: 100 })
+ * @param {object} options - Optimizer options (see DEFAULT_OPTIMIZER_OPTIONS)
+ * @returns {object} - Request summary and feasible combinations ranked by wasted points
+ */
+function optimizeArmorStats(buildData, request = {}, options = {}) {
+  const optimizerOptions = { ...DEFAULT_OPTIMIZER_OPTIONS, ...options };
+  const targets = normalizeTargets(request.targets);
+  if (Object.keys(targets).length === 0) {
+    throw new Error('At least one target stat is required');
+  }
+  if (!Object.values(CLASS_TYPES).includes(request.classType)) {
+    throw new Error(`Invalid class type: ${request.classType}`);
+  }
+
+  let subclass = null;
+  if (request.subclass !== undefined) {
+    subclass = resolveItem(buildData.subclasses || [], request.subclass, 'Subclass');
+    if (subclass.classType !== undefined && subclass.classType !== request.classType) {
+      throw new Error(`Subclass ${subclass.displayProperties?.name} does not belong to class type ${request.classType}`);
+    }
+  }
+
+  const fragments = (request.fragments || []).map(fragment => resolveItem(buildData.fragments || [], fragment, 'Fragment'));
+  const fragmentStats = sumFragmentStats(fragments);
+  const statMods = findStatMods(buildData.armorMods);
+
+  const results = [];
+  let combinationsChecked = 0;
+  const distributions = getSpikeDistributions();
+
+  for (const firstGroup of distributions) {
+    for (const secondGroup of distributions) {
+      combinationsChecked++;
+      const stats = computeArchetypeStats([firstGroup, secondGroup], optimizerOptions);
+      for (const [statHash, bonus] of Object.entries(fragmentStats)) {
+        stats[statHash] = (stats[statHash] || 0) + bonus;
+      }
+
+      const plan = planStatMods(stats, targets, statMods, optimizerOptions);
+      if (plan) {
+        results.push(formatResult([firstGroup, secondGroup], plan, targets));
+      }
+    }
+  }
+
+  results.sort((a, b) =>
+    a.wastedPoints - b.wastedPoints ||
+    b.totalTier - a.totalTier ||
+    a.energyUsed - b.energyUsed
+  );
+
+  return {
+    classType: request.classType,
+    subclass: subclass ? subclass.displayProperties?.name || '' : null,
+    fragments: fragments.map(fragment => fragment.displayProperties?.name || ''),
+    fragmentStats: Object.fromEntries(
+      Object.entries(fragmentStats).map(([statHash, value]) => [ARMOR_STAT_NAMES[statHash], value])
+    ),
+    targets: Object.fromEntries(
+      Object.entries(targets).map(([statHash, value]) => [ARMOR_STAT_NAMES[statHash], value])
+    ),
+    combinationsChecked,
+    feasibleCount: results.length,
+    results: results.slice(0, optimizerOptions.limit)
+  };
+}
+
+/**
+ * Formats a stat mod plan as an optimizer result
+ * @param {number[][]} distributions - Spike distribution per stat group
+ * @param {object} plan - Plan from planStatMods
+ * @param {object} targets - Map of stat hash to target value
+ * @returns {object} - Result with armor pieces, stat mods per slot and final stats
+ */
+function formatResult(distributions, plan, targets) {
+  // Expand spike counts into the focus stat of each rolled piece, e.g. [2, 1, 1] -> [A, A, B, C]
+  const focusPerPiece = distributions.map((distribution, groupIndex) =>
+    distribution.flatMap((count, statIndex) => Array(count).fill(ARMOR_STAT_GROUPS[groupIndex][statIndex]))
+  );
+
+  const pieces = ROLLED_ARMOR_SLOTS.map((slot, index) => ({
+    slot,
+    focus: focusPerPiece.map(group => ARMOR_STAT_NAMES[group[index]])
+  }));
+
+  const mods = [...plan.mods]
+    .sort((a, b) => b.energyCost - a.energyCost)
+    .map((mod, index) => ({
+      slot: ARMOR_SLOTS[index],
+      hash: mod.hash,
+      name: mod.name,
+      stat: ARMOR_STAT_NAMES[mod.statHash],
+      value: mod.value,
+      energyCost: mod.energyCost
+    }));
+
+  const stats = {};
+  let totalTier = 0;
+  for (const [statHash, name] of Object.entries(ARMOR_STAT_NAMES)) {
+    const value = plan.stats[statHash] || 0;
+    const tier = getStatTier(value);
+    totalTier += tier;
+    stats[name] = { value, tier, target: targets[statHash] ?? null };
+  }
+
+  return {
+    pieces,
+    mods,
+    stats,
+    totalTier,
+    wastedPoints: plan.wastedPoints,
+    energyUsed: plan.energyUsed
+  };
+}
+
+/**
+ * Loads armor mods and subclass items and runs the armor stat optimizer
+ * @param {object} client - Bungie API client
+ * @param {object} request - What to optimize for (see optimizeArmorStats)
+ * @param {object} options - Optimizer options plus locale (default: 'en')
+ * @returns {Promise<object>} - Optimizer results
+ */
+async function findArmorStatCombinations(client, request, options = {}) {
+  const { locale = DEFAULT_LOCALE, ...optimizerOptions } = options;
+  const armorMods = await getArmorMods(client, locale);
+  const subclassItems = await getSubclassItems(client, locale);
+
+  return optimizeArmorStats({
+    armorMods,
+    fragments: subclassItems.fragments,
+    subclasses: subclassItems.subclasses
+  }, request, optimizerOptions);
+}
+
+module.exports = {
+  ARMOR_STATS,
+  ARMOR_STAT_NAMES,
+  ARMOR_STAT_GROUPS,
+  ARMOR_SLOTS,
+  CLASS_TYPES,
+  DEFAULT_OPTIMIZER_OPTIONS,
+  resolveArmorStatHash,
+  normalizeTargets,
+  getStatTier,
+  calculateWastedPoints,
+  findStatMods,
+  sumFragmentStats,
+  getSpikeDistributions,
+  computeArchetypeStats,
+  planStatMods,
+  optimizeArmorStats,
+  findArmorStatCombinations
+};
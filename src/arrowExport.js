@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const arrow = require('apache-arrow');
+const { transformItemsForTable, generateSubclassTreeRows } = require('./csvExport');
+
+/**
+ * Columnar export: Parquet and Arrow IPC (Feather v2) files with typed columns, for pandas,
+ * polars, DuckDB, Spark and other analytics tools:
+ *
+ *   import pandas as pd
+ *   weapons = pd.read_parquet('data/weapons.parquet')
+ *
+ *   SELECT name, "Impact", "Range" FROM 'data/weapons.parquet' WHERE list_contains(trait1Perks, 'Outlaw');
+ *
+ * Rows are the same as the CSV export's (transformItemsForTable, with the full column set and
+ * the field names as column names). Column types are inferred from the values: whole numbers
+ * become Int32 (Int64 for hash columns and values that don't fit), other numbers Float64,
+ * true/false Bool and everything else Utf8. Columns the CSV export joins into one string (perk
+ * names, perk pools, hash lists) are split back into List columns. Empty cells are nulls.
+ */
+
+/**
+ * Columns stored as lists: separator used in the CSV rows and the element type
+ * Perk pool columns (barrelPerks, trait1Perks, ...) are matched by POOL_COLUMN_PATTERN.
+ */
+const LIST_COLUMNS = {
+  perkNames: { separator: ', ', type: 'string' },
+  perkDescriptions: { separator: ' | ', type: 'string' },
+  curatedPerks: { separator: ' | ', type: 'string' },
+  traitPerkDescriptions: { separator: ' | ', type: 'string' },
+  tooltipNotifications: { separator: ' | ', type: 'string' },
+  statBonuses: { separator: ', ', type: 'string' },
+  traitIds: { separator: ', ', type: 'string' },
+  damageTypeHashes: { separator: ', ', type: 'integer' },
+  itemCategoryHashes: { separator: ', ', type: 'integer' }
+};
+
+/**
+ * Perk pool columns written by transformItemForCSV (`${pool.column}Perks`)
+ */
+const POOL_COLUMN_PATTERN = /^(barrel|magazine|trait\d+|originTrait)Perks$/;
+
+/**
+ * Hash columns are always Int64, so their type doesn't depend on the values of one export
+ */
+const HASH_COLUMN_PATTERN = /^hash$|Hash$/;
+
+/**
+ * Categories exported to columnar files and their file names
+ * Like the CSV export, without the summary and stat reference sheets.
+ */
+const COLUMNAR_EXPORTS = [
+  { name: 'weapons', category: 'weapons' },
+  { name: 'armor', category: 'armor' },
+  { name: 'armor-mods', category: 'armorMods' },
+  { name: 'subclasses', category: 'subclasses' },
+  { name: 'subclass-trees', category: 'subclassTrees' },
+  { name: 'aspects', category: 'aspects' },
+  { name: 'fragments', category: 'fragments' },
+  { name: 'abilities', category: 'abilities' },
+  { name: 'damage-types', category: 'damageTypes' },
+  { name: 'artifact-mods', category: 'artifactMods' },
+  { name: 'champion-mods', category: 'championMods' },
+  { name: 'enemy-weaknesses', category: 'enemyWeaknesses' }
+];
+
+const INT32_MIN = -(2 ** 31);
+const INT32_MAX = 2 ** 31 - 1;
+
+/**
+ * Gets the list settings of a column
+ * @param {string} column - Column name
+ * @returns {object|null} - { separator, type }, or null for scalar columns
+ */
+function getListColumn(column) {
+  if (LIST_COLUMNS[column]) return LIST_COLUMNS[column];
+  if (POOL_COLUMN_PATTERN.test(column)) return { separator: ', ', type: 'string' };
+  return null;
+}
+
+/**
+ * Converts a list cell from the CSV rows to an array
+ * @param {*} value - Cell value (joined string)
+ * @param {object} list - List settings (see LIST_COLUMNS)
+ * @returns {Array|null} - Elements ([] for an empty cell), or null when the row has no value
+ */
+function toListValue(value, list) {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return value;
+  const text = String(value);
+  if (text === '') return [];
+  const elements = text.split(list.separator).map(element => element.trim()).filter(Boolean);
+  return list.type === 'integer' ? elements.map(element => BigInt(element)) : elements;
+}
+
+/**
+ * Infers the Arrow type of a scalar column from its non-empty values
+ * @param {string} column - Column name
+ * @param {Array} values - Column values
+ * @returns {object} - Arrow data type
+ */
+function inferScalarType(column, values) {
+  const present = values.filter(value => value !== undefined && value !== null && value !== '');
+  if (HASH_COLUMN_PATTERN.test(column) && present.every(Number.isInteger)) {
+    return new arrow.Int64();
+  }
+  if (present.length > 0 && present.every(value => typeof value === 'boolean')) {
+    return new arrow.Bool();
+  }
+  if (present.length > 0 && present.every(value => typeof value === 'number')) {
+    if (!present.every(Number.isInteger)) return new arrow.Float64();
+    const fitsInt32 = present.every(value => value >= INT32_MIN && value <= INT32_MAX);
+    return fitsInt32 ? new arrow.Int32() : new arrow.Int64();
+  }
+  return new arrow.Utf8();
+}
+
+/**
+ * Converts a scalar cell to the column type
+ * @param {*} value - Cell value
+ * @param {object} type - Arrow data type
+ * @returns {*} - Value for the Arrow vector (null for empty cells)
+ */
+function toScalarValue(value, type) {
+  if (value === undefined || value === null || value === '') return null;
+  if (type instanceof arrow.Int64) return BigInt(value);
+  if (type instanceof arrow.Utf8) return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return value;
+}
+
+/**
+ * Builds an Arrow table from table rows
+ * @param {object[]} rows - Rows with the same columns (from transformItemsForTable)
+ * @returns {object} - Arrow Table
+ */
+function rowsToArrowTable(rows) {
+  const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+  const vectors = {};
+
+  for (const column of columns) {
+    const values = rows.map(row => row[column]);
+    const list = getListColumn(column);
+    if (list) {
+      const elementType = list.type === 'integer' ? new arrow.Int64() : new arrow.Utf8();
+      const type = new arrow.List(new arrow.Field('item', elementType, true));
+      vectors[column] = arrow.vectorFromArray(values.map(value => toListValue(value, list)), type);
+    } else {
+      const type = inferScalarType(column, values);
+      vectors[column] = arrow.vectorFromArray(values.map(value => toScalarValue(value, type)), type);
+    }
+  }
+
+  return new arrow.Table(vectors);
+}
+
+/**
+ * Builds the Arrow table of a category
+ * @param {object[]} data - Category items
+ * @param {string} category - Category name (e.g. 'weapons')
+ * @param {object} statDefs - Optional stat definitions for resolving stat hashes
+ * @returns {object} - Arrow Table
+ */
+function createCategoryTable(data, category, statDefs = null) {
+  const items = category === 'subclassTrees' ? generateSubclassTreeRows(data) : data;
+  return rowsToArrowTable(transformItemsForTable(items, category, statDefs));
+}
+
+/**
+ * Serializes an Arrow table to a Parquet file (Snappy-compressed)
+ * parquet-wasm is loaded on first use, so other exports don't pay for its WebAssembly module.
+ * @param {object} table - Arrow Table
+ * @returns {Uint8Array} - Parquet file contents
+ */
+function tableToParquet(table) {
+  const parquet = require('parquet-wasm/node');
+  const writerProperties = new parquet.WriterPropertiesBuilder()
+    .setCompression(parquet.Compression.SNAPPY)
+    .build();
+  return parquet.writeParquet(parquet.Table.fromIPCStream(arrow.tableToIPC(table, 'stream')), writerProperties);
+}
+
+/**
+ * Export one category to a Parquet or Arrow IPC file
+ * @param {object[]} data - Category items
+ * @param {string} filename - Output filename
+ * @param {string} category - Category name
+ * @param {object} statDefs - Optional stat definitions for resolving stat hashes
+ * @param {string} format - 'parquet' or 'arrow'
+ */
+function exportToColumnarFile(data, filename, category, statDefs = null, format = 'parquet') {
+  try {
+    const table = createCategoryTable(data, category, statDefs);
+    const contents = format === 'arrow' ? arrow.tableToIPC(table, 'file') : tableToParquet(table);
+    fs.writeFileSync(filename, contents);
+    console.log(`Exported ${table.numRows} items to ${filename}`);
+  } catch (error) {
+    console.error(`Error exporting ${category} to ${format}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Export all build crafting data to one Parquet or Arrow IPC file per category
+ * @param {object} buildData - Build crafting data object
+ * @param {string} outputDir - Output directory
+ * @param {object} statDefs - Optional stat definitions for resolving stat hashes
+ * @param {object} options - File options
+ * @param {string} options.format - 'parquet' (default, .parquet files) or 'arrow' (.arrow files)
+ * @param {function} options.fileName - Maps (name, category) to a file name without extension (default: name)
+ */
+function exportAllToColumnar(buildData, outputDir, statDefs = null, options = {}) {
+  const format = options.format || 'parquet';
+  const fileName = options.fileName || (name => name);
+
+  for (const { name, category } of COLUMNAR_EXPORTS) {
+    const data = buildData[category];
+    if (data && data.length > 0) {
+      const filename = path.join(outputDir, `${fileName(name, category)}.${format}`);
+      exportToColumnarFile(data, filename, category, statDefs, format);
+    }
+  }
+}
+
+module.exports = {
+  LIST_COLUMNS,
+  COLUMNAR_EXPORTS,
+  rowsToArrowTable,
+  createCategoryTable,
+  tableToParquet,
+  exportToColumnarFile,
+  exportAllToColumnar
+};
@@ -0,0 +1,96 @@
+// Type declarations for buildCrafting.js
+// Item shapes are generated from the export schemas (see buildData.d.ts).
+
+import { ManifestClient } from './bungieClient';
+import {
+  BuildData,
+  DamageType,
+  EnrichedItem,
+  ManifestItem,
+  PlugPerk,
+  SubclassTree
+} from './buildData';
+
+export * from './buildData';
+
+/** Definition table keyed by hash */
+export type DefinitionTable<T = any> = Record<string, T>;
+
+export const ITEM_CATEGORIES: Readonly<Record<string, number>>;
+export const WEAPON_TYPES: Readonly<Record<string, number>>;
+export const ARMOR_TYPES: Readonly<Record<string, number>>;
+export const SUBCLASS_PLUG_CATEGORIES: Readonly<Record<string, string>>;
+export const SUBCLASS_TREE_GROUPS: ReadonlyArray<{ key: string; patterns: string[] }>;
+export const ARMOR_2_0_PLUG_SET_HASH: number;
+export const ARMOR_2_0_STAT_PLUG_CATEGORY: number;
+export const ARMOR_MOD_IDENTIFIERS: readonly string[];
+export const SOCKET_CATEGORIES: Readonly<Record<string, number>>;
+export const PERK_POOL_COLUMNS: Readonly<Record<string, string>>;
+export const DEFAULT_LOCALE: string;
+export const SUPPORTED_LOCALES: readonly string[];
+
+export interface ManifestCacheOptions {
+  enabled?: boolean;
+  directory?: string;
+}
+
+export interface LocaleOptions {
+  /** Manifest locale for names and descriptions (default: 'en') */
+  locale?: string;
+}
+
+export function configureManifestCache(options?: ManifestCacheOptions): Required<ManifestCacheOptions>;
+export function getManifestCacheOptions(): Required<ManifestCacheOptions>;
+export function clearCache(options?: { locale?: string; disk?: boolean }): void;
+
+export function loadManifest(client: ManifestClient): Promise<any>;
+export function loadDefinitions(client: ManifestClient, tableName: string, locale?: string): Promise<DefinitionTable>;
+export function getAvailableLocales(client: ManifestClient): Promise<string[]>;
+export function loadStatDefinitions(client: ManifestClient, locale?: string): Promise<DefinitionTable>;
+export function loadStatGroupDefinitions(client: ManifestClient, locale?: string): Promise<DefinitionTable>;
+export function loadPerkDefinitions(client: ManifestClient, locale?: string): Promise<DefinitionTable>;
+export function loadDamageTypeDefinitions(client: ManifestClient, locale?: string): Promise<DefinitionTable<DamageType>>;
+export function loadSeasonDefinitions(client: ManifestClient, locale?: string): Promise<DefinitionTable>;
+export function loadEnergyTypeDefinitions(client: ManifestClient, locale?: string): Promise<DefinitionTable>;
+export function loadSocketTypeDefinitions(client: ManifestClient, locale?: string): Promise<DefinitionTable>;
+export function loadSocketCategoryDefinitions(client: ManifestClient, locale?: string): Promise<DefinitionTable>;
+export function loadPlugSetDefinitions(client: ManifestClient, locale?: string): Promise<DefinitionTable>;
+export function loadLoreDefinitions(client: ManifestClient, locale?: string): Promise<DefinitionTable>;
+
+export function getCurrentSeasonHash(client: ManifestClient): Promise<number | null>;
+export function getCurrentSeasonNumber(client: ManifestClient): Promise<number | null>;
+export function getCurrentSeasonName(client: ManifestClient): Promise<string>;
+export function filterByCurrentSeason<T extends ManifestItem>(items: T[], seasonHash: number): T[];
+export function filterUsableItems<T extends ManifestItem>(items: T[], allowNonEquippable?: boolean): T[];
+
+export function interpolateStatValue(investmentValue: number, scaledStat: any): number;
+export function enrichItemWithStats<T extends ManifestItem>(item: T, statDefs: DefinitionTable, statGroupDefs?: DefinitionTable | null): T;
+export function enrichItemWithPerks<T extends ManifestItem>(item: T, perkDefs: DefinitionTable, damageTypeDefs: DefinitionTable): T & Pick<EnrichedItem, 'enrichedPerks' | 'enrichedSockets' | 'enrichedDamageType'>;
+export function enrichItemWithIntrinsicPerk<T extends ManifestItem>(item: T, itemDefs: DefinitionTable): T;
+export function enrichItemWithPerkPools<T extends ManifestItem>(item: T, plugSetDefs: DefinitionTable, itemDefs: DefinitionTable, perkDefs?: DefinitionTable | null): T;
+export function resolvePlugPerks(plugEntries: Array<{ plugItemHash: number; currentlyCanRoll?: boolean }>, itemDefs: DefinitionTable, perkDefs?: DefinitionTable | null): PlugPerk[];
+export function enrichItemWithEnergyType<T extends ManifestItem>(item: T, energyTypeDefs: DefinitionTable): T;
+export function enrichItemWithLore<T extends ManifestItem>(item: T, loreDefs: DefinitionTable): T;
+export function enrichItemsWithStatNames<T extends ManifestItem>(items: T[], client: ManifestClient, locale?: string): Promise<T[]>;
+export function enrichItems(items: ManifestItem[], client: ManifestClient, locale?: string): Promise<EnrichedItem[]>;
+
+export function isArmor2_0(item: ManifestItem): boolean;
+export function getWeapons(client: ManifestClient, locale?: string): Promise<ManifestItem[]>;
+export function getArmor(client: ManifestClient, locale?: string): Promise<ManifestItem[]>;
+export function getArmorMods(client: ManifestClient, locale?: string): Promise<ManifestItem[]>;
+export function getSubclassItems(client: ManifestClient, locale?: string): Promise<{
+  subclasses: ManifestItem[];
+  aspects: ManifestItem[];
+  fragments: ManifestItem[];
+  abilities: ManifestItem[];
+}>;
+export function getAspects(client: ManifestClient, locale?: string): Promise<ManifestItem[]>;
+export function getFragments(client: ManifestClient, locale?: string): Promise<ManifestItem[]>;
+export function getSubclassTrees(client: ManifestClient, locale?: string): Promise<SubclassTree[]>;
+export function resolveSubclassTree(subclass: ManifestItem, itemDefs: DefinitionTable, plugSetDefs: DefinitionTable): SubclassTree;
+export function getSubclassTreeGroup(plugCategoryIdentifier: string): string | null;
+export function getSubclassElement(subclass: ManifestItem, plugCategories?: string[]): string;
+export function getDamageTypes(client: ManifestClient, locale?: string): Promise<DamageType[]>;
+export function getArtifactMods(client: ManifestClient, locale?: string): Promise<ManifestItem[]>;
+export function getChampionMods(client: ManifestClient, locale?: string): Promise<ManifestItem[]>;
+export function getAllBuildCraftingData(client: ManifestClient, options?: LocaleOptions): Promise<BuildData>;
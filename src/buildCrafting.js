@@ -1,5 +1,12 @@
 const { getManifest, downloadManifestComponent, getDefinitionPath } = require('./manifest');
 const { exportEnemyWeaknessData } = require('./enemyWeaknesses');
+const {
+  getDefaultCacheDir,
+  readCachedTable,
+  writeCachedTable,
+  pruneStaleVersions,
+  clearDiskCache
+} = require('./manifestCache');
 
 /**
  * Item categories for filtering
@@ -64,6 +71,47 @@ const SUBCLASS_PLUG_CATEGORIES = {
   CLASS_ABILITY: 'class_ability'
 };
 
+/**
+ * Subclass tree groups, matched in order against the plugCategoryIdentifier of a subclass
+ * socket's plugs (e.g. 'titan.arc.supers', 'shared.void.grenades', 'hunter.prismatic.aspects')
+ */
+const SUBCLASS_TREE_GROUPS = [
+  { key: 'aspects', patterns: [SUBCLASS_PLUG_CATEGORIES.ASPECTS] },
+  { key: 'fragments', patterns: [SUBCLASS_PLUG_CATEGORIES.FRAGMENTS] },
+  { key: 'supers', patterns: [SUBCLASS_PLUG_CATEGORIES.SUPER] },
+  { key: 'grenades', patterns: [SUBCLASS_PLUG_CATEGORIES.GRENADE] },
+  { key: 'melees', patterns: [SUBCLASS_PLUG_CATEGORIES.MELEE] },
+  { key: 'classAbilities', patterns: [SUBCLASS_PLUG_CATEGORIES.CLASS_ABILITY, 'class_abilities'] },
+  { key: 'movement', patterns: ['movement'] }
+];
+
+/**
+ * Subclass elements, as they appear in subclass plug category identifiers
+ */
+const SUBCLASS_ELEMENTS = ['arc', 'solar', 'void', 'stasis', 'strand', 'prismatic'];
+
+/**
+ * Subclass elements by damage type enum (talentGrid.hudDamageType / defaultDamageType)
+ * Prismatic subclasses have no single element damage type.
+ */
+const SUBCLASS_DAMAGE_TYPE_ELEMENTS = { 2: 'Arc', 3: 'Solar', 4: 'Void', 6: 'Stasis', 7: 'Strand' };
+
+/**
+ * Subclass elements by damage type hash (defaultDamageTypeHash)
+ */
+const SUBCLASS_DAMAGE_TYPE_HASH_ELEMENTS = {
+  2303181850: 'Arc',
+  1847026933: 'Solar',
+  3454344768: 'Void',
+  151347233: 'Stasis',
+  3949783978: 'Strand'
+};
+
+/**
+ * Names of the placeholder plugs of empty aspect and fragment sockets (e.g. 'Empty Fragment Socket')
+ */
+const EMPTY_SOCKET_PLUG_NAME = /^empty\b.*\bsocket$/i;
+
 /**
  * Armor mod system related constants
  * Post-Lightfall (2023+), Destiny 2 uses a universal mod system where armor mods
@@ -75,8 +123,57 @@ const SUBCLASS_PLUG_CATEGORIES = {
 const ARMOR_2_0_PLUG_SET_HASH = 4163334830; // Common armor mod plug set hash
 const ARMOR_2_0_STAT_PLUG_CATEGORY = 1744546145; // Stat mod plug category hash
 
+/**
+ * Socket category hashes used to group an item's sockets
+ * Reference: https://bungie-net.github.io/multi/schema_Destiny-Definitions-Sockets-DestinySocketCategoryDefinition.html
+ */
+const SOCKET_CATEGORIES = {
+  INTRINSIC_TRAITS: 3956125808,
+  WEAPON_PERKS: 4241085061
+};
+
+/**
+ * Maps weapon perk plugCategoryIdentifiers to god-roll sheet columns.
+ * Different weapon archetypes use different plug categories for the same column
+ * (e.g. bows use 'bowstrings'/'arrows', swords use 'blades'/'guards').
+ * Trait sockets ('frames') are numbered in socket order: trait1, trait2.
+ */
+const PERK_POOL_COLUMNS = {
+  barrels: 'barrel',
+  tubes: 'barrel',
+  scopes: 'barrel',
+  blades: 'barrel',
+  hafts: 'barrel',
+  bowstrings: 'barrel',
+  magazines: 'magazine',
+  magazines_gl: 'magazine',
+  arrows: 'magazine',
+  batteries: 'magazine',
+  guards: 'magazine',
+  frames: 'trait',
+  origins: 'originTrait'
+};
+
+/**
+ * Tier type of enhanced weapon perks (regular perks are Basic, enhanced perks are Common)
+ * Reference: https://bungie-net.github.io/multi/schema_Destiny-TierType.html
+ */
+const ENHANCED_PERK_TIER_TYPE = 3;
+
+/**
+ * Default manifest locale
+ */
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Locales published in the manifest's jsonWorldComponentContentPaths
+ * Reference: https://bungie-net.github.io/multi/schema_Destiny-Config-DestinyManifest.html
+ */
+const SUPPORTED_LOCALES = ['en', 'fr', 'es', 'es-mx', 'de', 'it', 'ja', 'pt-br', 'ru', 'pl', 'ko', 'zh-cht', 'zh-chs'];
+
 /**
  * Cache for manifest data
+ * Definition tables are keyed by locale, then by table name
  */
 let manifestCache = null;
 let definitionsCache = {};
@@ -84,8 +181,42 @@ let currentSeasonHash = null;
 let currentSeasonName = null;
 let currentSeasonNumber = null;
 
+/**
+ * Disk cache settings for definition tables
+ * The manifest itself is always fetched (it is small and carries the version string);
+ * definition tables are reused from disk while the manifest version is unchanged.
+ */
+let diskCacheOptions = {
+  enabled: true,
+  directory: getDefaultCacheDir()
+};
+
+/**
+ * Configures the persistent on-disk manifest cache
+ * @param {object} options - Cache options
+ * @param {boolean} options.enabled - Whether to read/write the disk cache (default: true)
+ * @param {string} options.directory - Cache directory (default: D2_MANIFEST_CACHE_DIR or ./.manifest-cache)
+ * @returns {object} - The active cache options
+ */
+function configureManifestCache(options = {}) {
+  diskCacheOptions = {
+    ...diskCacheOptions,
+    ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined))
+  };
+  return { ...diskCacheOptions };
+}
+
+/**
+ * Gets the active disk cache options
+ * @returns {object} - Cache options ({ enabled, directory })
+ */
+function getManifestCacheOptions() {
+  return { ...diskCacheOptions };
+}
+
 /**
  * Loads the manifest and caches it
+ * When the disk cache is enabled, cached tables from older manifest versions are removed.
  * @param {object} client - Bungie API client
  * @returns {Promise<object>} - Manifest data
  */
@@ -93,62 +224,118 @@ async function loadManifest(client) {
   if (!manifestCache) {
     console.log('Loading Destiny 2 manifest...');
     manifestCache = await getManifest(client);
-    console.log('Manifest loaded successfully');
+    console.log(`Manifest loaded successfully (version ${manifestCache.version || 'unknown'})`);
+    
+    if (diskCacheOptions.enabled && manifestCache.version) {
+      const removed = pruneStaleVersions(diskCacheOptions.directory, manifestCache.version);
+      if (removed.length > 0) {
+        console.log(`New manifest version detected, removed cached tables for: ${removed.join(', ')}`);
+      }
+    }
   }
   return manifestCache;
 }
 
 /**
  * Loads a definition table from the manifest
+ * Tables are served from memory, then from the disk cache (when the cached copy matches
+ * the current manifest version), and only downloaded when neither is available.
  * @param {object} client - Bungie API client
  * @param {string} tableName - Name of the definition table
+ * @param {string} locale - Manifest locale (default: 'en')
  * @returns {Promise<object>} - Definition data
  */
-async function loadDefinitions(client, tableName) {
-  if (!definitionsCache[tableName]) {
+async function loadDefinitions(client, tableName, locale = DEFAULT_LOCALE) {
+  const localeCache = definitionsCache[locale] || (definitionsCache[locale] = {});
+  
+  if (!localeCache[tableName]) {
     const manifest = await loadManifest(client);
-    const path = getDefinitionPath(manifest, tableName);
-    console.log(`Loading ${tableName}...`);
-    definitionsCache[tableName] = await downloadManifestComponent(path);
-    console.log(`${tableName} loaded successfully`);
+    const useDiskCache = diskCacheOptions.enabled && Boolean(manifest.version);
+    
+    if (useDiskCache) {
+      const cached = readCachedTable(diskCacheOptions.directory, manifest.version, tableName, locale);
+      if (cached) {
+        console.log(`${tableName} (${locale}) loaded from disk cache`);
+        localeCache[tableName] = cached;
+        return cached;
+      }
+    }
+    
+    const path = getDefinitionPath(manifest, tableName, locale);
+    console.log(`Loading ${tableName} (${locale})...`);
+    localeCache[tableName] = await downloadManifestComponent(path, client);
+    console.log(`${tableName} (${locale}) loaded successfully`);
+    
+    if (useDiskCache) {
+      try {
+        writeCachedTable(diskCacheOptions.directory, manifest.version, tableName, localeCache[tableName], locale);
+      } catch (error) {
+        // A failed cache write should never fail the export itself
+        console.warn(`Could not write ${tableName} (${locale}) to disk cache: ${error.message}`);
+      }
+    }
   }
-  return definitionsCache[tableName];
+  return localeCache[tableName];
+}
+
+/**
+ * Gets the locales available in the current manifest
+ * @param {object} client - Bungie API client
+ * @returns {Promise<string[]>} - Locale codes (e.g., ['en', 'fr', 'de', ...])
+ */
+async function getAvailableLocales(client) {
+  const manifest = await loadManifest(client);
+  return Object.keys(manifest.jsonWorldComponentContentPaths || {});
 }
 
 /**
  * Loads stat definitions for looking up stat names
  * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale (default: 'en')
  * @returns {Promise<object>} - Stat definitions
  */
-async function loadStatDefinitions(client) {
-  return await loadDefinitions(client, 'DestinyStatDefinition');
+async function loadStatDefinitions(client, locale = DEFAULT_LOCALE) {
+  return await loadDefinitions(client, 'DestinyStatDefinition', locale);
+}
+
+/**
+ * Loads stat group definitions for converting investment stats to displayed values
+ * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale (default: 'en')
+ * @returns {Promise<object>} - Stat group definitions (DestinyStatGroupDefinition)
+ */
+async function loadStatGroupDefinitions(client, locale = DEFAULT_LOCALE) {
+  return await loadDefinitions(client, 'DestinyStatGroupDefinition', locale);
 }
 
 /**
  * Loads perk definitions for resolving perk hashes
  * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale (default: 'en')
  * @returns {Promise<object>} - Perk definitions (DestinySandboxPerkDefinition)
  */
-async function loadPerkDefinitions(client) {
-  return await loadDefinitions(client, 'DestinySandboxPerkDefinition');
+async function loadPerkDefinitions(client, locale = DEFAULT_LOCALE) {
+  return await loadDefinitions(client, 'DestinySandboxPerkDefinition', locale);
 }
 
 /**
  * Loads damage type definitions
  * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale (default: 'en')
  * @returns {Promise<object>} - Damage type definitions
  */
-async function loadDamageTypeDefinitions(client) {
-  return await loadDefinitions(client, 'DestinyDamageTypeDefinition');
+async function loadDamageTypeDefinitions(client, locale = DEFAULT_LOCALE) {
+  return await loadDefinitions(client, 'DestinyDamageTypeDefinition', locale);
 }
 
 /**
  * Loads season definitions
  * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale (default: 'en')
  * @returns {Promise<object>} - Season definitions
  */
-async function loadSeasonDefinitions(client) {
-  return await loadDefinitions(client, 'DestinySeasonDefinition');
+async function loadSeasonDefinitions(client, locale = DEFAULT_LOCALE) {
+  return await loadDefinitions(client, 'DestinySeasonDefinition', locale);
 }
 
 /**
@@ -156,37 +343,41 @@ async function loadSeasonDefinitions(client) {
  * Post-Lightfall, energy types (Arc, Solar, Void, Stasis, Any) still exist on armor
  * but no longer restrict which mods can be slotted.
  * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale (default: 'en')
  * @returns {Promise<object>} - Energy type definitions (DestinyEnergyTypeDefinition)
  */
-async function loadEnergyTypeDefinitions(client) {
-  return await loadDefinitions(client, 'DestinyEnergyTypeDefinition');
+async function loadEnergyTypeDefinitions(client, locale = DEFAULT_LOCALE) {
+  return await loadDefinitions(client, 'DestinyEnergyTypeDefinition', locale);
 }
 
 /**
  * Loads socket type definitions for understanding mod socket categories
  * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale (default: 'en')
  * @returns {Promise<object>} - Socket type definitions (DestinySocketTypeDefinition)
  */
-async function loadSocketTypeDefinitions(client) {
-  return await loadDefinitions(client, 'DestinySocketTypeDefinition');
+async function loadSocketTypeDefinitions(client, locale = DEFAULT_LOCALE) {
+  return await loadDefinitions(client, 'DestinySocketTypeDefinition', locale);
 }
 
 /**
  * Loads socket category definitions for categorizing mod slots
  * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale (default: 'en')
  * @returns {Promise<object>} - Socket category definitions (DestinySocketCategoryDefinition)
  */
-async function loadSocketCategoryDefinitions(client) {
-  return await loadDefinitions(client, 'DestinySocketCategoryDefinition');
+async function loadSocketCategoryDefinitions(client, locale = DEFAULT_LOCALE) {
+  return await loadDefinitions(client, 'DestinySocketCategoryDefinition', locale);
 }
 
 /**
  * Loads plug set definitions for listing available mods per socket
  * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale (default: 'en')
  * @returns {Promise<object>} - Plug set definitions (DestinyPlugSetDefinition)
  */
-async function loadPlugSetDefinitions(client) {
-  return await loadDefinitions(client, 'DestinyPlugSetDefinition');
+async function loadPlugSetDefinitions(client, locale = DEFAULT_LOCALE) {
+  return await loadDefinitions(client, 'DestinyPlugSetDefinition', locale);
 }
 
 /**
@@ -194,10 +385,11 @@ async function loadPlugSetDefinitions(client) {
  * Per Bungie API (openapi.json), DestinyLoreDefinition contains displayProperties (name, description)
  * and subtitle fields for in-game lore narratives.
  * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale (default: 'en')
  * @returns {Promise<object>} - Lore definitions (DestinyLoreDefinition)
  */
-async function loadLoreDefinitions(client) {
-  return await loadDefinitions(client, 'DestinyLoreDefinition');
+async function loadLoreDefinitions(client, locale = DEFAULT_LOCALE) {
+  return await loadDefinitions(client, 'DestinyLoreDefinition', locale);
 }
 
 /**
@@ -294,17 +486,64 @@ async function getCurrentSeasonName(client) {
   return currentSeasonName || `Season ${currentSeasonNumber}`;
 }
 
+/**
+ * Convert an investment stat value to the value shown in game
+ * Per Bungie API (openapi.json), DestinyStatDisplayDefinition.displayInterpolation is a list of
+ * points where `value` is the investment value and `weight` the displayed value. Values between
+ * two points are linearly interpolated (rounded to the nearest integer), values outside the table
+ * are clamped to its ends, and the result is capped at the stat group's maximumValue.
+ * @param {number} investmentValue - Investment stat value
+ * @param {object} scaledStat - Scaled stat entry from DestinyStatGroupDefinition.scaledStats
+ * @returns {number} - Displayed stat value
+ */
+function interpolateStatValue(investmentValue, scaledStat) {
+  const points = [...(scaledStat?.displayInterpolation || [])].sort((a, b) => a.value - b.value);
+  let displayValue = investmentValue;
+  
+  if (points.length > 0) {
+    if (investmentValue <= points[0].value) {
+      displayValue = points[0].weight;
+    } else if (investmentValue >= points[points.length - 1].value) {
+      displayValue = points[points.length - 1].weight;
+    } else {
+      const endIndex = points.findIndex(point => point.value >= investmentValue);
+      const start = points[endIndex - 1];
+      const end = points[endIndex];
+      const t = (investmentValue - start.value) / (end.value - start.value);
+      displayValue = Math.round(start.weight + t * (end.weight - start.weight));
+    }
+  }
+  
+  if (scaledStat?.maximumValue !== undefined) {
+    displayValue = Math.min(displayValue, scaledStat.maximumValue);
+  }
+  
+  return displayValue;
+}
+
 /**
  * Enrich item with resolved stat names and values
+ * When stat group definitions are provided, stats listed in the item's stat group
+ * (stats.statGroupHash) are converted to their displayed values; `value` carries the
+ * displayed value and `investmentValue` the raw value from the definition.
  * @param {object} item - Item to enrich
  * @param {object} statDefs - Stat definitions
+ * @param {object} statGroupDefs - Optional stat group definitions (DestinyStatGroupDefinition)
  * @returns {object} - Item with enriched stats
  */
-function enrichItemWithStats(item, statDefs) {
+function enrichItemWithStats(item, statDefs, statGroupDefs = null) {
   if (!item.stats || !item.stats.stats) {
     return item;
   }
   
+  const statGroup = statGroupDefs && item.stats.statGroupHash
+    ? statGroupDefs[item.stats.statGroupHash]
+    : null;
+  const scaledStats = {};
+  for (const scaledStat of statGroup?.scaledStats || []) {
+    scaledStats[scaledStat.statHash] = scaledStat;
+  }
+  
   // Create a new stats object with resolved names
   const enrichedStats = {};
   
@@ -312,15 +551,20 @@ function enrichItemWithStats(item, statDefs) {
     const statDef = statDefs[statHash];
     const statName = statDef?.displayProperties?.name || `Unknown_${statHash}`;
     const statDescription = statDef?.displayProperties?.description || '';
+    const investmentValue = statData.value || 0;
+    const scaledStat = scaledStats[statHash];
+    const displayValue = scaledStat ? interpolateStatValue(investmentValue, scaledStat) : investmentValue;
     
     enrichedStats[statHash] = {
       hash: statHash,
       name: statName,
       description: statDescription,
-      value: statData.value || 0,
+      value: displayValue,
+      investmentValue,
+      displayValue,
       minimum: statData.minimum || 0,
       maximum: statData.maximum || 100,
-      displayMaximum: statData.displayMaximum
+      displayMaximum: statData.displayMaximum ?? scaledStat?.maximumValue
     };
   }
   
@@ -365,7 +609,8 @@ function enrichItemWithPerks(item, perkDefs, damageTypeDefs) {
         const socketData = {
           socketTypeHash: socket.socketTypeHash,
           singleInitialItemHash: socket.singleInitialItemHash,
-          reusablePlugSetHash: socket.reusablePlugSetHash
+          reusablePlugSetHash: socket.reusablePlugSetHash,
+          randomizedPlugSetHash: socket.randomizedPlugSetHash
         };
         enrichedSockets.push(socketData);
       }
@@ -422,6 +667,115 @@ function enrichItemWithIntrinsicPerk(item, itemDefs) {
   };
 }
 
+/**
+ * Resolve a list of plug item hashes to perk details
+ * @param {object[]} plugEntries - Entries with plugItemHash (and optionally currentlyCanRoll)
+ * @param {object} itemDefs - DestinyInventoryItemDefinition lookup table
+ * @param {object} perkDefs - Optional DestinySandboxPerkDefinition lookup table for description fallback
+ * @returns {object[]} - Perks with hash, name, description, plugCategoryIdentifier, isEnhanced, currentlyCanRoll
+ */
+function resolvePlugPerks(plugEntries, itemDefs, perkDefs = null) {
+  const perks = [];
+  const seen = new Set();
+  
+  for (const entry of plugEntries) {
+    const plugHash = entry.plugItemHash;
+    if (!plugHash || seen.has(plugHash)) continue;
+    
+    const plugItem = itemDefs[plugHash];
+    if (!plugItem || !plugItem.displayProperties?.name) continue;
+    seen.add(plugHash);
+    
+    // Weapon perk plugs often leave their own description empty and describe
+    // the effect through the sandbox perk they grant
+    let description = plugItem.displayProperties.description || '';
+    if (!description && perkDefs && plugItem.perks?.length > 0) {
+      description = perkDefs[plugItem.perks[0].perkHash]?.displayProperties?.description || '';
+    }
+    
+    perks.push({
+      hash: plugHash,
+      name: plugItem.displayProperties.name,
+      description,
+      plugCategoryIdentifier: plugItem.plug?.plugCategoryIdentifier || '',
+      isEnhanced: plugItem.inventory?.tierType === ENHANCED_PERK_TIER_TYPE ||
+        (plugItem.itemTypeDisplayName || '').toLowerCase().includes('enhanced'),
+      currentlyCanRoll: entry.currentlyCanRoll !== false
+    });
+  }
+  
+  return perks;
+}
+
+/**
+ * Enrich weapon with the full perk pool of each perk column (barrel, magazine, traits, origin trait)
+ * Per Bungie API (openapi.json), each socket entry may reference:
+ * - randomizedPlugSetHash: the plug set random rolls are drawn from
+ * - reusablePlugSetHash / reusablePlugItems: the curated (fixed) options for the socket
+ * Only sockets in the WEAPON PERKS socket category are resolved, so armor mod sockets
+ * (which reference very large plug sets) are left alone.
+ * @param {object} item - Item to enrich
+ * @param {object} plugSetDefs - Plug set definitions (DestinyPlugSetDefinition)
+ * @param {object} itemDefs - DestinyInventoryItemDefinition lookup table
+ * @param {object} perkDefs - Optional DestinySandboxPerkDefinition lookup table for descriptions
+ * @returns {object} - Item with enrichedPerkPools
+ */
+function enrichItemWithPerkPools(item, plugSetDefs, itemDefs, perkDefs = null) {
+  const socketEntries = item.sockets?.socketEntries;
+  const perkCategory = item.sockets?.socketCategories?.find(
+    category => category.socketCategoryHash === SOCKET_CATEGORIES.WEAPON_PERKS
+  );
+  if (!socketEntries || !perkCategory || !plugSetDefs || !itemDefs) return item;
+  
+  const enrichedPerkPools = [];
+  let traitCount = 0;
+  
+  for (const socketIndex of perkCategory.socketIndexes || []) {
+    const socket = socketEntries[socketIndex];
+    if (!socket) continue;
+    
+    const randomPerks = socket.randomizedPlugSetHash
+      ? resolvePlugPerks(plugSetDefs[socket.randomizedPlugSetHash]?.reusablePlugItems || [], itemDefs, perkDefs)
+      : [];
+    
+    let curatedEntries = [];
+    if (socket.reusablePlugSetHash) {
+      curatedEntries = plugSetDefs[socket.reusablePlugSetHash]?.reusablePlugItems || [];
+    } else if (socket.reusablePlugItems?.length > 0) {
+      curatedEntries = socket.reusablePlugItems;
+    } else if (socket.singleInitialItemHash) {
+      curatedEntries = [{ plugItemHash: socket.singleInitialItemHash }];
+    }
+    const curatedPerks = resolvePlugPerks(curatedEntries, itemDefs, perkDefs);
+    
+    const plugCategory = (randomPerks[0] || curatedPerks[0])?.plugCategoryIdentifier;
+    if (!plugCategory) continue;
+    
+    let column = PERK_POOL_COLUMNS[plugCategory] || plugCategory;
+    if (column === 'trait') {
+      traitCount++;
+      column = `trait${traitCount}`;
+    }
+    
+    enrichedPerkPools.push({
+      socketIndex,
+      column,
+      plugCategoryIdentifier: plugCategory,
+      randomizedPlugSetHash: socket.randomizedPlugSetHash || null,
+      reusablePlugSetHash: socket.reusablePlugSetHash || null,
+      randomPerks,
+      curatedPerks
+    });
+  }
+  
+  if (enrichedPerkPools.length === 0) return item;
+  
+  return {
+    ...item,
+    enrichedPerkPools
+  };
+}
+
 /**
  * Enrich item with resolved energy type information
  * Post-Lightfall, armor energy types still exist but no longer restrict mod compatibility.
@@ -493,31 +847,37 @@ function enrichItemWithLore(item, loreDefs) {
  * Enrich items with stat definitions
  * @param {object[]} items - Items to enrich
  * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale (default: 'en')
  * @returns {Promise<object[]>} - Enriched items
  */
-async function enrichItemsWithStatNames(items, client) {
-  const statDefs = await loadStatDefinitions(client);
-  return items.map(item => enrichItemWithStats(item, statDefs));
+async function enrichItemsWithStatNames(items, client, locale = DEFAULT_LOCALE) {
+  const statDefs = await loadStatDefinitions(client, locale);
+  const statGroupDefs = await loadStatGroupDefinitions(client, locale);
+  return items.map(item => enrichItemWithStats(item, statDefs, statGroupDefs));
 }
 
 /**
- * Enrich items with comprehensive data (stats, perks, damage types, intrinsic perks, energy types, lore)
+ * Enrich items with comprehensive data (stats, perks, perk pools, damage types, intrinsic perks, energy types, lore)
  * @param {object[]} items - Items to enrich
  * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale (default: 'en')
  * @returns {Promise<object[]>} - Fully enriched items
  */
-async function enrichItems(items, client) {
+async function enrichItems(items, client, locale = DEFAULT_LOCALE) {
   console.log('Loading definitions for enrichment...');
-  const statDefs = await loadStatDefinitions(client);
-  const perkDefs = await loadPerkDefinitions(client);
-  const damageTypeDefs = await loadDamageTypeDefinitions(client);
-  const itemDefs = await loadDefinitions(client, 'DestinyInventoryItemDefinition');
-  const energyTypeDefs = await loadEnergyTypeDefinitions(client);
-  const loreDefs = await loadLoreDefinitions(client);
+  const statDefs = await loadStatDefinitions(client, locale);
+  const statGroupDefs = await loadStatGroupDefinitions(client, locale);
+  const perkDefs = await loadPerkDefinitions(client, locale);
+  const damageTypeDefs = await loadDamageTypeDefinitions(client, locale);
+  const itemDefs = await loadDefinitions(client, 'DestinyInventoryItemDefinition', locale);
+  const energyTypeDefs = await loadEnergyTypeDefinitions(client, locale);
+  const loreDefs = await loadLoreDefinitions(client, locale);
+  const plugSetDefs = await loadPlugSetDefinitions(client, locale);
   
   return items.map(item => {
-    let enriched = enrichItemWithStats(item, statDefs);
+    let enriched = enrichItemWithStats(item, statDefs, statGroupDefs);
     enriched = enrichItemWithPerks(enriched, perkDefs, damageTypeDefs);
+    enriched = enrichItemWithPerkPools(enriched, plugSetDefs, itemDefs, perkDefs);
     enriched = enrichItemWithIntrinsicPerk(enriched, itemDefs);
     enriched = enrichItemWithEnergyType(enriched, energyTypeDefs);
     enriched = enrichItemWithLore(enriched, loreDefs);
@@ -591,10 +951,11 @@ function filterByCurrentSeason(items, seasonHash) {
  * Gets all weapons from the manifest
  * Filters out redacted and non-equippable items to ensure only current, usable weapons
  * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale (default: 'en')
  * @returns {Promise<object[]>} - Array of weapon definitions
  */
-async function getWeapons(client) {
-  const items = await loadDefinitions(client, 'DestinyInventoryItemDefinition');
+async function getWeapons(client, locale = DEFAULT_LOCALE) {
+  const items = await loadDefinitions(client, 'DestinyInventoryItemDefinition', locale);
   const allWeapons = filterByCategory(items, ITEM_CATEGORIES.WEAPON);
   
   // Filter to only usable items (not redacted, equippable, with names)
@@ -635,10 +996,11 @@ function isArmor2_0(item) {
  * which mods can be slotted. The Armor Charge system replaced Charged with Light and
  * Elemental Wells mechanics.
  * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale (default: 'en')
  * @returns {Promise<object[]>} - Array of armor definitions
  */
-async function getArmor(client) {
-  const items = await loadDefinitions(client, 'DestinyInventoryItemDefinition');
+async function getArmor(client, locale = DEFAULT_LOCALE) {
+  const items = await loadDefinitions(client, 'DestinyInventoryItemDefinition', locale);
   const allArmor = filterByCategory(items, ITEM_CATEGORIES.ARMOR);
   
   // Note: Post-Lightfall, all armor uses universal mod slots (legacy armor was sunset)
@@ -663,10 +1025,11 @@ const ARMOR_MOD_IDENTIFIERS = ['v2', 'enhancements', 'armor_tier'];
  * restricted by elemental affinity. The Armor Charge system replaced the older
  * Charged with Light and Elemental Wells mod categories.
  * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale (default: 'en')
  * @returns {Promise<object[]>} - Array of armor mod definitions
  */
-async function getArmorMods(client) {
-  const items = await loadDefinitions(client, 'DestinyInventoryItemDefinition');
+async function getArmorMods(client, locale = DEFAULT_LOCALE) {
+  const items = await loadDefinitions(client, 'DestinyInventoryItemDefinition', locale);
   const allMods = filterByCategory(items, ITEM_CATEGORIES.ARMOR_MODS);
   
   // Note: Post-Lightfall, all mods use universal slots (legacy mods were sunset)
@@ -687,10 +1050,11 @@ async function getArmorMods(client) {
  * elements into one subclass, with a unique Transcendence mechanic.
  * Filters out redacted and non-equippable items
  * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale (default: 'en')
  * @returns {Promise<object>} - Object containing aspects, fragments, and abilities
  */
-async function getSubclassItems(client) {
-  const items = await loadDefinitions(client, 'DestinyInventoryItemDefinition');
+async function getSubclassItems(client, locale = DEFAULT_LOCALE) {
+  const items = await loadDefinitions(client, 'DestinyInventoryItemDefinition', locale);
   
   // Get all subclass items by category hash (1403)
   const subclassItems = filterByCategory(items, ITEM_CATEGORIES.SUBCLASS);
@@ -752,30 +1116,165 @@ async function getSubclassItems(client) {
 /**
  * Gets aspects from the manifest
  * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale (default: 'en')
  * @returns {Promise<object[]>} - Array of aspect definitions
  */
-async function getAspects(client) {
-  const subclassItems = await getSubclassItems(client);
+async function getAspects(client, locale = DEFAULT_LOCALE) {
+  const subclassItems = await getSubclassItems(client, locale);
   return subclassItems.aspects;
 }
 
 /**
  * Gets fragments from the manifest
  * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale (default: 'en')
  * @returns {Promise<object[]>} - Array of fragment definitions
  */
-async function getFragments(client) {
-  const subclassItems = await getSubclassItems(client);
+async function getFragments(client, locale = DEFAULT_LOCALE) {
+  const subclassItems = await getSubclassItems(client, locale);
   return subclassItems.fragments;
 }
 
+/**
+ * Get the subclass tree group of a plug category identifier
+ * @param {string} plugCategoryIdentifier - Plug category identifier (e.g., 'titan.arc.supers')
+ * @returns {string|null} - Group key (aspects, fragments, supers, grenades, melees, classAbilities, movement) or null
+ */
+function getSubclassTreeGroup(plugCategoryIdentifier) {
+  const plugCat = (plugCategoryIdentifier || '').toLowerCase();
+  const group = SUBCLASS_TREE_GROUPS.find(({ patterns }) => patterns.some(pattern => plugCat.includes(pattern)));
+  return group ? group.key : null;
+}
+
+/**
+ * Gets the element of a subclass
+ * Read from the subclass item's damage type; Prismatic subclasses have none, and reuse aspects
+ * and abilities of every element, so they're recognized by their prismatic plugs instead.
+ * @param {object} subclass - Subclass item definition
+ * @param {string[]} plugCategories - Lower-cased plug category identifiers of the subclass's options
+ * @returns {string} - Element name (e.g. 'Void', 'Prismatic'), or '' when unknown
+ */
+function getSubclassElement(subclass, plugCategories = []) {
+  const element = SUBCLASS_DAMAGE_TYPE_ELEMENTS[subclass.talentGrid?.hudDamageType] ||
+    SUBCLASS_DAMAGE_TYPE_ELEMENTS[subclass.defaultDamageType] ||
+    SUBCLASS_DAMAGE_TYPE_HASH_ELEMENTS[subclass.defaultDamageTypeHash];
+  if (element) return element;
+  
+  if (plugCategories.some(category => category.includes('prismatic'))) return 'Prismatic';
+  
+  // Definitions without a damage type: fall back to the element named by the plug categories
+  const fallback = plugCategories
+    .map(category => SUBCLASS_ELEMENTS.find(name => category.includes(name)))
+    .find(Boolean);
+  return fallback ? fallback.charAt(0).toUpperCase() + fallback.slice(1) : '';
+}
+
+/**
+ * Resolve a subclass item into its configuration tree
+ * Each socket of the subclass offers its options through a plug set (reusablePlugSetHash) or
+ * reusablePlugItems; sockets are grouped by the plug category of their options. Aspects grant
+ * fragment slots through plug.energyCapacity.capacityValue, so the number of fragments a
+ * configuration can equip is the sum over its equipped aspects (capped by the fragment sockets).
+ * @param {object} subclass - Subclass item definition
+ * @param {object} itemDefs - DestinyInventoryItemDefinition lookup table
+ * @param {object} plugSetDefs - Plug set definitions (DestinyPlugSetDefinition)
+ * @returns {object} - Subclass tree with supers, grenades, melees, classAbilities, movement, aspects and fragments
+ */
+function resolveSubclassTree(subclass, itemDefs, plugSetDefs) {
+  const tree = {
+    hash: subclass.hash,
+    name: subclass.displayProperties?.name || '',
+    classType: subclass.classType,
+    element: '',
+    aspectSockets: 0,
+    fragmentSockets: 0
+  };
+  for (const { key } of SUBCLASS_TREE_GROUPS) {
+    tree[key] = [];
+  }
+  
+  const seen = new Set();
+  const emptyPlugHashes = new Set();
+  const categories = [];
+  for (const socket of subclass.sockets?.socketEntries || []) {
+    let plugEntries = [];
+    if (socket.reusablePlugSetHash) {
+      plugEntries = plugSetDefs[socket.reusablePlugSetHash]?.reusablePlugItems || [];
+    } else if (socket.reusablePlugItems?.length > 0) {
+      plugEntries = socket.reusablePlugItems;
+    }
+    
+    const plugs = plugEntries.map(entry => itemDefs[entry.plugItemHash]).filter(plug => plug?.displayProperties?.name);
+    if (plugs.length === 0) continue;
+    
+    const group = getSubclassTreeGroup(plugs[0].plug?.plugCategoryIdentifier);
+    if (!group) continue;
+    
+    if (group === 'aspects' || group === 'fragments') {
+      // Aspect and fragment sockets start out with their "Empty ... Socket" placeholder plug
+      if (socket.singleInitialItemHash) emptyPlugHashes.add(socket.singleInitialItemHash);
+      if (group === 'aspects') tree.aspectSockets++;
+      if (group === 'fragments') tree.fragmentSockets++;
+    }
+    
+    for (const plug of plugs) {
+      // Empty socket placeholders can share the real plugs' category, so they're matched by hash and name too
+      const isEmptyPlaceholder = emptyPlugHashes.has(plug.hash) ||
+        EMPTY_SOCKET_PLUG_NAME.test(plug.displayProperties.name) ||
+        (plug.plug?.plugCategoryIdentifier || '').toLowerCase().includes('empty');
+      if (seen.has(plug.hash) || isEmptyPlaceholder) continue;
+      seen.add(plug.hash);
+      
+      const option = {
+        hash: plug.hash,
+        name: plug.displayProperties.name,
+        description: plug.displayProperties.description || '',
+        plugCategoryIdentifier: plug.plug?.plugCategoryIdentifier || ''
+      };
+      if (group === 'aspects') {
+        option.fragmentSlots = plug.plug?.energyCapacity?.capacityValue || 0;
+      }
+      tree[group].push(option);
+      categories.push(option.plugCategoryIdentifier.toLowerCase());
+    }
+  }
+  
+  tree.element = getSubclassElement(subclass, categories);
+  
+  // Most fragments a configuration can use: the best aspects' slots, limited by the fragment sockets
+  const aspectSlots = tree.aspects.map(aspect => aspect.fragmentSlots).sort((a, b) => b - a);
+  tree.maxFragmentSlots = Math.min(
+    tree.fragmentSockets,
+    aspectSlots.slice(0, tree.aspectSockets).reduce((total, slots) => total + slots, 0)
+  );
+  
+  return tree;
+}
+
+/**
+ * Gets the configuration tree of every subclass
+ * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale (default: 'en')
+ * @returns {Promise<object[]>} - Subclass trees (see resolveSubclassTree)
+ */
+async function getSubclassTrees(client, locale = DEFAULT_LOCALE) {
+  const itemDefs = await loadDefinitions(client, 'DestinyInventoryItemDefinition', locale);
+  const plugSetDefs = await loadPlugSetDefinitions(client, locale);
+  const { subclasses } = await getSubclassItems(client, locale);
+  
+  return subclasses
+    .map(subclass => resolveSubclassTree(subclass, itemDefs, plugSetDefs))
+    .filter(tree => tree.aspects.length > 0 || tree.supers.length > 0);
+}
+
 /**
  * Gets all damage type definitions
  * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale (default: 'en')
  * @returns {Promise<object[]>} - Array of damage type definitions
  */
-async function getDamageTypes(client) {
-  const damageTypeDefs = await loadDamageTypeDefinitions(client);
+async function getDamageTypes(client, locale = DEFAULT_LOCALE) {
+  const damageTypeDefs = await loadDamageTypeDefinitions(client, locale);
   return Object.values(damageTypeDefs).filter(dt => 
     dt.displayProperties && dt.displayProperties.name
   );
@@ -787,10 +1286,11 @@ async function getDamageTypes(client) {
  * have specific plugCategoryIdentifier patterns like 'seasonal_artifact_perk' or 'artifact_perk'
  * Filters out redacted and non-equippable items
  * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale (default: 'en')
  * @returns {Promise<object[]>} - Array of artifact mod definitions
  */
-async function getArtifactMods(client) {
-  const items = await loadDefinitions(client, 'DestinyInventoryItemDefinition');
+async function getArtifactMods(client, locale = DEFAULT_LOCALE) {
+  const items = await loadDefinitions(client, 'DestinyInventoryItemDefinition', locale);
   
   // Per Bungie API, artifact mods have plugCategoryIdentifier patterns like:
   // - 'seasonal_artifact_perk' or 'seasonal_artifact'
@@ -822,10 +1322,22 @@ async function getArtifactMods(client) {
  * Note: Includes all champion mods without strict season filtering, as the Bungie API
  * may not consistently set seasonHash on all champion mods
  * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale (default: 'en')
  * @returns {Promise<object[]>} - Array of champion mod definitions
  */
-async function getChampionMods(client) {
-  const items = await loadDefinitions(client, 'DestinyInventoryItemDefinition');
+async function getChampionMods(client, locale = DEFAULT_LOCALE) {
+  // Champion mods are matched on English names/descriptions, so other locales
+  // select the same hashes from the English table and return the localized definitions
+  if (locale !== DEFAULT_LOCALE) {
+    const englishChampionMods = await getChampionMods(client, DEFAULT_LOCALE);
+    const localizedItems = await loadDefinitions(client, 'DestinyInventoryItemDefinition', locale);
+    return filterUsableItems(
+      englishChampionMods.map(mod => localizedItems[mod.hash]).filter(Boolean),
+      true
+    );
+  }
+  
+  const items = await loadDefinitions(client, 'DestinyInventoryItemDefinition', locale);
   
   const allChampionMods = Object.values(items).filter(item => {
     if (!item.plug) return false;
@@ -861,48 +1373,55 @@ async function getChampionMods(client) {
 /**
  * Gets all build crafting related data
  * @param {object} client - Bungie API client
+ * @param {object} options - Fetch options
+ * @param {string} options.locale - Manifest locale for names and descriptions (default: 'en')
  * @returns {Promise<object>} - Object containing all build crafting data
  */
-async function getAllBuildCraftingData(client) {
+async function getAllBuildCraftingData(client, options = {}) {
+  const locale = options.locale || DEFAULT_LOCALE;
+  
   // Get season name for logging
   const seasonName = await getCurrentSeasonName(client);
   
-  console.log(`\n=== Fetching Build Crafting Data ===\n`);
+  console.log(`\n=== Fetching Build Crafting Data (${locale}) ===\n`);
   
-  const weapons = await getWeapons(client);
+  const weapons = await getWeapons(client, locale);
   console.log(`Found ${weapons.length} weapons`);
   
-  const armor = await getArmor(client);
+  const armor = await getArmor(client, locale);
   console.log(`Found ${armor.length} armor pieces`);
   
-  const armorMods = await getArmorMods(client);
+  const armorMods = await getArmorMods(client, locale);
   console.log(`Found ${armorMods.length} armor mods`);
   
-  const subclassData = await getSubclassItems(client);
+  const subclassData = await getSubclassItems(client, locale);
   console.log(`Found ${subclassData.subclasses.length} subclasses`);
   console.log(`Found ${subclassData.aspects.length} aspects`);
   console.log(`Found ${subclassData.fragments.length} fragments`);
   console.log(`Found ${subclassData.abilities.length} abilities`);
   
-  const damageTypes = await getDamageTypes(client);
+  const subclassTrees = await getSubclassTrees(client, locale);
+  console.log(`Found ${subclassTrees.length} subclass trees`);
+  
+  const damageTypes = await getDamageTypes(client, locale);
   console.log(`Found ${damageTypes.length} damage types`);
   
-  const artifactMods = await getArtifactMods(client);
+  const artifactMods = await getArtifactMods(client, locale);
   console.log(`Found ${artifactMods.length} artifact mods`);
   
-  const championMods = await getChampionMods(client);
+  const championMods = await getChampionMods(client, locale);
   console.log(`Found ${championMods.length} champion mods`);
   
   // Enrich all items with comprehensive data (stats, perks, damage types)
   console.log('\nEnriching items with comprehensive definitions...');
-  const enrichedWeapons = await enrichItems(weapons, client);
-  const enrichedArmor = await enrichItems(armor, client);
-  const enrichedArmorMods = await enrichItems(armorMods, client);
-  const enrichedAspects = await enrichItems(subclassData.aspects, client);
-  const enrichedFragments = await enrichItems(subclassData.fragments, client);
-  const enrichedAbilities = await enrichItems(subclassData.abilities, client);
-  const enrichedArtifactMods = await enrichItems(artifactMods, client);
-  const enrichedChampionMods = await enrichItems(championMods, client);
+  const enrichedWeapons = await enrichItems(weapons, client, locale);
+  const enrichedArmor = await enrichItems(armor, client, locale);
+  const enrichedArmorMods = await enrichItems(armorMods, client, locale);
+  const enrichedAspects = await enrichItems(subclassData.aspects, client, locale);
+  const enrichedFragments = await enrichItems(subclassData.fragments, client, locale);
+  const enrichedAbilities = await enrichItems(subclassData.abilities, client, locale);
+  const enrichedArtifactMods = await enrichItems(artifactMods, client, locale);
+  const enrichedChampionMods = await enrichItems(championMods, client, locale);
   console.log('Enrichment complete');
   
   // Add enemy weakness reference data
@@ -917,6 +1436,7 @@ async function getAllBuildCraftingData(client) {
     armor: enrichedArmor,
     armorMods: enrichedArmorMods,
     subclasses: subclassData.subclasses,
+    subclassTrees,
     aspects: enrichedAspects,
     fragments: enrichedFragments,
     abilities: enrichedAbilities,
@@ -929,13 +1449,25 @@ async function getAllBuildCraftingData(client) {
 
 /**
  * Clears the cached data
+ * @param {object} options - Clear options
+ * @param {string} options.locale - Only release the in-memory tables of this locale (keeps the manifest and season)
+ * @param {boolean} options.disk - Also delete the on-disk manifest cache (default: false)
  */
-function clearCache() {
+function clearCache(options = {}) {
+  if (options.locale) {
+    delete definitionsCache[options.locale];
+    return;
+  }
+  
   manifestCache = null;
   definitionsCache = {};
   currentSeasonHash = null;
   currentSeasonName = null;
   currentSeasonNumber = null;
+  
+  if (options.disk) {
+    clearDiskCache(diskCacheOptions.directory);
+  }
 }
 
 module.exports = {
@@ -943,12 +1475,21 @@ module.exports = {
   WEAPON_TYPES,
   ARMOR_TYPES,
   SUBCLASS_PLUG_CATEGORIES,
+  SUBCLASS_TREE_GROUPS,
   ARMOR_2_0_PLUG_SET_HASH,
   ARMOR_2_0_STAT_PLUG_CATEGORY,
   ARMOR_MOD_IDENTIFIERS,
+  SOCKET_CATEGORIES,
+  PERK_POOL_COLUMNS,
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  configureManifestCache,
+  getManifestCacheOptions,
   loadManifest,
   loadDefinitions,
+  getAvailableLocales,
   loadStatDefinitions,
+  loadStatGroupDefinitions,
   loadPerkDefinitions,
   loadDamageTypeDefinitions,
   loadSeasonDefinitions,
@@ -963,8 +1504,11 @@ module.exports = {
   filterByCurrentSeason,
   filterUsableItems,
   enrichItemWithStats,
+  interpolateStatValue,
   enrichItemWithPerks,
   enrichItemWithIntrinsicPerk,
+  enrichItemWithPerkPools,
+  resolvePlugPerks,
   enrichItemWithEnergyType,
   enrichItemWithLore,
   enrichItemsWithStatNames,
@@ -976,6 +1520,10 @@ module.exports = {
   getSubclassItems,
   getAspects,
   getFragments,
+  getSubclassTrees,
+  resolveSubclassTree,
+  getSubclassTreeGroup,
+  getSubclassElement,
   getDamageTypes,
   getArtifactMods,
   getChampionMods,
@@ -0,0 +1,631 @@
+// Generated by src/exportSchema.js from the export schemas. Do not edit; run `npm run schemas`.
+
+/** Name, description and icon path shown in game */
+export interface DisplayProperties {
+  name: string;
+  description?: string;
+  icon?: string;
+  hasIcon?: boolean;
+  [key: string]: unknown;
+}
+
+/** Stat with its resolved name; value is the displayed value */
+export interface EnrichedStat {
+  /** Stat hash (as the enrichedStats key) */
+  hash: string;
+  name: string;
+  description: string;
+  value: number;
+  investmentValue: number;
+  displayValue: number;
+  minimum: number;
+  maximum: number;
+  displayMaximum?: number;
+}
+
+/** Sandbox perk of an item */
+export interface EnrichedPerk {
+  hash: number;
+  name: string;
+  description: string;
+  /** Full icon URL, or empty */
+  icon: string;
+  isDisplayable: boolean;
+}
+
+/** Socket with an initial plug */
+export interface EnrichedSocket {
+  socketTypeHash: number;
+  singleInitialItemHash: number;
+  reusablePlugSetHash?: number;
+  randomizedPlugSetHash?: number;
+}
+
+/** Default damage type of an item */
+export interface EnrichedDamageType {
+  hash: number;
+  name: string;
+  description: string;
+  enumValue?: number;
+}
+
+/** Intrinsic perk (weapon frame) from the first socket */
+export interface EnrichedIntrinsicPerk {
+  hash: number;
+  name: string;
+  description: string;
+}
+
+/** Perk a socket can hold */
+export interface PlugPerk {
+  hash: number;
+  name: string;
+  description: string;
+  plugCategoryIdentifier: string;
+  isEnhanced: boolean;
+  currentlyCanRoll: boolean;
+}
+
+/** Perk options of one weapon perk column */
+export interface PerkPool {
+  socketIndex: number;
+  /** barrel, magazine, trait1, trait2, originTrait, ... */
+  column: string;
+  plugCategoryIdentifier: string;
+  randomizedPlugSetHash: number | null;
+  reusablePlugSetHash: number | null;
+  randomPerks: PlugPerk[];
+  curatedPerks: PlugPerk[];
+}
+
+/** Energy type of armor (armorEnergy) or of a mod cost (modEnergyCost) */
+export interface EnrichedEnergyType {
+  hash: number;
+  name: string;
+  description: string;
+  enumValue?: number;
+  capacityStatHash?: number;
+  costStatHash?: number;
+  source: 'armorEnergy' | 'modEnergyCost';
+}
+
+/** Lore entry of an item */
+export interface EnrichedLore {
+  hash: number;
+  name: string;
+  description: string;
+  subtitle: string;
+}
+
+/** Inventory item definition (DestinyInventoryItemDefinition) */
+export interface ManifestItem {
+  hash: number;
+  index?: number;
+  displayProperties: DisplayProperties;
+  flavorText?: string;
+  itemTypeDisplayName?: string;
+  itemTypeAndTierDisplayName?: string;
+  itemType?: number;
+  itemSubType?: number;
+  classType?: number;
+  itemCategoryHashes?: number[];
+  inventory?: {
+    tierTypeName?: string;
+    tierType?: number;
+    tierTypeHash?: number;
+    bucketTypeHash?: number;
+    [key: string]: unknown;
+  };
+  equippingBlock?: {
+    ammoType?: number;
+    [key: string]: unknown;
+  };
+  defaultDamageType?: number;
+  defaultDamageTypeHash?: number;
+  damageTypeHashes?: number[];
+  breakerType?: number;
+  seasonHash?: number;
+  collectibleHash?: number;
+  loreHash?: number;
+  isAdept?: boolean;
+  displaySource?: string;
+  traitIds?: string[];
+  screenshot?: string;
+  iconWatermark?: string;
+  iconWatermarkShelved?: string;
+  tooltipNotifications?: {
+    displayString?: string;
+    [key: string]: unknown;
+  }[];
+  stats?: {
+    statGroupHash?: number;
+    stats?: {
+      [key: string]: {
+        statHash?: number;
+        value?: number;
+        minimum?: number;
+        maximum?: number;
+        displayMaximum?: number;
+        [key: string]: unknown;
+      };
+    };
+    [key: string]: unknown;
+  };
+  investmentStats?: {
+    statTypeHash: number;
+    value: number;
+    isConditionallyActive?: boolean;
+    [key: string]: unknown;
+  }[];
+  perks?: {
+    perkHash: number;
+    [key: string]: unknown;
+  }[];
+  sockets?: {
+    socketEntries?: {
+      socketTypeHash?: number;
+      singleInitialItemHash?: number;
+      reusablePlugSetHash?: number;
+      randomizedPlugSetHash?: number;
+      [key: string]: unknown;
+    }[];
+    socketCategories?: {
+      socketCategoryHash?: number;
+      socketIndexes?: number[];
+      [key: string]: unknown;
+    }[];
+    [key: string]: unknown;
+  };
+  plug?: {
+    plugCategoryIdentifier?: string;
+    energyCost?: {
+      energyCost?: number;
+      energyTypeHash?: number;
+      energyType?: number;
+      [key: string]: unknown;
+    };
+    energyCapacity?: {
+      capacityValue?: number;
+      [key: string]: unknown;
+    };
+    [key: string]: unknown;
+  };
+  energy?: {
+    energyCapacity?: number;
+    energyType?: number;
+    energyTypeHash?: number;
+    [key: string]: unknown;
+  };
+  talentGrid?: {
+    hudDamageType?: number;
+    [key: string]: unknown;
+  };
+  [key: string]: unknown;
+}
+
+/** Inventory item definition with resolved stats, perks and damage type */
+export interface EnrichedItem extends ManifestItem {
+  /** Stats by stat hash */
+  enrichedStats?: {
+    [key: string]: EnrichedStat;
+  };
+  enrichedPerks: EnrichedPerk[];
+  enrichedSockets: EnrichedSocket[];
+  enrichedDamageType: EnrichedDamageType | null;
+  enrichedPerkPools?: PerkPool[];
+  enrichedIntrinsicPerk?: EnrichedIntrinsicPerk;
+  enrichedEnergyType?: EnrichedEnergyType;
+  enrichedLore?: EnrichedLore;
+  [key: string]: unknown;
+}
+
+/** Selectable option of a subclass tree */
+export interface SubclassTreeOption {
+  hash: number;
+  name: string;
+  description: string;
+  plugCategoryIdentifier: string;
+  /** Fragment slots granted (aspects only) */
+  fragmentSlots?: number;
+}
+
+/** Configuration options of a subclass */
+export interface SubclassTree {
+  hash: number;
+  name: string;
+  classType: number;
+  element: string;
+  aspectSockets: number;
+  fragmentSockets: number;
+  aspects: SubclassTreeOption[];
+  fragments: SubclassTreeOption[];
+  supers: SubclassTreeOption[];
+  grenades: SubclassTreeOption[];
+  melees: SubclassTreeOption[];
+  classAbilities: SubclassTreeOption[];
+  movement: SubclassTreeOption[];
+  maxFragmentSlots: number;
+}
+
+/** Damage type definition (DestinyDamageTypeDefinition) */
+export interface DamageType {
+  hash: number;
+  displayProperties: DisplayProperties;
+  enumValue: number;
+  transparentIconPath?: string;
+  showIcon?: boolean;
+  color?: {
+    red?: number;
+    green?: number;
+    blue?: number;
+    alpha?: number;
+    [key: string]: unknown;
+  };
+  [key: string]: unknown;
+}
+
+/** Shield or champion type and what counters it */
+export interface EnemyWeakness {
+  faction: string;
+  enemyType: string;
+  shieldType: string;
+  effectiveDamageType: string;
+  /** DamageType enum value, or a note (N/A, Multiple types, ...) */
+  damageTypeEnum: number | string;
+  notes: string;
+}
+
+/** Weapon table row */
+export interface WeaponRow {
+  hash: number;
+  name: string;
+  description: string;
+  flavorText?: string;
+  itemType?: string;
+  itemTypeAndTierDisplayName?: string;
+  itemSubType?: number | '';
+  tierType?: string;
+  tierTypeHash?: number | '';
+  collectibleHash?: number | '';
+  loreHash?: number | '';
+  seasonHash?: number | '';
+  isAdept?: boolean | '';
+  displaySource?: string;
+  traitIds?: string;
+  iconUrl?: string;
+  screenshotUrl?: string;
+  iconWatermarkUrl?: string;
+  iconWatermarkShelvedUrl?: string;
+  tooltipNotifications?: string;
+  perkNames?: string;
+  perkDescriptions?: string;
+  perks?: string;
+  damageTypeName?: string;
+  damageTypeDescription?: string;
+  intrinsicPerkHash?: number | '';
+  intrinsicPerkName?: string;
+  intrinsicPerkDescription?: string;
+  socketCount?: number | '';
+  loreName?: string;
+  loreDescription?: string;
+  loreSubtitle?: string;
+  weaponSlot?: string;
+  ammoType?: string;
+  defaultDamageType?: string;
+  damageTypeHashes?: string;
+  breakerType?: string;
+  curatedPerks?: string;
+  traitPerkDescriptions?: string;
+  [key: string]: unknown;
+}
+
+/** Armor table row */
+export interface ArmorRow {
+  hash: number;
+  name: string;
+  description: string;
+  flavorText?: string;
+  itemType?: string;
+  itemTypeAndTierDisplayName?: string;
+  itemSubType?: number | '';
+  tierType?: string;
+  tierTypeHash?: number | '';
+  collectibleHash?: number | '';
+  loreHash?: number | '';
+  seasonHash?: number | '';
+  isAdept?: boolean | '';
+  displaySource?: string;
+  traitIds?: string;
+  iconUrl?: string;
+  screenshotUrl?: string;
+  iconWatermarkUrl?: string;
+  iconWatermarkShelvedUrl?: string;
+  tooltipNotifications?: string;
+  perkNames?: string;
+  perkDescriptions?: string;
+  perks?: string;
+  damageTypeName?: string;
+  damageTypeDescription?: string;
+  intrinsicPerkHash?: number | '';
+  intrinsicPerkName?: string;
+  intrinsicPerkDescription?: string;
+  socketCount?: number | '';
+  loreName?: string;
+  loreDescription?: string;
+  loreSubtitle?: string;
+  classType?: string;
+  energyCapacity?: number | '';
+  energyType?: number | '';
+  energyTypeHash?: number | '';
+  energyTypeName?: string;
+  energyTypeDescription?: string;
+  modSocketCount?: number | '';
+  [key: string]: unknown;
+}
+
+/** Armor, artifact or champion mod table row */
+export interface ModRow {
+  hash: number;
+  name: string;
+  description: string;
+  flavorText?: string;
+  itemType?: string;
+  itemTypeAndTierDisplayName?: string;
+  itemSubType?: number | '';
+  tierType?: string;
+  tierTypeHash?: number | '';
+  collectibleHash?: number | '';
+  loreHash?: number | '';
+  seasonHash?: number | '';
+  isAdept?: boolean | '';
+  displaySource?: string;
+  traitIds?: string;
+  iconUrl?: string;
+  screenshotUrl?: string;
+  iconWatermarkUrl?: string;
+  iconWatermarkShelvedUrl?: string;
+  tooltipNotifications?: string;
+  perkNames?: string;
+  perkDescriptions?: string;
+  perks?: string;
+  damageTypeName?: string;
+  damageTypeDescription?: string;
+  intrinsicPerkHash?: number | '';
+  intrinsicPerkName?: string;
+  intrinsicPerkDescription?: string;
+  socketCount?: number | '';
+  loreName?: string;
+  loreDescription?: string;
+  loreSubtitle?: string;
+  plugCategoryIdentifier?: string;
+  energyCost?: number | '';
+  energyTypeHash?: number | '';
+  energyTypeEnum?: number | '';
+  energyTypeName?: string;
+  statBonuses?: string;
+  [key: string]: unknown;
+}
+
+/** Subclass table row */
+export interface SubclassRow {
+  hash: number;
+  name: string;
+  description: string;
+  flavorText?: string;
+  itemType?: string;
+  itemTypeAndTierDisplayName?: string;
+  itemSubType?: number | '';
+  tierType?: string;
+  tierTypeHash?: number | '';
+  collectibleHash?: number | '';
+  loreHash?: number | '';
+  seasonHash?: number | '';
+  isAdept?: boolean | '';
+  displaySource?: string;
+  traitIds?: string;
+  iconUrl?: string;
+  screenshotUrl?: string;
+  iconWatermarkUrl?: string;
+  iconWatermarkShelvedUrl?: string;
+  tooltipNotifications?: string;
+  perkNames?: string;
+  perkDescriptions?: string;
+  perks?: string;
+  damageTypeName?: string;
+  damageTypeDescription?: string;
+  intrinsicPerkHash?: number | '';
+  intrinsicPerkName?: string;
+  intrinsicPerkDescription?: string;
+  socketCount?: number | '';
+  loreName?: string;
+  loreDescription?: string;
+  loreSubtitle?: string;
+  classType?: string;
+  damageType?: number | '';
+  itemCategoryHashes?: string;
+  [key: string]: unknown;
+}
+
+/** Aspect or fragment table row */
+export interface SubclassPlugRow {
+  hash: number;
+  name: string;
+  description: string;
+  flavorText?: string;
+  itemType?: string;
+  itemTypeAndTierDisplayName?: string;
+  itemSubType?: number | '';
+  tierType?: string;
+  tierTypeHash?: number | '';
+  collectibleHash?: number | '';
+  loreHash?: number | '';
+  seasonHash?: number | '';
+  isAdept?: boolean | '';
+  displaySource?: string;
+  traitIds?: string;
+  iconUrl?: string;
+  screenshotUrl?: string;
+  iconWatermarkUrl?: string;
+  iconWatermarkShelvedUrl?: string;
+  tooltipNotifications?: string;
+  perkNames?: string;
+  perkDescriptions?: string;
+  perks?: string;
+  damageTypeName?: string;
+  damageTypeDescription?: string;
+  intrinsicPerkHash?: number | '';
+  intrinsicPerkName?: string;
+  intrinsicPerkDescription?: string;
+  socketCount?: number | '';
+  loreName?: string;
+  loreDescription?: string;
+  loreSubtitle?: string;
+  plugCategoryIdentifier?: string;
+  damageType?: number | '';
+  element?: string;
+  statBonuses?: string;
+  [key: string]: unknown;
+}
+
+/** Ability table row */
+export interface AbilityRow {
+  hash: number;
+  name: string;
+  description: string;
+  flavorText?: string;
+  itemType?: string;
+  itemTypeAndTierDisplayName?: string;
+  itemSubType?: number | '';
+  tierType?: string;
+  tierTypeHash?: number | '';
+  collectibleHash?: number | '';
+  loreHash?: number | '';
+  seasonHash?: number | '';
+  isAdept?: boolean | '';
+  displaySource?: string;
+  traitIds?: string;
+  iconUrl?: string;
+  screenshotUrl?: string;
+  iconWatermarkUrl?: string;
+  iconWatermarkShelvedUrl?: string;
+  tooltipNotifications?: string;
+  perkNames?: string;
+  perkDescriptions?: string;
+  perks?: string;
+  damageTypeName?: string;
+  damageTypeDescription?: string;
+  intrinsicPerkHash?: number | '';
+  intrinsicPerkName?: string;
+  intrinsicPerkDescription?: string;
+  socketCount?: number | '';
+  loreName?: string;
+  loreDescription?: string;
+  loreSubtitle?: string;
+  plugCategoryIdentifier?: string;
+  damageType?: number | '';
+  element?: string;
+  [key: string]: unknown;
+}
+
+/** Damage type table row */
+export interface DamageTypeRow {
+  hash: number;
+  name: string;
+  description: string;
+  flavorText?: string;
+  itemType?: string;
+  itemTypeAndTierDisplayName?: string;
+  itemSubType?: number | '';
+  tierType?: string;
+  tierTypeHash?: number | '';
+  collectibleHash?: number | '';
+  loreHash?: number | '';
+  seasonHash?: number | '';
+  isAdept?: boolean | '';
+  displaySource?: string;
+  traitIds?: string;
+  iconUrl?: string;
+  screenshotUrl?: string;
+  iconWatermarkUrl?: string;
+  iconWatermarkShelvedUrl?: string;
+  tooltipNotifications?: string;
+  perkNames?: string;
+  perkDescriptions?: string;
+  perks?: string;
+  damageTypeName?: string;
+  damageTypeDescription?: string;
+  intrinsicPerkHash?: number | '';
+  intrinsicPerkName?: string;
+  intrinsicPerkDescription?: string;
+  socketCount?: number | '';
+  loreName?: string;
+  loreDescription?: string;
+  loreSubtitle?: string;
+  enumValue?: number | '';
+  transparentIconPath?: string;
+  showIcon?: boolean | '';
+  /** Color as JSON ({"red":..,"green":..,"blue":..,"alpha":..}) */
+  color?: string;
+  [key: string]: unknown;
+}
+
+/** Subclass tree table row (one per option) */
+export interface SubclassTreeRow {
+  className: string;
+  subclass: string;
+  element: string;
+  slot: string;
+  name: string;
+  description: string;
+  fragmentSlots: number | '';
+  maxFragmentSlots: number;
+  hash: number;
+}
+
+/** Build crafting data of one locale (getAllBuildCraftingData) */
+export interface BuildData {
+  weapons: EnrichedItem[];
+  armor: EnrichedItem[];
+  armorMods: EnrichedItem[];
+  subclasses: ManifestItem[];
+  subclassTrees: SubclassTree[];
+  aspects: EnrichedItem[];
+  fragments: EnrichedItem[];
+  abilities: EnrichedItem[];
+  damageTypes: DamageType[];
+  artifactMods: EnrichedItem[];
+  championMods: EnrichedItem[];
+  enemyWeaknesses: EnemyWeakness[];
+}
+
+/** Item type of each category */
+export interface CategoryItems {
+  weapons: EnrichedItem;
+  armor: EnrichedItem;
+  armorMods: EnrichedItem;
+  subclasses: ManifestItem;
+  subclassTrees: SubclassTree;
+  aspects: EnrichedItem;
+  fragments: EnrichedItem;
+  abilities: EnrichedItem;
+  damageTypes: DamageType;
+  artifactMods: EnrichedItem;
+  championMods: EnrichedItem;
+  enemyWeaknesses: EnemyWeakness;
+}
+
+/** Table row type of each category (transformItemForCSV) */
+export interface CategoryRows {
+  weapons: WeaponRow;
+  armor: ArmorRow;
+  armorMods: ModRow;
+  subclasses: SubclassRow;
+  subclassTrees: SubclassTreeRow;
+  aspects: SubclassPlugRow;
+  fragments: SubclassPlugRow;
+  abilities: AbilityRow;
+  damageTypes: DamageTypeRow;
+  artifactMods: ModRow;
+  championMods: ModRow;
+  enemyWeaknesses: EnemyWeakness;
+}
@@ -0,0 +1,391 @@
+const fs = require('fs');
+const path = require('path');
+const { readJSONExport } = require('./jsonExport');
+const { resolveExportFileName, loadReaderOptions } = require('./exportConfig');
+
+/**
+ * Build data categories that can be compared, mapped to their JSON export file names
+ * (as written by exportBuildCraftingData with the default file name template). Enemy weaknesses are hand-written reference
+ * data without item hashes, so they are not part of the diff.
+ */
+const SNAPSHOT_FILES = {
+  weapons: 'weapons.json',
+  armor: 'armor.json',
+  armorMods: 'armor-mods.json',
+  subclasses: 'subclasses.json',
+  aspects: 'aspects.json',
+  fragments: 'fragments.json',
+  abilities: 'abilities.json',
+  damageTypes: 'damage-types.json',
+  artifactMods: 'artifact-mods.json',
+  championMods: 'champion-mods.json'
+};
+
+/**
+ * Human-readable category labels for reports
+ */
+const CATEGORY_LABELS = {
+  weapons: 'Weapons',
+  armor: 'Armor',
+  armorMods: 'Armor Mods',
+  subclasses: 'Subclasses',
+  aspects: 'Aspects',
+  fragments: 'Fragments',
+  abilities: 'Abilities',
+  damageTypes: 'Damage Types',
+  artifactMods: 'Artifact Mods',
+  championMods: 'Champion Mods'
+};
+
+/**
+ * Scalar fields compared between two versions of an item
+ * Each entry maps a report field name to an accessor on the raw item.
+ */
+const COMPARED_FIELDS = {
+  name: item => item.displayProperties?.name || '',
+  description: item => item.displayProperties?.description || '',
+  itemType: item => item.itemTypeDisplayName || '',
+  tierType: item => item.inventory?.tierTypeName || '',
+  damageType: item => item.enrichedDamageType?.name || '',
+  intrinsicPerk: item => item.enrichedIntrinsicPerk?.name || '',
+  energyCost: item => item.plug?.energyCost?.energyCost ?? '',
+  energyCapacity: item => item.energy?.energyCapacity ?? ''
+};
+
+/**
+ * Loads a build data snapshot from a directory of JSON export files
+ * Files may be in any JSON output variant (weapons.json, weapons.ndjson, weapons.json.gz, ...).
+ * Exports written with a category file name template are found by passing the template
+ * (see resolveExportFileName). Missing category files are treated as empty categories.
+ * @param {string} snapshotDir - Directory containing weapons.json, armor.json, etc.
+ * @param {object} options - Reader options ({ fileNameTemplate, locale, date })
+ * @returns {object} - Build data keyed by category (weapons, armor, ...)
+ */
+function loadSnapshot(snapshotDir, options = {}) {
+  if (!fs.existsSync(snapshotDir)) {
+    throw new Error(`Snapshot directory not found: ${snapshotDir}`);
+  }
+
+  const snapshot = {};
+  for (const category of Object.keys(SNAPSHOT_FILES)) {
+    snapshot[category] = readJSONExport(snapshotDir, resolveExportFileName(snapshotDir, category, options), []);
+  }
+  return snapshot;
+}
+
+/**
+ * Gets an item's stat values keyed by stat hash from enrichedStats
+ * @param {object} item - Enriched item
+ * @returns {object} - Map of stat hash to { name, value }
+ */
+function getStatValues(item) {
+  const stats = {};
+  for (const [statHash, stat] of Object.entries(item.enrichedStats || {})) {
+    stats[statHash] = { name: stat.name, value: stat.value };
+  }
+  return stats;
+}
+
+/**
+ * Gets the sorted list of perk names from enrichedPerks and enrichedPerkPools
+ * Perk pool entries are prefixed with their column (e.g. 'trait1: Outlaw') so a perk
+ * moving between columns shows up as a change.
+ * @param {object} item - Enriched item
+ * @returns {string[]} - Perk names
+ */
+function getPerkNames(item) {
+  const names = (item.enrichedPerks || [])
+    .filter(perk => perk.isDisplayable)
+    .map(perk => perk.name);
+
+  for (const pool of item.enrichedPerkPools || []) {
+    for (const perk of [...pool.randomPerks, ...pool.curatedPerks]) {
+      names.push(`${pool.column}: ${perk.name}${perk.isEnhanced ? ' (Enhanced)' : ''}`);
+    }
+  }
+
+  return [...new Set(names)].sort();
+}
+
+/**
+ * Compares two versions of the same item
+ * @param {object} oldItem - Item from the previous snapshot
+ * @param {object} newItem - Item from the current snapshot
+ * @returns {object|null} - Change record, or null when nothing relevant changed
+ */
+function diffItem(oldItem, newItem) {
+  const fieldChanges = [];
+  for (const [field, accessor] of Object.entries(COMPARED_FIELDS)) {
+    const oldValue = accessor(oldItem);
+    const newValue = accessor(newItem);
+    if (oldValue !== newValue) {
+      fieldChanges.push({ field, oldValue, newValue });
+    }
+  }
+
+  const statChanges = [];
+  const oldStats = getStatValues(oldItem);
+  const newStats = getStatValues(newItem);
+  const statHashes = new Set([...Object.keys(oldStats), ...Object.keys(newStats)]);
+  for (const statHash of statHashes) {
+    const oldValue = oldStats[statHash]?.value ?? null;
+    const newValue = newStats[statHash]?.value ?? null;
+    if (oldValue !== newValue) {
+      statChanges.push({
+        hash: statHash,
+        name: newStats[statHash]?.name || oldStats[statHash]?.name || statHash,
+        oldValue,
+        newValue,
+        delta: (newValue || 0) - (oldValue || 0)
+      });
+    }
+  }
+
+  const oldPerks = getPerkNames(oldItem);
+  const newPerks = getPerkNames(newItem);
+  const perksAdded = newPerks.filter(name => !oldPerks.includes(name));
+  const perksRemoved = oldPerks.filter(name => !newPerks.includes(name));
+
+  if (fieldChanges.length === 0 && statChanges.length === 0 && perksAdded.length === 0 && perksRemoved.length === 0) {
+    return null;
+  }
+
+  return {
+    hash: newItem.hash,
+    name: newItem.displayProperties?.name || oldItem.displayProperties?.name || '',
+    fieldChanges,
+    statChanges,
+    perksAdded,
+    perksRemoved
+  };
+}
+
+/**
+ * Compares two lists of items by hash
+ * @param {object[]} oldItems - Items from the previous snapshot
+ * @param {object[]} newItems - Items from the current snapshot
+ * @returns {object} - { added, removed, changed } lists
+ */
+function diffCategory(oldItems = [], newItems = []) {
+  const oldByHash = new Map(oldItems.map(item => [String(item.hash), item]));
+  const newByHash = new Map(newItems.map(item => [String(item.hash), item]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [hash, newItem] of newByHash) {
+    const oldItem = oldByHash.get(hash);
+    if (!oldItem) {
+      added.push({ hash: newItem.hash, name: newItem.displayProperties?.name || '' });
+      continue;
+    }
+    const change = diffItem(oldItem, newItem);
+    if (change) {
+      changed.push(change);
+    }
+  }
+
+  for (const [hash, oldItem] of oldByHash) {
+    if (!newByHash.has(hash)) {
+      removed.push({ hash: oldItem.hash, name: oldItem.displayProperties?.name || '' });
+    }
+  }
+
+  return { added, removed, changed };
+}
+
+/**
+ * Compares two build data snapshots
+ * @param {object} oldData - Previous build data (from loadSnapshot or getAllBuildCraftingData)
+ * @param {object} newData - Current build data
+ * @param {object} options - Diff options
+ * @param {string} options.oldLabel - Label for the previous snapshot (e.g. its directory)
+ * @param {string} options.newLabel - Label for the current snapshot
+ * @returns {object} - Diff with per-category changes and totals
+ */
+function diffBuildData(oldData, newData, options = {}) {
+  const categories = {};
+  const totals = { added: 0, removed: 0, changed: 0 };
+
+  for (const category of Object.keys(SNAPSHOT_FILES)) {
+    const categoryDiff = diffCategory(oldData[category], newData[category]);
+    categories[category] = categoryDiff;
+    totals.added += categoryDiff.added.length;
+    totals.removed += categoryDiff.removed.length;
+    totals.changed += categoryDiff.changed.length;
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    oldLabel: options.oldLabel || 'previous',
+    newLabel: options.newLabel || 'current',
+    totals,
+    categories
+  };
+}
+
+/**
+ * Formats a signed number for reports (e.g. +5, -3)
+ * @param {number} value - Number to format
+ * @returns {string} - Signed number
+ */
+function formatDelta(value) {
+  return `${value > 0 ? '+' : ''}${value}`;
+}
+
+/**
+ * Describes a changed item as a single line of text
+ * @param {object} change - Change record from diffItem
+ * @returns {string} - Description (e.g. "Range: 50 → 55 (+5); Perks added: Outlaw")
+ */
+function describeChange(change) {
+  const parts = [];
+  for (const { field, oldValue, newValue } of change.fieldChanges) {
+    parts.push(`${field}: ${oldValue === '' ? '(none)' : oldValue} → ${newValue === '' ? '(none)' : newValue}`);
+  }
+  for (const stat of change.statChanges) {
+    parts.push(`${stat.name}: ${stat.oldValue ?? '(none)'} → ${stat.newValue ?? '(none)'} (${formatDelta(stat.delta)})`);
+  }
+  if (change.perksAdded.length > 0) {
+    parts.push(`Perks added: ${change.perksAdded.join(', ')}`);
+  }
+  if (change.perksRemoved.length > 0) {
+    parts.push(`Perks removed: ${change.perksRemoved.join(', ')}`);
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Flattens a diff into one row per added, removed or changed item
+ * Used for the "Changes" worksheet and CSV-style outputs.
+ * @param {object} diff - Diff from diffBuildData
+ * @returns {object[]} - Rows with category, changeType, hash, name and details
+ */
+function generateChangeRows(diff) {
+  const rows = [];
+  for (const [category, categoryDiff] of Object.entries(diff.categories)) {
+    const label = CATEGORY_LABELS[category] || category;
+    for (const item of categoryDiff.added) {
+      rows.push({ category: label, changeType: 'Added', hash: item.hash, name: item.name, details: '' });
+    }
+    for (const item of categoryDiff.removed) {
+      rows.push({ category: label, changeType: 'Removed', hash: item.hash, name: item.name, details: '' });
+    }
+    for (const change of categoryDiff.changed) {
+      rows.push({ category: label, changeType: 'Changed', hash: change.hash, name: change.name, details: describeChange(change) });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Escapes table cell content for Markdown
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped text
+ */
+function escapeMarkdownCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Formats a diff as a Markdown report
+ * @param {object} diff - Diff from diffBuildData
+ * @returns {string} - Markdown document
+ */
+function formatDiffAsMarkdown(diff) {
+  const lines = [
+    '# Destiny 2 Build Data Changes',
+    '',
+    `Comparing **${diff.oldLabel}** → **${diff.newLabel}**`,
+    '',
+    `- Added: ${diff.totals.added}`,
+    `- Removed: ${diff.totals.removed}`,
+    `- Changed: ${diff.totals.changed}`
+  ];
+
+  for (const [category, categoryDiff] of Object.entries(diff.categories)) {
+    const { added, removed, changed } = categoryDiff;
+    if (added.length === 0 && removed.length === 0 && changed.length === 0) {
+      continue;
+    }
+
+    lines.push('', `## ${CATEGORY_LABELS[category] || category}`);
+
+    if (added.length > 0) {
+      lines.push('', `### Added (${added.length})`, '');
+      added.forEach(item => lines.push(`- ${item.name} (${item.hash})`));
+    }
+
+    if (removed.length > 0) {
+      lines.push('', `### Removed (${removed.length})`, '');
+      removed.forEach(item => lines.push(`- ${item.name} (${item.hash})`));
+    }
+
+    if (changed.length > 0) {
+      lines.push('', `### Changed (${changed.length})`, '', '| Item | Hash | Changes |', '|------|------|---------|');
+      changed.forEach(change => {
+        lines.push(`| ${escapeMarkdownCell(change.name)} | ${change.hash} | ${escapeMarkdownCell(describeChange(change))} |`);
+      });
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Writes a diff as changes.json and changes.md
+ * @param {object} diff - Diff from diffBuildData
+ * @param {string} outputDir - Output directory
+ * @returns {object} - Paths of the written files ({ json, markdown })
+ */
+function writeDiffReport(diff, outputDir) {
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  const jsonFilename = path.join(outputDir, 'changes.json');
+  const markdownFilename = path.join(outputDir, 'changes.md');
+  fs.writeFileSync(jsonFilename, JSON.stringify(diff, null, 2));
+  fs.writeFileSync(markdownFilename, formatDiffAsMarkdown(diff));
+
+  console.log(`Diff: ${diff.totals.added} added, ${diff.totals.removed} removed, ${diff.totals.changed} changed`);
+  console.log(`Exported change report to ${jsonFilename} and ${markdownFilename}`);
+
+  return { json: jsonFilename, markdown: markdownFilename };
+}
+
+// Run if called directly: node src/buildDiff.js <oldDir> <newDir> [outputDir] [--config <export-config>]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const configIndex = args.indexOf('--config');
+  const configFile = configIndex !== -1 ? args.splice(configIndex, 2)[1] : undefined;
+  const [oldDir, newDir, outputDir = newDir] = args;
+
+  if (!oldDir || !newDir) {
+    console.error('Usage: node src/buildDiff.js <old-export-dir> <new-export-dir> [output-dir] [--config <export-config>]');
+    process.exit(1);
+  }
+
+  try {
+    const readerOptions = loadReaderOptions(configFile);
+    const diff = diffBuildData(loadSnapshot(oldDir, readerOptions), loadSnapshot(newDir, readerOptions), { oldLabel: oldDir, newLabel: newDir });
+    writeDiffReport(diff, outputDir);
+  } catch (error) {
+    console.error('Diff failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  SNAPSHOT_FILES,
+  CATEGORY_LABELS,
+  loadSnapshot,
+  diffItem,
+  diffCategory,
+  diffBuildData,
+  describeChange,
+  generateChangeRows,
+  formatDiffAsMarkdown,
+  writeDiffReport
+};
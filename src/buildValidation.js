@@ -0,0 +1,314 @@
+const fs = require('fs');
+const { loadSnapshot } = require('./buildDiff');
+const { readJSONExport } = require('./jsonExport');
+const { resolveExportFileName, loadReaderOptions } = require('./exportConfig');
+
+/**
+ * Build validation for complete loadouts.
+ *
+ * A build references items by hash or name:
+ *   {
+ *     classType: 'Warlock',              // or 0/1/2
+ *     subclass: 'Voidwalker',
+ *     abilities: ['Nova Bomb: Cataclysm', 'Vortex Grenade', ...],
+ *     aspects: ['Chaos Accelerant', 'Feed the Void'],
+ *     fragments: ['Echo of Persistence', ...],
+ *     weapons: ['Ace of Spades', ...],
+ *     armor: [{ item: 'Contraverse Hold', mods: ['Resilience Mod', ...], energyCapacity: 10 }, ...]
+ *   }
+ * and is checked against exported build data (weapons, armor, armorMods, subclasses,
+ * subclassTrees). Every problem is reported as a structured error so callers can show all of
+ * them at once instead of failing on the first.
+ */
+
+/**
+ * Validation error codes
+ */
+const VALIDATION_ERRORS = {
+  INVALID_BUILD: 'INVALID_BUILD',
+  INVALID_CLASS: 'INVALID_CLASS',
+  UNKNOWN_ITEM: 'UNKNOWN_ITEM',
+  SUBCLASS_REQUIRED: 'SUBCLASS_REQUIRED',
+  CLASS_MISMATCH: 'CLASS_MISMATCH',
+  MULTIPLE_EXOTIC_WEAPONS: 'MULTIPLE_EXOTIC_WEAPONS',
+  MULTIPLE_EXOTIC_ARMOR: 'MULTIPLE_EXOTIC_ARMOR',
+  PLUG_NOT_IN_SUBCLASS: 'PLUG_NOT_IN_SUBCLASS',
+  DUPLICATE_PLUG: 'DUPLICATE_PLUG',
+  TOO_MANY_ASPECTS: 'TOO_MANY_ASPECTS',
+  TOO_MANY_FRAGMENTS: 'TOO_MANY_FRAGMENTS',
+  MOD_ENERGY_EXCEEDED: 'MOD_ENERGY_EXCEEDED'
+};
+
+/**
+ * Class type enum (Destiny.DestinyClass); 3 means the item is usable by every class
+ */
+const CLASS_NAMES = { 0: 'Titan', 1: 'Hunter', 2: 'Warlock' };
+const ANY_CLASS = 3;
+
+/**
+ * Tier type of exotic items (Destiny.TierType)
+ */
+const EXOTIC_TIER_TYPE = 6;
+
+/**
+ * Energy capacity used when neither the build nor the armor definition specifies one
+ */
+const DEFAULT_ARMOR_ENERGY_CAPACITY = 10;
+
+/**
+ * Aspect sockets per subclass when the subclass tree doesn't say otherwise
+ */
+const DEFAULT_ASPECT_SOCKETS = 2;
+
+/**
+ * Parses a class type given as enum value or class name
+ * @param {number|string} classType - Class type (0/1/2 or 'Titan'/'Hunter'/'Warlock')
+ * @returns {number|null} - Class type enum value, or null when invalid
+ */
+function parseClassType(classType) {
+  if (CLASS_NAMES[classType] !== undefined) {
+    return Number(classType);
+  }
+  const entry = Object.entries(CLASS_NAMES)
+    .find(([, name]) => name.toLowerCase() === String(classType).toLowerCase());
+  return entry ? Number(entry[0]) : null;
+}
+
+/**
+ * Creates a lookup of items by hash and by lower-cased name
+ * @param {object[]} items - Item definitions (or subclass tree options)
+ * @returns {object} - Lookup with a find(reference) method
+ */
+function createItemIndex(items = []) {
+  const byHash = new Map();
+  const byName = new Map();
+  for (const item of items) {
+    byHash.set(String(item.hash), item);
+    const name = (item.displayProperties?.name || item.name || '').toLowerCase();
+    if (name && !byName.has(name)) {
+      byName.set(name, item);
+    }
+  }
+
+  return {
+    find(reference) {
+      if (reference && typeof reference === 'object') {
+        reference = reference.hash ?? reference.item;
+      }
+      return byHash.get(String(reference)) || byName.get(String(reference).toLowerCase()) || null;
+    }
+  };
+}
+
+/**
+ * Gets the display name of an item definition or subclass tree option
+ * @param {object} item - Item definition or option
+ * @returns {string} - Name
+ */
+function getItemName(item) {
+  return item.displayProperties?.name || item.name || String(item.hash);
+}
+
+/**
+ * Validates a complete loadout against build data
+ * @param {object} build - Loadout (see the module comment for its shape)
+ * @param {object} buildData - Build data with weapons, armor, armorMods, subclasses and subclassTrees
+ * @returns {object} - { valid, errors }, each error being { code, message, path, hash? }
+ */
+function validateBuild(build, buildData) {
+  const errors = [];
+  const addError = (code, message, errorPath, hash) => {
+    const error = { code, message, path: errorPath };
+    if (hash !== undefined) error.hash = hash;
+    errors.push(error);
+  };
+
+  // A loadout read from JSON can be anything; nothing else can be checked without an object
+  if (!build || typeof build !== 'object' || Array.isArray(build)) {
+    const type = build === null ? 'null' : Array.isArray(build) ? 'an array' : typeof build;
+    addError(VALIDATION_ERRORS.INVALID_BUILD, `Build must be an object, got ${type}`, '');
+    return { valid: false, errors };
+  }
+
+  const classType = parseClassType(build.classType);
+  if (classType === null) {
+    addError(VALIDATION_ERRORS.INVALID_CLASS, `Invalid class type: ${build.classType}`, 'classType');
+  }
+
+  const checkClass = (item, errorPath) => {
+    if (classType === null || item.classType === undefined || item.classType === ANY_CLASS) return;
+    if (item.classType !== classType) {
+      addError(VALIDATION_ERRORS.CLASS_MISMATCH,
+        `${getItemName(item)} is a ${CLASS_NAMES[item.classType]} item but the build is for a ${CLASS_NAMES[classType]}`,
+        errorPath, item.hash);
+    }
+  };
+
+  // Subclass and its plugs
+  let tree = null;
+  if (build.subclass !== undefined) {
+    const subclass = createItemIndex(buildData.subclasses).find(build.subclass);
+    tree = createItemIndex(buildData.subclassTrees).find(subclass ? subclass.hash : build.subclass);
+    if (!subclass && !tree) {
+      addError(VALIDATION_ERRORS.UNKNOWN_ITEM, `Unknown subclass: ${build.subclass}`, 'subclass');
+    } else {
+      checkClass(subclass || tree, 'subclass');
+    }
+  }
+
+  const validatePlugs = (references, groups, field) => {
+    const plugs = [];
+    const seen = new Set();
+    const options = tree ? groups.flatMap(group => tree[group] || []) : [];
+    const index = createItemIndex(options);
+
+    (references || []).forEach((reference, i) => {
+      const errorPath = `${field}[${i}]`;
+      if (!tree) {
+        // Plugs can only be checked against a subclass tree, so without one none is accepted
+        addError(VALIDATION_ERRORS.SUBCLASS_REQUIRED, build.subclass === undefined
+          ? `${reference} can't be checked without a subclass`
+          : `${reference} can't be checked: no subclass tree found for ${build.subclass}`, errorPath);
+        return;
+      }
+
+      const plug = index.find(reference);
+      if (!plug) {
+        addError(VALIDATION_ERRORS.PLUG_NOT_IN_SUBCLASS, `${reference} is not available on ${tree.name}`, errorPath);
+        return;
+      }
+      if (seen.has(plug.hash)) {
+        addError(VALIDATION_ERRORS.DUPLICATE_PLUG, `${plug.name} is equipped more than once`, errorPath, plug.hash);
+        return;
+      }
+      seen.add(plug.hash);
+      plugs.push(plug);
+    });
+
+    return plugs;
+  };
+
+  validatePlugs(build.abilities, ['supers', 'grenades', 'melees', 'classAbilities', 'movement'], 'abilities');
+  const aspects = validatePlugs(build.aspects, ['aspects'], 'aspects');
+  const fragments = validatePlugs(build.fragments, ['fragments'], 'fragments');
+
+  if (tree) {
+    const aspectSockets = tree.aspectSockets || DEFAULT_ASPECT_SOCKETS;
+    if (aspects.length > aspectSockets) {
+      addError(VALIDATION_ERRORS.TOO_MANY_ASPECTS,
+        `${aspects.length} aspects equipped but ${tree.name} has ${aspectSockets} aspect sockets`, 'aspects');
+    }
+
+    const fragmentSlots = aspects.reduce((total, aspect) => total + (aspect.fragmentSlots || 0), 0);
+    if (fragments.length > fragmentSlots) {
+      addError(VALIDATION_ERRORS.TOO_MANY_FRAGMENTS,
+        `${fragments.length} fragments equipped but the selected aspects provide ${fragmentSlots} fragment slots`, 'fragments');
+    }
+  }
+
+  // Weapons
+  const weaponIndex = createItemIndex(buildData.weapons);
+  const exoticWeapons = [];
+  (build.weapons || []).forEach((reference, i) => {
+    const weapon = weaponIndex.find(reference);
+    if (!weapon) {
+      addError(VALIDATION_ERRORS.UNKNOWN_ITEM, `Unknown weapon: ${reference}`, `weapons[${i}]`);
+      return;
+    }
+    checkClass(weapon, `weapons[${i}]`);
+    if (weapon.inventory?.tierType === EXOTIC_TIER_TYPE) {
+      exoticWeapons.push(weapon);
+    }
+  });
+  if (exoticWeapons.length > 1) {
+    addError(VALIDATION_ERRORS.MULTIPLE_EXOTIC_WEAPONS,
+      `Only one exotic weapon can be equipped (found ${exoticWeapons.map(getItemName).join(', ')})`, 'weapons');
+  }
+
+  // Armor and mods
+  const armorIndex = createItemIndex(buildData.armor);
+  const modIndex = createItemIndex(buildData.armorMods);
+  const exoticArmor = [];
+  (build.armor || []).forEach((entry, i) => {
+    const piece = entry && typeof entry === 'object' ? entry : { item: entry };
+    const armor = armorIndex.find(piece.item ?? piece.hash);
+    if (!armor) {
+      addError(VALIDATION_ERRORS.UNKNOWN_ITEM, `Unknown armor: ${piece.item ?? piece.hash}`, `armor[${i}]`);
+      return;
+    }
+    checkClass(armor, `armor[${i}]`);
+    if (armor.inventory?.tierType === EXOTIC_TIER_TYPE) {
+      exoticArmor.push(armor);
+    }
+
+    let energyUsed = 0;
+    (piece.mods || []).forEach((modReference, j) => {
+      const mod = modIndex.find(modReference);
+      if (!mod) {
+        addError(VALIDATION_ERRORS.UNKNOWN_ITEM, `Unknown armor mod: ${modReference}`, `armor[${i}].mods[${j}]`);
+        return;
+      }
+      energyUsed += mod.plug?.energyCost?.energyCost || 0;
+    });
+
+    const energyCapacity = piece.energyCapacity ?? armor.energy?.energyCapacity ?? DEFAULT_ARMOR_ENERGY_CAPACITY;
+    if (energyUsed > energyCapacity) {
+      addError(VALIDATION_ERRORS.MOD_ENERGY_EXCEEDED,
+        `Mods on ${getItemName(armor)} cost ${energyUsed} energy but the piece has ${energyCapacity}`,
+        `armor[${i}].mods`, armor.hash);
+    }
+  });
+  if (exoticArmor.length > 1) {
+    addError(VALIDATION_ERRORS.MULTIPLE_EXOTIC_ARMOR,
+      `Only one exotic armor piece can be equipped (found ${exoticArmor.map(getItemName).join(', ')})`, 'armor');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Loads the build data needed for validation from a JSON export directory
+ * @param {string} exportDir - Directory containing weapons.json, armor.json, subclass-trees.json, etc. (or their NDJSON/gzip variants)
+ * @param {object} options - Reader options for templated file names ({ fileNameTemplate, locale, date }, see loadSnapshot)
+ * @returns {object} - Build data
+ */
+function loadValidationData(exportDir, options = {}) {
+  const buildData = loadSnapshot(exportDir, options);
+  buildData.subclassTrees = readJSONExport(exportDir, resolveExportFileName(exportDir, 'subclassTrees', options), []);
+  return buildData;
+}
+
+// Run if called directly: node src/buildValidation.js <build.json> [exportDir] [--config <export-config>]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const configIndex = args.indexOf('--config');
+  const configFile = configIndex !== -1 ? args.splice(configIndex, 2)[1] : undefined;
+  const [buildFile, exportDir = './data'] = args;
+
+  if (!buildFile) {
+    console.error('Usage: node src/buildValidation.js <build.json> [export-dir] [--config <export-config>]');
+    process.exit(1);
+  }
+
+  try {
+    const build = JSON.parse(fs.readFileSync(buildFile, 'utf-8'));
+    const result = validateBuild(build, loadValidationData(exportDir, loadReaderOptions(configFile)));
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(result.valid ? 0 : 1);
+  } catch (error) {
+    console.error('Validation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  VALIDATION_ERRORS,
+  CLASS_NAMES,
+  EXOTIC_TIER_TYPE,
+  parseClassType,
+  validateBuild,
+  loadValidationData
+};
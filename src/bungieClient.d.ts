@@ -0,0 +1,96 @@
+// Type declarations for bungieClient.js
+
+export const BUNGIE_API_BASE_URL: string;
+export const PLATFORM_ERROR_CODES: Readonly<Record<string, number>>;
+export const RETRYABLE_ERROR_CODES: readonly number[];
+
+/** Response fields the client reads from fetch (node-fetch, undici and browser fetch all have them) */
+export interface FetchResponse {
+  ok: boolean;
+  status: number;
+  statusText: string;
+  json(): Promise<any>;
+}
+
+export type FetchFunction = (
+  url: string,
+  init: { headers: Record<string, string>; agent?: unknown; signal: unknown }
+) => Promise<FetchResponse>;
+
+export interface BungieClientOptions {
+  /** Retries after the first attempt (default: 3) */
+  retries?: number;
+  /** Delay before the first retry; doubles each attempt (default: 1000) */
+  retryBaseDelayMs?: number;
+  /** Upper bound for a single backoff delay (default: 30000) */
+  retryMaxDelayMs?: number;
+  /** Per-attempt request timeout (default: 30000) */
+  timeoutMs?: number;
+  /** Per-attempt manifest component download timeout (default: 300000) */
+  componentTimeoutMs?: number;
+  /** Maximum requests in flight (default: 4) */
+  maxConcurrent?: number;
+  /** Minimum spacing between request starts (default: 100) */
+  minRequestIntervalMs?: number;
+  /** Platform API base URL (default: getApiBaseUrl()) */
+  baseUrl?: string;
+  /** Manifest content base URL (default: getContentBaseUrl(baseUrl)) */
+  contentBaseUrl?: string;
+  /** fetch implementation (default: node-fetch) */
+  fetch?: FetchFunction;
+  /** User-Agent header */
+  userAgent?: string;
+  /** HTTP(S) agent passed to fetch, e.g. a proxy agent */
+  agent?: unknown;
+}
+
+type BungieClientLimits = Omit<BungieClientOptions, 'baseUrl' | 'contentBaseUrl' | 'fetch' | 'userAgent' | 'agent'>;
+
+export const DEFAULT_CLIENT_OPTIONS: Required<BungieClientLimits>;
+
+/** What the manifest loaders need from a client (see also replayClient.d.ts) */
+export interface ManifestClient {
+  /** Requests a Platform endpoint (e.g. '/Destiny2/Manifest/') and returns its Response */
+  request<T = any>(endpoint: string): Promise<T>;
+  /** Downloads (or serves) a manifest component; without it components are fetched from getContentBaseUrl() */
+  downloadComponent?(componentPath: string): Promise<any>;
+}
+
+export interface BungieClient extends ManifestClient {
+  downloadComponent(componentPath: string): Promise<any>;
+  headers: Record<string, string>;
+  options: Required<BungieClientLimits> & BungieClientOptions & { baseUrl: string; contentBaseUrl: string };
+}
+
+export interface BungieApiErrorDetails {
+  status?: number;
+  errorCode?: number;
+  errorStatus?: string;
+  throttleSeconds?: number;
+  code?: string;
+  endpoint?: string;
+}
+
+export class BungieApiError extends Error {
+  constructor(message: string, details?: BungieApiErrorDetails);
+  status?: number;
+  errorCode?: number;
+  errorStatus?: string;
+  throttleSeconds: number;
+  code?: string;
+  endpoint?: string;
+}
+
+export interface RateLimiter {
+  schedule<T>(task: () => Promise<T>): Promise<T>;
+}
+
+/** Platform API base URL: BUNGIE_API_BASE_URL, or BUNGIE_API_BASE_URL's default */
+export function getApiBaseUrl(): string;
+/** Manifest content base URL: BUNGIE_CONTENT_BASE_URL, or the origin of the API base URL */
+export function getContentBaseUrl(apiBaseUrl?: string): string;
+export function createBungieClient(apiKey: string, options?: BungieClientOptions): BungieClient;
+export function createRateLimiter(options?: { maxConcurrent?: number; minRequestIntervalMs?: number }): RateLimiter;
+export function computeBackoffDelay(attempt: number, options?: BungieClientOptions, random?: () => number): number;
+export function getRetryDelay(error: Error, attempt: number, options?: BungieClientOptions, random?: () => number): number;
+export function isRetryableError(error: Error): boolean;
@@ -1,49 +1,401 @@
 const fetch = require('node-fetch');
+const AbortController = require('abort-controller');
 
 const BUNGIE_API_BASE_URL = 'https://www.bungie.net/Platform';
 
+/**
+ * Gets the Platform API base URL
+ * BUNGIE_API_BASE_URL points the clients at another server, such as the mock server
+ * (see mockBungieServer.js).
+ * @returns {string} - Base URL without a trailing slash
+ */
+function getApiBaseUrl() {
+  return (process.env.BUNGIE_API_BASE_URL || BUNGIE_API_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Gets the base URL of manifest content (the jsonWorldComponentContentPaths files)
+ * Set BUNGIE_CONTENT_BASE_URL to override it; by default content is served from the origin
+ * of the API base URL, as it is on bungie.net.
+ * @param {string} apiBaseUrl - Platform API base URL (default: getApiBaseUrl())
+ * @returns {string} - Base URL without a trailing slash
+ */
+function getContentBaseUrl(apiBaseUrl = getApiBaseUrl()) {
+  return (process.env.BUNGIE_CONTENT_BASE_URL || new URL(apiBaseUrl).origin).replace(/\/+$/, '');
+}
+
+/**
+ * Bungie platform error codes relevant to retry handling
+ * Reference: https://bungie-net.github.io/multi/schema_Exceptions-PlatformErrorCodes.html
+ */
+const PLATFORM_ERROR_CODES = {
+  SUCCESS: 1,
+  SYSTEM_DISABLED: 5, // Maintenance
+  THROTTLE_LIMIT_EXCEEDED_MOMENTARILY: 36,
+  PER_ENDPOINT_REQUEST_THROTTLE_EXCEEDED: 51,
+  DESTINY_THROTTLED_BY_GAME_SERVER: 1672
+};
+
+/**
+ * Platform error codes that indicate a transient condition worth retrying
+ */
+const RETRYABLE_ERROR_CODES = [
+  PLATFORM_ERROR_CODES.SYSTEM_DISABLED,
+  PLATFORM_ERROR_CODES.THROTTLE_LIMIT_EXCEEDED_MOMENTARILY,
+  PLATFORM_ERROR_CODES.PER_ENDPOINT_REQUEST_THROTTLE_EXCEEDED,
+  PLATFORM_ERROR_CODES.DESTINY_THROTTLED_BY_GAME_SERVER
+];
+
+/**
+ * Network error codes (from node's socket layer) that indicate a transient failure
+ */
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH'];
+
+/**
+ * Default client options
+ * Bungie allows roughly 25 requests per second per application, so the defaults
+ * stay well below that while still allowing a few requests in flight.
+ */
+const DEFAULT_CLIENT_OPTIONS = {
+  retries: 3, // Retries after the first attempt
+  retryBaseDelayMs: 1000, // Delay before the first retry (doubles each attempt)
+  retryMaxDelayMs: 30000, // Upper bound for a single backoff delay
+  timeoutMs: 30000, // Per-attempt request timeout
+  componentTimeoutMs: 300000, // Per-attempt manifest component download timeout (tables are large)
+  maxConcurrent: 4, // Maximum requests in flight per client
+  minRequestIntervalMs: 100 // Minimum spacing between request starts
+};
+
+/**
+ * Error raised for failed Bungie API requests
+ * Carries the HTTP status, platform error code, and throttle hint so callers (and the
+ * retry logic) can decide how to react.
+ */
+class BungieApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} details - Error details
+   * @param {number} details.status - HTTP status code (if a response was received)
+   * @param {number} details.errorCode - Bungie platform ErrorCode (if present)
+   * @param {string} details.errorStatus - Bungie platform ErrorStatus (if present)
+   * @param {number} details.throttleSeconds - Bungie ThrottleSeconds hint (if present)
+   * @param {string} details.code - Network error code (e.g. ECONNRESET, ETIMEDOUT)
+   * @param {string} details.endpoint - Requested endpoint
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'BungieApiError';
+    this.status = details.status;
+    this.errorCode = details.errorCode;
+    this.errorStatus = details.errorStatus;
+    this.throttleSeconds = details.throttleSeconds || 0;
+    this.code = details.code;
+    this.endpoint = details.endpoint;
+  }
+}
+
+/**
+ * Checks whether a failed request should be retried
+ * @param {Error} error - Error thrown by a request attempt
+ * @returns {boolean} - True for throttling, maintenance, 5xx/429 responses, timeouts and network resets
+ */
+function isRetryableError(error) {
+  if (!error) return false;
+
+  if (error.errorCode !== undefined && RETRYABLE_ERROR_CODES.includes(error.errorCode)) {
+    return true;
+  }
+
+  if (error.status !== undefined) {
+    return error.status >= 500 || error.status === 429;
+  }
+
+  return RETRYABLE_NETWORK_ERRORS.includes(error.code);
+}
+
+/**
+ * Computes an exponential backoff delay with jitter
+ * Uses "equal jitter": half of the exponential delay is fixed, the other half is random,
+ * so concurrent clients spread out without ever retrying immediately.
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {object} options - Client options (retryBaseDelayMs, retryMaxDelayMs)
+ * @param {Function} random - Random number source (default: Math.random)
+ * @returns {number} - Delay in milliseconds
+ */
+function computeBackoffDelay(attempt, options = DEFAULT_CLIENT_OPTIONS, random = Math.random) {
+  const exponential = Math.min(options.retryMaxDelayMs, options.retryBaseDelayMs * Math.pow(2, attempt));
+  return Math.round(exponential / 2 + random() * (exponential / 2));
+}
+
+/**
+ * Gets the delay before retrying a failed request
+ * Bungie's ThrottleSeconds is a minimum wait, so it takes precedence over a shorter backoff.
+ * @param {Error} error - Error thrown by the failed attempt
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {object} options - Client options
+ * @param {Function} random - Random number source (default: Math.random)
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(error, attempt, options = DEFAULT_CLIENT_OPTIONS, random = Math.random) {
+  const backoff = computeBackoffDelay(attempt, options, random);
+  const throttleMs = (error?.throttleSeconds || 0) * 1000;
+  return Math.max(backoff, throttleMs);
+}
+
+/**
+ * Creates a limiter that bounds concurrency and spaces out request starts
+ * @param {object} options - Limiter options
+ * @param {number} options.maxConcurrent - Maximum tasks running at once
+ * @param {number} options.minRequestIntervalMs - Minimum milliseconds between task starts
+ * @returns {object} - Limiter with a schedule(task) method
+ */
+function createRateLimiter({ maxConcurrent = 1, minRequestIntervalMs = 0 } = {}) {
+  const queue = [];
+  let active = 0;
+  let nextStartAt = 0;
+  let timer = null;
+
+  function drain() {
+    if (timer) return;
+
+    while (queue.length > 0 && active < maxConcurrent) {
+      const wait = nextStartAt - Date.now();
+      if (wait > 0) {
+        timer = setTimeout(() => {
+          timer = null;
+          drain();
+        }, wait);
+        return;
+      }
+
+      const { task, resolve, reject } = queue.shift();
+      active++;
+      nextStartAt = Date.now() + minRequestIntervalMs;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          drain();
+        });
+    }
+  }
+
+  /**
+   * Queues a task and resolves with its result once it has run
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} - Task result
+   */
+  function schedule(task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      drain();
+    });
+  }
+
+  return {
+    schedule,
+    get pending() {
+      return queue.length;
+    },
+    get active() {
+      return active;
+    }
+  };
+}
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 /**
  * Creates a Bungie API client with the provided API key
+ * Platform requests and manifest component downloads both go through the client, so they share
+ * its headers, agent, rate limiter, timeouts and retries. Pointing baseUrl/contentBaseUrl at a
+ * mirror, or passing a custom fetch, lets the client run against proxies and test stand-ins.
  * @param {string} apiKey - The Bungie API key
+ * @param {object} options - Client options (see DEFAULT_CLIENT_OPTIONS)
+ * @param {number} options.retries - Number of retries for transient failures (default: 3)
+ * @param {number} options.retryBaseDelayMs - Base backoff delay in ms (default: 1000)
+ * @param {number} options.retryMaxDelayMs - Maximum backoff delay in ms (default: 30000)
+ * @param {number} options.timeoutMs - Per-attempt timeout in ms (default: 30000)
+ * @param {number} options.componentTimeoutMs - Per-attempt manifest component download timeout in ms (default: 300000)
+ * @param {number} options.maxConcurrent - Maximum concurrent requests (default: 4)
+ * @param {number} options.minRequestIntervalMs - Minimum ms between request starts (default: 100)
+ * @param {string} options.baseUrl - Platform API base URL (default: getApiBaseUrl(), read when the client is created)
+ * @param {string} options.contentBaseUrl - Manifest content base URL (default: getContentBaseUrl() for the base URL)
+ * @param {Function} options.fetch - fetch implementation, called as fetch(url, { headers, agent, signal }) (default: node-fetch)
+ * @param {string} options.userAgent - User-Agent header (Bungie asks apps to identify themselves, e.g. 'MyApp/1.0 AppId/12345 (+https://example.com;me@example.com)')
+ * @param {object|Function} options.agent - HTTP(S) agent passed to fetch, e.g. a proxy agent
  * @returns {object} - API client with methods for fetching data
+ * @throws {Error} - When the API key is missing or a numeric option is not a finite, non-negative number
  */
-function createBungieClient(apiKey) {
+function createBungieClient(apiKey, options = {}) {
   if (!apiKey) {
     throw new Error('Bungie API key is required');
   }
 
+  const baseUrl = (options.baseUrl || getApiBaseUrl()).replace(/\/+$/, '');
+  const contentBaseUrl = (options.contentBaseUrl || getContentBaseUrl(baseUrl)).replace(/\/+$/, '');
+  // Undefined options (e.g. forwarded unset config values) keep their defaults
+  const definedOptions = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  const clientOptions = { ...DEFAULT_CLIENT_OPTIONS, ...definedOptions, baseUrl, contentBaseUrl };
+  for (const key of Object.keys(DEFAULT_CLIENT_OPTIONS)) {
+    const value = clientOptions[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid Bungie client option ${key}: ${value} (expected a finite number >= 0)`);
+    }
+  }
+  if (clientOptions.maxConcurrent < 1) {
+    throw new Error(`Invalid Bungie client option maxConcurrent: ${clientOptions.maxConcurrent} (expected at least 1)`);
+  }
+  const fetchImpl = clientOptions.fetch || fetch;
+  const limiter = createRateLimiter(clientOptions);
+
   const headers = {
     'X-API-Key': apiKey,
     'Content-Type': 'application/json'
   };
+  if (clientOptions.userAgent) {
+    headers['User-Agent'] = clientOptions.userAgent;
+  }
 
   /**
-   * Makes a request to the Bungie API
+   * Fetches JSON once, with the client's headers, agent and a timeout
+   * @param {string} url - URL to fetch
+   * @param {string} endpoint - Endpoint or component path (for errors)
+   * @param {string} errorPrefix - Prefix of error messages
+   * @param {number} timeoutMs - Timeout in ms
+   * @returns {Promise<object>} - { response, data }
+   */
+  async function fetchJson(url, endpoint, errorPrefix, timeoutMs) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await fetchImpl(url, { headers, agent: clientOptions.agent, signal: controller.signal });
+
+      if (!response.ok) {
+        // Maintenance and throttling responses usually still carry a JSON envelope
+        const envelope = await response.json().catch(() => null);
+        throw new BungieApiError(`${errorPrefix}: ${response.status} ${response.statusText}`, {
+          status: response.status,
+          errorCode: envelope?.ErrorCode,
+          errorStatus: envelope?.ErrorStatus,
+          throttleSeconds: envelope?.ThrottleSeconds,
+          endpoint
+        });
+      }
+
+      return { response, data: await response.json() };
+    } catch (error) {
+      if (error instanceof BungieApiError) throw error;
+      if (error.name === 'AbortError') {
+        throw new BungieApiError(`${errorPrefix}: request timed out after ${timeoutMs}ms`, {
+          code: 'ETIMEDOUT',
+          endpoint
+        });
+      }
+      throw new BungieApiError(`${errorPrefix}: ${error.message}`, { code: error.code, endpoint });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Performs a single Platform request attempt
    * @param {string} endpoint - API endpoint path
    * @returns {Promise<object>} - API response data
    */
-  async function request(endpoint) {
-    const url = `${BUNGIE_API_BASE_URL}${endpoint}`;
-    
-    const response = await fetch(url, { headers });
-    
-    if (!response.ok) {
-      throw new Error(`Bungie API error: ${response.status} ${response.statusText}`);
+  async function attemptRequest(endpoint) {
+    const { response, data } = await fetchJson(`${baseUrl}${endpoint}`, endpoint, 'Bungie API error', clientOptions.timeoutMs);
+
+    if (data.ErrorCode !== PLATFORM_ERROR_CODES.SUCCESS) {
+      throw new BungieApiError(`Bungie API error: ${data.Message}`, {
+        status: response.status,
+        errorCode: data.ErrorCode,
+        errorStatus: data.ErrorStatus,
+        throttleSeconds: data.ThrottleSeconds,
+        endpoint
+      });
     }
-    
-    const data = await response.json();
-    
-    if (data.ErrorCode !== 1) {
-      throw new Error(`Bungie API error: ${data.Message}`);
+
+    return data;
+  }
+
+  /**
+   * Runs attempts through the rate limiter, retrying transient failures
+   * Uses exponential backoff; the limiter is released while waiting between attempts.
+   * @param {string} endpoint - Endpoint or component path (for log messages)
+   * @param {Function} attempt - Async function performing one attempt
+   * @returns {Promise<*>} - Result of the first successful attempt
+   */
+  async function withRetries(endpoint, attempt) {
+    for (let retry = 0; ; retry++) {
+      try {
+        return await limiter.schedule(attempt);
+      } catch (error) {
+        if (retry >= clientOptions.retries || !isRetryableError(error)) {
+          throw error;
+        }
+
+        const delay = getRetryDelay(error, retry, clientOptions);
+        console.warn(`${error.message} (${endpoint}), retrying in ${delay}ms (retry ${retry + 1}/${clientOptions.retries})`);
+        await sleep(delay);
+      }
     }
-    
+  }
+
+  /**
+   * Makes a request to the Bungie API
+   * @param {string} endpoint - API endpoint path
+   * @returns {Promise<object>} - API response data
+   */
+  async function request(endpoint) {
+    const data = await withRetries(endpoint, () => attemptRequest(endpoint));
     return data.Response;
   }
 
+  /**
+   * Downloads a manifest component (a jsonWorldComponentContentPaths file) from the content base URL
+   * @param {string} componentPath - Manifest component path
+   * @returns {Promise<object>} - Component data
+   */
+  async function downloadComponent(componentPath) {
+    const { data } = await withRetries(componentPath, () => fetchJson(
+      `${contentBaseUrl}${componentPath}`,
+      componentPath,
+      'Failed to download manifest component',
+      clientOptions.componentTimeoutMs
+    ));
+    return data;
+  }
+
   return {
     request,
-    headers
+    downloadComponent,
+    headers,
+    options: clientOptions
   };
 }
 
-module.exports = { createBungieClient, BUNGIE_API_BASE_URL };
+module.exports = {
+  createBungieClient,
+  createRateLimiter,
+  getApiBaseUrl,
+  getContentBaseUrl,
+  computeBackoffDelay,
+  getRetryDelay,
+  isRetryableError,
+  BungieApiError,
+  BUNGIE_API_BASE_URL,
+  PLATFORM_ERROR_CODES,
+  RETRYABLE_ERROR_CODES,
+  DEFAULT_CLIENT_OPTIONS
+};
@@ -0,0 +1,500 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const { exportBuildCraftingData, parseLocales } = require('./exportData');
+const { EXPORT_FORMATS, DEFAULT_EXPORT_FORMATS, loadExportConfig, loadReaderOptions } = require('./exportConfig');
+const { SNAPSHOT_FILES, loadSnapshot, diffBuildData, writeDiffReport } = require('./buildDiff');
+const { buildSearchIndex, search } = require('./search');
+const { loadServerData } = require('./server');
+const { CLASS_NAMES } = require('./buildValidation');
+const { getDefaultCacheDir, listCachedVersions, clearDiskCache } = require('./manifestCache');
+const { COLUMN_PROFILES, getItemElement } = require('./csvExport');
+const { JSON_OUTPUT_FORMATS } = require('./jsonExport');
+const { version } = require('../package.json');
+
+/**
+ * d2data command line interface.
+ *
+ *   d2data export [output-dir] [--config d2data.config.yml] [--format json,csv,excel,excel-master,google-sheets] ...
+ *   d2data search <query> [--category aspects] [--element Solar] ...
+ *   d2data diff <old-export-dir> <new-export-dir> [output-dir] [--config d2data.config.yml]
+ *   d2data show <hash> [--data ./data] [--config d2data.config.yml] [--json]
+ *   d2data cache clear [--cache-dir .manifest-cache]
+ *
+ * Options are parsed strictly: unknown options, missing option values and conflicting format
+ * flags are usage errors (exit code 2) instead of being ignored. run() returns the exit code
+ * rather than exiting so it can be driven from tests.
+ */
+
+/**
+ * Process exit codes
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2
+};
+
+/**
+ * Error for invalid command lines; reported with the command's usage and exit code 2
+ */
+class UsageError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} command - Command whose usage to print (optional)
+   */
+  constructor(message, command) {
+    super(message);
+    this.name = 'UsageError';
+    this.command = command;
+  }
+}
+
+/**
+ * Resolves the export formats from the format flags
+ * --format selects formats explicitly; --excel, --excel-master, --google-sheets, --sqlite, --parquet
+ * and --arrow add to the selection (or to the default: JSON + CSV, or the formats of the export config);
+ * --json-only, --csv-only and --excel-only select a single format and can't be combined with any other
+ * format flag.
+ * @param {object} values - Parsed export options
+ * @param {string[]} defaultFormats - Formats used when no format is selected
+ * @returns {string[]} - Selected formats (EXPORT_FORMATS keys)
+ */
+function resolveExportFormats(values, defaultFormats = DEFAULT_EXPORT_FORMATS) {
+  const onlyFlags = ['json-only', 'csv-only', 'excel-only'].filter(flag => values[flag]);
+  const addedFormats = ['excel', 'excel-master', 'google-sheets', 'sqlite', 'parquet', 'arrow'].filter(format => values[format]);
+
+  if (onlyFlags.length > 0) {
+    const conflicts = [...onlyFlags.slice(1), ...addedFormats, ...(values.format ? ['format'] : [])];
+    if (conflicts.length > 0) {
+      throw new UsageError(`--${onlyFlags[0]} cannot be combined with --${conflicts[0]}`, 'export');
+    }
+    return [onlyFlags[0].replace('-only', '')];
+  }
+
+  let formats = defaultFormats;
+  if (values.format) {
+    formats = values.format.flatMap(value => value.split(',')).map(format => format.trim().toLowerCase()).filter(Boolean);
+    const unknown = formats.filter(format => !EXPORT_FORMATS[format]);
+    if (unknown.length > 0) {
+      throw new UsageError(`Unknown export format: ${unknown.join(', ')} (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`, 'export');
+    }
+  }
+  return [...new Set([...formats, ...addedFormats])];
+}
+
+/**
+ * Builds exportBuildCraftingData options from parsed export options
+ * @param {object} values - Parsed export options
+ * @param {object} configOptions - Options from an export config (see loadExportConfig); flags override them
+ * @returns {object} - Export options
+ */
+function buildExportOptions(values, configOptions = null) {
+  const defaultFormats = configOptions
+    ? Object.keys(EXPORT_FORMATS).filter(format => configOptions[EXPORT_FORMATS[format]])
+    : DEFAULT_EXPORT_FORMATS;
+  const formats = resolveExportFormats(values, defaultFormats);
+  const options = { ...configOptions };
+  for (const [format, option] of Object.entries(EXPORT_FORMATS)) {
+    options[option] = formats.includes(format);
+  }
+
+  if (values['google-sheets-credentials']) {
+    if (!options.googleSheets) {
+      throw new UsageError('--google-sheets-credentials requires the google-sheets format', 'export');
+    }
+    options.googleSheetsCredentials = values['google-sheets-credentials'];
+  }
+  if (values['json-format'] !== undefined) {
+    if (!JSON_OUTPUT_FORMATS.includes(values['json-format'])) {
+      throw new UsageError(`Unknown JSON format: ${values['json-format']} (expected ${JSON_OUTPUT_FORMATS.join(', ')})`, 'export');
+    }
+    options.jsonFormat = values['json-format'];
+  }
+  if (values.gzip) options.gzip = true;
+  for (const flag of ['json-format', 'gzip']) {
+    if (values[flag] !== undefined && !options.json) {
+      throw new UsageError(`--${flag} requires the json format`, 'export');
+    }
+  }
+  if (values['no-cache'] && values['cache-dir']) {
+    throw new UsageError('--no-cache cannot be combined with --cache-dir', 'export');
+  }
+  if (values['no-cache']) options.cache = false;
+  if (values['cache-dir']) options.cacheDir = values['cache-dir'];
+  if (values['diff-against']) options.diffAgainst = values['diff-against'];
+  if (values['no-validate']) options.validate = false;
+  if (values.record && values.replay) {
+    throw new UsageError('--record cannot be combined with --replay', 'export');
+  }
+  if (values.record) options.record = values.record;
+  if (values.replay) options.replay = values.replay;
+  if (values.columns !== undefined) {
+    const profiles = [...new Set([...Object.keys(COLUMN_PROFILES), ...Object.keys(options.columnProfiles || {})])];
+    if (!profiles.includes(values.columns)) {
+      throw new UsageError(`Unknown column profile: ${values.columns} (expected ${profiles.join(', ')})`, 'export');
+    }
+    options.columnProfile = values.columns;
+  }
+  if (values.locale !== undefined) {
+    try {
+      options.locales = parseLocales(values.locale);
+    } catch (error) {
+      throw new UsageError(error.message, 'export');
+    }
+  }
+  return options;
+}
+
+/**
+ * Loads build data for the read-only commands: from --data, or from the API when
+ * BUNGIE_API_KEY is set and no --data is given (default: ./data). With --config, the files are
+ * looked up by the config's category file name template.
+ * @param {object} values - Parsed options
+ * @returns {Promise<object>} - Build data
+ */
+function loadCommandData(values) {
+  const dataDir = values.data || (process.env.BUNGIE_API_KEY ? undefined : './data');
+  return loadServerData({ dataDir, ...loadReaderOptions(values.config), apiKey: process.env.BUNGIE_API_KEY });
+}
+
+/**
+ * Options shared by the commands that read build data
+ */
+const DATA_OPTIONS = {
+  data: { type: 'string', description: 'JSON export directory (default: ./data, or the API when BUNGIE_API_KEY is set)' },
+  config: { type: 'string', description: 'Export config the data was exported with (for its fileNames.category template)' },
+  json: { type: 'boolean', description: 'Print JSON instead of text' }
+};
+
+/**
+ * Commands: usage, options (util.parseArgs format plus descriptions) and handler
+ */
+const COMMANDS = {
+  export: {
+    summary: 'Export build crafting data to JSON, CSV, Excel, Google Sheets, SQLite, Parquet and Arrow',
+    usage: 'd2data export [output-dir] [options]',
+    maxPositionals: 1,
+    options: {
+      config: { type: 'string', description: 'Export config file (JSON or YAML); other options override it' },
+      format: { type: 'string', multiple: true, description: 'Formats to export, comma-separated: json, csv, excel, excel-master, google-sheets, sqlite, parquet, arrow (default: json,csv)' },
+      excel: { type: 'boolean', description: 'Also export one Excel file per category' },
+      'excel-master': { type: 'boolean', description: 'Also export a master Excel workbook' },
+      'google-sheets': { type: 'boolean', description: 'Also export to Google Sheets' },
+      sqlite: { type: 'boolean', description: 'Also export a SQLite database' },
+      parquet: { type: 'boolean', description: 'Also export one Parquet file per category' },
+      arrow: { type: 'boolean', description: 'Also export one Arrow IPC (Feather v2) file per category' },
+      'json-only': { type: 'boolean', description: 'Export JSON only' },
+      'csv-only': { type: 'boolean', description: 'Export CSV only' },
+      'excel-only': { type: 'boolean', description: 'Export Excel files only' },
+      'json-format': { type: 'string', description: 'JSON file format: json (pretty-printed arrays) or ndjson (one item per line) (default: json)' },
+      gzip: { type: 'boolean', description: 'Gzip-compress the JSON files' },
+      'google-sheets-credentials': { type: 'string', description: 'Google service account credentials file' },
+      locale: { type: 'string', description: 'Manifest locales, comma-separated (e.g. de,fr)' },
+      columns: { type: 'string', description: 'Column profile for CSV, Excel and Google Sheets: full, compact or a profile from the config (default: full)' },
+      'no-cache': { type: 'boolean', description: 'Bypass the on-disk manifest cache' },
+      'cache-dir': { type: 'string', description: 'Directory of the on-disk manifest cache' },
+      'diff-against': { type: 'string', description: 'Previous JSON export to write a change report against' },
+      'no-validate': { type: 'boolean', description: 'Skip checking the data against the export schemas before writing' },
+      record: { type: 'string', description: 'Save the API responses and definition tables to a fixture directory' },
+      replay: { type: 'string', description: 'Export from a recorded fixture directory, without an API key or network' }
+    },
+    async run({ values, positionals }) {
+      const config = values.config ? loadExportConfig(values.config) : null;
+      const options = buildExportOptions(values, config?.options);
+      await exportBuildCraftingData(positionals[0] || config?.outputDir || './data', options);
+    }
+  },
+
+  search: {
+    summary: 'Search names, descriptions, perks, flavor text and lore',
+    usage: 'd2data search <query> [options]',
+    minPositionals: 1,
+    options: {
+      ...DATA_OPTIONS,
+      category: { type: 'string', description: 'Categories, comma-separated (e.g. aspects,fragments)' },
+      element: { type: 'string', description: 'Element (e.g. Solar)' },
+      class: { type: 'string', description: 'Class (Titan, Hunter or Warlock)' },
+      tier: { type: 'string', description: 'Tier (e.g. Exotic)' },
+      limit: { type: 'string', description: 'Maximum number of results (default: 20)' }
+    },
+    async run({ values, positionals }) {
+      const query = positionals.join(' ');
+      let limit;
+      if (values.limit !== undefined) {
+        limit = Number(values.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+          throw new UsageError(`Invalid --limit: ${values.limit} (expected a positive integer)`, 'search');
+        }
+      }
+
+      buildSearchIndex(await loadCommandData(values));
+      const results = search(query, {
+        category: values.category?.split(','),
+        element: values.element,
+        class: values.class,
+        tier: values.tier,
+        limit
+      });
+
+      if (values.json) {
+        console.log(JSON.stringify(results, null, 2));
+      } else if (results.length === 0) {
+        console.log(`No results for "${query}"`);
+      } else {
+        for (const result of results) {
+          const details = [result.element, result.className, result.tierTypeName].filter(Boolean).join(', ');
+          console.log(`[${result.category}] ${result.name}${details ? ` (${details})` : ''} - score ${result.score}`);
+          if (result.snippet) {
+            console.log(`    ${result.snippet}`);
+          }
+        }
+      }
+    }
+  },
+
+  diff: {
+    summary: 'Write a change report between two JSON exports',
+    usage: 'd2data diff <old-export-dir> <new-export-dir> [output-dir] [options]',
+    minPositionals: 2,
+    maxPositionals: 3,
+    options: {
+      config: DATA_OPTIONS.config
+    },
+    async run({ values, positionals }) {
+      const [oldDir, newDir, outputDir = newDir] = positionals;
+      const readerOptions = loadReaderOptions(values.config);
+      const diff = diffBuildData(loadSnapshot(oldDir, readerOptions), loadSnapshot(newDir, readerOptions), { oldLabel: oldDir, newLabel: newDir });
+      writeDiffReport(diff, outputDir);
+    }
+  },
+
+  show: {
+    summary: 'Show an item by hash',
+    usage: 'd2data show <hash> [options]',
+    minPositionals: 1,
+    maxPositionals: 1,
+    options: DATA_OPTIONS,
+    async run({ values, positionals }) {
+      const [hash] = positionals;
+      const buildData = await loadCommandData(values);
+      const found = findItemByHash(buildData, hash);
+      if (!found) {
+        throw new Error(`Item not found: ${hash}`);
+      }
+
+      console.log(values.json ? JSON.stringify(found.item, null, 2) : formatItem(found.item, found.category));
+    }
+  },
+
+  cache: {
+    summary: 'Manage the on-disk manifest cache (clear)',
+    usage: 'd2data cache clear [options]',
+    minPositionals: 1,
+    maxPositionals: 1,
+    options: {
+      'cache-dir': { type: 'string', description: 'Cache directory (default: .manifest-cache or D2_MANIFEST_CACHE_DIR)' }
+    },
+    async run({ values, positionals }) {
+      if (positionals[0] !== 'clear') {
+        throw new UsageError(`Unknown cache action: ${positionals[0]} (expected clear)`, 'cache');
+      }
+
+      const cacheDir = values['cache-dir'] || getDefaultCacheDir();
+      const versions = listCachedVersions(cacheDir);
+      clearDiskCache(cacheDir);
+      console.log(`Cleared manifest cache at ${cacheDir} (${versions.length} manifest version(s))`);
+    }
+  }
+};
+
+/**
+ * Finds an item by hash across the build data categories
+ * @param {object} buildData - Build data
+ * @param {string} hash - Item hash
+ * @returns {object|null} - { category, item }, or null when not found
+ */
+function findItemByHash(buildData, hash) {
+  for (const category of Object.keys(SNAPSHOT_FILES)) {
+    const item = (buildData[category] || []).find(candidate => String(candidate.hash) === String(hash));
+    if (item) return { category, item };
+  }
+  return null;
+}
+
+/**
+ * Formats an item for the show command
+ * @param {object} item - Enriched item definition
+ * @param {string} category - Build data category
+ * @returns {string} - Text description
+ */
+function formatItem(item, category) {
+  const lines = [`${item.displayProperties?.name || 'Unknown'} (${category}, hash ${item.hash})`];
+
+  const details = [
+    item.itemTypeDisplayName,
+    item.inventory?.tierTypeName,
+    getItemElement(item),
+    CLASS_NAMES[item.classType]
+  ].filter(Boolean);
+  if (details.length > 0) lines.push(`  ${details.join(' | ')}`);
+  if (item.displayProperties?.description) lines.push(`  ${item.displayProperties.description}`);
+
+  const stats = Object.values(item.enrichedStats || {}).filter(stat => stat.value);
+  if (stats.length > 0) {
+    lines.push(`  Stats: ${stats.map(stat => `${stat.name} ${stat.value}`).join(', ')}`);
+  }
+  if (item.enrichedIntrinsicPerk) {
+    lines.push(`  Intrinsic: ${item.enrichedIntrinsicPerk.name}`);
+  }
+  for (const pool of item.enrichedPerkPools || []) {
+    const perks = (pool.randomPerks.length > 0 ? pool.randomPerks : pool.curatedPerks).map(perk => perk.name);
+    lines.push(`  ${pool.column}: ${perks.join(', ')}`);
+  }
+  const perks = (item.enrichedPerks || []).filter(perk => perk.isDisplayable !== false);
+  if (perks.length > 0) {
+    lines.push(`  Perks: ${perks.map(perk => perk.name).join(', ')}`);
+  }
+  if (item.plug?.energyCost?.energyCost !== undefined) {
+    lines.push(`  Energy cost: ${item.plug.energyCost.energyCost}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Formats help text: the command list, or a command's usage and options
+ * @param {string} commandName - Command (optional)
+ * @returns {string} - Help text
+ */
+function formatHelp(commandName) {
+  const command = COMMANDS[commandName];
+  if (!command) {
+    const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+    return [
+      'Usage: d2data <command> [options]',
+      '',
+      'Commands:',
+      ...Object.entries(COMMANDS).map(([name, { summary }]) => `  ${name.padEnd(width)}  ${summary}`),
+      '',
+      'Run "d2data help <command>" or "d2data <command> --help" for command options.'
+    ].join('\n');
+  }
+
+  const optionNames = Object.entries(command.options).map(([name, option]) =>
+    [`--${name}${option.type === 'string' ? ' <value>' : ''}`, option.description]
+  );
+  const width = Math.max(0, ...optionNames.map(([name]) => name.length));
+  return [
+    `Usage: ${command.usage}`,
+    '',
+    command.summary,
+    ...(optionNames.length > 0
+      ? ['', 'Options:', ...optionNames.map(([name, description]) => `  ${name.padEnd(width)}  ${description}`)]
+      : [])
+  ].join('\n');
+}
+
+/**
+ * Parses a command's arguments strictly
+ * @param {string} commandName - Command
+ * @param {string[]} args - Arguments after the command name
+ * @returns {object} - { values, positionals }
+ */
+function parseCommandArgs(commandName, args) {
+  const command = COMMANDS[commandName];
+  const options = { help: { type: 'boolean', short: 'h' } };
+  for (const [name, { type, multiple }] of Object.entries(command.options)) {
+    options[name] = multiple ? { type, multiple } : { type };
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options, allowPositionals: true, strict: true });
+  } catch (error) {
+    // util.parseArgs reports unknown options and missing values as TypeErrors with ERR_PARSE_ARGS_* codes
+    if (error.code?.startsWith('ERR_PARSE_ARGS')) {
+      throw new UsageError(error.message.split('. ')[0], commandName);
+    }
+    throw error;
+  }
+
+  const { positionals, values } = parsed;
+  if (!values.help) {
+    if (positionals.length < (command.minPositionals || 0)) {
+      throw new UsageError('Missing required arguments', commandName);
+    }
+    if (command.maxPositionals !== undefined && positionals.length > command.maxPositionals) {
+      throw new UsageError(`Unexpected argument: ${positionals[command.maxPositionals]}`, commandName);
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Runs the CLI
+ * @param {string[]} argv - Arguments (without the node executable and script path)
+ * @returns {Promise<number>} - Exit code (see EXIT_CODES)
+ */
+async function run(argv) {
+  const [commandName, ...args] = argv;
+
+  if (!commandName || commandName === '--help' || commandName === '-h') {
+    console.log(formatHelp());
+    return commandName ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+  }
+  if (commandName === '--version' || commandName === '-v') {
+    console.log(version);
+    return EXIT_CODES.SUCCESS;
+  }
+  if (commandName === 'help') {
+    if (args[0] && !COMMANDS[args[0]]) {
+      console.error(`Error: Unknown command: ${args[0]}\n\n${formatHelp()}`);
+      return EXIT_CODES.USAGE;
+    }
+    console.log(formatHelp(args[0]));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) {
+    console.error(`Error: Unknown command: ${commandName}\n\n${formatHelp()}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    const parsed = parseCommandArgs(commandName, args);
+    if (parsed.values.help) {
+      console.log(formatHelp(commandName));
+      return EXIT_CODES.SUCCESS;
+    }
+    await command.run(parsed);
+    return EXIT_CODES.SUCCESS;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`Error: ${error.message}\n\n${formatHelp(error.command || commandName)}`);
+      return EXIT_CODES.USAGE;
+    }
+    console.error(`Error: ${error.message}`);
+    return EXIT_CODES.FAILURE;
+  }
+}
+
+// Run if called directly: d2data <command> [options]
+if (require.main === module) {
+  run(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = {
+  EXIT_CODES,
+  EXPORT_FORMATS,
+  UsageError,
+  COMMANDS,
+  resolveExportFormats,
+  buildExportOptions,
+  findItemByHash,
+  formatItem,
+  formatHelp,
+  run
+};
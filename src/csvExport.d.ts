@@ -0,0 +1,50 @@
+// Type declarations for csvExport.js
+// Row shapes are generated from the export schemas (see buildData.d.ts).
+
+import { BuildData, CategoryRows, PlugPerk, SubclassTree, SubclassTreeRow } from './buildData';
+
+export type Category = keyof CategoryRows;
+
+/** Column name, or a column with a header and whether it may be missing */
+export type ColumnSpec = string | { column: string; header?: string; optional?: boolean };
+
+/** Column lists per category */
+export type ColumnLists = Partial<Record<string, ColumnSpec[]>>;
+
+export interface TableFileOptions {
+  /** Maps (name, category) to a file name without extension (default: name) */
+  fileName?: (name: string, category: string) => string;
+  /** Columns per category (see resolveColumnProfile) */
+  columns?: ColumnLists;
+}
+
+export const STAT_HASHES: Readonly<Record<string, string>>;
+export const STAT_DESCRIPTIONS: Readonly<Record<string, string>>;
+export const AMMO_TYPES: Readonly<Record<string, string>>;
+export const ENERGY_TYPE_NAMES: Readonly<Record<string, string>>;
+export const WEAPON_SLOT_BUCKETS: Readonly<Record<string, string>>;
+export const BREAKER_TYPES: Readonly<Record<string, string>>;
+export const DAMAGE_TYPE_NAMES: Readonly<Record<string, string>>;
+export const STAT_COLUMN_ORDER: readonly string[];
+export const COLUMN_PROFILES: Readonly<Record<string, ColumnLists>>;
+/** Labels of the subclass tree groups (supers, aspects, ...), in display order */
+export const SUBCLASS_TREE_LABELS: Readonly<Record<string, string>>;
+
+export function transformItemForCSV<C extends Category>(item: object, category: C, statDefs?: object | null): CategoryRows[C];
+export function transformItemsForCSV<C extends Category>(items: object[], category: C, statDefs?: object | null): Array<CategoryRows[C]>;
+export function transformItemsForTable(items: object[], category: string, statDefs?: object | null, columns?: ColumnSpec[] | null): Array<Record<string, unknown>>;
+export function extractStatColumns(item: object, statDefs?: object | null): Record<string, number>;
+export function getColumnSchema(rows: object[], statColumns?: string[]): string[];
+export function selectColumns(rows: object[], columns: ColumnSpec[] | null, category: string): Array<Record<string, unknown>>;
+export function resolveColumnProfile(profile?: string, columns?: ColumnLists, profiles?: Record<string, ColumnLists>): ColumnLists;
+export function resolveStatName(statHash: string | number, statDefs?: object | null): string;
+export function resolveEnum(enumValue: unknown, mapping: Record<string, string>): string;
+export function extractElementFromPlugCategory(plugCategoryIdentifier: string, fallbackDamageTypeName?: string): string;
+export function getItemElement(item: object): string;
+export function formatPerkPoolNames(perks: PlugPerk[]): string;
+export function generateStatReference(): Array<Record<string, string>>;
+export function generateSummaryData(buildData: BuildData): Array<Record<string, unknown>>;
+export function generateSubclassTreeRows(subclassTrees?: SubclassTree[]): SubclassTreeRow[];
+
+export function exportToCSV(data: object[], filename: string, category: string, statDefs?: object | null, columns?: ColumnSpec[] | null): void;
+export function exportAllToCSV(buildData: BuildData, outputDir: string, statDefs?: object | null, options?: TableFileOptions): void;
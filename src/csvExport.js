@@ -146,6 +146,34 @@ const STAT_DESCRIPTIONS = {
   'Charge Rate': 'Speed of charging abilities'
 };
 
+/**
+ * Order of stat columns in tabular exports, grouped by relevance: armor stats, stats every
+ * weapon has, then the stats specific to a weapon type. Stats not listed here follow in
+ * alphabetical order.
+ */
+const STAT_COLUMN_ORDER = [
+  // Armor
+  'Mobility', 'Resilience', 'Recovery', 'Discipline', 'Intellect', 'Strength',
+  // All weapons
+  'Impact', 'Range', 'Stability', 'Handling', 'Reload Speed', 'Rounds Per Minute', 'RPM (Rounds Per Minute)',
+  'Magazine', 'Aim Assistance', 'Zoom', 'Airborne Effectiveness', 'Recoil Direction', 'Inventory Size', 'Ammo Generation',
+  // Bows
+  'Draw Time', 'Accuracy',
+  // Fusion rifles and linear fusion rifles
+  'Charge Time',
+  // Grenade launchers and rocket launchers
+  'Blast Radius', 'Velocity',
+  // Swords
+  'Swing Speed', 'Charge Rate', 'Guard Resistance', 'Guard Efficiency', 'Guard Endurance', 'Ammo Capacity',
+  // Glaives
+  'Shield Duration'
+];
+
+/**
+ * Categories whose rows have their own schema and skip the generic item transform
+ */
+const PASSTHROUGH_CATEGORIES = ['enemyWeaknesses', 'statReference', 'summary', 'changes', 'subclassTrees'];
+
 /**
  * Resolve a stat hash to a human-readable name
  * @param {string|number} statHash - The stat hash to resolve
@@ -201,6 +229,79 @@ function extractElementFromPlugCategory(plugCategoryIdentifier, fallbackDamageTy
   return fallbackDamageTypeName || '';
 }
 
+/**
+ * Gets the element of an item: from its resolved damage type, or its plug category for subclass plugs
+ * @param {object} item - Item definition
+ * @returns {string} - Element name (e.g. 'Strand'), or '' when unknown
+ */
+function getItemElement(item) {
+  if (item.enrichedDamageType?.name) {
+    return item.enrichedDamageType.name;
+  }
+  return extractElementFromPlugCategory(
+    item.plug?.plugCategoryIdentifier,
+    DAMAGE_TYPE_NAMES[item.defaultDamageType] || ''
+  );
+}
+
+/**
+ * Format a perk pool as a comma-separated list of names
+ * Enhanced perks are marked with an "(Enhanced)" suffix, and perks that can no longer
+ * drop (currentlyCanRoll: false) are left out.
+ * @param {object[]} perks - Perks from enrichedPerkPools (randomPerks or curatedPerks)
+ * @returns {string} - Perk names (e.g., 'Outlaw, Outlaw (Enhanced), Rampage')
+ */
+function formatPerkPoolNames(perks) {
+  return (perks || [])
+    .filter(perk => perk.currentlyCanRoll !== false)
+    .map(perk => perk.isEnhanced ? `${perk.name} (Enhanced)` : perk.name)
+    .join(', ');
+}
+
+/**
+ * Extract stat columns from an item: one column per stat name, plus a `<name>_Max` column
+ * for stats whose maximum isn't 100
+ * @param {object} item - Item definition
+ * @param {object} statDefs - Optional stat definitions for resolving stat hashes
+ * @returns {object} - Stat values by stat name
+ */
+function extractStatColumns(item, statDefs = null) {
+  const stats = {};
+  
+  // Use enriched stats if available (with resolved stat names)
+  if (item.enrichedStats) {
+    for (const [statHash, enrichedStat] of Object.entries(item.enrichedStats)) {
+      const statName = enrichedStat.name;
+      stats[statName] = enrichedStat.value;
+      // Add max value for reference
+      if (enrichedStat.maximum && enrichedStat.maximum !== 100) {
+        stats[`${statName}_Max`] = enrichedStat.maximum;
+      }
+    }
+  } else {
+    // Fallback to old stat extraction if enriched stats not available
+    // Extract stats if available
+    if (item.stats?.stats) {
+      for (const [statHash, statData] of Object.entries(item.stats.stats)) {
+        const statName = resolveStatName(statHash, statDefs);
+        stats[statName] = statData.value || 0;
+      }
+    }
+    
+    // Extract investment stats if available (for weapons, abilities, mods, etc.)
+    if (item.investmentStats) {
+      item.investmentStats.forEach(stat => {
+        const statName = resolveStatName(stat.statTypeHash, statDefs);
+        if (!stats[statName]) {
+          stats[statName] = stat.value || 0;
+        }
+      });
+    }
+  }
+  
+  return stats;
+}
+
 /**
  * Transform item data to a more readable format for CSV
  * @param {object} item - Item data from Bungie API
@@ -211,7 +312,7 @@ function extractElementFromPlugCategory(plugCategoryIdentifier, fallbackDamageTy
 function transformItemForCSV(item, category, statDefs = null) {
   // Short-circuit for passthrough categories that have their own schema
   // and don't need the generic item transform
-  if (category === 'enemyWeaknesses' || category === 'statReference' || category === 'summary') {
+  if (PASSTHROUGH_CATEGORIES.includes(category)) {
     return item;
   }
   
@@ -257,36 +358,8 @@ function transformItemForCSV(item, category, statDefs = null) {
       .join(' | ');
   }
   
-  // Use enriched stats if available (with resolved stat names)
-  if (item.enrichedStats) {
-    for (const [statHash, enrichedStat] of Object.entries(item.enrichedStats)) {
-      const statName = enrichedStat.name;
-      transformed[statName] = enrichedStat.value;
-      // Add max value for reference
-      if (enrichedStat.maximum && enrichedStat.maximum !== 100) {
-        transformed[`${statName}_Max`] = enrichedStat.maximum;
-      }
-    }
-  } else {
-    // Fallback to old stat extraction if enriched stats not available
-    // Extract stats if available
-    if (item.stats?.stats) {
-      for (const [statHash, statData] of Object.entries(item.stats.stats)) {
-        const statName = resolveStatName(statHash, statDefs);
-        transformed[statName] = statData.value || 0;
-      }
-    }
-    
-    // Extract investment stats if available (for weapons, abilities, mods, etc.)
-    if (item.investmentStats) {
-      item.investmentStats.forEach(stat => {
-        const statName = resolveStatName(stat.statTypeHash, statDefs);
-        if (!transformed[statName]) {
-          transformed[statName] = stat.value || 0;
-        }
-      });
-    }
-  }
+  // Stat columns, one per stat name (with _Max columns for non-100 maximums)
+  Object.assign(transformed, extractStatColumns(item, statDefs));
   
   // Category-specific fields
   if (category === 'weapons') {
@@ -309,6 +382,25 @@ function transformItemForCSV(item, category, statDefs = null) {
       transformed.intrinsicPerkName = item.enrichedIntrinsicPerk.name || '';
       transformed.intrinsicPerkDescription = item.enrichedIntrinsicPerk.description || '';
     }
+    
+    // Rollable perks per column (barrelPerks, magazinePerks, trait1Perks, trait2Perks, originTraitPerks)
+    // Random-roll weapons list their random pool; fixed-roll weapons list their curated options
+    if (item.enrichedPerkPools && item.enrichedPerkPools.length > 0) {
+      for (const pool of item.enrichedPerkPools) {
+        const perks = pool.randomPerks.length > 0 ? pool.randomPerks : pool.curatedPerks;
+        transformed[`${pool.column}Perks`] = formatPerkPoolNames(perks);
+      }
+      transformed.curatedPerks = item.enrichedPerkPools
+        .filter(pool => pool.curatedPerks.length > 0)
+        .map(pool => `${pool.column}: ${formatPerkPoolNames(pool.curatedPerks)}`)
+        .join(' | ');
+      transformed.traitPerkDescriptions = item.enrichedPerkPools
+        .filter(pool => pool.column.startsWith('trait'))
+        .flatMap(pool => pool.randomPerks.length > 0 ? pool.randomPerks : pool.curatedPerks)
+        .filter(perk => !perk.isEnhanced && perk.description)
+        .map(perk => `${perk.name}: ${perk.description}`)
+        .join(' | ');
+    }
   } else if (category === 'armor') {
     // Map class type to readable name
     const classTypes = { 0: 'Titan', 1: 'Hunter', 2: 'Warlock' };
@@ -494,23 +586,250 @@ function transformItemsForCSV(items, category, statDefs = null) {
   return items.map(item => transformItemForCSV(item, category, statDefs));
 }
 
+/**
+ * Sort stat names by STAT_COLUMN_ORDER, each followed by its _Max column
+ * @param {string[]} statColumns - Stat column names (including _Max columns)
+ * @returns {string[]} - Ordered stat columns
+ */
+function orderStatColumns(statColumns) {
+  const columns = new Set(statColumns);
+  const names = [...columns].filter(column => !(column.endsWith('_Max') && columns.has(column.slice(0, -4))));
+  const rank = name => {
+    const index = STAT_COLUMN_ORDER.indexOf(name);
+    return index === -1 ? STAT_COLUMN_ORDER.length : index;
+  };
+  
+  return names
+    .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))
+    .flatMap(name => (columns.has(`${name}_Max`) ? [name, `${name}_Max`] : [name]));
+}
+
+/**
+ * Compute the union of the columns of all rows
+ * A column missing from earlier rows is placed before the next column it precedes in its row, so
+ * an optional column (e.g. iconUrl) stays next to its neighbours instead of moving to the end.
+ * Stat columns are kept together, in STAT_COLUMN_ORDER, where the first stat column appears.
+ * @param {object[]} rows - Transformed rows
+ * @param {string[]} statColumns - Names of the stat columns (see extractStatColumns)
+ * @returns {string[]} - Column names
+ */
+function getColumnSchema(rows, statColumns = []) {
+  const columns = [];
+  for (const row of rows) {
+    const keys = Object.keys(row);
+    keys.forEach((column, position) => {
+      if (columns.includes(column)) return;
+      // Insert before the next column of this row that is already known, or at the end
+      const next = keys.slice(position + 1).find(key => columns.includes(key));
+      columns.splice(next === undefined ? columns.length : columns.indexOf(next), 0, column);
+    });
+  }
+  
+  const stats = new Set(statColumns.filter(column => columns.includes(column)));
+  if (stats.size === 0) {
+    return columns;
+  }
+  const statIndex = columns.findIndex(column => stats.has(column));
+  const otherColumns = columns.filter(column => !stats.has(column));
+  const insertAt = columns.slice(0, statIndex).filter(column => !stats.has(column)).length;
+  otherColumns.splice(insertAt, 0, ...orderStatColumns([...stats]));
+  return otherColumns;
+}
+
+/**
+ * Transform items into table rows for CSV, Excel and Google Sheets
+ * Every row gets the same columns: the category's union schema (see getColumnSchema), or the
+ * given column list.
+ * @param {object[]} items - Array of items
+ * @param {string} category - Category name
+ * @param {object} statDefs - Optional stat definitions for resolving stat hashes
+ * @param {Array<string|object>} columns - Optional columns to export (see selectColumns)
+ * @returns {object[]} - Table rows
+ */
+function transformItemsForTable(items, category, statDefs = null, columns = null) {
+  const rows = transformItemsForCSV(items, category, statDefs);
+  if (columns) {
+    return selectColumns(rows, columns, category);
+  }
+  
+  const statColumns = PASSTHROUGH_CATEGORIES.includes(category)
+    ? []
+    : [...new Set(items.flatMap(item => Object.keys(extractStatColumns(item, statDefs))))];
+  return selectColumns(rows, getColumnSchema(rows, statColumns), category);
+}
+
+/**
+ * Column profiles for tabular exports (CSV, Excel, Google Sheets)
+ * Each profile maps categories to the columns to export, in order. A column is a transformed
+ * field name or { column, header, optional }: `header` renames it, and `optional` columns are
+ * left out when no row has them (e.g. stats a category doesn't use) instead of failing.
+ * Categories without a list export all columns.
+ */
+const COLUMN_PROFILES = {
+  full: {},
+  compact: {
+    weapons: [
+      { column: 'name', header: 'Name' },
+      { column: 'itemType', header: 'Type' },
+      { column: 'tierType', header: 'Tier' },
+      { column: 'weaponSlot', header: 'Slot' },
+      { column: 'damageTypeName', header: 'Element', optional: true },
+      { column: 'ammoType', header: 'Ammo' },
+      { column: 'intrinsicPerkName', header: 'Frame', optional: true },
+      { column: 'barrelPerks', header: 'Barrels', optional: true },
+      { column: 'magazinePerks', header: 'Magazines', optional: true },
+      { column: 'trait1Perks', header: 'Trait 1', optional: true },
+      { column: 'trait2Perks', header: 'Trait 2', optional: true },
+      { column: 'originTraitPerks', header: 'Origin Traits', optional: true },
+      { column: 'Impact', optional: true },
+      { column: 'Range', optional: true },
+      { column: 'Stability', optional: true },
+      { column: 'Handling', optional: true },
+      { column: 'Reload Speed', optional: true },
+      { column: 'Rounds Per Minute', optional: true },
+      { column: 'Magazine', optional: true },
+      { column: 'hash', header: 'Hash' }
+    ],
+    armor: [
+      { column: 'name', header: 'Name' },
+      { column: 'classType', header: 'Class' },
+      { column: 'itemType', header: 'Type' },
+      { column: 'tierType', header: 'Tier' },
+      { column: 'perkNames', header: 'Perks', optional: true },
+      { column: 'perkDescriptions', header: 'Perk Descriptions', optional: true },
+      { column: 'hash', header: 'Hash' }
+    ],
+    armorMods: [
+      { column: 'name', header: 'Name' },
+      { column: 'itemType', header: 'Type' },
+      { column: 'energyCost', header: 'Energy Cost' },
+      { column: 'statBonuses', header: 'Stat Bonuses', optional: true },
+      { column: 'description', header: 'Description' },
+      { column: 'perkDescriptions', header: 'Effect', optional: true },
+      { column: 'hash', header: 'Hash' }
+    ],
+    subclasses: [
+      { column: 'name', header: 'Name' },
+      { column: 'classType', header: 'Class' },
+      { column: 'damageTypeName', header: 'Element' },
+      { column: 'description', header: 'Description' },
+      { column: 'hash', header: 'Hash' }
+    ],
+    aspects: [
+      { column: 'name', header: 'Name' },
+      { column: 'element', header: 'Element' },
+      { column: 'description', header: 'Description' },
+      { column: 'perkDescriptions', header: 'Effect', optional: true },
+      { column: 'hash', header: 'Hash' }
+    ],
+    fragments: [
+      { column: 'name', header: 'Name' },
+      { column: 'element', header: 'Element' },
+      { column: 'statBonuses', header: 'Stat Bonuses', optional: true },
+      { column: 'description', header: 'Description' },
+      { column: 'perkDescriptions', header: 'Effect', optional: true },
+      { column: 'hash', header: 'Hash' }
+    ],
+    abilities: [
+      { column: 'name', header: 'Name' },
+      { column: 'itemType', header: 'Type' },
+      { column: 'element', header: 'Element' },
+      { column: 'description', header: 'Description' },
+      { column: 'hash', header: 'Hash' }
+    ],
+    damageTypes: [
+      { column: 'name', header: 'Name' },
+      { column: 'description', header: 'Description' },
+      { column: 'hash', header: 'Hash' }
+    ],
+    artifactMods: [
+      { column: 'name', header: 'Name' },
+      { column: 'energyCost', header: 'Energy Cost' },
+      { column: 'description', header: 'Description' },
+      { column: 'perkDescriptions', header: 'Effect', optional: true },
+      { column: 'hash', header: 'Hash' }
+    ],
+    championMods: [
+      { column: 'name', header: 'Name' },
+      { column: 'energyCost', header: 'Energy Cost' },
+      { column: 'description', header: 'Description' },
+      { column: 'perkDescriptions', header: 'Effect', optional: true },
+      { column: 'hash', header: 'Hash' }
+    ]
+  }
+};
+
+/**
+ * Resolves the column lists per category from a profile and custom column lists
+ * @param {string} profile - Profile name: a COLUMN_PROFILES key or a custom profile (default: full)
+ * @param {object} columns - Custom column lists per category; these replace the profile's lists
+ * @param {object} profiles - Custom profiles by name (same format as COLUMN_PROFILES)
+ * @returns {object} - Column lists per category
+ * @throws {Error} - When the profile is unknown
+ */
+function resolveColumnProfile(profile = 'full', columns = {}, profiles = {}) {
+  const profileColumns = profiles[profile] || COLUMN_PROFILES[profile];
+  if (!profileColumns) {
+    const names = [...new Set([...Object.keys(COLUMN_PROFILES), ...Object.keys(profiles)])];
+    throw new Error(`Unknown column profile: ${profile} (expected ${names.join(', ')})`);
+  }
+  return { ...profileColumns, ...columns };
+}
+
+/**
+ * Choose, order and rename the columns of transformed rows
+ * Without columns, every row gets all columns found in any row (see getColumnSchema).
+ * @param {object[]} rows - Transformed rows
+ * @param {Array<string|object>} columns - Column names or { column, header, optional } (all columns when not set)
+ * @param {string} category - Category name, for error messages
+ * @returns {object[]} - Rows keyed by header, in column order
+ * @throws {Error} - When a required column doesn't exist in the rows or headers repeat
+ */
+function selectColumns(rows, columns, category) {
+  if (rows.length === 0) {
+    return rows;
+  }
+  
+  const available = getColumnSchema(rows);
+  const specs = (columns || available).map(column => (typeof column === 'string' ? { column } : column));
+  
+  const unknown = specs.filter(spec => !spec.optional && !available.includes(spec.column)).map(spec => spec.column);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ${category} column(s): ${unknown.join(', ')}`);
+  }
+  
+  const selected = specs
+    .filter(spec => available.includes(spec.column))
+    .map(spec => ({ column: spec.column, header: spec.header || spec.column }));
+  const headers = selected.map(spec => spec.header);
+  const duplicates = headers.filter((header, index) => headers.indexOf(header) !== index);
+  if (duplicates.length > 0) {
+    throw new Error(`Duplicate ${category} column header(s): ${[...new Set(duplicates)].join(', ')}`);
+  }
+  
+  return rows.map(row => Object.fromEntries(selected.map(({ column, header }) => [header, row[column] ?? ''])));
+}
+
 /**
  * Export data to CSV file
  * @param {object[]} data - Array of objects to export
  * @param {string} filename - Output filename
  * @param {string} category - Category name for transformation
  * @param {object} statDefs - Optional stat definitions for resolving stat hashes
+ * @param {Array<string|object>} columns - Optional columns to export (see selectColumns)
  */
-function exportToCSV(data, filename, category, statDefs = null) {
+function exportToCSV(data, filename, category, statDefs = null, columns = null) {
   try {
     // Transform the data to be more CSV-friendly
-    const transformedData = transformItemsForCSV(data, category, statDefs);
+    const transformedData = transformItemsForTable(data, category, statDefs, columns);
     
     // Convert to CSV
     const csv = json2csv(transformedData, {
       expandArrayObjects: true,
       emptyFieldValue: '',
-      sortHeader: false
+      sortHeader: false,
+      // Renamed headers may contain dots (e.g. 'Dmg. Type'); print them without escapes
+      escapeHeaderNestedDots: false
     });
     
     // Write to file
@@ -561,6 +880,53 @@ function generateStatReference() {
   return statReference;
 }
 
+/**
+ * Labels for subclass tree groups, in display order
+ */
+const SUBCLASS_TREE_LABELS = {
+  supers: 'Super',
+  classAbilities: 'Class Ability',
+  movement: 'Movement',
+  melees: 'Melee',
+  grenades: 'Grenade',
+  aspects: 'Aspect',
+  fragments: 'Fragment'
+};
+
+/**
+ * Generate "Subclass Trees" rows: one row per option, grouped by class, subclass and slot
+ * @param {object[]} subclassTrees - Subclass trees (from getSubclassTrees)
+ * @returns {object[]} - Rows with className, subclass, element, slot, name, description and fragmentSlots
+ */
+function generateSubclassTreeRows(subclassTrees = []) {
+  const classTypes = { 0: 'Titan', 1: 'Hunter', 2: 'Warlock' };
+  const rows = [];
+  
+  const sortedTrees = [...subclassTrees].sort((a, b) =>
+    (a.classType ?? 3) - (b.classType ?? 3) || a.name.localeCompare(b.name)
+  );
+  
+  for (const tree of sortedTrees) {
+    for (const [group, slot] of Object.entries(SUBCLASS_TREE_LABELS)) {
+      for (const option of tree[group] || []) {
+        rows.push({
+          className: classTypes[tree.classType] || 'Any',
+          subclass: tree.name,
+          element: tree.element,
+          slot,
+          name: option.name,
+          description: option.description,
+          fragmentSlots: group === 'aspects' ? option.fragmentSlots : '',
+          maxFragmentSlots: tree.maxFragmentSlots,
+          hash: option.hash
+        });
+      }
+    }
+  }
+  
+  return rows;
+}
+
 /**
  * Generate summary data for build crafting counts
  * @param {object} buildData - Build crafting data object
@@ -572,6 +938,7 @@ function generateSummaryData(buildData) {
     { category: 'Armor', count: buildData.armor?.length || 0 },
     { category: 'Armor Mods', count: buildData.armorMods?.length || 0 },
     { category: 'Subclasses', count: buildData.subclasses?.length || 0 },
+    { category: 'Subclass Trees', count: buildData.subclassTrees?.length || 0 },
     { category: 'Aspects', count: buildData.aspects?.length || 0 },
     { category: 'Fragments', count: buildData.fragments?.length || 0 },
     { category: 'Abilities', count: buildData.abilities?.length || 0 },
@@ -587,14 +954,21 @@ function generateSummaryData(buildData) {
  * @param {object} buildData - Build crafting data object
  * @param {string} outputDir - Output directory
  * @param {object} statDefs - Optional stat definitions for resolving stat hashes
+ * @param {object} options - File options
+ * @param {function} options.fileName - Maps (name, category) to a file name without extension (default: name)
+ * @param {object} options.columns - Columns per category (e.g. { weapons: ['hash', 'name'] }, see resolveColumnProfile)
  */
-function exportAllToCSV(buildData, outputDir, statDefs = null) {
+function exportAllToCSV(buildData, outputDir, statDefs = null, options = {}) {
+  const fileName = options.fileName || (name => name);
+  const columns = options.columns || {};
+  
   const exports = [
     { name: 'summary', data: generateSummaryData(buildData), category: 'summary' },
     { name: 'weapons', data: buildData.weapons, category: 'weapons' },
     { name: 'armor', data: buildData.armor, category: 'armor' },
     { name: 'armor-mods', data: buildData.armorMods, category: 'armorMods' },
     { name: 'subclasses', data: buildData.subclasses, category: 'subclasses' },
+    { name: 'subclass-trees', data: generateSubclassTreeRows(buildData.subclassTrees), category: 'subclassTrees' },
     { name: 'aspects', data: buildData.aspects, category: 'aspects' },
     { name: 'fragments', data: buildData.fragments, category: 'fragments' },
     { name: 'abilities', data: buildData.abilities, category: 'abilities' },
@@ -607,8 +981,8 @@ function exportAllToCSV(buildData, outputDir, statDefs = null) {
   
   for (const { name, data, category } of exports) {
     if (data && data.length > 0) {
-      const filename = path.join(outputDir, `${name}.csv`);
-      exportToCSV(data, filename, category, statDefs);
+      const filename = path.join(outputDir, `${fileName(name, category)}.csv`);
+      exportToCSV(data, filename, category, statDefs, columns[category]);
     }
   }
 }
@@ -618,16 +992,27 @@ module.exports = {
   exportAllToCSV,
   transformItemForCSV,
   transformItemsForCSV,
+  transformItemsForTable,
+  extractStatColumns,
+  getColumnSchema,
+  selectColumns,
+  resolveColumnProfile,
   resolveStatName,
   resolveEnum,
   extractElementFromPlugCategory,
+  getItemElement,
+  formatPerkPoolNames,
   generateStatReference,
   generateSummaryData,
+  generateSubclassTreeRows,
   STAT_HASHES,
   STAT_DESCRIPTIONS,
   AMMO_TYPES,
   ENERGY_TYPE_NAMES,
   WEAPON_SLOT_BUCKETS,
   BREAKER_TYPES,
-  DAMAGE_TYPE_NAMES
+  DAMAGE_TYPE_NAMES,
+  STAT_COLUMN_ORDER,
+  COLUMN_PROFILES,
+  SUBCLASS_TREE_LABELS
 };
@@ -1,7 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const ExcelJS = require('exceljs');
-const { transformItemsForCSV, generateStatReference, generateSummaryData } = require('./csvExport');
+const { transformItemsForTable, generateStatReference, generateSummaryData, generateSubclassTreeRows } = require('./csvExport');
 
 /**
  * Export data to Excel worksheet
@@ -10,27 +10,28 @@ const { transformItemsForCSV, generateStatReference, generateSummaryData } = req
  * @param {object[]} data - Array of objects to export
  * @param {string} category - Category name for transformation
  * @param {object} statDefs - Optional stat definitions for resolving stat hashes
+ * @param {Array<string|object>} columns - Optional columns to export (see selectColumns)
  */
-function addWorksheet(workbook, sheetName, data, category, statDefs = null) {
+function addWorksheet(workbook, sheetName, data, category, statDefs = null, columns = null) {
   if (!data || data.length === 0) {
     console.log(`Skipping empty sheet: ${sheetName}`);
     return;
   }
 
   // Transform the data to be more readable
-  const transformedData = transformItemsForCSV(data, category, statDefs);
+  const transformedData = transformItemsForTable(data, category, statDefs, columns);
   
   // Create worksheet
   const worksheet = workbook.addWorksheet(sheetName);
   
-  // Get column names from the first item
-  const columns = Object.keys(transformedData[0]).map(key => ({
+  // Every row has the same columns (see transformItemsForTable)
+  const worksheetColumns = Object.keys(transformedData[0]).map(key => ({
     header: key,
     key: key,
     width: 20
   }));
   
-  worksheet.columns = columns;
+  worksheet.columns = worksheetColumns;
   
   // Add rows
   transformedData.forEach(item => {
@@ -48,7 +49,7 @@ function addWorksheet(workbook, sheetName, data, category, statDefs = null) {
   // Auto-filter
   worksheet.autoFilter = {
     from: { row: 1, column: 1 },
-    to: { row: transformedData.length + 1, column: columns.length }
+    to: { row: transformedData.length + 1, column: worksheetColumns.length }
   };
   
   console.log(`Added sheet "${sheetName}" with ${data.length} items`);
@@ -60,8 +61,9 @@ function addWorksheet(workbook, sheetName, data, category, statDefs = null) {
  * @param {string} filename - Output filename
  * @param {string} category - Category name for transformation
  * @param {object} statDefs - Optional stat definitions for resolving stat hashes
+ * @param {Array<string|object>} columns - Optional columns to export (see selectColumns)
  */
-async function exportToExcel(data, filename, category, statDefs = null) {
+async function exportToExcel(data, filename, category, statDefs = null, columns = null) {
   try {
     const workbook = new ExcelJS.Workbook();
     
@@ -70,7 +72,7 @@ async function exportToExcel(data, filename, category, statDefs = null) {
     workbook.created = new Date();
     
     // Add worksheet
-    addWorksheet(workbook, category, data, category, statDefs);
+    addWorksheet(workbook, category, data, category, statDefs, columns);
     
     // Write to file
     await workbook.xlsx.writeFile(filename);
@@ -87,8 +89,11 @@ async function exportToExcel(data, filename, category, statDefs = null) {
  * @param {object} buildData - Build crafting data object
  * @param {string} filename - Output filename
  * @param {object} statDefs - Optional stat definitions for resolving stat hashes
+ * @param {object} options - Workbook options
+ * @param {object[]} options.changes - Change rows (from generateChangeRows) for a "Changes" worksheet
+ * @param {object} options.columns - Columns per category (e.g. { weapons: ['hash', 'name'] }, see resolveColumnProfile)
  */
-async function exportAllToExcel(buildData, filename, statDefs = null) {
+async function exportAllToExcel(buildData, filename, statDefs = null, options = {}) {
   try {
     const workbook = new ExcelJS.Workbook();
     
@@ -100,11 +105,13 @@ async function exportAllToExcel(buildData, filename, statDefs = null) {
     // Add worksheets for each category
     const worksheets = [
       { name: 'Summary', data: generateSummaryData(buildData), category: 'summary' },
+      { name: 'Changes', data: options.changes, category: 'changes' },
       { name: 'Stat Reference', data: generateStatReference(), category: 'statReference' },
       { name: 'Weapons', data: buildData.weapons, category: 'weapons' },
       { name: 'Armor', data: buildData.armor, category: 'armor' },
       { name: 'Armor Mods', data: buildData.armorMods, category: 'armorMods' },
       { name: 'Subclasses', data: buildData.subclasses, category: 'subclasses' },
+      { name: 'Subclass Trees', data: generateSubclassTreeRows(buildData.subclassTrees), category: 'subclassTrees' },
       { name: 'Aspects', data: buildData.aspects, category: 'aspects' },
       { name: 'Fragments', data: buildData.fragments, category: 'fragments' },
       { name: 'Abilities', data: buildData.abilities, category: 'abilities' },
@@ -116,7 +123,7 @@ async function exportAllToExcel(buildData, filename, statDefs = null) {
     
     for (const { name, data, category } of worksheets) {
       if (data && data.length > 0) {
-        addWorksheet(workbook, name, data, category, statDefs);
+        addWorksheet(workbook, name, data, category, statDefs, options.columns?.[category]);
       }
     }
     
@@ -135,14 +142,21 @@ async function exportAllToExcel(buildData, filename, statDefs = null) {
  * @param {object} buildData - Build crafting data object
  * @param {string} outputDir - Output directory
  * @param {object} statDefs - Optional stat definitions for resolving stat hashes
+ * @param {object} options - File options
+ * @param {function} options.fileName - Maps (name, category) to a file name without extension (default: name)
+ * @param {object} options.columns - Columns per category (e.g. { weapons: ['hash', 'name'] }, see resolveColumnProfile)
  */
-async function exportAllToSeparateExcelFiles(buildData, outputDir, statDefs = null) {
+async function exportAllToSeparateExcelFiles(buildData, outputDir, statDefs = null, options = {}) {
+  const fileName = options.fileName || (name => name);
+  const columns = options.columns || {};
+  
   const exports = [
     { name: 'stat-reference', data: generateStatReference(), category: 'statReference' },
     { name: 'weapons', data: buildData.weapons, category: 'weapons' },
     { name: 'armor', data: buildData.armor, category: 'armor' },
     { name: 'armor-mods', data: buildData.armorMods, category: 'armorMods' },
     { name: 'subclasses', data: buildData.subclasses, category: 'subclasses' },
+    { name: 'subclass-trees', data: generateSubclassTreeRows(buildData.subclassTrees), category: 'subclassTrees' },
     { name: 'aspects', data: buildData.aspects, category: 'aspects' },
     { name: 'fragments', data: buildData.fragments, category: 'fragments' },
     { name: 'abilities', data: buildData.abilities, category: 'abilities' },
@@ -154,8 +168,8 @@ async function exportAllToSeparateExcelFiles(buildData, outputDir, statDefs = nu
   
   for (const { name, data, category } of exports) {
     if (data && data.length > 0) {
-      const filename = path.join(outputDir, `${name}.xlsx`);
-      await exportToExcel(data, filename, category, statDefs);
+      const filename = path.join(outputDir, `${fileName(name, category)}.xlsx`);
+      await exportToExcel(data, filename, category, statDefs, columns[category]);
     }
   }
 }
@@ -0,0 +1,470 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { SUPPORTED_LOCALES } = require('./buildCrafting');
+const { COLUMN_PROFILES } = require('./csvExport');
+const { JSON_OUTPUT_FORMATS, JSON_FILE_EXTENSIONS } = require('./jsonExport');
+
+/**
+ * Declarative export configuration.
+ *
+ * An export config file (JSON, or YAML for .yml/.yaml files) describes an export so it can be
+ * checked into the repository and reproduced exactly:
+ *
+ *   outputDir: ./destiny-data
+ *   formats: [json, csv, excel-master]
+ *   jsonFormat: ndjson
+ *   gzip: true
+ *   locales: [en, de]
+ *   categories: [weapons, armor, armor-mods]
+ *   fileNames:
+ *     category: '{name}-{locale}'
+ *     master: 'destiny2-build-data-{date}'
+ *     sqlite: 'destiny2-build-data-{locale}'
+ *   columnProfile: compact
+ *   columns:
+ *     weapons: [name, { column: tierType, header: Tier }, hash]
+ *   googleSheets:
+ *     title: 'Destiny 2 Build Data - {date} ({locale})'
+ *     credentials: ./service-account.json
+ *
+ * Relative paths are resolved against the directory of the config file. Unknown keys, formats,
+ * categories, locales and template placeholders are rejected when the file is loaded.
+ */
+
+/**
+ * Export formats and the exportBuildCraftingData option each one enables
+ */
+const EXPORT_FORMATS = {
+  json: 'json',
+  csv: 'csv',
+  excel: 'excel',
+  'excel-master': 'excelMaster',
+  'google-sheets': 'googleSheets',
+  sqlite: 'sqlite',
+  parquet: 'parquet',
+  arrow: 'arrow'
+};
+
+/**
+ * Formats exported when no format is selected
+ */
+const DEFAULT_EXPORT_FORMATS = ['json', 'csv'];
+
+/**
+ * Exportable build data categories and their file names
+ */
+const EXPORT_CATEGORIES = {
+  weapons: 'weapons',
+  armor: 'armor',
+  armorMods: 'armor-mods',
+  subclasses: 'subclasses',
+  subclassTrees: 'subclass-trees',
+  aspects: 'aspects',
+  fragments: 'fragments',
+  abilities: 'abilities',
+  damageTypes: 'damage-types',
+  artifactMods: 'artifact-mods',
+  championMods: 'champion-mods',
+  enemyWeaknesses: 'enemy-weaknesses'
+};
+
+/**
+ * File name templates: default and allowed placeholders
+ */
+const FILE_NAME_TEMPLATES = {
+  category: { default: '{name}', placeholders: ['name', 'category', 'locale', 'date'] },
+  master: { default: 'destiny2-build-data-master', placeholders: ['locale', 'date'] },
+  sqlite: { default: 'destiny2-build-data', placeholders: ['locale', 'date'] }
+};
+
+/**
+ * What file name placeholders match when a reader doesn't know their value (e.g. the date of
+ * the previous export to diff against)
+ */
+const FILE_NAME_PLACEHOLDER_PATTERNS = {
+  date: '\\d{4}-\\d{2}-\\d{2}',
+  locale: `(?:${SUPPORTED_LOCALES.map(locale => escapeRegExp(locale)).join('|')})`
+};
+
+/**
+ * Placeholders allowed in the Google Sheets title template
+ */
+const SHEETS_TITLE_PLACEHOLDERS = ['locale', 'date'];
+
+/**
+ * Top-level config keys
+ */
+const CONFIG_KEYS = [
+  'outputDir',
+  'formats',
+  'jsonFormat',
+  'gzip',
+  'locales',
+  'categories',
+  'fileNames',
+  'columnProfile',
+  'columnProfiles',
+  'columns',
+  'cache',
+  'cacheDir',
+  'diffAgainst',
+  'validate',
+  'googleSheets'
+];
+
+/**
+ * Fills {placeholder} values into a template; unknown placeholders are left as they are
+ * @param {string} template - Template (e.g. '{name}-{locale}')
+ * @param {object} values - Placeholder values
+ * @returns {string} - Rendered string
+ */
+function renderTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+}
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} value - String
+ * @returns {string} - Escaped string
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Resolves the file name a category was exported under, for the readers of an export directory
+ * The category file name template is rendered with the known values. A {date} or {locale}
+ * without a value matches any date or supported locale; when several files match, the last
+ * by name (the latest date) wins.
+ * @param {string} dir - Export directory
+ * @param {string} category - Build data key (e.g. 'armorMods')
+ * @param {object} options - Reader options
+ * @param {string} options.fileNameTemplate - Category file name template of the export (default: '{name}')
+ * @param {string} options.locale - Locale of the export (optional)
+ * @param {string} options.date - Date of the export, YYYY-MM-DD (optional)
+ * @returns {string} - File name without extension (e.g. 'armor-mods-2026-10-13')
+ */
+function resolveExportFileName(dir, category, options = {}) {
+  const template = options.fileNameTemplate || FILE_NAME_TEMPLATES.category.default;
+  const fileName = renderTemplate(template, { name: EXPORT_CATEGORIES[category], category, locale: options.locale, date: options.date });
+  const parts = fileName.split(/\{(date|locale)\}/);
+  if (parts.length === 1 || !fs.existsSync(dir)) return fileName;
+
+  // Odd parts are the placeholders left open
+  const baseName = parts.map((part, index) => (index % 2 === 1 ? FILE_NAME_PLACEHOLDER_PATTERNS[part] : escapeRegExp(part))).join('');
+  const pattern = new RegExp(`^(${baseName})(?:${JSON_FILE_EXTENSIONS.map(escapeRegExp).join('|')})$`);
+  const matches = fs.readdirSync(dir).map(file => pattern.exec(file)?.[1]).filter(Boolean).sort();
+  return matches.length > 0 ? matches[matches.length - 1] : fileName;
+}
+
+/**
+ * Reader options for an export written with an export config: its category file name template
+ * @param {string} configFile - Export config file (optional)
+ * @returns {object} - { fileNameTemplate } for loadSnapshot, loadValidationData and loadServerData
+ */
+function loadReaderOptions(configFile) {
+  return configFile ? { fileNameTemplate: loadExportConfig(configFile).options.fileNameTemplate } : {};
+}
+
+/**
+ * Resolves a category name to its build data key ('armor-mods' and 'armorMods' both work)
+ * @param {string} name - Category name
+ * @returns {string|null} - Build data key, or null when unknown
+ */
+function resolveCategory(name) {
+  return Object.keys(EXPORT_CATEGORIES).find(key => key === name || EXPORT_CATEGORIES[key] === name) || null;
+}
+
+/**
+ * Empties the categories that are not selected for export
+ * @param {object} buildData - Build data
+ * @param {string[]} categories - Build data keys to keep (all when not set)
+ * @returns {object} - Build data with only the selected categories filled
+ */
+function selectCategories(buildData, categories) {
+  if (!categories) return buildData;
+
+  const selected = { ...buildData };
+  for (const category of Object.keys(EXPORT_CATEGORIES)) {
+    if (!categories.includes(category)) {
+      selected[category] = [];
+    }
+  }
+  return selected;
+}
+
+/**
+ * Checks a template for unknown placeholders and path separators
+ * @param {string} template - Template
+ * @param {string[]} placeholders - Allowed placeholders
+ * @param {string} key - Config key, for error messages
+ * @param {string[]} errors - Collected errors
+ */
+function validateTemplate(template, placeholders, key, errors) {
+  if (typeof template !== 'string' || template.trim() === '') {
+    errors.push(`${key} must be a non-empty string`);
+    return;
+  }
+  for (const [, placeholder] of template.matchAll(/\{(\w+)\}/g)) {
+    if (!placeholders.includes(placeholder)) {
+      errors.push(`${key} has an unknown placeholder {${placeholder}} (expected ${placeholders.map(name => `{${name}}`).join(', ')})`);
+    }
+  }
+  if (/[/\\]/.test(template)) {
+    errors.push(`${key} must not contain path separators`);
+  }
+}
+
+/**
+ * Checks that a value is an array of strings
+ * @param {*} value - Value
+ * @param {string} key - Config key, for error messages
+ * @param {string[]} errors - Collected errors
+ * @returns {boolean} - Whether the value is valid
+ */
+function isStringList(value, key, errors) {
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    errors.push(`${key} must be a list of strings`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Checks a category → column list map; columns are names or { column, header, optional }
+ * @param {*} value - Column lists per category
+ * @param {string} key - Config key, for error messages
+ * @param {string[]} errors - Collected errors
+ * @returns {object} - Column lists by build data key
+ */
+function validateColumnLists(value, key, errors) {
+  const columnLists = {};
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${key} must be an object`);
+    return columnLists;
+  }
+
+  for (const [name, columns] of Object.entries(value)) {
+    const category = resolveCategory(name);
+    if (!category) {
+      errors.push(`Unknown category in ${key}: ${name}`);
+      continue;
+    }
+    if (!Array.isArray(columns) || columns.length === 0) {
+      errors.push(`${key}.${name} must list at least one column`);
+      continue;
+    }
+    columns.forEach((column, index) => {
+      if (typeof column === 'string') return;
+      const valid = column && typeof column === 'object' && typeof column.column === 'string' &&
+        Object.keys(column).every(field => ['column', 'header', 'optional'].includes(field)) &&
+        (column.header === undefined || typeof column.header === 'string') &&
+        (column.optional === undefined || typeof column.optional === 'boolean');
+      if (!valid) {
+        errors.push(`${key}.${name}[${index}] must be a column name or { column, header, optional }`);
+      }
+    });
+    columnLists[category] = columns;
+  }
+  return columnLists;
+}
+
+/**
+ * Validates a parsed config and converts it to exportBuildCraftingData options
+ * @param {object} config - Parsed config file contents
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {object} - { outputDir, options }
+ * @throws {Error} - Listing every problem found in the config
+ */
+function normalizeExportConfig(config, baseDir = process.cwd()) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('Export config must be an object');
+  }
+
+  const errors = [];
+  const options = {};
+  const resolvePath = (value, key) => {
+    if (typeof value !== 'string' || value.trim() === '') {
+      errors.push(`${key} must be a non-empty string`);
+      return undefined;
+    }
+    return path.resolve(baseDir, value);
+  };
+
+  for (const key of Object.keys(config)) {
+    if (!CONFIG_KEYS.includes(key)) {
+      errors.push(`Unknown key: ${key}`);
+    }
+  }
+
+  const outputDir = config.outputDir !== undefined ? resolvePath(config.outputDir, 'outputDir') : undefined;
+
+  let formats = DEFAULT_EXPORT_FORMATS;
+  if (config.formats !== undefined && isStringList(config.formats, 'formats', errors)) {
+    formats = config.formats;
+    const unknown = formats.filter(format => !EXPORT_FORMATS[format]);
+    if (unknown.length > 0) {
+      errors.push(`Unknown format(s): ${unknown.join(', ')} (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+  }
+  for (const [format, option] of Object.entries(EXPORT_FORMATS)) {
+    options[option] = formats.includes(format);
+  }
+
+  if (config.jsonFormat !== undefined) {
+    if (!JSON_OUTPUT_FORMATS.includes(config.jsonFormat)) {
+      errors.push(`Unknown jsonFormat: ${config.jsonFormat} (expected ${JSON_OUTPUT_FORMATS.join(', ')})`);
+    }
+    options.jsonFormat = config.jsonFormat;
+  }
+  if (config.gzip !== undefined) {
+    if (typeof config.gzip !== 'boolean') {
+      errors.push('gzip must be true or false');
+    }
+    options.gzip = config.gzip;
+  }
+  for (const key of ['jsonFormat', 'gzip']) {
+    if (config[key] !== undefined && !options.json) {
+      errors.push(`${key} requires the json format`);
+    }
+  }
+
+  if (config.locales !== undefined && isStringList(config.locales, 'locales', errors)) {
+    const locales = config.locales.map(locale => locale.trim().toLowerCase());
+    const unknown = locales.filter(locale => !SUPPORTED_LOCALES.includes(locale));
+    if (unknown.length > 0) {
+      errors.push(`Unsupported locale(s): ${unknown.join(', ')}. Supported locales: ${SUPPORTED_LOCALES.join(', ')}`);
+    }
+    options.locales = [...new Set(locales)];
+  }
+
+  if (config.categories !== undefined && isStringList(config.categories, 'categories', errors)) {
+    const unknown = config.categories.filter(category => !resolveCategory(category));
+    if (unknown.length > 0) {
+      errors.push(`Unknown categories: ${unknown.join(', ')} (expected ${Object.values(EXPORT_CATEGORIES).join(', ')})`);
+    }
+    options.categories = [...new Set(config.categories.map(resolveCategory).filter(Boolean))];
+  }
+
+  if (config.fileNames !== undefined) {
+    if (!config.fileNames || typeof config.fileNames !== 'object') {
+      errors.push('fileNames must be an object');
+    } else {
+      for (const [key, template] of Object.entries(config.fileNames)) {
+        if (!FILE_NAME_TEMPLATES[key]) {
+          errors.push(`Unknown key: fileNames.${key}`);
+          continue;
+        }
+        validateTemplate(template, FILE_NAME_TEMPLATES[key].placeholders, `fileNames.${key}`, errors);
+      }
+      if (config.fileNames.category !== undefined) options.fileNameTemplate = config.fileNames.category;
+      if (config.fileNames.master !== undefined) options.masterFileNameTemplate = config.fileNames.master;
+      if (config.fileNames.sqlite !== undefined) options.sqliteFileNameTemplate = config.fileNames.sqlite;
+    }
+  }
+
+  if (config.columnProfiles !== undefined) {
+    if (!config.columnProfiles || typeof config.columnProfiles !== 'object' || Array.isArray(config.columnProfiles)) {
+      errors.push('columnProfiles must be an object');
+    } else {
+      options.columnProfiles = {};
+      for (const [name, profile] of Object.entries(config.columnProfiles)) {
+        options.columnProfiles[name] = validateColumnLists(profile, `columnProfiles.${name}`, errors);
+      }
+    }
+  }
+  if (config.columnProfile !== undefined) {
+    const profiles = [...new Set([...Object.keys(COLUMN_PROFILES), ...Object.keys(options.columnProfiles || {})])];
+    if (!profiles.includes(config.columnProfile)) {
+      errors.push(`Unknown column profile: ${config.columnProfile} (expected ${profiles.join(', ')})`);
+    }
+    options.columnProfile = config.columnProfile;
+  }
+  if (config.columns !== undefined) {
+    options.columns = validateColumnLists(config.columns, 'columns', errors);
+  }
+
+  if (config.cache !== undefined) {
+    if (typeof config.cache !== 'boolean') {
+      errors.push('cache must be true or false');
+    }
+    options.cache = config.cache;
+  }
+  if (config.cacheDir !== undefined) options.cacheDir = resolvePath(config.cacheDir, 'cacheDir');
+  if (config.diffAgainst !== undefined) options.diffAgainst = resolvePath(config.diffAgainst, 'diffAgainst');
+  if (config.validate !== undefined) {
+    if (typeof config.validate !== 'boolean') {
+      errors.push('validate must be true or false');
+    }
+    options.validate = config.validate;
+  }
+
+  if (config.googleSheets !== undefined) {
+    const googleSheets = config.googleSheets;
+    if (!googleSheets || typeof googleSheets !== 'object') {
+      errors.push('googleSheets must be an object');
+    } else {
+      for (const key of Object.keys(googleSheets)) {
+        if (!['title', 'credentials'].includes(key)) {
+          errors.push(`Unknown key: googleSheets.${key}`);
+        }
+      }
+      if (googleSheets.title !== undefined) {
+        validateTemplate(googleSheets.title, SHEETS_TITLE_PLACEHOLDERS, 'googleSheets.title', errors);
+        options.googleSheetsTitle = googleSheets.title;
+      }
+      if (googleSheets.credentials !== undefined) {
+        options.googleSheetsCredentials = resolvePath(googleSheets.credentials, 'googleSheets.credentials');
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid export config:\n  - ${errors.join('\n  - ')}`);
+  }
+  return { outputDir, options };
+}
+
+/**
+ * Loads and validates an export config file
+ * @param {string} filePath - Config file (.json, .yml or .yaml)
+ * @returns {object} - { outputDir, options } with options for exportBuildCraftingData
+ * @throws {Error} - When the file can't be read, parsed or validated
+ */
+function loadExportConfig(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf-8');
+  } catch (error) {
+    throw new Error(`Cannot read export config ${filePath}: ${error.message}`);
+  }
+
+  let config;
+  try {
+    config = /\.ya?ml$/i.test(filePath) ? YAML.parse(content) : JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Cannot parse export config ${filePath}: ${error.message}`);
+  }
+
+  try {
+    return normalizeExportConfig(config, path.dirname(path.resolve(filePath)));
+  } catch (error) {
+    error.message = error.message.replace('Invalid export config', `Invalid export config ${filePath}`);
+    throw error;
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  DEFAULT_EXPORT_FORMATS,
+  EXPORT_CATEGORIES,
+  FILE_NAME_TEMPLATES,
+  renderTemplate,
+  resolveExportFileName,
+  resolveCategory,
+  selectCategories,
+  normalizeExportConfig,
+  loadExportConfig,
+  loadReaderOptions
+};
@@ -0,0 +1,56 @@
+// Type declarations for exportData.js
+
+import { BungieClientOptions } from './bungieClient';
+import { ColumnLists } from './csvExport';
+
+export interface ExportOptions {
+  /** Export config file (JSON or YAML); other options override it */
+  config?: string;
+  json?: boolean;
+  jsonFormat?: 'json' | 'ndjson';
+  gzip?: boolean;
+  csv?: boolean;
+  excel?: boolean;
+  excelMaster?: boolean;
+  googleSheets?: boolean;
+  sqlite?: boolean;
+  parquet?: boolean;
+  arrow?: boolean;
+  googleSheetsCredentials?: string;
+  googleSheetsTitle?: string;
+  cache?: boolean;
+  cacheDir?: string;
+  locales?: string[];
+  diffAgainst?: string;
+  categories?: string[];
+  fileNameTemplate?: string;
+  masterFileNameTemplate?: string;
+  sqliteFileNameTemplate?: string;
+  columnProfile?: string;
+  columnProfiles?: Record<string, ColumnLists>;
+  columns?: ColumnLists;
+  /** Check the data against the export schemas before writing (default: true) */
+  validate?: boolean;
+  /** Save the API responses and definition tables to this fixture directory */
+  record?: string;
+  /** Export from a recorded fixture directory instead of the API */
+  replay?: string;
+  /** Date for file names and the summary (default: now, or the recording date when replaying) */
+  exportDate?: Date | string;
+  /** Bungie API client options (base URLs, fetch, user agent, agent, retries) */
+  clientOptions?: BungieClientOptions;
+}
+
+export interface ExportSummary {
+  exportDate: string;
+  locale?: string;
+  formats?: Record<string, boolean | string | undefined>;
+  counts?: Record<string, number>;
+  changes?: Record<string, unknown>;
+  googleSheets?: Record<string, unknown>;
+  /** Per-locale summaries when several locales are exported */
+  locales?: Record<string, ExportSummary>;
+}
+
+export function exportBuildCraftingData(outputDir?: string, options?: ExportOptions): Promise<ExportSummary>;
+export function parseLocales(value: string): string[];
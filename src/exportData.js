@@ -1,29 +1,282 @@
 const fs = require('fs');
 const path = require('path');
 const { createBungieClient } = require('./bungieClient');
-const { getAllBuildCraftingData } = require('./buildCrafting');
-const { loadStatDefinitions } = require('./buildCrafting');
-const { exportAllToCSV } = require('./csvExport');
+const { createRecordingClient, createReplayClient } = require('./replayClient');
+const {
+  getAllBuildCraftingData,
+  configureManifestCache,
+  clearCache,
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES
+} = require('./buildCrafting');
+const { loadStatDefinitions, loadSeasonDefinitions } = require('./buildCrafting');
+const { exportAllToCSV, resolveColumnProfile } = require('./csvExport');
 const { exportAllToExcel, exportAllToSeparateExcelFiles } = require('./excelExport');
 const { exportToGoogleSheets } = require('./googleSheetsExport');
+const { exportToSQLite } = require('./sqliteExport');
+const { exportAllToColumnar } = require('./arrowExport');
+const { getJSONExtension, writeJSONFile } = require('./jsonExport');
+const { assertValidBuildData } = require('./exportSchema');
+const { loadSnapshot, diffBuildData, generateChangeRows, writeDiffReport } = require('./buildDiff');
+const {
+  EXPORT_CATEGORIES,
+  FILE_NAME_TEMPLATES,
+  renderTemplate,
+  selectCategories,
+  loadExportConfig
+} = require('./exportConfig');
 
 /**
- * Export build crafting data to JSON, CSV, Excel, and Google Sheets
+ * Options used when exportBuildCraftingData is called without options
+ */
+const DEFAULT_EXPORT_OPTIONS = { json: true, csv: true, excel: false, excelMaster: false, googleSheets: false, sqlite: false, parquet: false, arrow: false };
+
+/**
+ * Export the build crafting data of a single locale to the requested formats
+ * @param {object} client - Bungie API client
+ * @param {string} locale - Manifest locale
  * @param {string} outputDir - Directory to save the files
+ * @param {object} options - Export options (see exportBuildCraftingData)
+ * @returns {Promise<object>} - Export summary for the locale
+ */
+async function exportLocale(client, locale, outputDir, options) {
+  // Create output directory if it doesn't exist
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+  
+  const buildData = selectCategories(await getAllBuildCraftingData(client, { locale }), options.categories);
+  
+  // Check the data against the export schemas before writing anything (see exportSchema.js)
+  if (options.validate !== false) {
+    assertValidBuildData(buildData);
+    console.log('Build data matches the export schemas');
+  }
+  
+  // File names: per-category files and the master workbook, from the naming templates
+  const exportDate = new Date(options.exportDate || Date.now());
+  const date = exportDate.toISOString().split('T')[0];
+  const fileNameTemplate = options.fileNameTemplate || FILE_NAME_TEMPLATES.category.default;
+  const fileName = (name, category) => renderTemplate(fileNameTemplate, { name, category, locale, date });
+  const columns = resolveColumnProfile(options.columnProfile, options.columns, options.columnProfiles);
+  const fileOptions = { fileName, columns };
+  
+  // Load stat definitions for resolving stat hashes
+  console.log('\nLoading stat definitions for CSV export...');
+  const statDefs = await loadStatDefinitions(client, locale);
+  console.log('Stat definitions loaded');
+  
+  // Compare against a previous export if requested
+  // (done before writing JSON so the previous snapshot can live in the same output directory)
+  let changeRows = null;
+  let changeTotals = null;
+  if (options.diffAgainst) {
+    console.log('\n=== Comparing with Previous Export ===\n');
+    const previousDir = options.locales && options.locales.length > 0
+      ? path.join(options.diffAgainst, locale)
+      : options.diffAgainst;
+    // The previous export was written with the same file name template, on an earlier date
+    const previous = selectCategories(loadSnapshot(previousDir, { fileNameTemplate, locale }), options.categories);
+    const diff = diffBuildData(previous, buildData, { oldLabel: previousDir, newLabel: outputDir });
+    writeDiffReport(diff, outputDir);
+    changeRows = generateChangeRows(diff);
+    changeTotals = diff.totals;
+  }
+  
+  // Export to JSON if requested
+  if (options.json) {
+    console.log('\n=== Exporting to JSON ===\n');
+    const jsonOptions = { format: options.jsonFormat || 'json', gzip: options.gzip === true };
+    const extension = getJSONExtension(jsonOptions.format, jsonOptions.gzip);
+    for (const [category, name] of Object.entries(EXPORT_CATEGORIES)) {
+      const data = buildData[category];
+      if (data && data.length > 0) {
+        const filename = path.join(outputDir, `${fileName(name, category)}${extension}`);
+        await writeJSONFile(data, filename, jsonOptions);
+        console.log(`Exported ${data.length} ${name} to ${filename}`);
+      }
+    }
+  }
+  
+  // Export to CSV if requested
+  if (options.csv) {
+    console.log('\n=== Exporting to CSV ===\n');
+    exportAllToCSV(buildData, outputDir, statDefs, fileOptions);
+  }
+  
+  // Export to Excel if requested
+  if (options.excel) {
+    console.log('\n=== Exporting to Excel (separate files) ===\n');
+    await exportAllToSeparateExcelFiles(buildData, outputDir, statDefs, fileOptions);
+  }
+  
+  // Export to master Excel file if requested
+  if (options.excelMaster) {
+    console.log('\n=== Exporting to Master Excel File ===\n');
+    const masterTemplate = options.masterFileNameTemplate || FILE_NAME_TEMPLATES.master.default;
+    const masterFilename = path.join(outputDir, `${renderTemplate(masterTemplate, { locale, date })}.xlsx`);
+    await exportAllToExcel(buildData, masterFilename, statDefs, { changes: changeRows, columns });
+  }
+  
+  // Export to Parquet / Arrow IPC files if requested
+  if (options.parquet) {
+    console.log('\n=== Exporting to Parquet ===\n');
+    exportAllToColumnar(buildData, outputDir, statDefs, { format: 'parquet', fileName });
+  }
+  if (options.arrow) {
+    console.log('\n=== Exporting to Arrow ===\n');
+    exportAllToColumnar(buildData, outputDir, statDefs, { format: 'arrow', fileName });
+  }
+  
+  // Export to a SQLite database if requested
+  if (options.sqlite) {
+    console.log('\n=== Exporting to SQLite ===\n');
+    const seasonDefs = await loadSeasonDefinitions(client, locale);
+    const sqliteTemplate = options.sqliteFileNameTemplate || FILE_NAME_TEMPLATES.sqlite.default;
+    const sqliteFilename = path.join(outputDir, `${renderTemplate(sqliteTemplate, { locale, date })}.sqlite`);
+    await exportToSQLite(buildData, sqliteFilename, { statDefs, seasonDefs });
+  }
+  
+  // Export to Google Sheets if requested
+  let googleSheetsInfo = null;
+  if (options.googleSheets) {
+    console.log('\n=== Exporting to Google Sheets ===\n');
+    
+    try {
+      // Load credentials from file or environment variable
+      let credentials;
+      if (options.googleSheetsCredentials && fs.existsSync(options.googleSheetsCredentials)) {
+        const credentialsContent = fs.readFileSync(options.googleSheetsCredentials, 'utf-8');
+        credentials = JSON.parse(credentialsContent);
+      } else if (process.env.GOOGLE_SHEETS_CREDENTIALS) {
+        credentials = JSON.parse(process.env.GOOGLE_SHEETS_CREDENTIALS);
+      } else {
+        console.error('Google Sheets credentials not found. Please provide credentials via:');
+        console.error('  - --google-sheets-credentials <path-to-json-file>');
+        console.error('  - GOOGLE_SHEETS_CREDENTIALS environment variable');
+        throw new Error('Google Sheets credentials not found');
+      }
+      
+      const localeSuffix = locale === DEFAULT_LOCALE ? '' : ` (${locale})`;
+      const sheetTitle = options.googleSheetsTitle
+        ? renderTemplate(options.googleSheetsTitle, { locale, date })
+        : `Destiny 2 Build Data - ${date}${localeSuffix}`;
+      googleSheetsInfo = await exportToGoogleSheets(credentials, sheetTitle, buildData, statDefs, { columns });
+      
+      console.log('\nGoogle Sheets export completed successfully!');
+      console.log(`Spreadsheet URL: ${googleSheetsInfo.spreadsheetUrl}`);
+      
+    } catch (error) {
+      console.error('Failed to export to Google Sheets:', error.message);
+      // Don't fail the entire export if Google Sheets fails
+    }
+  }
+  
+  // Create a summary file
+  const summary = {
+    exportDate: exportDate.toISOString(),
+    locale,
+    formats: {
+      json: options.json,
+      jsonFormat: options.json ? options.jsonFormat || 'json' : undefined,
+      gzip: options.json ? options.gzip === true : undefined,
+      csv: options.csv,
+      excel: options.excel,
+      excelMaster: options.excelMaster,
+      googleSheets: options.googleSheets,
+      sqlite: options.sqlite,
+      parquet: options.parquet,
+      arrow: options.arrow
+    },
+    counts: {
+      weapons: buildData.weapons.length,
+      armor: buildData.armor.length,
+      armorMods: buildData.armorMods.length,
+      subclasses: buildData.subclasses.length,
+      subclassTrees: (buildData.subclassTrees || []).length,
+      aspects: buildData.aspects.length,
+      fragments: buildData.fragments.length,
+      abilities: buildData.abilities.length,
+      damageTypes: buildData.damageTypes.length,
+      artifactMods: buildData.artifactMods.length,
+      championMods: buildData.championMods.length,
+      enemyWeaknesses: buildData.enemyWeaknesses.length
+    }
+  };
+  
+  if (changeTotals) {
+    summary.changes = changeTotals;
+  }
+  
+  if (googleSheetsInfo) {
+    summary.googleSheets = googleSheetsInfo;
+  }
+  
+  const summaryFilename = path.join(outputDir, 'summary.json');
+  fs.writeFileSync(summaryFilename, JSON.stringify(summary, null, 2));
+  console.log(`\nExport summary saved to ${summaryFilename}`);
+  
+  return summary;
+}
+
+/**
+ * Export build crafting data to JSON, CSV, Excel, Google Sheets, SQLite, Parquet and Arrow
+ * Without `locales`, English data is written directly to outputDir. When `locales` is set,
+ * each locale is exported to its own subdirectory (e.g. ./data/de, ./data/fr) and a combined
+ * summary.json is written to outputDir.
+ * With `config`, options are read from an export config file (see exportConfig.js); options
+ * passed alongside it take precedence, as does an explicit outputDir.
+ * @param {string} outputDir - Directory to save the files (default: the config's outputDir, or ./data)
  * @param {object} options - Export options
+ * @param {string} options.config - Path to an export config file (JSON or YAML)
  * @param {boolean} options.json - Export JSON files (default: true)
+ * @param {string} options.jsonFormat - JSON file format: 'json' (pretty-printed arrays, default) or 'ndjson' (one item per line)
+ * @param {boolean} options.gzip - Gzip-compress the JSON files (.json.gz / .ndjson.gz; default: false)
  * @param {boolean} options.csv - Export CSV files (default: true)
  * @param {boolean} options.excel - Export Excel files (default: false)
  * @param {boolean} options.excelMaster - Export master Excel file with all data (default: false)
  * @param {boolean} options.googleSheets - Export to Google Sheets (default: false)
+ * @param {boolean} options.sqlite - Export a SQLite database (default: false)
+ * @param {boolean} options.parquet - Export Parquet files with typed columns (default: false)
+ * @param {boolean} options.arrow - Export Arrow IPC (Feather v2) files with typed columns (default: false)
  * @param {string} options.googleSheetsCredentials - Path to Google Sheets credentials JSON file
+ * @param {boolean} options.cache - Reuse definition tables from the on-disk manifest cache (default: true)
+ * @param {string} options.cacheDir - Directory for the on-disk manifest cache
+ * @param {string[]} options.locales - Manifest locales to export (e.g. ['de', 'fr'])
+ * @param {string} options.diffAgainst - Directory of a previous JSON export to compare against
+ * @param {string[]} options.categories - Build data categories to export (default: all)
+ * @param {string} options.fileNameTemplate - Per-category file name template (e.g. '{name}-{locale}')
+ * @param {string} options.masterFileNameTemplate - Master Excel file name template (e.g. 'build-data-{date}')
+ * @param {string} options.sqliteFileNameTemplate - SQLite database file name template (e.g. 'build-data-{locale}')
+ * @param {string} options.columnProfile - Column profile for CSV, Excel and Google Sheets: 'full' (default), 'compact' or a custom profile
+ * @param {object} options.columnProfiles - Custom column profiles by name (see COLUMN_PROFILES in csvExport.js)
+ * @param {object} options.columns - Columns per category, replacing the profile's lists (e.g. { weapons: ['name', 'hash'] })
+ * @param {string} options.googleSheetsTitle - Google Sheets title template (e.g. 'Build Data {date} ({locale})')
+ * @param {boolean} options.validate - Check the data against the export schemas before writing (default: true)
+ * @param {string} options.record - Save the API responses and definition tables to this fixture directory (see replayClient.js)
+ * @param {string} options.replay - Export from a recorded fixture directory instead of the API; no API key or network is needed
+ * @param {Date|string} options.exportDate - Date used for file names and the summary (default: now, or the recording date when replaying)
+ * @param {object} options.clientOptions - Bungie API client options, e.g. baseUrl, fetch, userAgent or agent (see createBungieClient)
+ * @returns {Promise<object>} - Export summary
+ * @throws {Error} - When BUNGIE_API_KEY is not set (and not replaying), the config file or fixture is invalid, the data doesn't match the export schemas or the export fails
  */
-async function exportBuildCraftingData(outputDir = './data', options = { json: true, csv: true, excel: false, excelMaster: false, googleSheets: false }) {
+async function exportBuildCraftingData(outputDir, options = DEFAULT_EXPORT_OPTIONS) {
+  if (options.config) {
+    const config = loadExportConfig(options.config);
+    const overrides = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    outputDir = outputDir || config.outputDir;
+    options = { ...config.options, ...overrides };
+  }
+  outputDir = outputDir || './data';
+  
+  if (options.record && options.replay) {
+    throw new Error('record and replay cannot be used together');
+  }
+  
   const apiKey = process.env.BUNGIE_API_KEY;
   
-  if (!apiKey) {
-    console.error('Error: BUNGIE_API_KEY environment variable is not set');
-    process.exit(1);
+  if (!apiKey && !options.replay) {
+    throw new Error('BUNGIE_API_KEY environment variable is not set');
   }
   
   console.log('Destiny 2 Build Crafting Data Exporter');
@@ -34,214 +287,95 @@ async function exportBuildCraftingData(outputDir = './data', options = { json: t
     fs.mkdirSync(outputDir, { recursive: true });
   }
   
-  try {
-    const client = createBungieClient(apiKey);
-    const buildData = await getAllBuildCraftingData(client);
-    
-    // Load stat definitions for resolving stat hashes
-    console.log('\nLoading stat definitions for CSV export...');
-    const statDefs = await loadStatDefinitions(client);
-    console.log('Stat definitions loaded');
-    
-    // Export to JSON if requested
-    if (options.json) {
-      console.log('\n=== Exporting to JSON ===\n');
-      const exports = [
-        { name: 'weapons', data: buildData.weapons },
-        { name: 'armor', data: buildData.armor },
-        { name: 'armor-mods', data: buildData.armorMods },
-        { name: 'subclasses', data: buildData.subclasses },
-        { name: 'aspects', data: buildData.aspects },
-        { name: 'fragments', data: buildData.fragments },
-        { name: 'abilities', data: buildData.abilities },
-        { name: 'damage-types', data: buildData.damageTypes },
-        { name: 'artifact-mods', data: buildData.artifactMods },
-        { name: 'champion-mods', data: buildData.championMods },
-        { name: 'enemy-weaknesses', data: buildData.enemyWeaknesses }
-      ];
-      
-      for (const { name, data } of exports) {
-        if (data && data.length > 0) {
-          const filename = path.join(outputDir, `${name}.json`);
-          fs.writeFileSync(filename, JSON.stringify(data, null, 2));
-          console.log(`Exported ${data.length} ${name} to ${filename}`);
-        }
-      }
-    }
-    
-    // Export to CSV if requested
-    if (options.csv) {
-      console.log('\n=== Exporting to CSV ===\n');
-      exportAllToCSV(buildData, outputDir, statDefs);
-    }
-    
-    // Export to Excel if requested
-    if (options.excel) {
-      console.log('\n=== Exporting to Excel (separate files) ===\n');
-      await exportAllToSeparateExcelFiles(buildData, outputDir, statDefs);
-    }
-    
-    // Export to master Excel file if requested
-    if (options.excelMaster) {
-      console.log('\n=== Exporting to Master Excel File ===\n');
-      const masterFilename = path.join(outputDir, 'destiny2-build-data-master.xlsx');
-      await exportAllToExcel(buildData, masterFilename, statDefs);
-    }
+  // Recording and replaying bypass the disk cache and start from an empty in-memory cache,
+  // so every table is fetched through (and recorded by, or served from) the fixture
+  const fixtureDir = options.record || options.replay;
+  configureManifestCache({
+    enabled: options.cache !== false && !fixtureDir,
+    directory: options.cacheDir
+  });
+  
+  let client;
+  if (options.replay) {
+    client = createReplayClient(options.replay);
+    console.log(`Replaying fixture ${options.replay} (recorded ${client.fixture.recordedAt}, manifest version ${client.fixture.manifestVersion || 'unknown'})\n`);
+  } else if (options.record) {
+    client = createRecordingClient(createBungieClient(apiKey, options.clientOptions), options.record);
+    console.log(`Recording API responses and definition tables to ${options.record}\n`);
+  } else {
+    client = createBungieClient(apiKey, options.clientOptions);
+  }
+  if (fixtureDir) {
+    clearCache();
+  }
+  
+  // One date for all locales; recorded and replayed exports use the recording date
+  const exportDate = new Date(options.exportDate || client.fixture?.recordedAt || Date.now());
+  if (Number.isNaN(exportDate.getTime())) {
+    throw new Error(`Invalid exportDate: ${options.exportDate}`);
+  }
+  options = { ...options, exportDate };
+  let summary;
+  
+  if (!options.locales || options.locales.length === 0) {
+    summary = await exportLocale(client, DEFAULT_LOCALE, outputDir, options);
+  } else {
+    summary = {
+      exportDate: exportDate.toISOString(),
+      locales: {}
+    };
     
-    // Export to Google Sheets if requested
-    let googleSheetsInfo = null;
-    if (options.googleSheets) {
-      console.log('\n=== Exporting to Google Sheets ===\n');
+    for (const locale of options.locales) {
+      console.log(`\n=== Exporting locale: ${locale} ===`);
+      summary.locales[locale] = await exportLocale(client, locale, path.join(outputDir, locale), options);
       
-      try {
-        // Load credentials from file or environment variable
-        let credentials;
-        if (options.googleSheetsCredentials && fs.existsSync(options.googleSheetsCredentials)) {
-          const credentialsContent = fs.readFileSync(options.googleSheetsCredentials, 'utf-8');
-          credentials = JSON.parse(credentialsContent);
-        } else if (process.env.GOOGLE_SHEETS_CREDENTIALS) {
-          credentials = JSON.parse(process.env.GOOGLE_SHEETS_CREDENTIALS);
-        } else {
-          console.error('Google Sheets credentials not found. Please provide credentials via:');
-          console.error('  - --google-sheets-credentials <path-to-json-file>');
-          console.error('  - GOOGLE_SHEETS_CREDENTIALS environment variable');
-          throw new Error('Google Sheets credentials not found');
-        }
-        
-        const sheetTitle = `Destiny 2 Build Data - ${new Date().toISOString().split('T')[0]}`;
-        googleSheetsInfo = await exportToGoogleSheets(credentials, sheetTitle, buildData, statDefs);
-        
-        console.log('\nGoogle Sheets export completed successfully!');
-        console.log(`Spreadsheet URL: ${googleSheetsInfo.spreadsheetUrl}`);
-        
-      } catch (error) {
-        console.error('Failed to export to Google Sheets:', error.message);
-        // Don't fail the entire export if Google Sheets fails
+      // Release this locale's definition tables before loading the next one.
+      // English tables are kept because other locales reuse them to match champion mods.
+      if (locale !== DEFAULT_LOCALE) {
+        clearCache({ locale });
       }
     }
     
-    // Create a summary file
-    const summary = {
-      exportDate: new Date().toISOString(),
-      formats: {
-        json: options.json,
-        csv: options.csv,
-        excel: options.excel,
-        excelMaster: options.excelMaster,
-        googleSheets: options.googleSheets
-      },
-      counts: {
-        weapons: buildData.weapons.length,
-        armor: buildData.armor.length,
-        armorMods: buildData.armorMods.length,
-        subclasses: buildData.subclasses.length,
-        aspects: buildData.aspects.length,
-        fragments: buildData.fragments.length,
-        abilities: buildData.abilities.length,
-        damageTypes: buildData.damageTypes.length,
-        artifactMods: buildData.artifactMods.length,
-        championMods: buildData.championMods.length,
-        enemyWeaknesses: buildData.enemyWeaknesses.length
-      }
-    };
-    
-    if (googleSheetsInfo) {
-      summary.googleSheets = googleSheetsInfo;
-    }
-    
     const summaryFilename = path.join(outputDir, 'summary.json');
     fs.writeFileSync(summaryFilename, JSON.stringify(summary, null, 2));
-    console.log(`\nExport summary saved to ${summaryFilename}`);
-    
-    console.log('\n=== Export Complete ===');
-    console.log(`All data exported to: ${path.resolve(outputDir)}`);
-    
-    return summary;
-    
-  } catch (error) {
-    console.error('Error exporting data:', error.message);
-    process.exit(1);
+    console.log(`\nCombined export summary saved to ${summaryFilename}`);
   }
+  
+  console.log('\n=== Export Complete ===');
+  console.log(`All data exported to: ${path.resolve(outputDir)}`);
+  
+  return summary;
 }
 
-// Run if called directly
-if (require.main === module) {
-  // Parse command line options
-  const args = process.argv.slice(2);
-  const options = { json: true, csv: true, excel: false, excelMaster: false, googleSheets: false };
-  
-  // Check for format flags
-  if (args.includes('--json-only')) {
-    options.json = true;
-    options.csv = false;
-    options.excel = false;
-    options.excelMaster = false;
-    options.googleSheets = false;
-  } else if (args.includes('--csv-only')) {
-    options.json = false;
-    options.csv = true;
-    options.excel = false;
-    options.excelMaster = false;
-    options.googleSheets = false;
-  } else if (args.includes('--excel-only')) {
-    options.json = false;
-    options.csv = false;
-    options.excel = true;
-    options.excelMaster = false;
-    options.googleSheets = false;
-  } else if (args.includes('--excel-master')) {
-    options.json = false;
-    options.csv = false;
-    options.excel = false;
-    options.excelMaster = true;
-    options.googleSheets = false;
-  } else if (args.includes('--google-sheets')) {
-    options.json = false;
-    options.csv = false;
-    options.excel = false;
-    options.excelMaster = false;
-    options.googleSheets = true;
-  } else {
-    // Default: export to JSON and CSV, add other formats if specific flags are present
-    if (args.includes('--excel')) {
-      options.excel = true;
-    }
-    if (args.includes('--excel-master')) {
-      options.excelMaster = true;
-    }
-    if (args.includes('--google-sheets')) {
-      options.googleSheets = true;
-    }
-  }
+/**
+ * Parses a comma-separated --locale value and validates it against the manifest locales
+ * @param {string} value - Locale list (e.g. 'de,fr,ja')
+ * @returns {string[]} - Locale codes
+ */
+function parseLocales(value) {
+  const locales = String(value || '')
+    .split(',')
+    .map(locale => locale.trim().toLowerCase())
+    .filter(Boolean);
   
-  // Check for Google Sheets credentials path
-  const credentialsIndex = args.indexOf('--google-sheets-credentials');
-  if (credentialsIndex !== -1 && args[credentialsIndex + 1]) {
-    options.googleSheetsCredentials = args[credentialsIndex + 1];
+  if (locales.length === 0) {
+    throw new Error('--locale requires at least one locale code (e.g. --locale de,fr)');
   }
   
-  // Get output directory (first non-flag argument, excluding credentials file)
-  // Skip arguments that are flags (start with --) or follow the --google-sheets-credentials flag
-  let outputDir = './data';
-  for (let i = 0; i < args.length; i++) {
-    const arg = args[i];
-    // Skip flags and their values
-    if (arg.startsWith('--')) {
-      // If this is --google-sheets-credentials, skip the next arg too (the file path)
-      if (arg === '--google-sheets-credentials') {
-        i++; // Skip the next argument (credentials file path)
-      }
-      continue;
-    }
-    // First non-flag argument is the output directory
-    outputDir = arg;
-    break;
+  const unknown = locales.filter(locale => !SUPPORTED_LOCALES.includes(locale));
+  if (unknown.length > 0) {
+    throw new Error(`Unsupported locale(s): ${unknown.join(', ')}. Supported locales: ${SUPPORTED_LOCALES.join(', ')}`);
   }
   
-  exportBuildCraftingData(outputDir, options).catch(error => {
-    console.error('Export failed:', error.message);
-    process.exit(1);
-  });
+  return [...new Set(locales)];
 }
 
-module.exports = { exportBuildCraftingData };
+module.exports = { exportBuildCraftingData, parseLocales };
+
+// Run if called directly: same as `d2data export [output-dir] [options]` (see cli.js).
+// Kept below the exports because the CLI requires this module.
+if (require.main === module) {
+  require('./cli').run(['export', ...process.argv.slice(2)]).then(exitCode => {
+    process.exitCode = exitCode;
+  });
+}
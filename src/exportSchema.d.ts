@@ -0,0 +1,25 @@
+// Type declarations for exportSchema.js
+
+import { CategoryRows } from './buildData';
+
+export interface ValidationResult {
+  valid: boolean;
+  /** Readable messages (e.g. 'weapons[3] (Igneous Hammer).enrichedStats.4043523819.value must be integer') */
+  errors: string[];
+}
+
+/** JSON Schema document (draft-07) */
+export type JSONSchema = Record<string, any>;
+
+export const DEFINITIONS: Readonly<Record<string, JSONSchema>>;
+export const CATEGORY_SCHEMAS: Readonly<Record<keyof CategoryRows, { title: string; item: string; row: string }>>;
+
+export function getCategorySchema(category: keyof CategoryRows): JSONSchema;
+export function getRowSchema(category: keyof CategoryRows): JSONSchema;
+export function getBuildDataSchema(): JSONSchema;
+export function validateBuildData(buildData: unknown): ValidationResult;
+export function validateRows(rows: unknown[], category: keyof CategoryRows): ValidationResult;
+export function assertValidBuildData(buildData: unknown, maxErrors?: number): void;
+export function generateTypeScript(): string;
+export function generateSchemaFiles(): Record<string, string>;
+export function writeSchemaFiles(rootDir?: string): string[];
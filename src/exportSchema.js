@@ -0,0 +1,760 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { SUBCLASS_TREE_GROUPS } = require('./buildCrafting');
+const { EXPORT_CATEGORIES } = require('./exportConfig');
+
+/**
+ * JSON Schemas of the exported data.
+ *
+ * The schemas describe the items written to the JSON export files (manifest definitions plus
+ * the enriched fields added by buildCrafting.js) and the rows written to CSV, Excel, Google
+ * Sheets and the columnar files (transformItemForCSV). They are the contract downstream
+ * consumers can rely on:
+ *
+ *   schemas/<file>.schema.json       - one JSON export file (e.g. schemas/weapons.schema.json)
+ *   schemas/rows/<file>.schema.json  - the table rows of a category
+ *   src/buildData.d.ts               - the same shapes as TypeScript types
+ *
+ * These files are generated from the definitions below with `npm run schemas`, and the tests
+ * fail when they are out of date. Exports validate the build data against the schemas before
+ * writing anything (see validateBuildData), so a shape change has to be made here first.
+ *
+ * Manifest fields are open (definitions carry many fields the exporters don't use); the
+ * enriched objects are closed, so adding or renaming one of their fields is a schema change.
+ */
+
+const JSON_SCHEMA_DRAFT = 'http://json-schema.org/draft-07/schema#';
+
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const ref = name => ({ $ref: `#/definitions/${name}` });
+const arrayOf = items => ({ type: 'array', items });
+const nullable = schema => ({ anyOf: [schema, { type: 'null' }] });
+const mapOf = values => ({ type: 'object', additionalProperties: values });
+
+/**
+ * Table cell: the value, or '' when the item has no value for the column
+ */
+const cell = schema => schema.type === 'string' ? schema : { anyOf: [schema, { const: '' }] };
+
+/**
+ * Object schema
+ * @param {string} description - Description
+ * @param {object} properties - Property schemas
+ * @param {object} options - Schema options
+ * @param {string[]} options.required - Required properties (default: all of them)
+ * @param {boolean|object} options.additionalProperties - Other properties (default: false)
+ * @returns {object} - JSON Schema
+ */
+function object(description, properties, options = {}) {
+  const schema = { type: 'object' };
+  if (description) schema.description = description;
+  schema.properties = properties;
+  schema.required = options.required || Object.keys(properties);
+  schema.additionalProperties = options.additionalProperties ?? false;
+  if (options.patternProperties) schema.patternProperties = options.patternProperties;
+  return schema;
+}
+
+/**
+ * Manifest object: only the listed fields are checked, others are allowed
+ */
+const manifestObject = (description, properties, required = []) =>
+  object(description, properties, { required, additionalProperties: true });
+
+/**
+ * Fields of DestinyInventoryItemDefinition read by the exporters
+ */
+const MANIFEST_ITEM_PROPERTIES = {
+  hash: integer,
+  index: integer,
+  displayProperties: ref('displayProperties'),
+  flavorText: string,
+  itemTypeDisplayName: string,
+  itemTypeAndTierDisplayName: string,
+  itemType: integer,
+  itemSubType: integer,
+  classType: integer,
+  itemCategoryHashes: arrayOf(integer),
+  inventory: manifestObject(null, {
+    tierTypeName: string,
+    tierType: integer,
+    tierTypeHash: integer,
+    bucketTypeHash: integer
+  }),
+  equippingBlock: manifestObject(null, { ammoType: integer }),
+  defaultDamageType: integer,
+  defaultDamageTypeHash: integer,
+  damageTypeHashes: arrayOf(integer),
+  breakerType: integer,
+  seasonHash: integer,
+  collectibleHash: integer,
+  loreHash: integer,
+  isAdept: boolean,
+  displaySource: string,
+  traitIds: arrayOf(string),
+  screenshot: string,
+  iconWatermark: string,
+  iconWatermarkShelved: string,
+  tooltipNotifications: arrayOf(manifestObject(null, { displayString: string })),
+  stats: manifestObject(null, {
+    statGroupHash: integer,
+    stats: mapOf(manifestObject(null, {
+      statHash: integer,
+      value: integer,
+      minimum: integer,
+      maximum: integer,
+      displayMaximum: integer
+    }))
+  }),
+  investmentStats: arrayOf(manifestObject(null, {
+    statTypeHash: integer,
+    value: integer,
+    isConditionallyActive: boolean
+  }, ['statTypeHash', 'value'])),
+  perks: arrayOf(manifestObject(null, { perkHash: integer }, ['perkHash'])),
+  sockets: manifestObject(null, {
+    socketEntries: arrayOf(manifestObject(null, {
+      socketTypeHash: integer,
+      singleInitialItemHash: integer,
+      reusablePlugSetHash: integer,
+      randomizedPlugSetHash: integer
+    })),
+    socketCategories: arrayOf(manifestObject(null, {
+      socketCategoryHash: integer,
+      socketIndexes: arrayOf(integer)
+    }))
+  }),
+  plug: manifestObject(null, {
+    plugCategoryIdentifier: string,
+    energyCost: manifestObject(null, { energyCost: integer, energyTypeHash: integer, energyType: integer }),
+    energyCapacity: manifestObject(null, { capacityValue: integer })
+  }),
+  energy: manifestObject(null, { energyCapacity: integer, energyType: integer, energyTypeHash: integer }),
+  talentGrid: manifestObject(null, { hudDamageType: integer })
+};
+
+/**
+ * Fields added by enrichItems (buildCrafting.js)
+ */
+const ENRICHED_ITEM_PROPERTIES = {
+  enrichedStats: { ...mapOf(ref('enrichedStat')), description: 'Stats by stat hash' },
+  enrichedPerks: arrayOf(ref('enrichedPerk')),
+  enrichedSockets: arrayOf(ref('enrichedSocket')),
+  enrichedDamageType: nullable(ref('enrichedDamageType')),
+  enrichedPerkPools: arrayOf(ref('perkPool')),
+  enrichedIntrinsicPerk: ref('enrichedIntrinsicPerk'),
+  enrichedEnergyType: ref('enrichedEnergyType'),
+  enrichedLore: ref('enrichedLore')
+};
+
+/**
+ * Columns every item row has (see transformItemForCSV)
+ */
+const ITEM_ROW_PROPERTIES = {
+  hash: integer,
+  name: string,
+  description: string,
+  flavorText: string,
+  itemType: string,
+  itemTypeAndTierDisplayName: string,
+  itemSubType: cell(integer),
+  tierType: string,
+  tierTypeHash: cell(integer),
+  collectibleHash: cell(integer),
+  loreHash: cell(integer),
+  seasonHash: cell(integer),
+  isAdept: cell(boolean),
+  displaySource: string,
+  traitIds: string,
+  iconUrl: string,
+  screenshotUrl: string,
+  iconWatermarkUrl: string,
+  iconWatermarkShelvedUrl: string,
+  tooltipNotifications: string,
+  perkNames: string,
+  perkDescriptions: string,
+  perks: string,
+  damageTypeName: string,
+  damageTypeDescription: string,
+  intrinsicPerkHash: cell(integer),
+  intrinsicPerkName: string,
+  intrinsicPerkDescription: string,
+  socketCount: cell(integer),
+  loreName: string,
+  loreDescription: string,
+  loreSubtitle: string
+};
+
+/**
+ * Columns of the mod rows (armor, artifact and champion mods)
+ */
+const MOD_ROW_PROPERTIES = {
+  plugCategoryIdentifier: string,
+  energyCost: cell(integer),
+  energyTypeHash: cell(integer),
+  energyTypeEnum: cell(integer),
+  energyTypeName: string,
+  statBonuses: string
+};
+
+/**
+ * Item row with category columns; other columns are stats (number) and perk pools (string)
+ */
+const itemRow = (description, properties) => object(description, { ...ITEM_ROW_PROPERTIES, ...properties }, {
+  required: ['hash', 'name', 'description'],
+  additionalProperties: { ...cell(number), description: 'Stat column (stat name, or <stat>_Max)' },
+  patternProperties: { '^(?!curated)\\w+Perks$': { ...string, description: 'Perk pool column (e.g. trait1Perks)' } }
+});
+
+/**
+ * Shared definitions, referenced as #/definitions/<name>
+ * Each becomes a type of the same name in buildData.d.ts (EnrichedStat, WeaponRow, ...).
+ */
+const DEFINITIONS = {
+  displayProperties: manifestObject('Name, description and icon path shown in game', {
+    name: string,
+    description: string,
+    icon: string,
+    hasIcon: boolean
+  }, ['name']),
+  enrichedStat: object('Stat with its resolved name; value is the displayed value', {
+    hash: { ...string, description: 'Stat hash (as the enrichedStats key)' },
+    name: string,
+    description: string,
+    value: integer,
+    investmentValue: integer,
+    displayValue: integer,
+    minimum: integer,
+    maximum: integer,
+    displayMaximum: integer
+  }, { required: ['hash', 'name', 'description', 'value', 'investmentValue', 'displayValue', 'minimum', 'maximum'] }),
+  enrichedPerk: object('Sandbox perk of an item', {
+    hash: integer,
+    name: string,
+    description: string,
+    icon: { ...string, description: 'Full icon URL, or empty' },
+    isDisplayable: boolean
+  }),
+  enrichedSocket: object('Socket with an initial plug', {
+    socketTypeHash: integer,
+    singleInitialItemHash: integer,
+    reusablePlugSetHash: integer,
+    randomizedPlugSetHash: integer
+  }, { required: ['socketTypeHash', 'singleInitialItemHash'] }),
+  enrichedDamageType: object('Default damage type of an item', {
+    hash: integer,
+    name: string,
+    description: string,
+    enumValue: integer
+  }, { required: ['hash', 'name', 'description'] }),
+  enrichedIntrinsicPerk: object('Intrinsic perk (weapon frame) from the first socket', {
+    hash: integer,
+    name: string,
+    description: string
+  }),
+  plugPerk: object('Perk a socket can hold', {
+    hash: integer,
+    name: string,
+    description: string,
+    plugCategoryIdentifier: string,
+    isEnhanced: boolean,
+    currentlyCanRoll: boolean
+  }),
+  perkPool: object('Perk options of one weapon perk column', {
+    socketIndex: integer,
+    column: { ...string, description: 'barrel, magazine, trait1, trait2, originTrait, ...' },
+    plugCategoryIdentifier: string,
+    randomizedPlugSetHash: nullable(integer),
+    reusablePlugSetHash: nullable(integer),
+    randomPerks: arrayOf(ref('plugPerk')),
+    curatedPerks: arrayOf(ref('plugPerk'))
+  }),
+  enrichedEnergyType: object('Energy type of armor (armorEnergy) or of a mod cost (modEnergyCost)', {
+    hash: integer,
+    name: string,
+    description: string,
+    enumValue: integer,
+    capacityStatHash: integer,
+    costStatHash: integer,
+    source: { enum: ['armorEnergy', 'modEnergyCost'] }
+  }, { required: ['hash', 'name', 'description', 'source'] }),
+  enrichedLore: object('Lore entry of an item', {
+    hash: integer,
+    name: string,
+    description: string,
+    subtitle: string
+  }),
+  manifestItem: manifestObject('Inventory item definition (DestinyInventoryItemDefinition)',
+    MANIFEST_ITEM_PROPERTIES, ['hash', 'displayProperties']),
+  enrichedItem: {
+    description: 'Inventory item definition with resolved stats, perks and damage type',
+    allOf: [
+      ref('manifestItem'),
+      manifestObject(null, ENRICHED_ITEM_PROPERTIES, ['enrichedPerks', 'enrichedSockets', 'enrichedDamageType'])
+    ]
+  },
+  subclassTreeOption: object('Selectable option of a subclass tree', {
+    hash: integer,
+    name: string,
+    description: string,
+    plugCategoryIdentifier: string,
+    fragmentSlots: { ...integer, description: 'Fragment slots granted (aspects only)' }
+  }, { required: ['hash', 'name', 'description', 'plugCategoryIdentifier'] }),
+  subclassTree: object('Configuration options of a subclass', {
+    hash: integer,
+    name: string,
+    classType: integer,
+    element: string,
+    aspectSockets: integer,
+    fragmentSockets: integer,
+    ...Object.fromEntries(SUBCLASS_TREE_GROUPS.map(({ key }) => [key, arrayOf(ref('subclassTreeOption'))])),
+    maxFragmentSlots: integer
+  }),
+  damageType: manifestObject('Damage type definition (DestinyDamageTypeDefinition)', {
+    hash: integer,
+    displayProperties: ref('displayProperties'),
+    enumValue: integer,
+    transparentIconPath: string,
+    showIcon: boolean,
+    color: manifestObject(null, { red: integer, green: integer, blue: integer, alpha: integer })
+  }, ['hash', 'displayProperties', 'enumValue']),
+  enemyWeakness: object('Shield or champion type and what counters it', {
+    faction: string,
+    enemyType: string,
+    shieldType: string,
+    effectiveDamageType: string,
+    damageTypeEnum: { anyOf: [integer, string], description: 'DamageType enum value, or a note (N/A, Multiple types, ...)' },
+    notes: string
+  }),
+  weaponRow: itemRow('Weapon table row', {
+    weaponSlot: string,
+    ammoType: string,
+    defaultDamageType: string,
+    damageTypeHashes: string,
+    breakerType: string,
+    curatedPerks: string,
+    traitPerkDescriptions: string
+  }),
+  armorRow: itemRow('Armor table row', {
+    classType: string,
+    energyCapacity: cell(integer),
+    energyType: cell(integer),
+    energyTypeHash: cell(integer),
+    energyTypeName: string,
+    energyTypeDescription: string,
+    modSocketCount: cell(integer)
+  }),
+  modRow: itemRow('Armor, artifact or champion mod table row', MOD_ROW_PROPERTIES),
+  subclassRow: itemRow('Subclass table row', {
+    classType: string,
+    damageType: cell(integer),
+    itemCategoryHashes: string
+  }),
+  subclassPlugRow: itemRow('Aspect or fragment table row', {
+    plugCategoryIdentifier: string,
+    damageType: cell(integer),
+    element: string,
+    statBonuses: string
+  }),
+  abilityRow: itemRow('Ability table row', {
+    plugCategoryIdentifier: string,
+    damageType: cell(integer),
+    element: string
+  }),
+  damageTypeRow: itemRow('Damage type table row', {
+    enumValue: cell(integer),
+    transparentIconPath: string,
+    showIcon: cell(boolean),
+    color: { ...string, description: 'Color as JSON ({"red":..,"green":..,"blue":..,"alpha":..})' }
+  }),
+  subclassTreeRow: object('Subclass tree table row (one per option)', {
+    className: string,
+    subclass: string,
+    element: string,
+    slot: string,
+    name: string,
+    description: string,
+    fragmentSlots: cell(integer),
+    maxFragmentSlots: integer,
+    hash: integer
+  })
+};
+
+/**
+ * Item and table row definition of each exported category
+ */
+const CATEGORY_SCHEMAS = {
+  weapons: { title: 'Weapons', item: 'enrichedItem', row: 'weaponRow' },
+  armor: { title: 'Armor', item: 'enrichedItem', row: 'armorRow' },
+  armorMods: { title: 'Armor Mods', item: 'enrichedItem', row: 'modRow' },
+  subclasses: { title: 'Subclasses', item: 'manifestItem', row: 'subclassRow' },
+  subclassTrees: { title: 'Subclass Trees', item: 'subclassTree', row: 'subclassTreeRow' },
+  aspects: { title: 'Aspects', item: 'enrichedItem', row: 'subclassPlugRow' },
+  fragments: { title: 'Fragments', item: 'enrichedItem', row: 'subclassPlugRow' },
+  abilities: { title: 'Abilities', item: 'enrichedItem', row: 'abilityRow' },
+  damageTypes: { title: 'Damage Types', item: 'damageType', row: 'damageTypeRow' },
+  artifactMods: { title: 'Artifact Mods', item: 'enrichedItem', row: 'modRow' },
+  championMods: { title: 'Champion Mods', item: 'enrichedItem', row: 'modRow' },
+  enemyWeaknesses: { title: 'Enemy Weaknesses', item: 'enemyWeakness', row: 'enemyWeakness' }
+};
+
+/**
+ * Names of the definitions a schema references, including indirect references
+ * @param {object} schema - JSON Schema
+ * @param {Set<string>} found - Names found so far
+ * @returns {Set<string>} - Definition names
+ */
+function collectReferences(schema, found = new Set()) {
+  if (Array.isArray(schema)) {
+    schema.forEach(entry => collectReferences(entry, found));
+  } else if (schema && typeof schema === 'object') {
+    if (typeof schema.$ref === 'string') {
+      const name = schema.$ref.replace('#/definitions/', '');
+      if (!found.has(name)) {
+        found.add(name);
+        collectReferences(DEFINITIONS[name], found);
+      }
+    }
+    Object.values(schema).forEach(value => collectReferences(value, found));
+  }
+  return found;
+}
+
+/**
+ * Standalone schema document with the definitions it references
+ * @param {string} title - Title
+ * @param {string} description - Description
+ * @param {object} schema - Root schema
+ * @returns {object} - JSON Schema document
+ */
+function createSchemaDocument(title, description, schema) {
+  const names = [...collectReferences(schema)].sort();
+  return {
+    $schema: JSON_SCHEMA_DRAFT,
+    title,
+    description,
+    ...schema,
+    definitions: Object.fromEntries(names.map(name => [name, DEFINITIONS[name]]))
+  };
+}
+
+/**
+ * Schema of a category's JSON export file
+ * @param {string} category - Category name (e.g. 'weapons')
+ * @returns {object} - JSON Schema document
+ */
+function getCategorySchema(category) {
+  const entry = CATEGORY_SCHEMAS[category];
+  if (!entry) {
+    throw new Error(`Unknown category: ${category} (expected ${Object.keys(CATEGORY_SCHEMAS).join(', ')})`);
+  }
+  return createSchemaDocument(entry.title, `${entry.title} JSON export (${EXPORT_CATEGORIES[category]}.json)`,
+    arrayOf(ref(entry.item)));
+}
+
+/**
+ * Schema of a category's table rows (CSV, Excel, Google Sheets, Parquet and Arrow)
+ * Rows use the field names; column profiles can rename and drop columns.
+ * @param {string} category - Category name (e.g. 'weapons')
+ * @returns {object} - JSON Schema document
+ */
+function getRowSchema(category) {
+  const entry = CATEGORY_SCHEMAS[category];
+  if (!entry) {
+    throw new Error(`Unknown category: ${category} (expected ${Object.keys(CATEGORY_SCHEMAS).join(', ')})`);
+  }
+  return createSchemaDocument(`${entry.title} Rows`, `${entry.title} table rows (${EXPORT_CATEGORIES[category]}.csv)`,
+    arrayOf(ref(entry.row)));
+}
+
+/**
+ * Schema of the whole build data object (getAllBuildCraftingData)
+ * @returns {object} - JSON Schema document
+ */
+function getBuildDataSchema() {
+  const properties = Object.fromEntries(Object.entries(CATEGORY_SCHEMAS)
+    .map(([category, entry]) => [category, arrayOf(ref(entry.item))]));
+  return createSchemaDocument('Build Data', 'Build crafting data of one locale (getAllBuildCraftingData)',
+    object(null, properties));
+}
+
+let ajv = null;
+const validators = new Map();
+
+/**
+ * Compiles a schema once
+ * @param {string} key - Cache key
+ * @param {function} createSchema - Creates the schema document
+ * @returns {function} - Ajv validate function
+ */
+function getValidator(key, createSchema) {
+  if (!validators.has(key)) {
+    ajv = ajv || new Ajv({ allErrors: true, verbose: true });
+    validators.set(key, ajv.compile(createSchema()));
+  }
+  return validators.get(key);
+}
+
+/**
+ * Short description of a schema for error messages (e.g. 'integer', "''", 'enrichedLore')
+ * @param {object} schema - JSON Schema
+ * @returns {string} - Description
+ */
+function describeSchema(schema) {
+  if (schema.$ref) return schema.$ref.replace('#/definitions/', '');
+  if (schema.const !== undefined) return JSON.stringify(schema.const).replace(/"/g, "'");
+  return schema.type || 'valid';
+}
+
+/**
+ * Formats Ajv errors as readable messages (e.g. 'weapons[3] (Igneous Hammer).enrichedStats.4043523819.value must be integer')
+ * @param {object[]} errors - Ajv errors
+ * @param {*} data - Validated data
+ * @param {string} root - Name of the data
+ * @returns {string[]} - Messages
+ */
+function formatErrors(errors, data, root) {
+  // Failed anyOf branches are reported once, by the anyOf error
+  const anyOfPaths = new Set((errors || []).filter(error => error.keyword === 'anyOf').map(error => error.instancePath));
+  const reported = (errors || []).filter(error =>
+    error.keyword === 'anyOf' || !anyOfPaths.has(error.instancePath) || !error.schemaPath.includes('/anyOf/'));
+
+  const messages = reported.map(error => {
+    const segments = error.instancePath.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+    let label = root;
+    let value = data;
+    for (const segment of segments) {
+      const index = Array.isArray(value);
+      value = value?.[segment];
+      label += index ? `[${segment}]` : `${label ? '.' : ''}${segment}`;
+      const name = index && (value?.displayProperties?.name || value?.name);
+      if (name) label += ` (${name})`;
+    }
+    let message = error.message;
+    if (error.keyword === 'additionalProperties') {
+      message = `has unknown field ${error.params.additionalProperty}`;
+    } else if (error.keyword === 'enum') {
+      message = `must be one of ${error.params.allowedValues.join(', ')}`;
+    } else if (error.keyword === 'anyOf') {
+      message = `must be ${error.parentSchema.anyOf.map(describeSchema).join(' or ')}`;
+    }
+    return `${label || 'buildData'} ${message}`;
+  });
+  return [...new Set(messages)];
+}
+
+/**
+ * Validates build data against the export schemas
+ * @param {object} buildData - Build crafting data (see getAllBuildCraftingData)
+ * @returns {object} - { valid, errors } where errors are readable messages
+ */
+function validateBuildData(buildData) {
+  const validate = getValidator('buildData', getBuildDataSchema);
+  const valid = validate(buildData);
+  return { valid, errors: valid ? [] : formatErrors(validate.errors, buildData, '') };
+}
+
+/**
+ * Validates the table rows of a category against its row schema
+ * @param {object[]} rows - Rows (see transformItemForCSV)
+ * @param {string} category - Category name
+ * @returns {object} - { valid, errors } where errors are readable messages
+ */
+function validateRows(rows, category) {
+  const validate = getValidator(`rows:${category}`, () => getRowSchema(category));
+  const valid = validate(rows);
+  return { valid, errors: valid ? [] : formatErrors(validate.errors, rows, category) };
+}
+
+/**
+ * Validates build data and throws when it doesn't match the export schemas
+ * @param {object} buildData - Build crafting data
+ * @param {number} maxErrors - Most errors listed in the message (default: 20)
+ * @throws {Error} - Listing the mismatches
+ */
+function assertValidBuildData(buildData, maxErrors = 20) {
+  const { valid, errors } = validateBuildData(buildData);
+  if (valid) return;
+
+  const listed = errors.slice(0, maxErrors).map(error => `  - ${error}`);
+  if (errors.length > maxErrors) {
+    listed.push(`  ... and ${errors.length - maxErrors} more`);
+  }
+  throw new Error(`Build data does not match the export schema (${errors.length} error(s)):\n${listed.join('\n')}`);
+}
+
+/**
+ * TypeScript type name of a definition (enrichedStat -> EnrichedStat)
+ */
+const typeName = name => name.charAt(0).toUpperCase() + name.slice(1);
+
+/**
+ * TypeScript literal type of a value ('N/A', 3)
+ */
+const toLiteral = value => typeof value === 'string' ? `'${value.replace(/'/g, "\\'")}'` : String(value);
+
+/**
+ * Converts a schema to a TypeScript type
+ * Supports the subset of JSON Schema used by DEFINITIONS.
+ * @param {object} schema - JSON Schema
+ * @param {string} indent - Indentation of the enclosing declaration
+ * @returns {string} - TypeScript type
+ */
+function toTypeScript(schema, indent = '') {
+  if (schema.$ref) return typeName(schema.$ref.replace('#/definitions/', ''));
+  if (schema.const !== undefined) return toLiteral(schema.const);
+  if (schema.enum) return schema.enum.map(toLiteral).join(' | ');
+  if (schema.anyOf) return schema.anyOf.map(entry => toTypeScript(entry, indent)).join(' | ');
+  if (schema.allOf) return schema.allOf.map(entry => toTypeScript(entry, indent)).join(' & ');
+
+  switch (schema.type) {
+    case 'string':
+      return 'string';
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'null':
+      return 'null';
+    case 'array': {
+      const items = toTypeScript(schema.items, indent);
+      return /[|&]/.test(items) ? `Array<${items}>` : `${items}[]`;
+    }
+    case 'object':
+      return toTypeScriptObject(schema, indent);
+    default:
+      return 'unknown';
+  }
+}
+
+/**
+ * Converts an object schema to a TypeScript object type
+ * Open objects get an index signature (unknown when they also list properties, so the
+ * listed property types stay exact).
+ * @param {object} schema - Object schema
+ * @param {string} indent - Indentation of the enclosing declaration
+ * @returns {string} - TypeScript object type
+ */
+function toTypeScriptObject(schema, indent) {
+  const inner = `${indent}  `;
+  const required = new Set(schema.required || []);
+  const lines = [];
+
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    if (property.description) lines.push(`${inner}/** ${property.description} */`);
+    const key = /^[A-Za-z_$][\w$]*$/.test(name) ? name : toLiteral(name);
+    lines.push(`${inner}${key}${required.has(name) ? '' : '?'}: ${toTypeScript(property, inner)};`);
+  }
+
+  const hasProperties = lines.length > 0;
+  const additional = schema.additionalProperties;
+  if (additional !== false) {
+    const valueType = hasProperties || additional === true || additional === undefined
+      ? 'unknown'
+      : toTypeScript(additional, inner);
+    lines.push(`${inner}[key: string]: ${valueType};`);
+  }
+
+  return lines.length > 0 ? `{\n${lines.join('\n')}\n${indent}}` : '{}';
+}
+
+/**
+ * Generates buildData.d.ts: a type per definition, plus BuildData, CategoryItems and CategoryRows
+ * @returns {string} - TypeScript declarations
+ */
+function generateTypeScript() {
+  const declarations = [
+    '// Generated by src/exportSchema.js from the export schemas. Do not edit; run `npm run schemas`.',
+    ''
+  ];
+  const definitions = {
+    ...DEFINITIONS,
+    buildData: { description: 'Build crafting data of one locale (getAllBuildCraftingData)', ...getBuildDataSchema() }
+  };
+  delete definitions.buildData.definitions;
+
+  for (const [name, schema] of Object.entries(definitions)) {
+    if (schema.description) declarations.push(`/** ${schema.description} */`);
+    const [base, extension] = schema.allOf || [];
+    if (schema.type === 'object') {
+      declarations.push(`export interface ${typeName(name)} ${toTypeScriptObject(schema, '')}`);
+    } else if (base?.$ref && extension?.type === 'object') {
+      // allOf [base, extension] is an interface extending the base
+      declarations.push(`export interface ${typeName(name)} extends ${toTypeScript(base)} ${toTypeScriptObject(extension, '')}`);
+    } else {
+      declarations.push(`export type ${typeName(name)} = ${toTypeScript(schema)};`);
+    }
+    declarations.push('');
+  }
+
+  const categoryTypes = key => Object.entries(CATEGORY_SCHEMAS)
+    .map(([category, entry]) => `  ${category}: ${typeName(entry[key])};`).join('\n');
+  declarations.push('/** Item type of each category */');
+  declarations.push(`export interface CategoryItems {\n${categoryTypes('item')}\n}`);
+  declarations.push('');
+  declarations.push('/** Table row type of each category (transformItemForCSV) */');
+  declarations.push(`export interface CategoryRows {\n${categoryTypes('row')}\n}`);
+  declarations.push('');
+
+  return declarations.join('\n');
+}
+
+/**
+ * Generated files and their contents, relative to the repository root
+ * @returns {object} - Contents by path
+ */
+function generateSchemaFiles() {
+  const files = {};
+  const json = value => `${JSON.stringify(value, null, 2)}\n`;
+
+  files[path.join('schemas', 'build-data.schema.json')] = json(getBuildDataSchema());
+  for (const [category, name] of Object.entries(EXPORT_CATEGORIES)) {
+    files[path.join('schemas', `${name}.schema.json`)] = json(getCategorySchema(category));
+    files[path.join('schemas', 'rows', `${name}.schema.json`)] = json(getRowSchema(category));
+  }
+  files[path.join('src', 'buildData.d.ts')] = generateTypeScript();
+
+  return files;
+}
+
+/**
+ * Writes the generated schema and type files
+ * @param {string} rootDir - Repository root (default: the directory above src/)
+ * @returns {string[]} - Paths written
+ */
+function writeSchemaFiles(rootDir = path.join(__dirname, '..')) {
+  const written = [];
+  for (const [file, contents] of Object.entries(generateSchemaFiles())) {
+    const filePath = path.join(rootDir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, contents);
+    written.push(filePath);
+  }
+  return written;
+}
+
+module.exports = {
+  DEFINITIONS,
+  CATEGORY_SCHEMAS,
+  getCategorySchema,
+  getRowSchema,
+  getBuildDataSchema,
+  validateBuildData,
+  validateRows,
+  assertValidBuildData,
+  generateTypeScript,
+  generateSchemaFiles,
+  writeSchemaFiles
+};
+
+// Run if called directly: regenerates schemas/ and src/buildData.d.ts
+if (require.main === module) {
+  const written = writeSchemaFiles();
+  console.log(`Wrote ${written.length} files:`);
+  written.forEach(file => console.log(`  ${path.relative(process.cwd(), file)}`));
+}
@@ -1,5 +1,5 @@
 const { google } = require('googleapis');
-const { transformItemsForCSV, generateStatReference, generateSummaryData } = require('./csvExport');
+const { transformItemsForTable, getColumnSchema, generateStatReference, generateSummaryData, generateSubclassTreeRows } = require('./csvExport');
 
 /**
  * Create Google Sheets API client
@@ -40,8 +40,8 @@ function dataToSheetValues(transformedData) {
     return [];
   }
   
-  // Get headers from first item
-  const headers = Object.keys(transformedData[0]);
+  // Get headers from all items, so columns missing from the first item are kept
+  const headers = getColumnSchema(transformedData);
   
   // Convert data to rows
   const rows = transformedData.map(item => {
@@ -62,9 +62,11 @@ function dataToSheetValues(transformedData) {
  * @param {string} title - Title for the spreadsheet
  * @param {object} buildData - Build crafting data object
  * @param {object} statDefs - Optional stat definitions for resolving stat hashes
+ * @param {object} options - Sheet options
+ * @param {object} options.columns - Columns per category (e.g. { weapons: ['hash', 'name'] }, see resolveColumnProfile)
  * @returns {Promise<object>} - Created spreadsheet info
  */
-async function createBuildCraftingSheet(sheets, title, buildData, statDefs = null) {
+async function createBuildCraftingSheet(sheets, title, buildData, statDefs = null, options = {}) {
   try {
     // Create a new spreadsheet
     const spreadsheet = await sheets.spreadsheets.create({
@@ -88,6 +90,7 @@ async function createBuildCraftingSheet(sheets, title, buildData, statDefs = nul
       { name: 'Armor', data: buildData.armor, category: 'armor' },
       { name: 'Armor Mods', data: buildData.armorMods, category: 'armorMods' },
       { name: 'Subclasses', data: buildData.subclasses, category: 'subclasses' },
+      { name: 'Subclass Trees', data: generateSubclassTreeRows(buildData.subclassTrees), category: 'subclassTrees' },
       { name: 'Aspects', data: buildData.aspects, category: 'aspects' },
       { name: 'Fragments', data: buildData.fragments, category: 'fragments' },
       { name: 'Abilities', data: buildData.abilities, category: 'abilities' },
@@ -144,7 +147,7 @@ async function createBuildCraftingSheet(sheets, title, buildData, statDefs = nul
     // Now populate each sheet with data
     for (const { name, data, category } of validWorksheets) {
       // Transform data
-      const transformedData = transformItemsForCSV(data, category, statDefs);
+      const transformedData = transformItemsForTable(data, category, statDefs, options.columns?.[category]);
       const values = dataToSheetValues(transformedData);
       
       // Update sheet with data
@@ -230,11 +233,12 @@ async function createBuildCraftingSheet(sheets, title, buildData, statDefs = nul
  * @param {string} title - Title for the spreadsheet
  * @param {object} buildData - Build crafting data object
  * @param {object} statDefs - Optional stat definitions for resolving stat hashes
+ * @param {object} options - Sheet options (see createBuildCraftingSheet)
  * @returns {Promise<object>} - Created spreadsheet info
  */
-async function exportToGoogleSheets(credentials, title, buildData, statDefs = null) {
+async function exportToGoogleSheets(credentials, title, buildData, statDefs = null, options = {}) {
   const sheets = createSheetsClient(credentials);
-  return await createBuildCraftingSheet(sheets, title, buildData, statDefs);
+  return await createBuildCraftingSheet(sheets, title, buildData, statDefs, options);
 }
 
 module.exports = {
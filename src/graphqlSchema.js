@@ -0,0 +1,428 @@
+const { buildSchema, graphql } = require('graphql');
+const { WEAPON_TYPES, ARMOR_TYPES, DEFAULT_LOCALE, loadDefinitions, loadPerkDefinitions } = require('./buildCrafting');
+const { WEAPON_SLOT_BUCKETS } = require('./csvExport');
+const { CLASS_NAMES } = require('./buildValidation');
+const { ITEM_ROUTES } = require('./itemRoutes');
+
+/**
+ * GraphQL schema over build crafting data.
+ *
+ * Types mirror the enriched item objects (enrichedStats, enrichedPerks, enrichedIntrinsicPerk,
+ * enrichedEnergyType, enrichedLore, enrichedPerkPools) so clients can select only the fields
+ * they render. Resolvers follow hash links between definitions:
+ *   weapon → intrinsicPerk → sandboxPerks   (needs item and sandbox perk definitions)
+ *   fragment / aspect → subclasses           (via the subclass trees)
+ *   subclass → aspects / fragments           (the full aspect and fragment items)
+ * List fields accept the same filters as the REST routes in server.js, plus limit/offset.
+ */
+
+/**
+ * Schema definition (SDL)
+ */
+const typeDefs = `
+  type Query {
+    weapons(type: String, slot: String, element: String, tier: String, name: String, limit: Int, offset: Int): [Weapon!]!
+    weapon(hash: ID!): Weapon
+    armor(class: String, type: String, tier: String, name: String, limit: Int, offset: Int): [Armor!]!
+    armorPiece(hash: ID!): Armor
+    mods(energyCost: Int, name: String, limit: Int, offset: Int): [Mod!]!
+    mod(hash: ID!): Mod
+    subclasses(class: String, element: String, name: String): [Subclass!]!
+    subclass(hash: ID!): Subclass
+    aspects(class: String, element: String, name: String, limit: Int, offset: Int): [SubclassPlug!]!
+    aspect(hash: ID!): SubclassPlug
+    fragments(element: String, name: String, limit: Int, offset: Int): [SubclassPlug!]!
+    fragment(hash: ID!): SubclassPlug
+  }
+
+  type Stat {
+    hash: ID!
+    name: String!
+    description: String
+    value: Int
+    investmentValue: Int
+    displayValue: Int
+    minimum: Int
+    maximum: Int
+    displayMaximum: Int
+  }
+
+  type SandboxPerk {
+    hash: ID!
+    name: String!
+    description: String
+    icon: String
+    isDisplayable: Boolean
+  }
+
+  type IntrinsicPerk {
+    hash: ID!
+    name: String!
+    description: String
+    sandboxPerks: [SandboxPerk!]!
+  }
+
+  type PoolPerk {
+    hash: ID!
+    name: String!
+    description: String
+    plugCategoryIdentifier: String
+    isEnhanced: Boolean
+    currentlyCanRoll: Boolean
+    sandboxPerks: [SandboxPerk!]!
+  }
+
+  type PerkPool {
+    socketIndex: Int!
+    column: String!
+    plugCategoryIdentifier: String
+    randomizedPlugSetHash: ID
+    reusablePlugSetHash: ID
+    randomPerks: [PoolPerk!]!
+    curatedPerks: [PoolPerk!]!
+  }
+
+  type DamageType {
+    hash: ID!
+    name: String!
+    description: String
+    enumValue: Int
+  }
+
+  type EnergyType {
+    hash: ID!
+    name: String!
+    description: String
+    enumValue: Int
+    capacityStatHash: ID
+    costStatHash: ID
+    source: String
+  }
+
+  type Lore {
+    hash: ID!
+    name: String!
+    description: String
+    subtitle: String
+  }
+
+  type Weapon {
+    hash: ID!
+    name: String!
+    description: String
+    icon: String
+    itemTypeDisplayName: String
+    tierTypeName: String
+    type: String
+    slot: String
+    stats: [Stat!]!
+    perks: [SandboxPerk!]!
+    damageType: DamageType
+    intrinsicPerk: IntrinsicPerk
+    perkPools: [PerkPool!]!
+    lore: Lore
+  }
+
+  type Armor {
+    hash: ID!
+    name: String!
+    description: String
+    icon: String
+    itemTypeDisplayName: String
+    tierTypeName: String
+    type: String
+    classType: Int
+    className: String
+    stats: [Stat!]!
+    perks: [SandboxPerk!]!
+    intrinsicPerk: IntrinsicPerk
+    energyType: EnergyType
+    lore: Lore
+  }
+
+  type Mod {
+    hash: ID!
+    name: String!
+    description: String
+    icon: String
+    itemTypeDisplayName: String
+    plugCategoryIdentifier: String
+    energyCost: Int
+    stats: [Stat!]!
+    perks: [SandboxPerk!]!
+    energyType: EnergyType
+  }
+
+  type SubclassPlug {
+    hash: ID!
+    name: String!
+    description: String
+    icon: String
+    plugCategoryIdentifier: String
+    classType: Int
+    className: String
+    fragmentSlots: Int
+    stats: [Stat!]!
+    perks: [SandboxPerk!]!
+    subclasses: [Subclass!]!
+  }
+
+  type SubclassOption {
+    hash: ID!
+    name: String!
+    description: String
+    plugCategoryIdentifier: String
+  }
+
+  type Subclass {
+    hash: ID!
+    name: String!
+    classType: Int
+    className: String
+    element: String
+    aspectSockets: Int
+    fragmentSockets: Int
+    maxFragmentSlots: Int
+    supers: [SubclassOption!]!
+    grenades: [SubclassOption!]!
+    melees: [SubclassOption!]!
+    classAbilities: [SubclassOption!]!
+    movement: [SubclassOption!]!
+    aspects: [SubclassPlug!]!
+    fragments: [SubclassPlug!]!
+  }
+`;
+
+/**
+ * Applies REST-style filters and limit/offset to a list of items
+ * @param {string} routeName - ITEM_ROUTES key whose filters apply
+ * @param {object[]} items - Items to filter
+ * @param {object} args - Field arguments (filters plus limit and offset)
+ * @returns {object[]} - Matching items
+ */
+function filterItems(routeName, items, args) {
+  const { limit, offset = 0, ...filters } = args;
+  let results = items || [];
+  for (const [parameter, value] of Object.entries(filters)) {
+    if (value === undefined || value === null) continue;
+    results = results.filter(ITEM_ROUTES[routeName].filters[parameter](String(value)));
+  }
+  return results.slice(offset, limit === undefined || limit === null ? undefined : offset + limit);
+}
+
+/**
+ * Finds an item by hash
+ * @param {object[]} items - Items to search
+ * @param {string} hash - Item hash
+ * @returns {object|null} - Item, or null when not found
+ */
+function findByHash(items, hash) {
+  return (items || []).find(item => String(item.hash) === String(hash)) || null;
+}
+
+/**
+ * Resolves sandbox perk hashes to SandboxPerk objects
+ * @param {object[]} perkEntries - Entries with perkHash (item.perks)
+ * @param {object} perkDefs - Sandbox perk definitions (DestinySandboxPerkDefinition)
+ * @returns {object[]} - Sandbox perks
+ */
+function resolveSandboxPerks(perkEntries, perkDefs) {
+  if (!perkDefs) return [];
+  return (perkEntries || [])
+    .map(entry => perkDefs[entry.perkHash])
+    .filter(perkDef => perkDef?.displayProperties?.name)
+    .map(perkDef => ({
+      hash: perkDef.hash,
+      name: perkDef.displayProperties.name,
+      description: perkDef.displayProperties.description || '',
+      icon: perkDef.displayProperties.icon ? `https://www.bungie.net${perkDef.displayProperties.icon}` : '',
+      isDisplayable: perkDef.isDisplayable || false
+    }));
+}
+
+/**
+ * Resolves the sandbox perks granted by a plug item (intrinsic frame or pool perk)
+ * Exports don't carry the plugs' sandbox perks, so this needs the manifest definitions.
+ * @param {string} plugHash - Plug item hash
+ * @param {object} context - GraphQL context
+ * @returns {Promise<object[]>} - Sandbox perks
+ * @throws {Error} - When no manifest definitions are available (reported as a GraphQL error)
+ */
+async function resolvePlugSandboxPerks(plugHash, context) {
+  const itemDefs = await context.getDefinitions('DestinyInventoryItemDefinition');
+  const perkDefs = await context.getDefinitions('DestinySandboxPerkDefinition');
+  if (!itemDefs || !perkDefs) {
+    throw new Error('sandboxPerks needs the manifest definitions, which are only available when the server runs with BUNGIE_API_KEY set');
+  }
+  return resolveSandboxPerks(itemDefs[plugHash]?.perks, perkDefs);
+}
+
+/**
+ * Field resolvers shared by every item type
+ */
+const ITEM_FIELDS = {
+  name: item => item.displayProperties?.name || item.name || '',
+  description: item => item.displayProperties?.description ?? item.description ?? '',
+  icon: item => item.displayProperties?.icon ? `https://www.bungie.net${item.displayProperties.icon}` : '',
+  stats: item => Object.values(item.enrichedStats || {}),
+  perks: item => item.enrichedPerks || []
+};
+
+/**
+ * Field resolvers for the remaining enriched fields, picked per type
+ */
+const tierTypeName = item => item.inventory?.tierTypeName || null;
+const className = item => CLASS_NAMES[item.classType] || null;
+const intrinsicPerk = item => item.enrichedIntrinsicPerk || null;
+const energyType = item => item.enrichedEnergyType || null;
+const lore = item => item.enrichedLore || null;
+
+/**
+ * Gets the subclass trees that offer a plug (aspect or fragment)
+ * @param {object} plug - Plug item
+ * @param {object} context - GraphQL context
+ * @returns {object[]} - Subclass trees
+ */
+function findPlugSubclasses(plug, context) {
+  const hash = String(plug.hash);
+  return (context.buildData.subclassTrees || []).filter(tree =>
+    [...(tree.aspects || []), ...(tree.fragments || [])].some(option => String(option.hash) === hash)
+  );
+}
+
+/**
+ * Resolvers per type and field
+ */
+const resolvers = {
+  Query: {
+    weapons: (_, args, { buildData }) => filterItems('weapons', buildData.weapons, args),
+    weapon: (_, { hash }, { buildData }) => findByHash(buildData.weapons, hash),
+    armor: (_, args, { buildData }) => filterItems('armor', buildData.armor, args),
+    armorPiece: (_, { hash }, { buildData }) => findByHash(buildData.armor, hash),
+    mods: (_, args, { buildData }) => filterItems('mods', buildData.armorMods, args),
+    mod: (_, { hash }, { buildData }) => findByHash(buildData.armorMods, hash),
+    subclasses: (_, args, { buildData }) => filterItems('subclass-trees', buildData.subclassTrees, args),
+    subclass: (_, { hash }, { buildData }) => findByHash(buildData.subclassTrees, hash),
+    aspects: (_, args, { buildData }) => filterItems('aspects', buildData.aspects, args),
+    aspect: (_, { hash }, { buildData }) => findByHash(buildData.aspects, hash),
+    fragments: (_, args, { buildData }) => filterItems('fragments', buildData.fragments, args),
+    fragment: (_, { hash }, { buildData }) => findByHash(buildData.fragments, hash)
+  },
+  IntrinsicPerk: {
+    sandboxPerks: (perk, _, context) => resolvePlugSandboxPerks(perk.hash, context)
+  },
+  PoolPerk: {
+    sandboxPerks: (perk, _, context) => resolvePlugSandboxPerks(perk.hash, context)
+  },
+  Weapon: {
+    ...ITEM_FIELDS,
+    tierTypeName,
+    intrinsicPerk,
+    lore,
+    type: weapon => Object.keys(WEAPON_TYPES).find(key => WEAPON_TYPES[key] === weapon.itemSubType) || null,
+    slot: weapon => WEAPON_SLOT_BUCKETS[weapon.inventory?.bucketTypeHash] || null,
+    damageType: weapon => weapon.enrichedDamageType || null,
+    perkPools: weapon => weapon.enrichedPerkPools || []
+  },
+  Armor: {
+    ...ITEM_FIELDS,
+    tierTypeName,
+    className,
+    intrinsicPerk,
+    energyType,
+    lore,
+    type: armor => Object.keys(ARMOR_TYPES).find(key => ARMOR_TYPES[key] === armor.itemSubType) || null
+  },
+  Mod: {
+    ...ITEM_FIELDS,
+    energyType,
+    plugCategoryIdentifier: mod => mod.plug?.plugCategoryIdentifier || null,
+    energyCost: mod => mod.plug?.energyCost?.energyCost || 0
+  },
+  SubclassPlug: {
+    ...ITEM_FIELDS,
+    className,
+    plugCategoryIdentifier: plug => plug.plug?.plugCategoryIdentifier || null,
+    fragmentSlots: plug => plug.plug?.energyCapacity?.capacityValue ?? null,
+    subclasses: (plug, _, context) => findPlugSubclasses(plug, context)
+  },
+  Subclass: {
+    className,
+    // Tree options only carry names; link them to the full aspect and fragment items
+    aspects: (tree, _, { buildData }) => (tree.aspects || []).map(option => findByHash(buildData.aspects, option.hash) || option),
+    fragments: (tree, _, { buildData }) => (tree.fragments || []).map(option => findByHash(buildData.fragments, option.hash) || option)
+  }
+};
+
+/**
+ * Builds the executable GraphQL schema
+ * @returns {GraphQLSchema} - Schema with resolvers attached
+ */
+function createSchema() {
+  const schema = buildSchema(typeDefs);
+  for (const [typeName, fieldResolvers] of Object.entries(resolvers)) {
+    const fields = schema.getType(typeName).getFields();
+    for (const [fieldName, resolve] of Object.entries(fieldResolvers)) {
+      fields[fieldName].resolve = resolve;
+    }
+  }
+  return schema;
+}
+
+/**
+ * Creates the per-request context: the build data plus lazily loaded manifest definitions
+ * Definitions (used to follow links to sandbox perks) are only available when a client is given;
+ * without one those fields resolve to GraphQL errors.
+ * @param {object} buildData - Build data (from getAllBuildCraftingData or a JSON export)
+ * @param {object} options - Context options
+ * @param {object} options.client - Bungie API client (optional)
+ * @param {string} options.locale - Manifest locale (default: 'en')
+ * @returns {object} - GraphQL context
+ */
+function createGraphQLContext(buildData, options = {}) {
+  const { client, locale = DEFAULT_LOCALE } = options;
+  const definitions = {};
+
+  return {
+    buildData,
+    getDefinitions(tableName) {
+      if (!client) return Promise.resolve(null);
+      if (!definitions[tableName]) {
+        definitions[tableName] = tableName === 'DestinySandboxPerkDefinition'
+          ? loadPerkDefinitions(client, locale)
+          : loadDefinitions(client, tableName, locale);
+      }
+      return definitions[tableName];
+    }
+  };
+}
+
+let cachedSchema = null;
+
+/**
+ * Executes a GraphQL query against build data
+ * @param {object} buildData - Build data
+ * @param {string} query - GraphQL query
+ * @param {object} variables - Query variables (optional)
+ * @param {object} options - Context options (see createGraphQLContext)
+ * @returns {Promise<object>} - GraphQL result ({ data, errors })
+ */
+async function executeGraphQL(buildData, query, variables = {}, options = {}) {
+  if (!cachedSchema) {
+    cachedSchema = createSchema();
+  }
+  return await graphql({
+    schema: cachedSchema,
+    source: query,
+    variableValues: variables,
+    contextValue: createGraphQLContext(buildData, options)
+  });
+}
+
+module.exports = {
+  typeDefs,
+  resolvers,
+  createSchema,
+  createGraphQLContext,
+  executeGraphQL
+};
@@ -0,0 +1,146 @@
+const { WEAPON_TYPES, ARMOR_TYPES } = require('./buildCrafting');
+const { WEAPON_SLOT_BUCKETS, getItemElement } = require('./csvExport');
+const { CLASS_NAMES } = require('./buildValidation');
+
+/**
+ * Item routes of the build data API and their query filters.
+ *
+ * Shared by the REST routes (server.js) and the list fields of the GraphQL schema
+ * (graphqlSchema.js), so both accept the same filters with the same errors.
+ */
+
+/**
+ * Error raised for invalid requests; carries the HTTP status to respond with
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Looks up an enum-like key case-insensitively (e.g. 'hand_cannon' or 'Hand Cannon' in WEAPON_TYPES)
+ * @param {object} values - Map of key to value
+ * @param {string} input - Requested key
+ * @param {string} parameter - Query parameter name for error messages
+ * @returns {*} - Matching value
+ */
+function lookupKey(values, input, parameter) {
+  const normalized = String(input).trim().toUpperCase().replace(/[\s-]+/g, '_');
+  if (values[normalized] !== undefined) {
+    return values[normalized];
+  }
+  throw new HttpError(400, `Invalid ${parameter}: ${input} (expected one of ${Object.keys(values).join(', ')})`);
+}
+
+/**
+ * Looks up a value in a value-to-name map by name, case-insensitively (e.g. 'Energy' in WEAPON_SLOT_BUCKETS)
+ * @param {object} names - Map of value to name
+ * @param {string} input - Requested name
+ * @param {string} parameter - Query parameter name for error messages
+ * @returns {string} - Matching value
+ */
+function lookupName(names, input, parameter) {
+  const entry = Object.entries(names).find(([, name]) => name.toLowerCase() === String(input).toLowerCase());
+  if (!entry) {
+    throw new HttpError(400, `Invalid ${parameter}: ${input} (expected one of ${Object.values(names).join(', ')})`);
+  }
+  return entry[0];
+}
+
+/**
+ * Parses a non-negative integer query parameter
+ * @param {string} input - Parameter value
+ * @param {string} parameter - Query parameter name for error messages
+ * @returns {number} - Parsed value
+ */
+function parseInteger(input, parameter) {
+  const value = Number(input);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new HttpError(400, `Invalid ${parameter}: ${input} (expected a non-negative integer)`);
+  }
+  return value;
+}
+
+/**
+ * Query filters shared by item routes; each maps a query parameter to a predicate factory
+ */
+const COMMON_FILTERS = {
+  name: value => item => (item.displayProperties?.name || '').toLowerCase().includes(value.toLowerCase()),
+  class: value => {
+    const classType = Number(lookupName(CLASS_NAMES, value, 'class'));
+    return item => item.classType === classType || item.classType === 3;
+  },
+  element: value => item => getItemElement(item).toLowerCase() === value.toLowerCase(),
+  tier: value => item => (item.inventory?.tierTypeName || '').toLowerCase() === value.toLowerCase()
+};
+
+/**
+ * Item routes: build data category plus the filters each supports
+ */
+const ITEM_ROUTES = {
+  weapons: {
+    category: 'weapons',
+    filters: {
+      ...COMMON_FILTERS,
+      type: value => {
+        const subType = lookupKey(WEAPON_TYPES, value, 'type');
+        return item => item.itemSubType === subType;
+      },
+      slot: value => {
+        const bucketHash = lookupName(WEAPON_SLOT_BUCKETS, value, 'slot');
+        return item => String(item.inventory?.bucketTypeHash) === bucketHash;
+      }
+    }
+  },
+  armor: {
+    category: 'armor',
+    filters: {
+      ...COMMON_FILTERS,
+      type: value => {
+        const subType = lookupKey(ARMOR_TYPES, value, 'type');
+        return item => item.itemSubType === subType;
+      }
+    }
+  },
+  mods: {
+    category: 'armorMods',
+    filters: {
+      ...COMMON_FILTERS,
+      energyCost: value => {
+        const energyCost = parseInteger(value, 'energyCost');
+        return item => (item.plug?.energyCost?.energyCost || 0) === energyCost;
+      }
+    }
+  },
+  subclasses: { category: 'subclasses', filters: COMMON_FILTERS },
+  'subclass-trees': {
+    category: 'subclassTrees',
+    filters: {
+      name: value => tree => tree.name.toLowerCase().includes(value.toLowerCase()),
+      class: COMMON_FILTERS.class,
+      element: value => tree => tree.element.toLowerCase() === value.toLowerCase()
+    }
+  },
+  aspects: { category: 'aspects', filters: COMMON_FILTERS },
+  fragments: { category: 'fragments', filters: COMMON_FILTERS },
+  abilities: { category: 'abilities', filters: COMMON_FILTERS },
+  'artifact-mods': { category: 'artifactMods', filters: COMMON_FILTERS },
+  'champion-mods': { category: 'championMods', filters: COMMON_FILTERS },
+  'damage-types': { category: 'damageTypes', filters: { name: COMMON_FILTERS.name } }
+};
+
+module.exports = {
+  ITEM_ROUTES,
+  COMMON_FILTERS,
+  HttpError,
+  lookupKey,
+  lookupName,
+  parseInteger
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+/**
+ * JSON export files: pretty-printed JSON arrays (the default) or NDJSON with one item per
+ * line, optionally gzip-compressed. Files are written through a stream one item at a time,
+ * so a category is never held in memory as one large string. The readers accept any of the
+ * variants, so the diff, validation, search and server commands work on every JSON export.
+ */
+
+/**
+ * JSON output formats
+ */
+const JSON_OUTPUT_FORMATS = ['json', 'ndjson'];
+
+/**
+ * File extensions of JSON export files, in the order readers look for them
+ */
+const JSON_FILE_EXTENSIONS = ['.json', '.json.gz', '.ndjson', '.ndjson.gz'];
+
+/**
+ * Gets the file extension for a JSON output format
+ * @param {string} format - 'json' or 'ndjson'
+ * @param {boolean} gzip - Whether the file is gzip-compressed
+ * @returns {string} - Extension (e.g. '.ndjson.gz')
+ */
+function getJSONExtension(format = 'json', gzip = false) {
+  if (!JSON_OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown JSON format: ${format} (expected ${JSON_OUTPUT_FORMATS.join(', ')})`);
+  }
+  return `.${format}${gzip ? '.gz' : ''}`;
+}
+
+/**
+ * Serializes items one chunk at a time
+ * Pretty-printed output is byte-for-byte what JSON.stringify(items, null, 2) produces.
+ * @param {object[]} items - Items to serialize
+ * @param {string} format - 'json' or 'ndjson'
+ * @returns {Generator<string>} - Chunks
+ */
+function* serializeItems(items, format) {
+  if (format === 'ndjson') {
+    for (const item of items) {
+      yield `${JSON.stringify(item)}\n`;
+    }
+    return;
+  }
+
+  if (items.length === 0) {
+    yield '[]';
+    return;
+  }
+  yield '[\n';
+  for (let i = 0; i < items.length; i++) {
+    const indented = JSON.stringify(items[i], null, 2).replace(/\n/g, '\n  ');
+    yield `  ${indented}${i < items.length - 1 ? ',' : ''}\n`;
+  }
+  yield ']';
+}
+
+/**
+ * Writes items to a JSON export file through a stream
+ * @param {object[]} items - Items to write
+ * @param {string} filename - Output filename, including its extension (see getJSONExtension)
+ * @param {object} options - Write options
+ * @param {string} options.format - 'json' (default) or 'ndjson'
+ * @param {boolean} options.gzip - Compress the file with gzip (default: false)
+ * @returns {Promise<void>}
+ */
+async function writeJSONFile(items, filename, options = {}) {
+  const { format = 'json', gzip = false } = options;
+  getJSONExtension(format, gzip);
+
+  await pipeline(
+    Readable.from(serializeItems(items, format)),
+    ...(gzip ? [zlib.createGzip()] : []),
+    fs.createWriteStream(filename)
+  );
+}
+
+/**
+ * Reads a JSON export file: a JSON array or NDJSON, gzip-compressed when the name ends in .gz
+ * @param {string} filename - File to read
+ * @returns {*} - Parsed data (NDJSON files are read as an array of items)
+ */
+function readJSONFile(filename) {
+  const content = filename.endsWith('.gz')
+    ? zlib.gunzipSync(fs.readFileSync(filename)).toString('utf-8')
+    : fs.readFileSync(filename, 'utf-8');
+
+  if (!/\.ndjson(\.gz)?$/.test(filename)) {
+    return JSON.parse(content);
+  }
+  return content.split('\n').filter(line => line.trim()).map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${index + 1} of ${filename}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Finds an export file in any of the JSON variants
+ * @param {string} dir - Export directory
+ * @param {string} fileName - File name as written in the default format (e.g. 'weapons.json')
+ * @returns {string|null} - Path of the first variant that exists, or null
+ */
+function findJSONFile(dir, fileName) {
+  const baseName = fileName.replace(/\.json$/, '');
+  for (const extension of JSON_FILE_EXTENSIONS) {
+    const filePath = path.join(dir, `${baseName}${extension}`);
+    if (fs.existsSync(filePath)) return filePath;
+  }
+  return null;
+}
+
+/**
+ * Reads an export file in any of the JSON variants
+ * @param {string} dir - Export directory
+ * @param {string} fileName - File name as written in the default format (e.g. 'weapons.json')
+ * @param {*} fallback - Value returned when no variant exists
+ * @returns {*} - Parsed data, or the fallback
+ */
+function readJSONExport(dir, fileName, fallback) {
+  const filePath = findJSONFile(dir, fileName);
+  return filePath ? readJSONFile(filePath) : fallback;
+}
+
+module.exports = {
+  JSON_OUTPUT_FORMATS,
+  JSON_FILE_EXTENSIONS,
+  getJSONExtension,
+  writeJSONFile,
+  readJSONFile,
+  findJSONFile,
+  readJSONExport
+};
@@ -0,0 +1,370 @@
+const fs = require('fs');
+const { CLASS_NAMES, EXOTIC_TIER_TYPE, loadValidationData } = require('./buildValidation');
+const { SUBCLASS_TREE_LABELS } = require('./csvExport');
+const { loadReaderOptions } = require('./exportConfig');
+
+/**
+ * Loadout import/export in Destiny Item Manager's loadout format.
+ *
+ * DIM loadouts (as shared through loadout links or exported as JSON) look like:
+ *   {
+ *     id, name, classType, notes, clearSpace,
+ *     equipped: [{ id, hash, socketOverrides: { <socketIndex>: <plugHash> } }],
+ *     unequipped: [...],
+ *     parameters: { mods: [<plugHash>], modsByBucket: { <bucketHash>: [<plugHash>] } }
+ *   }
+ * The subclass is an equipped item whose socketOverrides select its super, abilities,
+ * aspects and fragments. Item ids refer to a player's item instances and are kept as-is.
+ */
+
+/**
+ * Base URL of DIM loadout links (the loadout JSON is passed URI-encoded in the `loadout` parameter)
+ */
+const DIM_LOADOUT_URL = 'https://app.destinyitemmanager.com/loadouts';
+
+/**
+ * Class type used by DIM for loadouts usable by any class
+ */
+const ANY_CLASS = 3;
+
+/**
+ * Armor bucket hashes, used as keys of parameters.modsByBucket
+ */
+const ARMOR_BUCKETS = {
+  '3448274439': 'Helmet',
+  '3551918588': 'Gauntlets',
+  '14239492': 'Chest Armor',
+  '20886954': 'Leg Armor',
+  '1585787867': 'Class Item'
+};
+
+/**
+ * Normalizes a list of loadout items
+ * @param {object[]} items - DIM loadout items
+ * @param {string} field - Field name for error messages
+ * @returns {object[]} - Items with numeric hashes and socketOverrides keyed by socket index
+ */
+function parseLoadoutItems(items = [], field) {
+  if (!Array.isArray(items)) {
+    throw new Error(`Invalid DIM loadout: ${field} must be an array`);
+  }
+
+  return items.map((item, index) => {
+    if (!item || item.hash === undefined || Number.isNaN(Number(item.hash))) {
+      throw new Error(`Invalid DIM loadout: ${field}[${index}] has no item hash`);
+    }
+
+    const parsed = { hash: Number(item.hash) };
+    if (item.id !== undefined) parsed.id = String(item.id);
+    if (item.socketOverrides) {
+      parsed.socketOverrides = {};
+      for (const [socketIndex, plugHash] of Object.entries(item.socketOverrides)) {
+        parsed.socketOverrides[Number(socketIndex)] = Number(plugHash);
+      }
+    }
+    return parsed;
+  });
+}
+
+/**
+ * Parses a DIM loadout from JSON, a JSON string, or a DIM loadout link
+ * @param {object|string} input - Loadout object, JSON string, or https://app.destinyitemmanager.com/loadouts?loadout=... link
+ * @returns {object} - Normalized loadout ({ id, name, classType, notes, equipped, unequipped, mods, modsByBucket })
+ */
+function parseDimLoadout(input) {
+  let data = input;
+
+  if (typeof input === 'string') {
+    const text = input.trim();
+    if (/^https?:\/\//.test(text)) {
+      const encoded = new URL(text).searchParams.get('loadout');
+      if (!encoded) {
+        throw new Error('Invalid DIM loadout link: missing loadout parameter');
+      }
+      data = encoded;
+    } else {
+      data = text;
+    }
+
+    try {
+      data = JSON.parse(data);
+    } catch (error) {
+      throw new Error(`Invalid DIM loadout: ${error.message}`);
+    }
+  }
+
+  if (!data || typeof data !== 'object') {
+    throw new Error('Invalid DIM loadout: expected an object');
+  }
+  if (![0, 1, 2, ANY_CLASS].includes(data.classType)) {
+    throw new Error(`Invalid DIM loadout: unknown classType ${data.classType}`);
+  }
+
+  const parameters = data.parameters || {};
+  const modsByBucket = {};
+  for (const [bucketHash, mods] of Object.entries(parameters.modsByBucket || {})) {
+    modsByBucket[bucketHash] = mods.map(Number);
+  }
+
+  return {
+    id: data.id || null,
+    name: data.name || '',
+    classType: data.classType,
+    notes: data.notes || '',
+    clearSpace: data.clearSpace === true,
+    equipped: parseLoadoutItems(data.equipped, 'equipped'),
+    unequipped: parseLoadoutItems(data.unequipped, 'unequipped'),
+    mods: (parameters.mods || []).map(Number),
+    modsByBucket
+  };
+}
+
+/**
+ * Emits a normalized loadout as DIM loadout JSON
+ * @param {object} loadout - Loadout from parseDimLoadout (or built by hand in the same shape)
+ * @returns {object} - DIM loadout JSON
+ */
+function emitDimLoadout(loadout) {
+  const emitItems = items => (items || []).map(item => {
+    const emitted = { hash: item.hash };
+    if (item.id !== undefined) emitted.id = item.id;
+    if (item.socketOverrides && Object.keys(item.socketOverrides).length > 0) {
+      emitted.socketOverrides = { ...item.socketOverrides };
+    }
+    return emitted;
+  });
+
+  const dimLoadout = {
+    name: loadout.name || '',
+    classType: loadout.classType ?? ANY_CLASS,
+    clearSpace: loadout.clearSpace === true,
+    equipped: emitItems(loadout.equipped),
+    unequipped: emitItems(loadout.unequipped)
+  };
+  if (loadout.id) dimLoadout.id = loadout.id;
+  if (loadout.notes) dimLoadout.notes = loadout.notes;
+
+  const parameters = {};
+  if (loadout.mods && loadout.mods.length > 0) parameters.mods = [...loadout.mods];
+  if (loadout.modsByBucket && Object.keys(loadout.modsByBucket).length > 0) {
+    parameters.modsByBucket = { ...loadout.modsByBucket };
+  }
+  if (Object.keys(parameters).length > 0) dimLoadout.parameters = parameters;
+
+  return dimLoadout;
+}
+
+/**
+ * Builds a DIM loadout link for a loadout
+ * @param {object} loadout - Normalized loadout
+ * @returns {string} - Loadout link that opens the loadout in DIM
+ */
+function toDimLoadoutUrl(loadout) {
+  return `${DIM_LOADOUT_URL}?loadout=${encodeURIComponent(JSON.stringify(emitDimLoadout(loadout)))}`;
+}
+
+/**
+ * Indexes items by hash
+ * @param {object[]} items - Item definitions
+ * @returns {Map<string, object>} - Items keyed by hash
+ */
+function indexByHash(items = []) {
+  return new Map(items.map(item => [String(item.hash), item]));
+}
+
+/**
+ * Resolves every hash of a loadout against build data
+ * Hashes that can't be found are collected in `unresolved` instead of failing, since a
+ * loadout may reference items the export filters out (e.g. ornaments or shaders).
+ * @param {object} loadout - Loadout from parseDimLoadout
+ * @param {object} buildData - Build data (from getAllBuildCraftingData or loadValidationData)
+ * @returns {object} - Resolved loadout with subclass, weapons, armor, unequipped items, mods and unresolved hashes
+ */
+function resolveDimLoadout(loadout, buildData) {
+  const weapons = indexByHash(buildData.weapons);
+  const armor = indexByHash(buildData.armor);
+  const subclasses = indexByHash(buildData.subclasses);
+  const trees = indexByHash(buildData.subclassTrees);
+  const mods = indexByHash([...(buildData.armorMods || []), ...(buildData.artifactMods || []), ...(buildData.championMods || [])]);
+
+  const resolved = {
+    name: loadout.name,
+    classType: loadout.classType,
+    className: CLASS_NAMES[loadout.classType] || 'Any',
+    notes: loadout.notes,
+    subclass: null,
+    weapons: [],
+    armor: [],
+    unequipped: [],
+    mods: [],
+    unresolved: []
+  };
+
+  const describeItem = item => ({
+    hash: item.hash,
+    name: item.displayProperties?.name || '',
+    itemType: item.itemTypeDisplayName || '',
+    isExotic: item.inventory?.tierType === EXOTIC_TIER_TYPE
+  });
+
+  for (const item of loadout.equipped) {
+    const key = String(item.hash);
+    if (weapons.has(key)) {
+      resolved.weapons.push(describeItem(weapons.get(key)));
+    } else if (armor.has(key)) {
+      resolved.armor.push(describeItem(armor.get(key)));
+    } else if (subclasses.has(key) || trees.has(key)) {
+      resolved.subclass = resolveSubclassOverrides(item, subclasses.get(key), trees.get(key), resolved.unresolved);
+    } else {
+      resolved.unresolved.push({ hash: item.hash, where: 'equipped' });
+    }
+  }
+
+  for (const item of loadout.unequipped) {
+    const definition = weapons.get(String(item.hash)) || armor.get(String(item.hash));
+    if (definition) {
+      resolved.unequipped.push(describeItem(definition));
+    } else {
+      resolved.unresolved.push({ hash: item.hash, where: 'unequipped' });
+    }
+  }
+
+  const resolveMod = (plugHash, bucketHash) => {
+    const mod = mods.get(String(plugHash));
+    if (!mod) {
+      resolved.unresolved.push({ hash: plugHash, where: bucketHash ? `modsByBucket.${bucketHash}` : 'mods' });
+      return;
+    }
+    resolved.mods.push({
+      hash: plugHash,
+      name: mod.displayProperties?.name || '',
+      energyCost: mod.plug?.energyCost?.energyCost || 0,
+      slot: bucketHash ? ARMOR_BUCKETS[bucketHash] || String(bucketHash) : null
+    });
+  };
+
+  loadout.mods.forEach(plugHash => resolveMod(plugHash, null));
+  for (const [bucketHash, plugHashes] of Object.entries(loadout.modsByBucket)) {
+    plugHashes.forEach(plugHash => resolveMod(plugHash, bucketHash));
+  }
+
+  return resolved;
+}
+
+/**
+ * Resolves a subclass's socket overrides to named plugs
+ * @param {object} item - Loadout item with socketOverrides
+ * @param {object} subclass - Subclass definition (optional)
+ * @param {object} tree - Subclass tree from getSubclassTrees (optional)
+ * @param {object[]} unresolved - Collector for hashes that can't be resolved
+ * @returns {object} - { hash, name, element, plugs: [{ socketIndex, hash, name, group }] }
+ */
+function resolveSubclassOverrides(item, subclass, tree, unresolved) {
+  const options = new Map();
+  for (const group of Object.keys(SUBCLASS_TREE_LABELS)) {
+    for (const option of tree?.[group] || []) {
+      options.set(String(option.hash), { ...option, group });
+    }
+  }
+
+  const plugs = [];
+  for (const [socketIndex, plugHash] of Object.entries(item.socketOverrides || {})) {
+    const option = options.get(String(plugHash));
+    if (!option) {
+      unresolved.push({ hash: plugHash, where: `subclass socket ${socketIndex}` });
+      continue;
+    }
+    plugs.push({ socketIndex: Number(socketIndex), hash: plugHash, name: option.name, group: option.group });
+  }
+
+  return {
+    hash: item.hash,
+    name: subclass?.displayProperties?.name || tree?.name || '',
+    element: tree?.element || '',
+    plugs
+  };
+}
+
+/**
+ * Renders a resolved loadout as a human-readable Markdown report
+ * @param {object} resolved - Loadout from resolveDimLoadout
+ * @returns {string} - Markdown report
+ */
+function formatLoadoutReport(resolved) {
+  const lines = [`# ${resolved.name || 'Unnamed Loadout'}`, '', `**Class:** ${resolved.className}`];
+
+  if (resolved.notes) {
+    lines.push('', resolved.notes);
+  }
+
+  if (resolved.subclass) {
+    const { name, element, plugs } = resolved.subclass;
+    lines.push('', `## Subclass: ${name}${element ? ` (${element})` : ''}`, '');
+    for (const [group, label] of Object.entries(SUBCLASS_TREE_LABELS)) {
+      plugs.filter(plug => plug.group === group).forEach(plug => lines.push(`- ${label}: ${plug.name}`));
+    }
+  }
+
+  const itemLine = item => `- ${item.name}${item.itemType ? ` (${item.itemType})` : ''}${item.isExotic ? ' — Exotic' : ''}`;
+
+  if (resolved.weapons.length > 0) {
+    lines.push('', '## Weapons', '');
+    resolved.weapons.forEach(item => lines.push(itemLine(item)));
+  }
+
+  if (resolved.armor.length > 0) {
+    lines.push('', '## Armor', '');
+    resolved.armor.forEach(item => lines.push(itemLine(item)));
+  }
+
+  if (resolved.unequipped.length > 0) {
+    lines.push('', '## Also Carried', '');
+    resolved.unequipped.forEach(item => lines.push(itemLine(item)));
+  }
+
+  if (resolved.mods.length > 0) {
+    lines.push('', '## Mods', '');
+    resolved.mods.forEach(mod => {
+      lines.push(`- ${mod.slot ? `${mod.slot}: ` : ''}${mod.name} (${mod.energyCost} energy)`);
+    });
+  }
+
+  if (resolved.unresolved.length > 0) {
+    lines.push('', '## Unresolved Hashes', '');
+    resolved.unresolved.forEach(entry => lines.push(`- ${entry.hash} (${entry.where})`));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// Run if called directly: node src/loadouts.js <loadout.json|DIM loadout link> [exportDir] [--config <export-config>]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const configIndex = args.indexOf('--config');
+  const configFile = configIndex !== -1 ? args.splice(configIndex, 2)[1] : undefined;
+  const [source, exportDir = './data'] = args;
+
+  if (!source) {
+    console.error('Usage: node src/loadouts.js <loadout.json|DIM loadout link> [export-dir] [--config <export-config>]');
+    process.exit(1);
+  }
+
+  try {
+    const input = /^https?:\/\//.test(source) ? source : fs.readFileSync(source, 'utf-8');
+    const resolved = resolveDimLoadout(parseDimLoadout(input), loadValidationData(exportDir, loadReaderOptions(configFile)));
+    process.stdout.write(formatLoadoutReport(resolved));
+  } catch (error) {
+    console.error('Loadout report failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  DIM_LOADOUT_URL,
+  ARMOR_BUCKETS,
+  parseDimLoadout,
+  emitDimLoadout,
+  toDimLoadoutUrl,
+  resolveDimLoadout,
+  formatLoadoutReport
+};
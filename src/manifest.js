@@ -1,7 +1,7 @@
 const fetch = require('node-fetch');
+const { getContentBaseUrl } = require('./bungieClient');
 
-const BUNGIE_MANIFEST_URL = 'https://www.bungie.net/Platform/Destiny2/Manifest/';
-const BUNGIE_BASE_URL = 'https://www.bungie.net';
+const MANIFEST_ENDPOINT = '/Destiny2/Manifest/';
 
 /**
  * Fetches the Destiny 2 manifest containing all game definitions
@@ -9,16 +9,24 @@ const BUNGIE_BASE_URL = 'https://www.bungie.net';
  * @returns {Promise<object>} - Manifest data
  */
 async function getManifest(client) {
-  return await client.request('/Destiny2/Manifest/');
+  return await client.request(MANIFEST_ENDPOINT);
 }
 
 /**
  * Downloads a specific manifest component (JSON database)
+ * Goes through the client's downloadComponent method, so the download uses the client's
+ * content base URL, headers and retries (or is served from a fixture by the recording and
+ * replay clients in replayClient.js). Without one, it is fetched from getContentBaseUrl().
  * @param {string} componentPath - Path to the manifest component
+ * @param {object} client - Bungie API client (optional)
  * @returns {Promise<object>} - Component data
  */
-async function downloadManifestComponent(componentPath) {
-  const url = `${BUNGIE_BASE_URL}${componentPath}`;
+async function downloadManifestComponent(componentPath, client = null) {
+  if (client && typeof client.downloadComponent === 'function') {
+    return await client.downloadComponent(componentPath);
+  }
+  
+  const url = `${getContentBaseUrl()}${componentPath}`;
   const response = await fetch(url);
   
   if (!response.ok) {
@@ -54,5 +62,6 @@ function getDefinitionPath(manifest, tableName, locale = 'en') {
 module.exports = {
   getManifest,
   downloadManifestComponent,
-  getDefinitionPath
+  getDefinitionPath,
+  MANIFEST_ENDPOINT
 };
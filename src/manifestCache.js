@@ -0,0 +1,286 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Persistent on-disk cache for manifest definition tables.
+ *
+ * Each manifest version gets its own directory under the cache root, and every
+ * definition table is stored there per locale as `<locale>/<tableName>.json` together
+ * with the version string it was downloaded for. When Bungie publishes a new manifest version the
+ * directories belonging to older versions are removed.
+ *
+ * The cache directory is user-configurable, so nothing is ever deleted from a directory without
+ * the marker file the cache writes when it creates its root, and only version directories that
+ * hold nothing but cached tables are removed.
+ *
+ * Layout:
+ *   <cacheDir>/
+ *     .d2-manifest-cache.json      Marker identifying the directory as a manifest cache
+ *     <manifest version>/
+ *       <locale>/
+ *         DestinyInventoryItemDefinition.json
+ *         DestinyStatDefinition.json
+ *         ...
+ */
+
+/**
+ * Locale used when none is given
+ */
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Default cache directory (can be overridden with the D2_MANIFEST_CACHE_DIR environment variable)
+ */
+const DEFAULT_CACHE_DIR = '.manifest-cache';
+
+/**
+ * Name of the marker file in the cache root
+ */
+const CACHE_MARKER_FILE = '.d2-manifest-cache.json';
+
+/**
+ * Cache layout version stored in the marker
+ */
+const CACHE_FORMAT_VERSION = 1;
+
+/**
+ * Locale directory names (e.g. 'en', 'pt-br', 'zh-chs')
+ */
+const LOCALE_DIR_PATTERN = /^[a-z]{2}(-[a-z]+)?$/;
+
+/**
+ * Cached table file names, including the temporary files of interrupted writes
+ */
+const TABLE_FILE_PATTERN = /^Destiny\w+Definition\.json(\.\d+\.tmp)?$/;
+
+/**
+ * Gets the cache directory to use when none is configured explicitly
+ * @returns {string} - Cache directory path
+ */
+function getDefaultCacheDir() {
+  return process.env.D2_MANIFEST_CACHE_DIR || path.join(process.cwd(), DEFAULT_CACHE_DIR);
+}
+
+/**
+ * Converts a manifest version string into a safe directory name
+ * @param {string} version - Manifest version (e.g., '229574.24.05.10.1900-1-bnet.55245')
+ * @returns {string} - Directory name for the version
+ */
+function versionToDirName(version) {
+  return String(version).replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+/**
+ * Gets the path of a cached definition table
+ * @param {string} cacheDir - Cache root directory
+ * @param {string} version - Manifest version
+ * @param {string} tableName - Name of the definition table
+ * @param {string} locale - Manifest locale (default: 'en')
+ * @returns {string} - Path to the cached table file
+ */
+function getCachedTablePath(cacheDir, version, tableName, locale = DEFAULT_LOCALE) {
+  return path.join(cacheDir, versionToDirName(version), locale, `${tableName}.json`);
+}
+
+/**
+ * Reads a definition table from the disk cache
+ * Returns null when the table is missing, unreadable, or was stored for another version.
+ * @param {string} cacheDir - Cache root directory
+ * @param {string} version - Manifest version the table must belong to
+ * @param {string} tableName - Name of the definition table
+ * @param {string} locale - Manifest locale (default: 'en')
+ * @returns {object|null} - Cached definitions or null on cache miss
+ */
+function readCachedTable(cacheDir, version, tableName, locale = DEFAULT_LOCALE) {
+  const filename = getCachedTablePath(cacheDir, version, tableName, locale);
+
+  if (!fs.existsSync(filename)) {
+    return null;
+  }
+
+  try {
+    const cached = JSON.parse(fs.readFileSync(filename, 'utf-8'));
+    if (cached.version !== version || !cached.definitions) {
+      return null;
+    }
+    return cached.definitions;
+  } catch (error) {
+    // A truncated or corrupted file is treated as a cache miss and will be overwritten
+    console.warn(`Ignoring unreadable manifest cache file ${filename}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Checks whether a directory carries the cache marker
+ * @param {string} cacheDir - Cache root directory
+ * @returns {boolean} - True when the marker file exists
+ */
+function hasCacheMarker(cacheDir) {
+  return fs.existsSync(path.join(cacheDir, CACHE_MARKER_FILE));
+}
+
+/**
+ * Checks whether a directory holds nothing but the cached tables of one manifest version
+ * @param {string} dir - Directory to check
+ * @returns {boolean} - True for <locale>/<table>.json directories with at least one table
+ */
+function isCachedVersionDir(dir) {
+  if (path.basename(dir) !== versionToDirName(path.basename(dir))) {
+    return false;
+  }
+
+  let tables = 0;
+  for (const localeEntry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (!localeEntry.isDirectory() || !LOCALE_DIR_PATTERN.test(localeEntry.name)) {
+      return false;
+    }
+    for (const fileEntry of fs.readdirSync(path.join(dir, localeEntry.name), { withFileTypes: true })) {
+      if (!fileEntry.isFile() || !TABLE_FILE_PATTERN.test(fileEntry.name)) {
+        return false;
+      }
+      tables++;
+    }
+  }
+  return tables > 0;
+}
+
+/**
+ * Lists the version directories of a cache root
+ * @param {string} cacheDir - Cache root directory
+ * @returns {string[]} - Directory names that pass isCachedVersionDir
+ */
+function findVersionDirs(cacheDir) {
+  return fs.readdirSync(cacheDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && isCachedVersionDir(path.join(cacheDir, entry.name)))
+    .map(entry => entry.name);
+}
+
+/**
+ * Creates the cache root and its marker
+ * The marker is only written to a new or empty directory, or to a cache created before markers
+ * existed (one holding nothing but version directories); any other directory is used for
+ * tables but never becomes prunable.
+ * @param {string} cacheDir - Cache root directory
+ */
+function ensureCacheRoot(cacheDir) {
+  if (hasCacheMarker(cacheDir)) {
+    return;
+  }
+
+  fs.mkdirSync(cacheDir, { recursive: true });
+  const entries = fs.readdirSync(cacheDir);
+  if (entries.length === 0 || findVersionDirs(cacheDir).length === entries.length) {
+    const marker = { formatVersion: CACHE_FORMAT_VERSION, createdAt: new Date().toISOString() };
+    fs.writeFileSync(path.join(cacheDir, CACHE_MARKER_FILE), JSON.stringify(marker, null, 2));
+  }
+}
+
+/**
+ * Writes a definition table to the disk cache
+ * The file is written to a temporary name first and then renamed, so an interrupted
+ * run never leaves a partially written table behind.
+ * @param {string} cacheDir - Cache root directory
+ * @param {string} version - Manifest version the table belongs to
+ * @param {string} tableName - Name of the definition table
+ * @param {object} definitions - Definition data to store
+ * @param {string} locale - Manifest locale (default: 'en')
+ */
+function writeCachedTable(cacheDir, version, tableName, definitions, locale = DEFAULT_LOCALE) {
+  ensureCacheRoot(cacheDir);
+  const filename = getCachedTablePath(cacheDir, version, tableName, locale);
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+
+  const tempFilename = `${filename}.${process.pid}.tmp`;
+  const payload = {
+    version,
+    tableName,
+    locale,
+    cachedAt: new Date().toISOString(),
+    definitions
+  };
+
+  fs.writeFileSync(tempFilename, JSON.stringify(payload));
+  fs.renameSync(tempFilename, filename);
+}
+
+/**
+ * Removes cached tables belonging to any manifest version other than the current one
+ * Directories without the cache marker are left alone (with a warning), as is anything in the
+ * cache root that isn't a version directory of cached tables.
+ * @param {string} cacheDir - Cache root directory
+ * @param {string} version - Current manifest version
+ * @returns {string[]} - Names of the removed version directories
+ */
+function pruneStaleVersions(cacheDir, version) {
+  if (!fs.existsSync(cacheDir)) {
+    return [];
+  }
+  if (!hasCacheMarker(cacheDir)) {
+    console.warn(`Not pruning ${cacheDir}: it has no ${CACHE_MARKER_FILE}, so it is not a manifest cache directory`);
+    return [];
+  }
+
+  const currentDir = versionToDirName(version);
+  const removed = [];
+
+  for (const name of findVersionDirs(cacheDir)) {
+    if (name !== currentDir) {
+      fs.rmSync(path.join(cacheDir, name), { recursive: true, force: true });
+      removed.push(name);
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Lists the manifest versions currently stored in the disk cache
+ * @param {string} cacheDir - Cache root directory
+ * @returns {string[]} - Cached version directory names
+ */
+function listCachedVersions(cacheDir) {
+  if (!fs.existsSync(cacheDir)) {
+    return [];
+  }
+
+  return findVersionDirs(cacheDir);
+}
+
+/**
+ * Deletes the disk cache
+ * Removes the version directories and the marker, then the cache root once it is empty.
+ * @param {string} cacheDir - Cache root directory
+ * @throws {Error} - When the directory exists but has no cache marker
+ */
+function clearDiskCache(cacheDir) {
+  if (!fs.existsSync(cacheDir)) {
+    return;
+  }
+  if (!hasCacheMarker(cacheDir)) {
+    throw new Error(`Refusing to clear ${cacheDir}: it has no ${CACHE_MARKER_FILE}, so it is not a manifest cache directory`);
+  }
+
+  for (const name of findVersionDirs(cacheDir)) {
+    fs.rmSync(path.join(cacheDir, name), { recursive: true, force: true });
+  }
+  fs.rmSync(path.join(cacheDir, CACHE_MARKER_FILE), { force: true });
+  if (fs.readdirSync(cacheDir).length === 0) {
+    fs.rmdirSync(cacheDir);
+  }
+}
+
+module.exports = {
+  DEFAULT_CACHE_DIR,
+  CACHE_MARKER_FILE,
+  getDefaultCacheDir,
+  versionToDirName,
+  getCachedTablePath,
+  readCachedTable,
+  writeCachedTable,
+  hasCacheMarker,
+  isCachedVersionDir,
+  pruneStaleVersions,
+  listCachedVersions,
+  clearDiskCache
+};
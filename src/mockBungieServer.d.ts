@@ -0,0 +1,34 @@
+// Type declarations for mockBungieServer.js
+
+import { Fixture } from './replayClient';
+
+export interface MockScenario {
+  /** HTTP status (default: 200) */
+  status?: number;
+  /** Platform envelope fields (ErrorCode, ErrorStatus, Message, ThrottleSeconds) */
+  envelope?: Record<string, unknown>;
+  /** Plain text body, instead of an envelope */
+  body?: string;
+  /** Holds the response back; without envelope or body, the fixture is served late */
+  delayMs?: number;
+}
+
+export type MockScenarioName = 'maintenance' | 'throttled' | 'endpointThrottled' | 'error' | 'serverError' | 'slow';
+
+/** The http.Server, with the mock controls (declared without @types/node) */
+export interface MockBungieServer {
+  listen(port?: number, host?: string, callback?: () => void): this;
+  close(callback?: (error?: Error) => void): this;
+  address(): { address: string; port: number } | string | null;
+  /** Serves a scenario for the next `times` requests of a path (e.g. '/Platform/Destiny2/Manifest/') */
+  respondNext(pathname: string, scenario: MockScenarioName | MockScenario, times?: number): void;
+  requests: Array<{ method: string; path: string; apiKey?: string }>;
+  fixture: Fixture;
+}
+
+export const DEFAULT_MOCK_SERVER_OPTIONS: { port: number; host: string; fixtureDir: string };
+export const PLATFORM_PREFIX: string;
+export const MOCK_SCENARIOS: Readonly<Record<MockScenarioName, MockScenario>>;
+
+export function createEnvelope(fields?: Record<string, unknown>): Record<string, unknown>;
+export function createMockBungieServer(options?: { fixtureDir?: string }): MockBungieServer;
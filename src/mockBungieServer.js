@@ -0,0 +1,212 @@
+const http = require('http');
+const path = require('path');
+const { createReplayClient } = require('./replayClient');
+
+/**
+ * Mock Bungie API server for tests and offline development.
+ *
+ * Serves a fixture directory (see replayClient.js) the way bungie.net does:
+ *   GET /Platform/<endpoint>           Recorded responses wrapped in the platform envelope
+ *   GET /common/destiny2_content/...   Recorded manifest components (jsonWorldComponentContentPaths)
+ * Platform requests without an X-API-Key header are rejected, as on bungie.net. Scenarios queued
+ * with server.respondNext() replace the next responses of a path with error envelopes,
+ * throttling, maintenance, server errors or delays, so retry behavior can be tested.
+ *
+ * The bundled fixture (test/fixtures/bungie-manifest) is a small synthetic manifest with an
+ * item of every exported category. Start the server with `npm run mock-bungie` and point the
+ * exporter at it with BUNGIE_API_BASE_URL=http://127.0.0.1:3001/Platform.
+ */
+
+/**
+ * Default mock server options
+ */
+const DEFAULT_MOCK_SERVER_OPTIONS = {
+  port: 3001,
+  host: '127.0.0.1',
+  fixtureDir: path.join(__dirname, '..', 'test', 'fixtures', 'bungie-manifest')
+};
+
+/**
+ * Path prefix of the Platform API (as in https://www.bungie.net/Platform)
+ */
+const PLATFORM_PREFIX = '/Platform';
+
+/**
+ * Responses for server.respondNext(), by name
+ * Each has an HTTP status and either platform envelope fields or a plain text body;
+ * delayMs holds the response back (longer than the client's timeout to simulate a hang).
+ */
+const MOCK_SCENARIOS = {
+  maintenance: {
+    status: 503,
+    envelope: { ErrorCode: 5, ErrorStatus: 'SystemDisabled', Message: 'This system is temporarily disabled for maintenance.' }
+  },
+  throttled: {
+    status: 429,
+    envelope: { ErrorCode: 36, ErrorStatus: 'ThrottleLimitExceededMomentarily', Message: 'Please wait a few seconds and try again.', ThrottleSeconds: 1 }
+  },
+  endpointThrottled: {
+    status: 200,
+    envelope: { ErrorCode: 51, ErrorStatus: 'PerEndpointRequestThrottleExceeded', Message: 'Too many requests to this endpoint.', ThrottleSeconds: 1 }
+  },
+  error: {
+    status: 200,
+    envelope: { ErrorCode: 7, ErrorStatus: 'ParameterParseFailure', Message: 'Unable to parse your parameters.' }
+  },
+  serverError: { status: 500, body: 'Internal Server Error' },
+  slow: { delayMs: 60000 }
+};
+
+/**
+ * Wraps data in the Bungie platform response envelope
+ * @param {object} fields - Envelope fields (Response, or ErrorCode/ErrorStatus/Message/ThrottleSeconds for errors)
+ * @returns {object} - Envelope
+ */
+function createEnvelope(fields = {}) {
+  return {
+    ErrorCode: 1,
+    ThrottleSeconds: 0,
+    ErrorStatus: 'Success',
+    Message: 'Ok',
+    MessageData: {},
+    ...fields
+  };
+}
+
+/**
+ * Creates a mock Bungie API server (call .listen() to start it)
+ * The returned server also has:
+ *   - respondNext(path, scenario, times) - Serve a scenario (a MOCK_SCENARIOS name, or
+ *     { status, envelope | body, delayMs }) for the next `times` requests of a path
+ *     (e.g. '/Platform/Destiny2/Manifest/', or a manifest component path)
+ *   - requests - Log of received requests ({ method, path, apiKey })
+ *   - fixture - The served fixture's index (see loadFixture)
+ * @param {object} options - Server options
+ * @param {string} options.fixtureDir - Fixture directory to serve (default: the bundled synthetic fixture)
+ * @returns {http.Server} - HTTP server
+ * @throws {Error} - When the fixture can't be read
+ */
+function createMockBungieServer(options = {}) {
+  const replay = createReplayClient(options.fixtureDir || DEFAULT_MOCK_SERVER_OPTIONS.fixtureDir);
+  const queued = new Map();
+  const requests = [];
+
+  /**
+   * Takes the next queued scenario of a path
+   * @param {string} pathname - Request path
+   * @returns {object|null} - Scenario, or null to serve the fixture
+   */
+  function takeScenario(pathname) {
+    const scenarios = queued.get(pathname);
+    if (!scenarios || scenarios.length === 0) return null;
+    return scenarios.shift();
+  }
+
+  /**
+   * Gets the fixture response for a request
+   * @param {URL} url - Request URL
+   * @returns {Promise<object>} - { status, body }
+   */
+  async function serveFixture(url) {
+    if (url.pathname.startsWith(`${PLATFORM_PREFIX}/`)) {
+      const endpoint = `${url.pathname.slice(PLATFORM_PREFIX.length)}${url.search}`;
+      if (!replay.fixture.responses[endpoint]) {
+        return { status: 404, body: 'Not Found' };
+      }
+      return { status: 200, body: createEnvelope({ Response: await replay.request(endpoint) }) };
+    }
+
+    if (!replay.fixture.components[url.pathname]) {
+      return { status: 404, body: 'Not Found' };
+    }
+    return { status: 200, body: await replay.downloadComponent(url.pathname) };
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const apiKey = req.headers['x-api-key'];
+    requests.push({ method: req.method, path: url.pathname, apiKey });
+
+    let response;
+    let delayMs = 0;
+    try {
+      if (req.method !== 'GET') {
+        response = { status: 405, body: 'Method Not Allowed' };
+      } else if (url.pathname.startsWith(`${PLATFORM_PREFIX}/`) && !apiKey) {
+        response = {
+          status: 401,
+          body: createEnvelope({ ErrorCode: 2102, ErrorStatus: 'ApiKeyMissingFromRequest', Message: 'Please add an API key to your request.' })
+        };
+      } else {
+        const scenario = takeScenario(url.pathname);
+        delayMs = scenario?.delayMs || 0;
+        response = scenario && (scenario.envelope || scenario.body !== undefined)
+          ? { status: scenario.status || 200, body: scenario.body !== undefined ? scenario.body : createEnvelope(scenario.envelope) }
+          : await serveFixture(url);
+      }
+    } catch (error) {
+      console.error(`Error handling ${req.method} ${req.url}:`, error.message);
+      response = { status: 500, body: 'Internal Server Error' };
+    }
+
+    const send = () => {
+      const isText = typeof response.body === 'string';
+      res.writeHead(response.status, { 'Content-Type': isText ? 'text/plain; charset=utf-8' : 'application/json; charset=utf-8' });
+      res.end(isText ? response.body : JSON.stringify(response.body));
+    };
+    if (delayMs > 0) {
+      // Unref'd so a delayed response never keeps the process alive after the server closes
+      setTimeout(send, delayMs).unref();
+    } else {
+      send();
+    }
+  });
+
+  server.respondNext = (pathname, scenario, times = 1) => {
+    const resolved = typeof scenario === 'string' ? MOCK_SCENARIOS[scenario] : scenario;
+    if (!resolved) {
+      throw new Error(`Unknown mock scenario: ${scenario} (expected ${Object.keys(MOCK_SCENARIOS).join(', ')})`);
+    }
+    const scenarios = queued.get(pathname) || [];
+    for (let i = 0; i < times; i++) {
+      scenarios.push(resolved);
+    }
+    queued.set(pathname, scenarios);
+  };
+  server.requests = requests;
+  server.fixture = replay.fixture;
+
+  return server;
+}
+
+// Run if called directly: node src/mockBungieServer.js [--fixture <dir>] [--port <port>] [--host <host>]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getArg = name => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  const port = Number(getArg('--port') || process.env.PORT || DEFAULT_MOCK_SERVER_OPTIONS.port);
+  const host = getArg('--host') || DEFAULT_MOCK_SERVER_OPTIONS.host;
+
+  try {
+    const server = createMockBungieServer({ fixtureDir: getArg('--fixture') });
+    server.listen(port, host, () => {
+      console.log(`Mock Bungie API listening on http://${host}:${port} (manifest version ${server.fixture.manifestVersion || 'unknown'})`);
+      console.log(`Use it with: BUNGIE_API_BASE_URL=http://${host}:${port}${PLATFORM_PREFIX} BUNGIE_API_KEY=mock npm run export -- --no-cache`);
+    });
+  } catch (error) {
+    console.error('Failed to start mock server:', error.message);
+    console.log('Usage: node src/mockBungieServer.js [--fixture <dir>] [--port <port>] [--host <host>]');
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  DEFAULT_MOCK_SERVER_OPTIONS,
+  PLATFORM_PREFIX,
+  MOCK_SCENARIOS,
+  createEnvelope,
+  createMockBungieServer
+};
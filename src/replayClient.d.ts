@@ -0,0 +1,31 @@
+// Type declarations for replayClient.js
+
+import { ManifestClient } from './bungieClient';
+
+export const FIXTURE_INDEX_FILE: string;
+export const FIXTURE_FORMAT_VERSION: number;
+
+/** Contents of a fixture's fixture.json */
+export interface Fixture {
+  formatVersion: number;
+  /** ISO date of the recording */
+  recordedAt: string;
+  manifestVersion: string | null;
+  /** Recorded endpoints and their files, relative to the fixture directory */
+  responses: Record<string, string>;
+  /** Recorded manifest component paths and their files, relative to the fixture directory */
+  components: Record<string, string>;
+}
+
+export interface FixtureClient extends ManifestClient {
+  downloadComponent(componentPath: string): Promise<any>;
+  headers: Record<string, string>;
+  options: object;
+  fixture: Fixture;
+}
+
+export function createRecordingClient(client: ManifestClient, fixtureDir: string, options?: { recordedAt?: Date }): FixtureClient;
+export function createReplayClient(fixtureDir: string): FixtureClient;
+export function loadFixture(fixtureDir: string): Fixture;
+export function getResponseFile(endpoint: string): string;
+export function getComponentFile(componentPath: string): string;
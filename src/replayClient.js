@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { downloadManifestComponent, MANIFEST_ENDPOINT } = require('./manifest');
+
+/**
+ * Record/replay layer for the Bungie API client.
+ *
+ * A recording client wraps a live client and saves every API response and manifest
+ * component it fetches to a fixture directory. A replay client serves the same calls from
+ * that directory without network access or an API key, so an export can be re-run exactly
+ * as it was recorded (see the record and replay options of exportBuildCraftingData).
+ *
+ * Layout:
+ *   <fixtureDir>/
+ *     fixture.json                  Index: recordedAt, manifestVersion, endpoint and component files
+ *     responses/
+ *       Destiny2_Manifest.json      API response (the envelope's Response)
+ *     components/
+ *       common/destiny2_content/json/en/DestinyInventoryItemDefinition-<id>.json.gz
+ *       ...
+ * Hand-written fixtures may store components as plain .json files instead
+ * (see test/fixtures/bungie-manifest, served by mockBungieServer.js).
+ */
+
+/**
+ * Name of the fixture index file
+ */
+const FIXTURE_INDEX_FILE = 'fixture.json';
+
+/**
+ * Fixture layout version, bumped when the layout changes incompatibly
+ */
+const FIXTURE_FORMAT_VERSION = 1;
+
+/**
+ * Gets the fixture file of an API response
+ * @param {string} endpoint - API endpoint path (e.g. '/Destiny2/Manifest/')
+ * @returns {string} - Path relative to the fixture directory
+ */
+function getResponseFile(endpoint) {
+  const name = endpoint.replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^_+|_+$/g, '') || 'root';
+  return `responses/${name}.json`;
+}
+
+/**
+ * Gets the fixture file of a manifest component
+ * The component path is kept as a directory structure so locales stay apart;
+ * components are gzip-compressed because definition tables are large.
+ * @param {string} componentPath - Manifest component path
+ * @returns {string} - Path relative to the fixture directory
+ */
+function getComponentFile(componentPath) {
+  const segments = componentPath
+    .split('/')
+    .filter(segment => segment && segment !== '.' && segment !== '..')
+    .map(segment => segment.replace(/[^A-Za-z0-9._-]+/g, '_'));
+  return `components/${segments.join('/')}.gz`;
+}
+
+/**
+ * Reads the index of a fixture directory
+ * @param {string} fixtureDir - Fixture directory
+ * @returns {object} - Fixture index ({ formatVersion, recordedAt, manifestVersion, responses, components })
+ * @throws {Error} - When the directory has no fixture index or the index can't be read
+ */
+function loadFixture(fixtureDir) {
+  const indexPath = path.join(fixtureDir, FIXTURE_INDEX_FILE);
+  if (!fs.existsSync(indexPath)) {
+    throw new Error(`No recorded fixture found in ${fixtureDir} (missing ${FIXTURE_INDEX_FILE}; record one with --record)`);
+  }
+
+  let fixture;
+  try {
+    fixture = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not read fixture ${indexPath}: ${error.message}`);
+  }
+
+  if (fixture.formatVersion !== FIXTURE_FORMAT_VERSION) {
+    throw new Error(`Unsupported fixture format version in ${indexPath}: ${fixture.formatVersion} (expected ${FIXTURE_FORMAT_VERSION})`);
+  }
+  return { responses: {}, components: {}, ...fixture };
+}
+
+/**
+ * Writes a file inside the fixture directory, creating its parent directories
+ * @param {string} fixtureDir - Fixture directory
+ * @param {string} file - Path relative to the fixture directory
+ * @param {string|Buffer} contents - File contents
+ */
+function writeFixtureFile(fixtureDir, file, contents) {
+  const filePath = path.join(fixtureDir, file);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, contents);
+}
+
+/**
+ * Creates a client that records everything fetched through another client
+ * Recording starts a new fixture: an existing fixture in the directory is replaced, while a
+ * non-empty directory that isn't a fixture is left alone. The index is rewritten after each
+ * call, so an interrupted recording still replays the calls made so far.
+ * Only calls that reach the client are recorded: disable the manifest disk cache and clear the
+ * in-memory cache first (exportBuildCraftingData does both when recording).
+ * @param {object} client - Client to record (e.g. from createBungieClient)
+ * @param {string} fixtureDir - Directory to save the fixture to
+ * @param {object} options - Recording options
+ * @param {Date} options.recordedAt - Recording time stored in the fixture (default: now)
+ * @returns {object} - Client with request and downloadComponent methods
+ * @throws {Error} - When fixtureDir is a non-empty directory without a fixture
+ */
+function createRecordingClient(client, fixtureDir, options = {}) {
+  if (fs.existsSync(fixtureDir) && fs.readdirSync(fixtureDir).length > 0) {
+    if (!fs.existsSync(path.join(fixtureDir, FIXTURE_INDEX_FILE))) {
+      throw new Error(`Refusing to record into ${fixtureDir}: the directory is not empty and has no ${FIXTURE_INDEX_FILE}`);
+    }
+    for (const dir of ['responses', 'components']) {
+      fs.rmSync(path.join(fixtureDir, dir), { recursive: true, force: true });
+    }
+  }
+  fs.mkdirSync(fixtureDir, { recursive: true });
+
+  const fixture = {
+    formatVersion: FIXTURE_FORMAT_VERSION,
+    recordedAt: (options.recordedAt || new Date()).toISOString(),
+    manifestVersion: null,
+    responses: {},
+    components: {}
+  };
+
+  function saveIndex() {
+    writeFixtureFile(fixtureDir, FIXTURE_INDEX_FILE, JSON.stringify(fixture, null, 2));
+  }
+  saveIndex();
+
+  /**
+   * Requests an API endpoint through the wrapped client and records the response
+   * @param {string} endpoint - API endpoint path
+   * @returns {Promise<object>} - API response data
+   */
+  async function request(endpoint) {
+    const response = await client.request(endpoint);
+    const file = getResponseFile(endpoint);
+    writeFixtureFile(fixtureDir, file, JSON.stringify(response, null, 2));
+    fixture.responses[endpoint] = file;
+    if (endpoint === MANIFEST_ENDPOINT && response?.version) {
+      fixture.manifestVersion = response.version;
+    }
+    saveIndex();
+    return response;
+  }
+
+  /**
+   * Downloads a manifest component through the wrapped client and records it
+   * @param {string} componentPath - Manifest component path
+   * @returns {Promise<object>} - Component data
+   */
+  async function downloadComponent(componentPath) {
+    const data = await downloadManifestComponent(componentPath, client);
+    const file = getComponentFile(componentPath);
+    writeFixtureFile(fixtureDir, file, zlib.gzipSync(JSON.stringify(data)));
+    fixture.components[componentPath] = file;
+    saveIndex();
+    return data;
+  }
+
+  return {
+    request,
+    downloadComponent,
+    headers: client.headers,
+    options: client.options,
+    fixture
+  };
+}
+
+/**
+ * Creates a client that serves a recorded fixture without network access
+ * Calls that weren't recorded fail instead of falling back to the network, so a replayed
+ * export is guaranteed to use exactly the recorded data.
+ * @param {string} fixtureDir - Fixture directory (see createRecordingClient)
+ * @returns {object} - Client with request and downloadComponent methods
+ * @throws {Error} - When the directory has no readable fixture
+ */
+function createReplayClient(fixtureDir) {
+  const fixture = loadFixture(fixtureDir);
+
+  /**
+   * Reads a file of the fixture
+   * @param {string} file - Path relative to the fixture directory
+   * @returns {object} - Parsed JSON contents
+   */
+  function readFixtureFile(file) {
+    const contents = fs.readFileSync(path.join(fixtureDir, file));
+    return JSON.parse(file.endsWith('.gz') ? zlib.gunzipSync(contents).toString('utf-8') : contents.toString('utf-8'));
+  }
+
+  /**
+   * Serves a recorded API response
+   * @param {string} endpoint - API endpoint path
+   * @returns {Promise<object>} - Recorded response data
+   */
+  async function request(endpoint) {
+    const file = fixture.responses[endpoint];
+    if (!file) {
+      throw new Error(`No recorded response for ${endpoint} in fixture ${fixtureDir}`);
+    }
+    return readFixtureFile(file);
+  }
+
+  /**
+   * Serves a recorded manifest component
+   * @param {string} componentPath - Manifest component path
+   * @returns {Promise<object>} - Recorded component data
+   */
+  async function downloadComponent(componentPath) {
+    const file = fixture.components[componentPath];
+    if (!file) {
+      throw new Error(`No recorded manifest component ${componentPath} in fixture ${fixtureDir}`);
+    }
+    return readFixtureFile(file);
+  }
+
+  return {
+    request,
+    downloadComponent,
+    headers: {},
+    options: {},
+    fixture
+  };
+}
+
+module.exports = {
+  createRecordingClient,
+  createReplayClient,
+  loadFixture,
+  getResponseFile,
+  getComponentFile,
+  FIXTURE_INDEX_FILE,
+  FIXTURE_FORMAT_VERSION
+};
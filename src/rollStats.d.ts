@@ -0,0 +1,58 @@
+// Type declarations for rollStats.js
+
+import { ManifestClient } from './bungieClient';
+
+export interface InvestmentStat {
+  statTypeHash: number;
+  value: number;
+  isConditionallyActive?: boolean;
+}
+
+export interface RollStat {
+  hash: string;
+  name: string;
+  baseInvestmentValue: number;
+  investmentValue: number;
+  baseValue: number;
+  value: number;
+  /** value - baseValue */
+  delta: number;
+}
+
+export interface RollStats {
+  weaponHash: number;
+  weaponName: string;
+  plugs: Array<{ hash: number; name: string }>;
+  /** Displayed stats of the roll, keyed by stat hash */
+  stats: Record<string, RollStat>;
+}
+
+export interface RollStatsOptions {
+  /** Client to load the definitions with (default: a client for BUNGIE_API_KEY) */
+  client?: ManifestClient;
+  /** Manifest locale for stat and plug names (default: 'en') */
+  locale?: string;
+  /** Include conditionally active plug stats, e.g. crafted/adept bonuses (default: false) */
+  includeConditional?: boolean;
+}
+
+export interface RollStatComparison {
+  hash: string;
+  name: string;
+  a: number;
+  b: number;
+  /** b - a */
+  delta: number;
+}
+
+export function addInvestmentStats(totals: Record<string, number>, investmentStats?: InvestmentStat[], includeConditional?: boolean): Record<string, number>;
+export function calculateRollStats(weapon: object, plugs: object[], statDefs: object, statGroupDefs: object, options?: Pick<RollStatsOptions, 'includeConditional'>): RollStats;
+/** Loads the definitions through options.client (or a client for BUNGIE_API_KEY), then runs calculateRollStats */
+export function computeRollStats(
+  weaponHash: number | string,
+  perkHashes?: Array<number | string>,
+  masterworkHash?: number | string | null,
+  options?: RollStatsOptions
+): Promise<RollStats>;
+export function compareRollStats(rollA: RollStats, rollB: RollStats): RollStatComparison[];
+export function parseHashList(value: string): string[];
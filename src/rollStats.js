@@ -0,0 +1,207 @@
+const {
+  loadDefinitions,
+  loadStatDefinitions,
+  loadStatGroupDefinitions,
+  interpolateStatValue,
+  DEFAULT_LOCALE
+} = require('./buildCrafting');
+
+/**
+ * Perk-aware stat calculator for a specific weapon roll.
+ *
+ * The base of a roll is the weapon's stat block (stats.stats), the same values enrichItemWithStats
+ * turns into enrichedStats, and every plug (barrel, magazine, trait, masterwork, mod) lists the
+ * investment stats it adds. A roll's stats are the base plus the plug investment values, converted
+ * to displayed values with the weapon's stat group, so a roll without plugs matches the exported
+ * enrichedStats.
+ */
+
+/**
+ * Sums investment stats onto a running total
+ * Conditionally active stats (e.g. bonuses that only apply to crafted or adept weapons, or while
+ * a perk is active) are skipped unless includeConditional is set.
+ * @param {object} totals - Map of stat hash to investment value (modified in place)
+ * @param {object[]} investmentStats - Investment stats ({ statTypeHash, value, isConditionallyActive })
+ * @param {boolean} includeConditional - Whether to include conditionally active stats
+ * @returns {object} - The updated totals
+ */
+function addInvestmentStats(totals, investmentStats = [], includeConditional = false) {
+  for (const stat of investmentStats) {
+    if (stat.isConditionallyActive && !includeConditional) continue;
+    totals[stat.statTypeHash] = (totals[stat.statTypeHash] || 0) + (stat.value || 0);
+  }
+  return totals;
+}
+
+/**
+ * Calculates the stats of a weapon roll from definitions
+ * @param {object} weapon - Weapon definition (DestinyInventoryItemDefinition)
+ * @param {object[]} plugs - Plug definitions of the selected perks and masterwork
+ * @param {object} statDefs - Stat definitions (for names)
+ * @param {object} statGroupDefs - Stat group definitions (for displayed values)
+ * @param {object} options - Calculation options
+ * @param {boolean} options.includeConditional - Include conditionally active plug stats (default: false)
+ * @returns {object} - Roll with weapon hash/name, plug hashes/names and stats keyed by stat hash
+ */
+function calculateRollStats(weapon, plugs, statDefs, statGroupDefs, options = {}) {
+  const includeConditional = options.includeConditional === true;
+  const statGroup = statGroupDefs?.[weapon.stats?.statGroupHash];
+  const scaledStats = {};
+  for (const scaledStat of statGroup?.scaledStats || []) {
+    scaledStats[scaledStat.statHash] = scaledStat;
+  }
+
+  const baseTotals = {};
+  for (const [statHash, stat] of Object.entries(weapon.stats?.stats || {})) {
+    baseTotals[statHash] = stat.value || 0;
+  }
+  const rollTotals = { ...baseTotals };
+  for (const plug of plugs) {
+    addInvestmentStats(rollTotals, plug.investmentStats, includeConditional);
+  }
+
+  // Only the weapon's own stats are reported, like its enrichedStats; plug stats the weapon
+  // doesn't have (e.g. a mod's stat on another weapon type) are left out
+  const stats = {};
+  for (const statHash of Object.keys(baseTotals)) {
+    const scaledStat = scaledStats[statHash];
+    const toDisplay = value => scaledStat ? interpolateStatValue(value, scaledStat) : value;
+    const baseInvestment = baseTotals[statHash] || 0;
+    const investmentValue = rollTotals[statHash] || 0;
+    const baseValue = toDisplay(baseInvestment);
+    const value = toDisplay(investmentValue);
+
+    stats[statHash] = {
+      hash: statHash,
+      name: statDefs?.[statHash]?.displayProperties?.name || `Unknown_${statHash}`,
+      baseInvestmentValue: baseInvestment,
+      investmentValue,
+      baseValue,
+      value,
+      delta: value - baseValue
+    };
+  }
+
+  return {
+    weaponHash: weapon.hash,
+    weaponName: weapon.displayProperties?.name || '',
+    plugs: plugs.map(plug => ({ hash: plug.hash, name: plug.displayProperties?.name || '' })),
+    stats
+  };
+}
+
+/**
+ * Computes the stats of a specific weapon roll
+ * @param {number|string} weaponHash - Weapon item hash
+ * @param {Array<number|string>} perkHashes - Hashes of the selected perk plugs (barrel, magazine, traits, mods)
+ * @param {number|string} masterworkHash - Optional masterwork plug hash
+ * @param {object} options - Calculation options
+ * @param {object} options.client - Bungie API client to load the definitions with (default: a client for BUNGIE_API_KEY)
+ * @param {string} options.locale - Manifest locale for stat and plug names (default: 'en')
+ * @param {boolean} options.includeConditional - Include conditionally active plug stats (default: false)
+ * @returns {Promise<object>} - Roll stats (see calculateRollStats)
+ */
+async function computeRollStats(weaponHash, perkHashes = [], masterworkHash = null, options = {}) {
+  let client = options.client;
+  if (!client) {
+    if (!process.env.BUNGIE_API_KEY) {
+      throw new Error('computeRollStats needs a Bungie API client (options.client) or BUNGIE_API_KEY');
+    }
+    const { createBungieClient } = require('./bungieClient');
+    client = createBungieClient(process.env.BUNGIE_API_KEY);
+  }
+  const locale = options.locale || DEFAULT_LOCALE;
+  const itemDefs = await loadDefinitions(client, 'DestinyInventoryItemDefinition', locale);
+  const statDefs = await loadStatDefinitions(client, locale);
+  const statGroupDefs = await loadStatGroupDefinitions(client, locale);
+
+  const weapon = itemDefs[weaponHash];
+  if (!weapon) {
+    throw new Error(`Weapon not found: ${weaponHash}`);
+  }
+
+  const plugHashes = masterworkHash ? [...perkHashes, masterworkHash] : perkHashes;
+  const plugs = plugHashes.map(plugHash => {
+    const plug = itemDefs[plugHash];
+    if (!plug) {
+      throw new Error(`Plug not found: ${plugHash}`);
+    }
+    return plug;
+  });
+
+  return calculateRollStats(weapon, plugs, statDefs, statGroupDefs, options);
+}
+
+/**
+ * Compares the stats of two rolls of the same weapon
+ * @param {object} rollA - Roll stats from computeRollStats/calculateRollStats
+ * @param {object} rollB - Roll stats to compare against rollA
+ * @returns {object[]} - Per-stat comparison ({ hash, name, a, b, delta }), delta being b - a
+ */
+function compareRollStats(rollA, rollB) {
+  const statHashes = new Set([...Object.keys(rollA.stats), ...Object.keys(rollB.stats)]);
+  return [...statHashes].map(statHash => {
+    const a = rollA.stats[statHash]?.value ?? 0;
+    const b = rollB.stats[statHash]?.value ?? 0;
+    return {
+      hash: statHash,
+      name: rollA.stats[statHash]?.name || rollB.stats[statHash]?.name || statHash,
+      a,
+      b,
+      delta: b - a
+    };
+  });
+}
+
+/**
+ * Parses a comma-separated list of hashes
+ * @param {string} value - Hash list (e.g., '1234,5678')
+ * @returns {string[]} - Hashes
+ */
+function parseHashList(value) {
+  return (value || '').split(',').map(hash => hash.trim()).filter(Boolean);
+}
+
+// Run if called directly:
+// node src/rollStats.js <weaponHash> <perkHash,...> [masterworkHash] [--compare <perkHash,...>]
+if (require.main === module) {
+  const { createBungieClient } = require('./bungieClient');
+  const args = process.argv.slice(2);
+  const compareIndex = args.indexOf('--compare');
+  const compareHashes = compareIndex !== -1 ? parseHashList(args[compareIndex + 1]) : null;
+  const [weaponHash, perkList, masterworkHash = null] = compareIndex !== -1 ? args.slice(0, compareIndex) : args;
+
+  if (!weaponHash || !process.env.BUNGIE_API_KEY) {
+    console.error('Usage: BUNGIE_API_KEY=your_api_key node src/rollStats.js <weaponHash> <perkHash,...> [masterworkHash] [--compare <perkHash,...>]');
+    process.exit(1);
+  }
+
+  (async () => {
+    const client = createBungieClient(process.env.BUNGIE_API_KEY);
+    const roll = await computeRollStats(weaponHash, parseHashList(perkList), masterworkHash, { client });
+    console.log(`${roll.weaponName}: ${roll.plugs.map(plug => plug.name).join(', ')}`);
+
+    if (compareHashes) {
+      const other = await computeRollStats(weaponHash, compareHashes, masterworkHash, { client });
+      console.log(`  vs ${other.plugs.map(plug => plug.name).join(', ')}`);
+      for (const stat of compareRollStats(roll, other)) {
+        console.log(`  ${stat.name}: ${stat.a} -> ${stat.b} (${stat.delta > 0 ? '+' : ''}${stat.delta})`);
+      }
+    } else {
+      for (const stat of Object.values(roll.stats)) {
+        console.log(`  ${stat.name}: ${stat.value} (${stat.delta > 0 ? '+' : ''}${stat.delta})`);
+      }
+    }
+  })().catch(error => {
+    console.error('Roll stats failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  addInvestmentStats,
+  calculateRollStats,
+  computeRollStats,
+  compareRollStats,
+  parseHashList
+};
@@ -0,0 +1,337 @@
+const { CLASS_NAMES, parseClassType } = require('./buildValidation');
+const { getItemElement } = require('./csvExport');
+
+/**
+ * Full-text search across build data.
+ *
+ * Indexes item names, descriptions, perk names and descriptions (sandbox perks, intrinsic
+ * frames and weapon perk pools), flavor text and lore. Query terms match index terms exactly,
+ * by prefix ('scorch' finds 'scorched') or within a small edit distance ('incandecent' finds
+ * 'incandescent'); every query term has to match for an item to be returned. Scores are
+ * weighted by the field a term was found in, so a name match outranks a lore mention.
+ */
+
+/**
+ * Build data categories included in the index
+ */
+const SEARCH_CATEGORIES = [
+  'weapons',
+  'armor',
+  'armorMods',
+  'subclasses',
+  'aspects',
+  'fragments',
+  'abilities',
+  'artifactMods',
+  'championMods'
+];
+
+/**
+ * Score weight of a term per field it appears in
+ */
+const FIELD_WEIGHTS = {
+  name: 10,
+  perkNames: 6,
+  description: 4,
+  perkDescriptions: 3,
+  itemType: 2,
+  flavorText: 1,
+  lore: 1
+};
+
+/**
+ * Match quality multipliers
+ */
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.75,
+  fuzzy: 0.5
+};
+
+/**
+ * Default number of results
+ */
+const DEFAULT_SEARCH_LIMIT = 20;
+
+/**
+ * Splits text into lower-cased search terms
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} - Terms
+ */
+function tokenize(text) {
+  return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Levenshtein distance between two strings, giving up once it exceeds maxDistance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Largest distance of interest
+ * @returns {number} - Distance, or maxDistance + 1 when larger
+ */
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMinimum = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMinimum = Math.min(rowMinimum, current[j]);
+    }
+    if (rowMinimum > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Number of typos tolerated for a query term of a given length
+ * @param {string} term - Query term
+ * @returns {number} - Allowed edit distance
+ */
+function getAllowedEdits(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Collects the searchable text fields of an item
+ * @param {object} item - Enriched item definition
+ * @returns {object} - Text per FIELD_WEIGHTS field
+ */
+function getSearchFields(item) {
+  const perks = [
+    ...(item.enrichedPerks || []),
+    ...(item.enrichedIntrinsicPerk ? [item.enrichedIntrinsicPerk] : []),
+    ...(item.enrichedPerkPools || []).flatMap(pool => [...pool.randomPerks, ...pool.curatedPerks])
+  ];
+  const unique = values => [...new Set(values.filter(Boolean))].join('\n');
+
+  return {
+    name: item.displayProperties?.name || '',
+    description: item.displayProperties?.description || '',
+    itemType: item.itemTypeDisplayName || '',
+    perkNames: unique(perks.map(perk => perk.name)),
+    perkDescriptions: unique(perks.map(perk => perk.description)),
+    flavorText: item.flavorText || '',
+    lore: item.enrichedLore?.description || ''
+  };
+}
+
+/**
+ * Builds a search index over build data
+ * @param {object} buildData - Build data (from getAllBuildCraftingData or a JSON export)
+ * @returns {object} - Index with documents, postings (term → document id → { score, fields }) and terms
+ */
+function createSearchIndex(buildData) {
+  const documents = [];
+  const postings = new Map();
+
+  for (const category of SEARCH_CATEGORIES) {
+    for (const item of buildData[category] || []) {
+      const fields = getSearchFields(item);
+      if (!fields.name) continue;
+
+      const id = documents.length;
+      documents.push({
+        id,
+        category,
+        hash: item.hash,
+        name: fields.name,
+        element: getItemElement(item),
+        classType: item.classType,
+        tierTypeName: item.inventory?.tierTypeName || '',
+        fields
+      });
+
+      for (const [field, text] of Object.entries(fields)) {
+        for (const term of new Set(tokenize(text))) {
+          if (!postings.has(term)) postings.set(term, new Map());
+          const posting = postings.get(term).get(id) || { score: 0, fields: [] };
+          posting.score += FIELD_WEIGHTS[field];
+          posting.fields.push(field);
+          postings.get(term).set(id, posting);
+        }
+      }
+    }
+  }
+
+  return { documents, postings, terms: [...postings.keys()] };
+}
+
+let defaultIndex = null;
+
+/**
+ * Builds the search index used by search() when no index is passed
+ * @param {object} buildData - Build data
+ * @returns {object} - Search index
+ */
+function buildSearchIndex(buildData) {
+  defaultIndex = createSearchIndex(buildData);
+  return defaultIndex;
+}
+
+/**
+ * Finds the index terms a query term matches, with their match quality
+ * @param {string} queryTerm - Query term
+ * @param {object} index - Search index
+ * @param {boolean} fuzzy - Whether to allow typos
+ * @returns {object[]} - Matches as { term, quality }
+ */
+function matchTerms(queryTerm, index, fuzzy) {
+  const matches = [];
+  const allowedEdits = fuzzy ? getAllowedEdits(queryTerm) : 0;
+
+  for (const term of index.terms) {
+    if (term === queryTerm) {
+      matches.push({ term, quality: MATCH_QUALITY.exact });
+    } else if (queryTerm.length >= 2 && term.startsWith(queryTerm)) {
+      matches.push({ term, quality: MATCH_QUALITY.prefix });
+    } else if (allowedEdits > 0 && editDistance(queryTerm, term, allowedEdits) <= allowedEdits) {
+      matches.push({ term, quality: MATCH_QUALITY.fuzzy });
+    }
+  }
+  return matches;
+}
+
+/**
+ * Normalizes the category filter to build data keys ('armor-mods' and 'armorMods' both work)
+ * @param {string|string[]} category - Category or categories
+ * @returns {Set<string>|null} - Categories, or null for all
+ */
+function normalizeCategories(category) {
+  if (!category) return null;
+
+  const categories = new Set();
+  for (const name of [].concat(category)) {
+    const key = String(name).replace(/-(\w)/g, (_, letter) => letter.toUpperCase());
+    const match = SEARCH_CATEGORIES.find(candidate => candidate.toLowerCase() === key.toLowerCase());
+    if (!match) {
+      throw new Error(`Unknown search category: ${name} (expected one of ${SEARCH_CATEGORIES.join(', ')})`);
+    }
+    categories.add(match);
+  }
+  return categories;
+}
+
+/**
+ * Builds a short excerpt around the first matched term
+ * @param {object} document - Indexed document
+ * @param {string[]} fields - Fields the query matched, best first
+ * @param {Set<string>} terms - Matched index terms
+ * @returns {string} - Excerpt (empty when the match is in the name only)
+ */
+function createSnippet(document, fields, terms) {
+  for (const field of fields) {
+    if (field === 'name') continue;
+    const text = document.fields[field];
+    const lower = text.toLowerCase();
+    for (const term of terms) {
+      const position = lower.search(new RegExp(`(^|[^\\p{L}\\p{N}])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'u'));
+      if (position === -1) continue;
+
+      const start = Math.max(0, position - 60);
+      const end = Math.min(text.length, position + term.length + 60);
+      const excerpt = text.slice(start, end).replace(/\s+/g, ' ').trim();
+      return `${start > 0 ? '…' : ''}${excerpt}${end < text.length ? '…' : ''}`;
+    }
+  }
+  return '';
+}
+
+/**
+ * Searches build data
+ * @param {string} query - Search text (e.g. 'scorch' or 'incandescent')
+ * @param {object} filters - Search filters
+ * @param {string|string[]} filters.category - Restrict to categories (e.g. 'aspects', 'armor-mods')
+ * @param {string} filters.element - Restrict to an element (e.g. 'Solar')
+ * @param {string|number} filters.class - Restrict to items usable by a class (name or class type)
+ * @param {string} filters.tier - Restrict to a tier (e.g. 'Exotic')
+ * @param {number} filters.limit - Maximum number of results (default: 20)
+ * @param {boolean} filters.fuzzy - Allow typos (default: true)
+ * @param {object} index - Search index (default: the index built by buildSearchIndex)
+ * @returns {object[]} - Results as { category, hash, name, score, matchedFields, element, className, tierTypeName, snippet }, best first
+ */
+function search(query, filters = {}, index = defaultIndex) {
+  if (!index) {
+    throw new Error('Search index not built; call buildSearchIndex(buildData) first');
+  }
+
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) return [];
+
+  const categories = normalizeCategories(filters.category);
+  let classType = null;
+  if (filters.class !== undefined && filters.class !== null) {
+    classType = parseClassType(filters.class);
+    if (classType === null) {
+      throw new Error(`Invalid class: ${filters.class}`);
+    }
+  }
+
+  const isIncluded = document =>
+    (!categories || categories.has(document.category)) &&
+    (!filters.element || document.element.toLowerCase() === String(filters.element).toLowerCase()) &&
+    (classType === null || document.classType === undefined || document.classType === 3 || document.classType === classType) &&
+    (!filters.tier || document.tierTypeName.toLowerCase() === String(filters.tier).toLowerCase());
+
+  // Per document: summed score over query terms, the fields and index terms that matched
+  let candidates = null;
+  for (const queryTerm of queryTerms) {
+    const termMatches = new Map();
+    for (const { term, quality } of matchTerms(queryTerm, index, filters.fuzzy !== false)) {
+      for (const [id, posting] of index.postings.get(term)) {
+        const score = posting.score * quality;
+        const best = termMatches.get(id);
+        if (!best || score > best.score) {
+          termMatches.set(id, { score, fields: posting.fields, term });
+        }
+      }
+    }
+
+    const next = new Map();
+    for (const [id, match] of termMatches) {
+      if (candidates && !candidates.has(id)) continue;
+      const previous = candidates?.get(id) || { score: 0, fields: new Set(), terms: new Set() };
+      match.fields.forEach(field => previous.fields.add(field));
+      previous.terms.add(match.term);
+      next.set(id, { score: previous.score + match.score, fields: previous.fields, terms: previous.terms });
+    }
+    candidates = next;
+  }
+
+  const fieldOrder = Object.keys(FIELD_WEIGHTS);
+  return [...candidates.entries()]
+    .map(([id, match]) => ({ document: index.documents[id], match }))
+    .filter(({ document }) => isIncluded(document))
+    .sort((a, b) => b.match.score - a.match.score || a.document.name.localeCompare(b.document.name))
+    .slice(0, filters.limit ?? DEFAULT_SEARCH_LIMIT)
+    .map(({ document, match }) => {
+      const matchedFields = fieldOrder.filter(field => match.fields.has(field));
+      return {
+        category: document.category,
+        hash: document.hash,
+        name: document.name,
+        score: Math.round(match.score * 100) / 100,
+        matchedFields,
+        element: document.element,
+        className: CLASS_NAMES[document.classType] || '',
+        tierTypeName: document.tierTypeName,
+        snippet: createSnippet(document, matchedFields, match.terms)
+      };
+    });
+}
+
+module.exports = {
+  SEARCH_CATEGORIES,
+  FIELD_WEIGHTS,
+  tokenize,
+  editDistance,
+  createSearchIndex,
+  buildSearchIndex,
+  search
+};
@@ -0,0 +1,340 @@
+const http = require('http');
+const { DEFAULT_LOCALE } = require('./buildCrafting');
+const { ENEMY_FACTIONS, CHAMPION_TYPES, exportEnemyWeaknessData } = require('./enemyWeaknesses');
+const { loadValidationData } = require('./buildValidation');
+const { readJSONExport } = require('./jsonExport');
+const { resolveExportFileName, loadReaderOptions } = require('./exportConfig');
+const { executeGraphQL } = require('./graphqlSchema');
+const { ITEM_ROUTES, HttpError, parseInteger } = require('./itemRoutes');
+
+/**
+ * Local HTTP API over build crafting data.
+ *
+ * Serves the build data (from a JSON export directory, or fetched through the manifest cache)
+ * as read-only JSON routes:
+ *   GET /weapons?type=HAND_CANNON&slot=Energy    GET /weapons/:hash
+ *   GET /armor?class=Warlock&type=HELMET          GET /armor/:hash
+ *   GET /mods?energyCost=1                        GET /aspects?element=Strand
+ *   GET /enemies                                  GET /enemies/:faction
+ * List routes are paginated with ?page=1&pageSize=50 and accept ?name= for a name search.
+ * GraphQL queries (see graphqlSchema.js) are served at GET/POST /graphql.
+ */
+
+/**
+ * Default server options
+ */
+const DEFAULT_SERVER_OPTIONS = {
+  port: 3000,
+  host: '127.0.0.1'
+};
+
+/**
+ * Pagination defaults
+ */
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Largest accepted GraphQL request body, in bytes
+ */
+const MAX_GRAPHQL_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Paginates a list
+ * @param {object[]} items - Items to paginate
+ * @param {URLSearchParams} query - Query parameters (page, pageSize)
+ * @returns {object} - { data, page, pageSize, total, totalPages }
+ */
+function paginate(items, query) {
+  const page = query.has('page') ? parseInteger(query.get('page'), 'page') : 1;
+  const pageSize = query.has('pageSize') ? parseInteger(query.get('pageSize'), 'pageSize') : DEFAULT_PAGE_SIZE;
+  if (page < 1) {
+    throw new HttpError(400, 'Invalid page: pages start at 1');
+  }
+  if (pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new HttpError(400, `Invalid pageSize: ${pageSize} (expected 1-${MAX_PAGE_SIZE})`);
+  }
+
+  const start = (page - 1) * pageSize;
+  return {
+    data: items.slice(start, start + pageSize),
+    page,
+    pageSize,
+    total: items.length,
+    totalPages: Math.ceil(items.length / pageSize)
+  };
+}
+
+/**
+ * Handles an item list or item detail route
+ * @param {object} route - Route from ITEM_ROUTES
+ * @param {object[]} items - Items of the route's category
+ * @param {string} hash - Requested hash for detail routes (undefined for lists)
+ * @param {URLSearchParams} query - Query parameters
+ * @returns {object} - Response body
+ */
+function handleItemRoute(route, items, hash, query) {
+  if (hash !== undefined) {
+    const item = items.find(candidate => String(candidate.hash) === hash);
+    if (!item) {
+      throw new HttpError(404, `Item not found: ${hash}`);
+    }
+    return item;
+  }
+
+  let results = items;
+  for (const [parameter, value] of query.entries()) {
+    if (parameter === 'page' || parameter === 'pageSize') continue;
+    const filter = route.filters[parameter];
+    if (!filter) {
+      throw new HttpError(400, `Unknown filter: ${parameter} (supported: ${Object.keys(route.filters).join(', ')})`);
+    }
+    results = results.filter(filter(value));
+  }
+
+  return paginate(results, query);
+}
+
+/**
+ * Handles the enemy routes
+ * @param {object[]} enemyWeaknesses - Enemy weakness entries (from exportEnemyWeaknessData)
+ * @param {string} faction - Requested faction (undefined for the faction list)
+ * @returns {object} - Response body
+ */
+function handleEnemyRoute(enemyWeaknesses, faction) {
+  if (faction === undefined) {
+    return { factions: Object.values(ENEMY_FACTIONS) };
+  }
+
+  // Accept the faction key or display name, e.g. 'LUCENT_HIVE', 'Lucent Hive' or 'lucent-hive'
+  const normalized = faction.toUpperCase().replace(/[\s-]+/g, '_');
+  const entry = Object.entries(ENEMY_FACTIONS)
+    .find(([key, name]) => key === normalized || name.toUpperCase().replace(/\s+/g, '_') === normalized);
+  if (!entry) {
+    throw new HttpError(404, `Unknown faction: ${faction}`);
+  }
+  const [factionKey, factionName] = entry;
+
+  return {
+    faction: factionName,
+    shields: enemyWeaknesses.filter(weakness => weakness.faction === factionKey || weakness.faction === factionName),
+    champions: Object.values(CHAMPION_TYPES).filter(champion => champion.factions.includes(factionName))
+  };
+}
+
+/**
+ * Decodes a percent-encoded path segment
+ * @param {string} segment - Path segment
+ * @returns {string} - Decoded segment
+ * @throws {HttpError} - 400 when the segment has malformed percent-encoding (e.g. '%E0%A4%A')
+ */
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    if (error instanceof URIError) {
+      throw new HttpError(400, `Malformed URL path segment: ${segment}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Handles an API request
+ * @param {object} buildData - Build data served by the API
+ * @param {string} method - HTTP method
+ * @param {string} requestUrl - Request path and query (e.g. '/weapons?type=HAND_CANNON')
+ * @returns {object} - { status, body }
+ */
+function handleApiRequest(buildData, method, requestUrl) {
+  try {
+    if (method !== 'GET') {
+      throw new HttpError(405, `Method not allowed: ${method}`);
+    }
+
+    const url = new URL(requestUrl, 'http://localhost');
+    const [resource, id, ...rest] = url.pathname.split('/').filter(Boolean).map(decodePathSegment);
+    if (rest.length > 0) {
+      throw new HttpError(404, `Not found: ${url.pathname}`);
+    }
+
+    if (resource === undefined) {
+      return {
+        status: 200,
+        body: { routes: [...Object.keys(ITEM_ROUTES), 'enemies', 'graphql', 'health'].map(route => `/${route}`) }
+      };
+    }
+    if (resource === 'health' && id === undefined) {
+      return { status: 200, body: { status: 'ok' } };
+    }
+    if (resource === 'enemies') {
+      return { status: 200, body: handleEnemyRoute(buildData.enemyWeaknesses || [], id) };
+    }
+
+    const route = ITEM_ROUTES[resource];
+    if (!route) {
+      throw new HttpError(404, `Not found: ${url.pathname}`);
+    }
+    return { status: 200, body: handleItemRoute(route, buildData[route.category] || [], id, url.searchParams) };
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return { status: error.status, body: { error: error.message } };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Reads a request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<string>} - Body text
+ */
+function readRequestBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf-8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_GRAPHQL_BODY_SIZE) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Handles a GraphQL request: GET with ?query=&variables= or POST with a JSON { query, variables } body
+ * @param {object} buildData - Build data served by the API
+ * @param {http.IncomingMessage} req - Request
+ * @param {object} options - GraphQL context options (client, locale)
+ * @returns {Promise<object>} - { status, body }
+ */
+async function handleGraphQLRequest(buildData, req, options = {}) {
+  try {
+    let params;
+    if (req.method === 'GET') {
+      const query = new URL(req.url, 'http://localhost').searchParams;
+      params = { query: query.get('query'), variables: query.get('variables') };
+    } else if (req.method === 'POST') {
+      params = JSON.parse(await readRequestBody(req) || '{}');
+    } else {
+      throw new HttpError(405, `Method not allowed: ${req.method}`);
+    }
+
+    if (!params.query) {
+      throw new HttpError(400, 'Missing GraphQL query');
+    }
+    const variables = typeof params.variables === 'string' ? JSON.parse(params.variables) : params.variables;
+
+    const result = await executeGraphQL(buildData, params.query, variables || {}, options);
+    // Requests that fail validation never execute and carry no data
+    return { status: result.data === undefined ? 400 : 200, body: result };
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return { status: error.status, body: { errors: [{ message: error.message }] } };
+    }
+    if (error instanceof SyntaxError) {
+      return { status: 400, body: { errors: [{ message: `Invalid JSON: ${error.message}` }] } };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Creates an HTTP server for the build data API (call .listen() to start it)
+ * @param {object} buildData - Build data served by the API
+ * @param {object} options - Server options
+ * @param {object} options.client - Bungie API client, used by GraphQL to follow links to sandbox perks (optional)
+ * @param {string} options.locale - Manifest locale of those definitions (default: 'en')
+ * @returns {http.Server} - HTTP server
+ */
+function createBuildDataServer(buildData, options = {}) {
+  return http.createServer(async (req, res) => {
+    let response;
+    try {
+      response = new URL(req.url, 'http://localhost').pathname === '/graphql'
+        ? await handleGraphQLRequest(buildData, req, options)
+        : handleApiRequest(buildData, req.method, req.url);
+    } catch (error) {
+      console.error(`Error handling ${req.method} ${req.url}:`, error.message);
+      response = { status: 500, body: { error: 'Internal server error' } };
+    }
+
+    res.writeHead(response.status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(response.body));
+  });
+}
+
+/**
+ * Loads the build data to serve
+ * Reads a JSON export directory when dataDir is given, otherwise fetches the data from the
+ * Bungie API (definition tables come from the on-disk manifest cache when it is warm).
+ * @param {object} options - Load options
+ * @param {string} options.dataDir - JSON export directory (written by exportBuildCraftingData)
+ * @param {string} options.fileNameTemplate - Category file name template the export was written with (default: '{name}')
+ * @param {object} options.client - Bungie API client (when no dataDir is given)
+ * @param {string} options.apiKey - Bungie API key, used when no client is given
+ * @param {string} options.locale - Manifest locale (default: 'en')
+ * @returns {Promise<object>} - Build data
+ */
+async function loadServerData(options = {}) {
+  if (options.dataDir) {
+    const readerOptions = { fileNameTemplate: options.fileNameTemplate, locale: options.locale };
+    const buildData = loadValidationData(options.dataDir, readerOptions);
+    const enemyWeaknessFile = resolveExportFileName(options.dataDir, 'enemyWeaknesses', readerOptions);
+    buildData.enemyWeaknesses = readJSONExport(options.dataDir, enemyWeaknessFile, null) || exportEnemyWeaknessData();
+    return buildData;
+  }
+
+  if (!options.client && !options.apiKey) {
+    throw new Error('Either a data directory or a Bungie API key is required');
+  }
+
+  const { createBungieClient } = require('./bungieClient');
+  const { getAllBuildCraftingData } = require('./buildCrafting');
+  const client = options.client || createBungieClient(options.apiKey);
+  return await getAllBuildCraftingData(client, { locale: options.locale || DEFAULT_LOCALE });
+}
+
+// Run if called directly: node src/server.js [--data <dir>] [--config <export-config>] [--port <port>] [--host <host>] [--locale <locale>]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getArg = name => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  const port = Number(getArg('--port') || process.env.PORT || DEFAULT_SERVER_OPTIONS.port);
+  const host = getArg('--host') || DEFAULT_SERVER_OPTIONS.host;
+  const locale = getArg('--locale');
+
+  // With an API key, GraphQL can also follow links into the manifest (e.g. to sandbox perks)
+  const { createBungieClient } = require('./bungieClient');
+  const client = process.env.BUNGIE_API_KEY ? createBungieClient(process.env.BUNGIE_API_KEY) : null;
+
+  Promise.resolve()
+    .then(() => loadServerData({ dataDir: getArg('--data'), ...loadReaderOptions(getArg('--config')), client, locale }))
+    .then(buildData => {
+      createBuildDataServer(buildData, { client, locale }).listen(port, host, () => {
+        console.log(`Build data API listening on http://${host}:${port}`);
+      });
+    })
+    .catch(error => {
+      console.error('Failed to start server:', error.message);
+      console.log('Usage: node src/server.js --data ./data  (or set BUNGIE_API_KEY to fetch live data)');
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  DEFAULT_SERVER_OPTIONS,
+  ITEM_ROUTES,
+  HttpError,
+  handleApiRequest,
+  handleGraphQLRequest,
+  createBuildDataServer,
+  loadServerData
+};
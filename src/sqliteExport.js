@@ -0,0 +1,432 @@
+const fs = require('fs');
+const initSqlJs = require('sql.js');
+const { resolveStatName, resolveEnum, getItemElement, AMMO_TYPES, WEAPON_SLOT_BUCKETS, BREAKER_TYPES } = require('./csvExport');
+const { CLASS_NAMES } = require('./buildValidation');
+
+/**
+ * SQLite export: build data as a normalized database for SQL queries, e.g. all Solar
+ * fragments that boost Discipline:
+ *
+ *   SELECT items.name, item_stats.value
+ *   FROM items
+ *   JOIN item_stats ON item_stats.item_hash = items.hash AND item_stats.kind = 'investment'
+ *   JOIN stats ON stats.hash = item_stats.stat_hash
+ *   WHERE items.category = 'fragments' AND items.element = 'Solar'
+ *     AND stats.name = 'Discipline' AND item_stats.value > 0;
+ *
+ * Manifest hashes are the primary keys, and every foreign key points at a row that exists:
+ * referenced stats, perks, damage types and seasons missing from the build data get a row
+ * with what is known about them.
+ */
+
+/**
+ * Build data categories stored in the items table
+ */
+const ITEM_CATEGORIES = [
+  'weapons',
+  'armor',
+  'armorMods',
+  'subclasses',
+  'aspects',
+  'fragments',
+  'abilities',
+  'artifactMods',
+  'championMods'
+];
+
+/**
+ * Database schema
+ */
+const SQLITE_SCHEMA = `
+CREATE TABLE damage_types (
+  hash INTEGER PRIMARY KEY,
+  name TEXT,
+  description TEXT,
+  enum_value INTEGER,
+  icon_url TEXT,
+  color TEXT
+);
+
+CREATE TABLE seasons (
+  hash INTEGER PRIMARY KEY,
+  name TEXT,
+  season_number INTEGER,
+  start_date TEXT,
+  end_date TEXT
+);
+
+CREATE TABLE stats (
+  hash INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  description TEXT
+);
+
+CREATE TABLE perks (
+  hash INTEGER PRIMARY KEY,
+  kind TEXT NOT NULL CHECK (kind IN ('plug', 'sandbox')),
+  name TEXT NOT NULL,
+  description TEXT,
+  icon_url TEXT,
+  plug_category_identifier TEXT,
+  is_enhanced INTEGER
+);
+
+CREATE TABLE items (
+  hash INTEGER PRIMARY KEY,
+  category TEXT NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  flavor_text TEXT,
+  item_type TEXT,
+  tier_type TEXT,
+  class_type INTEGER,
+  class_name TEXT,
+  element TEXT,
+  damage_type_hash INTEGER REFERENCES damage_types (hash),
+  ammo_type TEXT,
+  weapon_slot TEXT,
+  breaker_type TEXT,
+  energy_cost INTEGER,
+  plug_category_identifier TEXT,
+  intrinsic_perk_hash INTEGER REFERENCES perks (hash),
+  season_hash INTEGER REFERENCES seasons (hash),
+  icon_url TEXT,
+  is_adept INTEGER
+);
+
+CREATE TABLE item_categories (
+  item_hash INTEGER NOT NULL REFERENCES items (hash),
+  category TEXT NOT NULL,
+  PRIMARY KEY (item_hash, category)
+);
+
+CREATE TABLE item_stats (
+  item_hash INTEGER NOT NULL REFERENCES items (hash),
+  stat_hash INTEGER NOT NULL REFERENCES stats (hash),
+  kind TEXT NOT NULL CHECK (kind IN ('stat', 'investment')),
+  value INTEGER,
+  maximum INTEGER,
+  PRIMARY KEY (item_hash, stat_hash, kind)
+);
+
+CREATE TABLE item_perks (
+  item_hash INTEGER NOT NULL REFERENCES items (hash),
+  perk_hash INTEGER NOT NULL REFERENCES perks (hash),
+  is_displayable INTEGER,
+  PRIMARY KEY (item_hash, perk_hash)
+);
+
+CREATE TABLE sockets (
+  item_hash INTEGER NOT NULL REFERENCES items (hash),
+  socket_index INTEGER NOT NULL,
+  socket_type_hash INTEGER,
+  perk_column TEXT,
+  single_initial_item_hash INTEGER,
+  randomized_plug_set_hash INTEGER,
+  reusable_plug_set_hash INTEGER,
+  PRIMARY KEY (item_hash, socket_index)
+);
+
+CREATE TABLE socket_plugs (
+  item_hash INTEGER NOT NULL,
+  socket_index INTEGER NOT NULL,
+  perk_hash INTEGER NOT NULL REFERENCES perks (hash),
+  is_random INTEGER NOT NULL,
+  is_curated INTEGER NOT NULL,
+  currently_can_roll INTEGER,
+  PRIMARY KEY (item_hash, socket_index, perk_hash),
+  FOREIGN KEY (item_hash, socket_index) REFERENCES sockets (item_hash, socket_index)
+);
+
+CREATE TABLE plug_set_members (
+  plug_set_hash INTEGER NOT NULL,
+  perk_hash INTEGER NOT NULL REFERENCES perks (hash),
+  currently_can_roll INTEGER,
+  PRIMARY KEY (plug_set_hash, perk_hash)
+);
+
+CREATE TABLE enemy_weaknesses (
+  id INTEGER PRIMARY KEY,
+  faction TEXT,
+  enemy_type TEXT,
+  shield_type TEXT,
+  effective_damage_type TEXT,
+  damage_type_hash INTEGER REFERENCES damage_types (hash),
+  notes TEXT
+);
+
+CREATE INDEX items_category ON items (category);
+CREATE INDEX items_name ON items (name);
+CREATE INDEX items_element ON items (element);
+CREATE INDEX items_damage_type ON items (damage_type_hash);
+CREATE INDEX items_season ON items (season_hash);
+CREATE INDEX item_categories_category ON item_categories (category);
+CREATE INDEX item_stats_stat ON item_stats (stat_hash);
+CREATE INDEX item_perks_perk ON item_perks (perk_hash);
+CREATE INDEX socket_plugs_perk ON socket_plugs (perk_hash);
+CREATE INDEX plug_set_members_perk ON plug_set_members (perk_hash);
+CREATE INDEX stats_name ON stats (name);
+CREATE INDEX perks_name ON perks (name);
+`;
+
+/**
+ * Converts a value to a SQLite parameter (booleans become 0/1, missing values NULL)
+ * @param {*} value - Value
+ * @returns {*} - SQLite value
+ */
+function toSqlValue(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+/**
+ * Creates an insert function for a table
+ * @param {object} db - sql.js database
+ * @param {string} table - Table name
+ * @param {string[]} columns - Column names
+ * @param {string} conflict - Conflict clause (e.g. 'OR IGNORE')
+ * @returns {function} - Inserts one row given its values in column order
+ */
+function createInsert(db, table, columns, conflict = 'OR IGNORE') {
+  const statement = db.prepare(
+    `INSERT ${conflict} INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+  );
+  return values => statement.run(values.map(toSqlValue));
+}
+
+/**
+ * Creates an in-memory database with the build data
+ * @param {object} buildData - Build data (from getAllBuildCraftingData or a JSON export)
+ * @param {object} options - Database options
+ * @param {object} options.statDefs - Stat definitions, for stats without enriched names
+ * @param {object} options.seasonDefs - Season definitions (DestinySeasonDefinition)
+ * @returns {Promise<object>} - sql.js Database; call close() when done
+ */
+async function createBuildDataDatabase(buildData, options = {}) {
+  const { statDefs = null, seasonDefs = {} } = options;
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.run('PRAGMA foreign_keys = ON');
+  db.run(SQLITE_SCHEMA);
+
+  const insertDamageType = createInsert(db, 'damage_types', ['hash', 'name', 'description', 'enum_value', 'icon_url', 'color']);
+  const insertSeason = createInsert(db, 'seasons', ['hash', 'name', 'season_number', 'start_date', 'end_date']);
+  const insertStat = createInsert(db, 'stats', ['hash', 'name', 'description']);
+  const insertPerk = createInsert(db, 'perks', ['hash', 'kind', 'name', 'description', 'icon_url', 'plug_category_identifier', 'is_enhanced']);
+  const insertItem = createInsert(db, 'items', [
+    'hash', 'category', 'name', 'description', 'flavor_text', 'item_type', 'tier_type', 'class_type', 'class_name',
+    'element', 'damage_type_hash', 'ammo_type', 'weapon_slot', 'breaker_type', 'energy_cost', 'plug_category_identifier',
+    'intrinsic_perk_hash', 'season_hash', 'icon_url', 'is_adept'
+  ]);
+  const insertItemCategory = createInsert(db, 'item_categories', ['item_hash', 'category']);
+  const insertItemStat = createInsert(db, 'item_stats', ['item_hash', 'stat_hash', 'kind', 'value', 'maximum']);
+  const insertItemPerk = createInsert(db, 'item_perks', ['item_hash', 'perk_hash', 'is_displayable']);
+  const insertSocket = createInsert(db, 'sockets', [
+    'item_hash', 'socket_index', 'socket_type_hash', 'perk_column', 'single_initial_item_hash',
+    'randomized_plug_set_hash', 'reusable_plug_set_hash'
+  ]);
+  const insertSocketPlug = createInsert(db, 'socket_plugs', [
+    'item_hash', 'socket_index', 'perk_hash', 'is_random', 'is_curated', 'currently_can_roll'
+  ]);
+  const insertPlugSetMember = createInsert(db, 'plug_set_members', ['plug_set_hash', 'perk_hash', 'currently_can_roll']);
+  const insertEnemyWeakness = createInsert(db, 'enemy_weaknesses', [
+    'faction', 'enemy_type', 'shield_type', 'effective_damage_type', 'damage_type_hash', 'notes'
+  ]);
+
+  db.run('BEGIN');
+
+  // Damage types, also looked up by enum value (subclasses and enemy weaknesses use the enum)
+  const damageTypeHashes = new Set();
+  const damageTypeByEnum = {};
+  for (const damageType of buildData.damageTypes || []) {
+    const icon = damageType.displayProperties?.icon;
+    insertDamageType([
+      damageType.hash,
+      damageType.displayProperties?.name,
+      damageType.displayProperties?.description,
+      damageType.enumValue,
+      icon ? `https://www.bungie.net${icon}` : null,
+      damageType.color ? JSON.stringify(damageType.color) : null
+    ]);
+    damageTypeHashes.add(Number(damageType.hash));
+    if (damageType.enumValue !== undefined) {
+      damageTypeByEnum[damageType.enumValue] = damageType.hash;
+    }
+  }
+  const getDamageTypeHash = item => {
+    const hash = item.defaultDamageTypeHash || item.enrichedDamageType?.hash ||
+      damageTypeByEnum[item.defaultDamageType || item.talentGrid?.hudDamageType];
+    return damageTypeHashes.has(Number(hash)) ? hash : null;
+  };
+
+  const seasonHashes = new Set();
+  const addSeason = hash => {
+    if (!hash || seasonHashes.has(hash)) return;
+    const season = seasonDefs[hash];
+    insertSeason([hash, season?.displayProperties?.name, season?.seasonNumber, season?.startDate, season?.endDate]);
+    seasonHashes.add(hash);
+  };
+
+  const statHashes = new Set();
+  const addStat = (hash, name, description) => {
+    if (statHashes.has(String(hash))) return;
+    insertStat([hash, name || resolveStatName(hash, statDefs), description || statDefs?.[hash]?.displayProperties?.description]);
+    statHashes.add(String(hash));
+  };
+
+  const addPlugPerk = perk => insertPerk([
+    perk.hash, 'plug', perk.name, perk.description, perk.icon, perk.plugCategoryIdentifier, perk.isEnhanced
+  ]);
+
+  const storedItems = new Set();
+  for (const category of ITEM_CATEGORIES) {
+    for (const item of buildData[category] || []) {
+      const name = item.displayProperties?.name;
+      if (!item.hash || !name) continue;
+
+      // Items in several categories (e.g. an artifact mod that is also a champion mod) are stored
+      // once, under their first category, and listed in item_categories under each
+      if (storedItems.has(item.hash)) {
+        insertItemCategory([item.hash, category]);
+        continue;
+      }
+      storedItems.add(item.hash);
+
+      addSeason(item.seasonHash);
+      if (item.enrichedIntrinsicPerk?.hash) {
+        addPlugPerk(item.enrichedIntrinsicPerk);
+      }
+
+      const icon = item.displayProperties?.icon;
+      insertItem([
+        item.hash,
+        category,
+        name,
+        item.displayProperties?.description,
+        item.flavorText,
+        item.itemTypeDisplayName,
+        item.inventory?.tierTypeName,
+        item.classType,
+        CLASS_NAMES[item.classType],
+        getItemElement(item),
+        getDamageTypeHash(item),
+        category === 'weapons' ? resolveEnum(item.equippingBlock?.ammoType, AMMO_TYPES) : null,
+        category === 'weapons' ? WEAPON_SLOT_BUCKETS[String(item.inventory?.bucketTypeHash || '')] : null,
+        resolveEnum(item.breakerType, BREAKER_TYPES),
+        item.plug?.energyCost?.energyCost,
+        item.plug?.plugCategoryIdentifier,
+        item.enrichedIntrinsicPerk?.hash,
+        item.seasonHash,
+        icon ? `https://www.bungie.net${icon}` : null,
+        item.isAdept
+      ]);
+      insertItemCategory([item.hash, category]);
+
+      // Stats: displayed values, and the investment stats mods, fragments and aspects grant
+      if (item.enrichedStats) {
+        for (const [statHash, stat] of Object.entries(item.enrichedStats)) {
+          addStat(statHash, stat.name, stat.description);
+          insertItemStat([item.hash, statHash, 'stat', stat.value, stat.maximum]);
+        }
+      } else {
+        for (const [statHash, stat] of Object.entries(item.stats?.stats || {})) {
+          addStat(statHash);
+          insertItemStat([item.hash, statHash, 'stat', stat.value || 0, stat.maximum]);
+        }
+      }
+      for (const stat of item.investmentStats || []) {
+        addStat(stat.statTypeHash);
+        insertItemStat([item.hash, stat.statTypeHash, 'investment', stat.value || 0, null]);
+      }
+
+      for (const perk of item.enrichedPerks || []) {
+        insertPerk([perk.hash, 'sandbox', perk.name, perk.description, perk.icon, null, null]);
+        insertItemPerk([item.hash, perk.hash, perk.isDisplayable]);
+      }
+
+      // Sockets, with the perks each weapon perk socket can roll
+      const pools = new Map((item.enrichedPerkPools || []).map(pool => [pool.socketIndex, pool]));
+      const socketEntries = item.sockets?.socketEntries || [];
+      const socketIndexes = new Set([...socketEntries.keys(), ...pools.keys()]);
+      for (const socketIndex of socketIndexes) {
+        const socket = socketEntries[socketIndex] || {};
+        const pool = pools.get(socketIndex);
+        insertSocket([
+          item.hash,
+          socketIndex,
+          socket.socketTypeHash,
+          pool?.column,
+          socket.singleInitialItemHash,
+          socket.randomizedPlugSetHash || pool?.randomizedPlugSetHash,
+          socket.reusablePlugSetHash || pool?.reusablePlugSetHash
+        ]);
+        if (!pool) continue;
+
+        // A perk can be both a random roll and the curated choice of the same socket
+        const curatedHashes = new Set(pool.curatedPerks.map(perk => perk.hash));
+        const randomPerks = new Map(pool.randomPerks.map(perk => [perk.hash, perk]));
+        for (const perk of [...pool.randomPerks, ...pool.curatedPerks]) {
+          addPlugPerk(perk);
+          insertSocketPlug([
+            item.hash,
+            socketIndex,
+            perk.hash,
+            randomPerks.has(perk.hash),
+            curatedHashes.has(perk.hash),
+            randomPerks.get(perk.hash)?.currentlyCanRoll ?? perk.currentlyCanRoll
+          ]);
+        }
+        if (pool.randomizedPlugSetHash) {
+          pool.randomPerks.forEach(perk => insertPlugSetMember([pool.randomizedPlugSetHash, perk.hash, perk.currentlyCanRoll]));
+        }
+        if (pool.reusablePlugSetHash) {
+          pool.curatedPerks.forEach(perk => insertPlugSetMember([pool.reusablePlugSetHash, perk.hash, perk.currentlyCanRoll]));
+        }
+      }
+    }
+  }
+
+  for (const weakness of buildData.enemyWeaknesses || []) {
+    const damageTypeHash = damageTypeByEnum[weakness.damageTypeEnum];
+    insertEnemyWeakness([
+      weakness.faction,
+      weakness.enemyType,
+      weakness.shieldType,
+      weakness.effectiveDamageType,
+      damageTypeHashes.has(Number(damageTypeHash)) ? damageTypeHash : null,
+      weakness.notes
+    ]);
+  }
+
+  db.run('COMMIT');
+  return db;
+}
+
+/**
+ * Export build crafting data to a SQLite database file
+ * @param {object} buildData - Build crafting data object
+ * @param {string} filename - Output filename (replaced if it exists)
+ * @param {object} options - Database options (see createBuildDataDatabase)
+ */
+async function exportToSQLite(buildData, filename, options = {}) {
+  let db;
+  try {
+    db = await createBuildDataDatabase(buildData, options);
+    const counts = db.exec('SELECT COUNT(*) FROM items')[0].values[0][0];
+    fs.writeFileSync(filename, Buffer.from(db.export()));
+    console.log(`Exported ${counts} items to ${filename}`);
+  } catch (error) {
+    console.error('Error exporting to SQLite:', error.message);
+    throw error;
+  } finally {
+    if (db) db.close();
+  }
+}
+
+module.exports = {
+  ITEM_CATEGORIES,
+  SQLITE_SCHEMA,
+  createBuildDataDatabase,
+  exportToSQLite
+};
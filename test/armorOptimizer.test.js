@@ -0,0 +1,215 @@
+const {
+  ARMOR_STATS,
+  CLASS_TYPES,
+  resolveArmorStatHash,
+  normalizeTargets,
+  getStatTier,
+  calculateWastedPoints,
+  findStatMods,
+  sumFragmentStats,
+  getSpikeDistributions,
+  computeArchetypeStats,
+  planStatMods,
+  optimizeArmorStats
+} = require('../src/armorOptimizer');
+
+/**
+ * Simple test runner
+ */
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  testsRun++;
+  try {
+    fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+function assertThrows(fn, expectedMessage) {
+  try {
+    fn();
+  } catch (error) {
+    assertEqual(error.message, expectedMessage);
+    return;
+  }
+  throw new Error('Expected function to throw');
+}
+
+/**
+ * Creates a stat mod definition
+ */
+function createStatMod(hash, name, statHash, value, energyCost) {
+  return {
+    hash,
+    displayProperties: { name },
+    plug: { plugCategoryIdentifier: 'enhancements.v2_general', energyCost: { energyCost } },
+    investmentStats: [{ statTypeHash: statHash, value, isConditionallyActive: false }]
+  };
+}
+
+const buildData = {
+  armorMods: [
+    createStatMod(1, 'Resilience Mod', ARMOR_STATS.RESILIENCE, 10, 4),
+    createStatMod(2, 'Minor Resilience Mod', ARMOR_STATS.RESILIENCE, 5, 2),
+    createStatMod(3, 'Discipline Mod', ARMOR_STATS.DISCIPLINE, 10, 3),
+    createStatMod(4, 'Discipline Mod (Discounted)', ARMOR_STATS.DISCIPLINE, 10, 2),
+    createStatMod(5, 'Minor Discipline Mod', ARMOR_STATS.DISCIPLINE, 5, 1),
+    {
+      hash: 6,
+      displayProperties: { name: 'Harmonic Siphon' },
+      plug: { energyCost: { energyCost: 1 } },
+      investmentStats: []
+    }
+  ],
+  fragments: [
+    {
+      hash: 100,
+      displayProperties: { name: 'Echo of Persistence' },
+      investmentStats: [{ statTypeHash: ARMOR_STATS.STRENGTH, value: -10 }]
+    },
+    {
+      hash: 101,
+      displayProperties: { name: 'Echo of Starvation' },
+      investmentStats: [{ statTypeHash: ARMOR_STATS.RECOVERY, value: -10 }]
+    },
+    {
+      hash: 102,
+      displayProperties: { name: 'Echo of Undermining' },
+      investmentStats: [{ statTypeHash: ARMOR_STATS.DISCIPLINE, value: 10 }]
+    }
+  ],
+  subclasses: [
+    { hash: 200, displayProperties: { name: 'Voidwalker' }, classType: CLASS_TYPES.WARLOCK },
+    { hash: 201, displayProperties: { name: 'Sentinel' }, classType: CLASS_TYPES.TITAN }
+  ]
+};
+
+console.log('\n=== Armor Optimizer Tests ===\n');
+
+test('resolveArmorStatHash accepts names and hashes', () => {
+  assertEqual(resolveArmorStatHash('resilience'), ARMOR_STATS.RESILIENCE);
+  assertEqual(resolveArmorStatHash(String(ARMOR_STATS.INTELLECT)), ARMOR_STATS.INTELLECT);
+  assertThrows(() => resolveArmorStatHash('Range'), 'Unknown armor stat: Range');
+});
+
+test('normalizeTargets rejects values outside 0-100', () => {
+  assertThrows(() => normalizeTargets({ Resilience: 110 }), 'Invalid target for Resilience: 110 (expected 0-100)');
+});
+
+test('getStatTier and calculateWastedPoints count full tiers only', () => {
+  assertEqual(getStatTier(79), 7);
+  assertEqual(getStatTier(120), 10);
+  assertEqual(getStatTier(-5), 0);
+  assertEqual(calculateWastedPoints({ a: 79, b: 104, c: 100, d: -10 }), 13);
+});
+
+test('findStatMods keeps the cheapest mod per bonus, largest bonus first', () => {
+  const statMods = findStatMods(buildData.armorMods);
+  const discipline = statMods[ARMOR_STATS.DISCIPLINE];
+  assertEqual(discipline.length, 2);
+  assertEqual(discipline[0].value, 10);
+  assertEqual(discipline[0].energyCost, 2, 'Should keep the discounted major mod');
+  assertEqual(discipline[1].value, 5);
+  assert(!Object.values(statMods).flat().some(mod => mod.hash === 6), 'Mods without stats should be ignored');
+});
+
+test('sumFragmentStats adds fragment bonuses and penalties', () => {
+  const totals = sumFragmentStats(buildData.fragments);
+  assertEqual(totals[ARMOR_STATS.STRENGTH], -10);
+  assertEqual(totals[ARMOR_STATS.DISCIPLINE], 10);
+});
+
+test('getSpikeDistributions lists every split of four pieces across three stats', () => {
+  const distributions = getSpikeDistributions();
+  assertEqual(distributions.length, 15);
+  assert(distributions.every(distribution => distribution.reduce((a, b) => a + b, 0) === 4));
+});
+
+test('computeArchetypeStats includes the archetype spikes and masterwork bonus', () => {
+  const stats = computeArchetypeStats([[4, 0, 0], [2, 2, 0]], {
+    archetypeSpike: 20, archetypeBase: 6, masterworkBonus: 2
+  });
+  assertEqual(stats[ARMOR_STATS.MOBILITY], 90, '4 spikes: 4*20 + 5*2');
+  assertEqual(stats[ARMOR_STATS.RESILIENCE], 34, 'No spikes: 4*6 + 5*2');
+  assertEqual(stats[ARMOR_STATS.DISCIPLINE], 62, '2 spikes: 2*20 + 2*6 + 5*2');
+});
+
+test('planStatMods returns null when energy is too low for the required mods', () => {
+  const statMods = findStatMods(buildData.armorMods);
+  const stats = { [ARMOR_STATS.RESILIENCE]: 90 };
+  const targets = { [ARMOR_STATS.RESILIENCE]: 100 };
+  assertEqual(planStatMods(stats, targets, statMods, {
+    energyCapacity: 10, reservedEnergy: 9, maxStatMods: 5
+  }), null);
+});
+
+test('optimizeArmorStats finds combinations that reach the targets, ranked by wasted points', () => {
+  const result = optimizeArmorStats(buildData, {
+    classType: CLASS_TYPES.WARLOCK,
+    subclass: 'Voidwalker',
+    fragments: ['Echo of Persistence', 102],
+    targets: { Resilience: 100, Discipline: 70 }
+  });
+
+  assertEqual(result.subclass, 'Voidwalker');
+  assertEqual(result.fragments.length, 2);
+  assertEqual(result.combinationsChecked, 225);
+  assert(result.results.length > 0, 'Should find feasible combinations');
+
+  for (const combination of result.results) {
+    assert(combination.stats.Resilience.value >= 100, 'Resilience target should be met');
+    assert(combination.stats.Discipline.value >= 70, 'Discipline target should be met');
+    assert(combination.mods.length <= 5, 'Should use at most one stat mod per slot');
+    assertEqual(combination.pieces.length, 4);
+  }
+
+  const wasted = result.results.map(combination => combination.wastedPoints);
+  assert(wasted.every((value, index) => index === 0 || value >= wasted[index - 1]), 'Results should be ranked by wasted points');
+});
+
+test('optimizeArmorStats reports no results for unreachable targets', () => {
+  const result = optimizeArmorStats(buildData, {
+    classType: CLASS_TYPES.TITAN,
+    targets: { Mobility: 100, Resilience: 100, Recovery: 100 }
+  });
+  assertEqual(result.results.length, 0);
+  assertEqual(result.feasibleCount, 0);
+});
+
+test('optimizeArmorStats validates the class, subclass and fragments', () => {
+  assertThrows(() => optimizeArmorStats(buildData, { classType: 5, targets: { Resilience: 50 } }),
+    'Invalid class type: 5');
+  assertThrows(() => optimizeArmorStats(buildData, { classType: CLASS_TYPES.WARLOCK, subclass: 'Sentinel', targets: { Resilience: 50 } }),
+    'Subclass Sentinel does not belong to class type 2');
+  assertThrows(() => optimizeArmorStats(buildData, { classType: CLASS_TYPES.WARLOCK, fragments: ['Unknown'], targets: { Resilience: 50 } }),
+    'Fragment not found: Unknown');
+  assertThrows(() => optimizeArmorStats(buildData, { classType: CLASS_TYPES.WARLOCK }),
+    'At least one target stat is required');
+});
+
+console.log('\n=== Test Summary ===\n');
+console.log(`Total: ${testsRun}`);
+console.log(`Passed: ${testsPassed}`);
+console.log(`Failed: ${testsFailed}`);
+
+process.exit(testsFailed > 0 ? 1 : 0);
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const arrow = require('apache-arrow');
+const parquet = require('parquet-wasm/node');
+const {
+  rowsToArrowTable,
+  createCategoryTable,
+  exportAllToColumnar
+} = require('../src/arrowExport');
+
+/**
+ * Simple test runner
+ */
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  testsRun++;
+  try {
+    fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+/**
+ * Gets the type of a column as a string (e.g. 'Int32', 'List<Utf8>')
+ */
+function columnType(table, column) {
+  const field = table.schema.fields.find(candidate => candidate.name === column);
+  assert(field, `Missing column ${column}`);
+  return String(field.type);
+}
+
+const buildData = {
+  weapons: [
+    {
+      hash: 3159615086,
+      displayProperties: { name: 'Igneous Hammer', icon: '/igneous.png' },
+      itemTypeDisplayName: 'Hand Cannon',
+      inventory: { tierTypeName: 'Legendary', bucketTypeHash: 1498876634 },
+      isAdept: false,
+      damageTypeHashes: [1847026933],
+      enrichedStats: {
+        '4043523819': { name: 'Impact', value: 84 },
+        '1240592695': { name: 'Range', value: 54 }
+      },
+      enrichedPerkPools: [
+        { column: 'trait1', randomPerks: [{ name: 'Outlaw' }, { name: 'Rampage', isEnhanced: true }], curatedPerks: [] }
+      ]
+    },
+    {
+      hash: 2,
+      displayProperties: { name: 'Funnelweb (Adept)' },
+      itemTypeDisplayName: 'Submachine Gun',
+      inventory: { tierTypeName: 'Legendary' },
+      isAdept: true,
+      enrichedStats: { '4043523819': { name: 'Impact', value: 17 } }
+    }
+  ],
+  armor: [],
+  enemyWeaknesses: [
+    { faction: 'Fallen', enemyType: 'Captain', damageTypeEnum: 3 },
+    { faction: 'Hive', enemyType: 'Champion', damageTypeEnum: 'N/A' }
+  ]
+};
+
+console.log('\n=== Arrow/Parquet Export Tests ===\n');
+
+test('createCategoryTable types stat, boolean, hash and list columns', () => {
+  const table = createCategoryTable(buildData.weapons, 'weapons');
+  assertEqual(table.numRows, 2);
+  assertEqual(columnType(table, 'hash'), 'Int64');
+  assertEqual(columnType(table, 'Impact'), 'Int32');
+  assertEqual(columnType(table, 'isAdept'), 'Bool');
+  assertEqual(columnType(table, 'name'), 'Utf8');
+  assertEqual(columnType(table, 'trait1Perks'), 'List<Utf8>');
+  assertEqual(columnType(table, 'damageTypeHashes'), 'List<Int64>');
+  assertEqual(columnType(table, 'collectibleHash'), 'Int64', 'Hash columns stay Int64 when empty');
+
+  const first = table.get(0).toJSON();
+  assertEqual(first.hash, 3159615086n);
+  assertEqual(first.Range, 54);
+  assertEqual(first.isAdept, false);
+  assertEqual([...first.trait1Perks].join(','), 'Outlaw,Rampage (Enhanced)');
+  assertEqual(first.description, null, 'Empty cells should be null');
+
+  const second = table.get(1).toJSON();
+  assertEqual(second.Range, null, 'Stats an item lacks should be null');
+  assertEqual(second.trait1Perks.length, 0, 'Missing perk pools should be empty lists');
+});
+
+test('rowsToArrowTable falls back to strings for mixed columns', () => {
+  const table = rowsToArrowTable([{ value: 3, ratio: 1 }, { value: 'N/A', ratio: 1.5 }]);
+  assertEqual(columnType(table, 'value'), 'Utf8');
+  assertEqual(table.get(0).toJSON().value, '3');
+  assertEqual(columnType(table, 'ratio'), 'Float64');
+});
+
+test('exportAllToColumnar writes one Parquet and Arrow file per category', () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arrow-export-test-'));
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    exportAllToColumnar(buildData, tempDir, null, { format: 'parquet' });
+    exportAllToColumnar(buildData, tempDir, null, { format: 'arrow', fileName: name => `${name}-en` });
+  } finally {
+    console.log = originalLog;
+  }
+
+  assertEqual(fs.readdirSync(tempDir).sort().join(','),
+    'enemy-weaknesses-en.arrow,enemy-weaknesses.parquet,weapons-en.arrow,weapons.parquet',
+    'Empty categories should be skipped');
+
+  const fromParquet = arrow.tableFromIPC(parquet.readParquet(fs.readFileSync(path.join(tempDir, 'weapons.parquet'))).intoIPCStream());
+  assertEqual(fromParquet.numRows, 2);
+  assertEqual(columnType(fromParquet, 'Impact'), 'Int32');
+  assertEqual(columnType(fromParquet, 'trait1Perks'), 'List<Utf8>');
+  assertEqual(fromParquet.get(1).toJSON().isAdept, true);
+
+  const fromArrow = arrow.tableFromIPC(fs.readFileSync(path.join(tempDir, 'enemy-weaknesses-en.arrow')));
+  assertEqual(fromArrow.get(0).toJSON().faction, 'Fallen');
+  assertEqual(columnType(fromArrow, 'damageTypeEnum'), 'Utf8');
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+console.log('\n=== Test Summary ===\n');
+console.log(`Total: ${testsRun}`);
+console.log(`Passed: ${testsPassed}`);
+console.log(`Failed: ${testsFailed}`);
+
+process.exit(testsFailed > 0 ? 1 : 0);
@@ -1,4 +1,12 @@
-const { createBungieClient } = require('../src/bungieClient');
+const {
+  createBungieClient,
+  createRateLimiter,
+  computeBackoffDelay,
+  getRetryDelay,
+  isRetryableError,
+  BungieApiError,
+  DEFAULT_CLIENT_OPTIONS
+} = require('../src/bungieClient');
 const { 
   loadManifest,
   loadDefinitions,
@@ -8,18 +16,26 @@ const {
   getAspects,
   getFragments,
   clearCache,
+  configureManifestCache,
   isArmor2_0,
   enrichItemWithStats,
+  interpolateStatValue,
   enrichItemWithPerks,
   enrichItemWithIntrinsicPerk,
+  enrichItemWithPerkPools,
+  resolveSubclassTree,
+  getSubclassElement,
+  getSubclassTreeGroup,
   enrichItemWithEnergyType,
   enrichItemWithLore,
   getCurrentSeasonNumber,
   filterUsableItems,
   ITEM_CATEGORIES,
   ARMOR_2_0_PLUG_SET_HASH,
-  ARMOR_MOD_IDENTIFIERS
+  ARMOR_MOD_IDENTIFIERS,
+  SOCKET_CATEGORIES
 } = require('../src/buildCrafting');
+const { createMockBungieServer } = require('../src/mockBungieServer');
 const fetch = require('node-fetch');
 const AbortController = require('abort-controller');
 
@@ -103,6 +119,77 @@ test('createBungieClient sets correct headers', () => {
   assertEqual(client.headers['Content-Type'], 'application/json', 'Content-Type should be JSON');
 });
 
+test('createBungieClient merges retry options with defaults', () => {
+  const client = createBungieClient('test-api-key', { retries: 5 });
+  assertEqual(client.options.retries, 5, 'Should use provided retries');
+  assertEqual(client.options.timeoutMs, DEFAULT_CLIENT_OPTIONS.timeoutMs, 'Should keep default timeout');
+});
+
+test('createBungieClient keeps defaults for undefined options and rejects invalid numbers', () => {
+  const client = createBungieClient('test-api-key', { retries: undefined, timeoutMs: undefined, maxConcurrent: undefined });
+  assertEqual(client.options.retries, DEFAULT_CLIENT_OPTIONS.retries, 'Undefined retries should keep the default');
+  assertEqual(client.options.timeoutMs, DEFAULT_CLIENT_OPTIONS.timeoutMs);
+  assertEqual(client.options.maxConcurrent, DEFAULT_CLIENT_OPTIONS.maxConcurrent);
+  assertEqual(createBungieClient('test-api-key', { retries: 0 }).options.retries, 0, 'Zero retries should be allowed');
+
+  const invalid = [
+    [{ retries: -1 }, 'Invalid Bungie client option retries: -1 (expected a finite number >= 0)'],
+    [{ timeoutMs: Infinity }, 'Invalid Bungie client option timeoutMs: Infinity (expected a finite number >= 0)'],
+    [{ retryBaseDelayMs: '1000' }, 'Invalid Bungie client option retryBaseDelayMs: 1000 (expected a finite number >= 0)'],
+    [{ minRequestIntervalMs: NaN }, 'Invalid Bungie client option minRequestIntervalMs: NaN (expected a finite number >= 0)'],
+    [{ maxConcurrent: 0 }, 'Invalid Bungie client option maxConcurrent: 0 (expected at least 1)']
+  ];
+  for (const [options, message] of invalid) {
+    try {
+      createBungieClient('test-api-key', options);
+      throw new Error('Should have thrown');
+    } catch (error) {
+      assertEqual(error.message, message);
+    }
+  }
+});
+
+test('createBungieClient resolves base URLs and the user agent from options', () => {
+  const client = createBungieClient('test-api-key', { baseUrl: 'https://mirror.example/Platform/', userAgent: 'BuildExporter/1.0' });
+  assertEqual(client.options.baseUrl, 'https://mirror.example/Platform', 'Should drop the trailing slash');
+  assertEqual(client.options.contentBaseUrl, 'https://mirror.example', 'Content should default to the origin of baseUrl');
+  assertEqual(client.headers['User-Agent'], 'BuildExporter/1.0');
+  const defaults = createBungieClient('test-api-key');
+  assertEqual(defaults.options.baseUrl, 'https://www.bungie.net/Platform');
+  assertEqual(defaults.options.contentBaseUrl, 'https://www.bungie.net');
+  assert(!('User-Agent' in defaults.headers), 'Should not set a User-Agent by default');
+});
+
+test('isRetryableError retries throttling and maintenance error codes', () => {
+  assert(isRetryableError(new BungieApiError('throttled', { status: 200, errorCode: 36 })), 'ErrorCode 36 should retry');
+  assert(isRetryableError(new BungieApiError('throttled', { status: 200, errorCode: 51 })), 'ErrorCode 51 should retry');
+  assert(isRetryableError(new BungieApiError('maintenance', { status: 503, errorCode: 5 })), 'SystemDisabled should retry');
+  assert(!isRetryableError(new BungieApiError('not found', { status: 200, errorCode: 1601 })), 'Other error codes should not retry');
+});
+
+test('isRetryableError retries 5xx, 429 and network resets but not 4xx', () => {
+  assert(isRetryableError(new BungieApiError('server', { status: 502 })), '502 should retry');
+  assert(isRetryableError(new BungieApiError('rate', { status: 429 })), '429 should retry');
+  assert(isRetryableError(new BungieApiError('reset', { code: 'ECONNRESET' })), 'ECONNRESET should retry');
+  assert(isRetryableError(new BungieApiError('timeout', { code: 'ETIMEDOUT' })), 'Timeouts should retry');
+  assert(!isRetryableError(new BungieApiError('forbidden', { status: 403 })), '403 should not retry');
+});
+
+test('computeBackoffDelay grows exponentially and respects the maximum', () => {
+  const options = { retryBaseDelayMs: 1000, retryMaxDelayMs: 5000 };
+  assertEqual(computeBackoffDelay(0, options, () => 0), 500, 'Minimum jitter is half the base delay');
+  assertEqual(computeBackoffDelay(0, options, () => 1), 1000, 'Maximum jitter is the full base delay');
+  assertEqual(computeBackoffDelay(2, options, () => 1), 4000, 'Delay doubles per attempt');
+  assertEqual(computeBackoffDelay(10, options, () => 1), 5000, 'Delay is capped');
+});
+
+test('getRetryDelay waits at least ThrottleSeconds', () => {
+  const options = { retryBaseDelayMs: 1000, retryMaxDelayMs: 5000 };
+  const error = new BungieApiError('throttled', { errorCode: 36, throttleSeconds: 10 });
+  assertEqual(getRetryDelay(error, 0, options, () => 1), 10000, 'Should honor ThrottleSeconds');
+  assertEqual(getRetryDelay(new BungieApiError('server', { status: 500 }), 0, options, () => 1), 1000);
+});
+
 test('ITEM_CATEGORIES has correct values', () => {
   assertEqual(ITEM_CATEGORIES.WEAPON, 1, 'Weapon category should be 1');
   assertEqual(ITEM_CATEGORIES.ARMOR, 20, 'Armor category should be 20');
@@ -197,6 +284,55 @@ test('enrichItemWithStats adds enriched stats to item', () => {
   assertEqual(enriched.enrichedStats['2996146975'].value, 10, 'Stat value should be 10');
 });
 
+test('interpolateStatValue interpolates between display points and clamps to the table', () => {
+  const scaledStat = {
+    statHash: 1240592695,
+    maximumValue: 100,
+    displayInterpolation: [
+      { value: 0, weight: 10 },
+      { value: 100, weight: 60 }
+    ]
+  };
+  
+  assertEqual(interpolateStatValue(50, scaledStat), 35, 'Should interpolate linearly');
+  assertEqual(interpolateStatValue(33, scaledStat), 27, 'Should round to the nearest integer');
+  assertEqual(interpolateStatValue(-5, scaledStat), 10, 'Should clamp below the first point');
+  assertEqual(interpolateStatValue(150, scaledStat), 60, 'Should clamp above the last point');
+  assertEqual(interpolateStatValue(500, { maximumValue: 100, displayInterpolation: [] }), 100,
+    'Should cap at maximumValue');
+});
+
+test('enrichItemWithStats applies the stat group to carry investment and displayed values', () => {
+  const item = {
+    stats: {
+      statGroupHash: 777,
+      stats: {
+        '1240592695': { statHash: 1240592695, value: 50 },
+        '4284893193': { statHash: 4284893193, value: 540 }
+      }
+    }
+  };
+  const statDefs = {
+    '1240592695': { displayProperties: { name: 'Range' } },
+    '4284893193': { displayProperties: { name: 'Rounds Per Minute' } }
+  };
+  const statGroupDefs = {
+    '777': {
+      scaledStats: [
+        { statHash: 1240592695, maximumValue: 100, displayInterpolation: [{ value: 0, weight: 10 }, { value: 100, weight: 60 }] }
+      ]
+    }
+  };
+  
+  const enriched = enrichItemWithStats(item, statDefs, statGroupDefs);
+  const range = enriched.enrichedStats['1240592695'];
+  assertEqual(range.investmentValue, 50, 'Should keep the investment value');
+  assertEqual(range.displayValue, 35, 'Should compute the displayed value');
+  assertEqual(range.value, 35, 'value should be the displayed value');
+  assertEqual(range.displayMaximum, 100, 'Should take displayMaximum from the stat group');
+  assertEqual(enriched.enrichedStats['4284893193'].value, 540, 'Stats outside the stat group should be unchanged');
+});
+
 test('enrichItemWithIntrinsicPerk resolves intrinsic perk from item definitions', () => {
   const item = {
     sockets: {
@@ -240,6 +376,168 @@ test('enrichItemWithIntrinsicPerk returns item unchanged when intrinsic not foun
   assert(enriched.enrichedIntrinsicPerk === undefined, 'Should not have enrichedIntrinsicPerk when not found');
 });
 
+test('enrichItemWithPerkPools resolves random and curated perks per column', () => {
+  const item = {
+    sockets: {
+      socketEntries: [
+        { singleInitialItemHash: 1, socketTypeHash: 111 },
+        { singleInitialItemHash: 10, randomizedPlugSetHash: 500 },
+        { singleInitialItemHash: 20, randomizedPlugSetHash: 501 },
+        { singleInitialItemHash: 30, randomizedPlugSetHash: 502 },
+        { singleInitialItemHash: 40, randomizedPlugSetHash: 503 }
+      ],
+      socketCategories: [
+        { socketCategoryHash: SOCKET_CATEGORIES.INTRINSIC_TRAITS, socketIndexes: [0] },
+        { socketCategoryHash: SOCKET_CATEGORIES.WEAPON_PERKS, socketIndexes: [1, 2, 3, 4] }
+      ]
+    }
+  };
+  const plugSetDefs = {
+    '500': { reusablePlugItems: [{ plugItemHash: 10, currentlyCanRoll: true }, { plugItemHash: 11, currentlyCanRoll: false }] },
+    '501': { reusablePlugItems: [{ plugItemHash: 20 }] },
+    '502': { reusablePlugItems: [{ plugItemHash: 30 }, { plugItemHash: 31 }] },
+    '503': { reusablePlugItems: [{ plugItemHash: 40 }] }
+  };
+  const itemDefs = {
+    '10': { displayProperties: { name: 'Arrowhead Brake' }, plug: { plugCategoryIdentifier: 'barrels' } },
+    '11': { displayProperties: { name: 'Smallbore' }, plug: { plugCategoryIdentifier: 'barrels' } },
+    '20': { displayProperties: { name: 'Tactical Mag' }, plug: { plugCategoryIdentifier: 'magazines' } },
+    '30': { displayProperties: { name: 'Outlaw', description: '' }, plug: { plugCategoryIdentifier: 'frames' }, perks: [{ perkHash: 900 }] },
+    '31': { displayProperties: { name: 'Outlaw' }, itemTypeDisplayName: 'Enhanced Trait', plug: { plugCategoryIdentifier: 'frames' } },
+    '40': { displayProperties: { name: 'Rampage' }, plug: { plugCategoryIdentifier: 'frames' } }
+  };
+  const perkDefs = {
+    '900': { displayProperties: { description: 'Precision kills greatly decrease reload time.' } }
+  };
+  
+  const enriched = enrichItemWithPerkPools(item, plugSetDefs, itemDefs, perkDefs);
+  const columns = enriched.enrichedPerkPools.map(pool => pool.column);
+  assertEqual(columns.join(','), 'barrel,magazine,trait1,trait2', 'Should map perk sockets to columns in order');
+  
+  const barrel = enriched.enrichedPerkPools[0];
+  assertEqual(barrel.randomPerks.length, 2, 'Should resolve every perk in the random plug set');
+  assertEqual(barrel.randomPerks[1].currentlyCanRoll, false, 'Should keep currentlyCanRoll from the plug set');
+  assertEqual(barrel.curatedPerks[0].name, 'Arrowhead Brake', 'Should fall back to singleInitialItemHash for curated perks');
+  
+  const trait1 = enriched.enrichedPerkPools[2];
+  assertEqual(trait1.randomPerks[0].description, 'Precision kills greatly decrease reload time.',
+    'Should fall back to the sandbox perk description');
+  assertEqual(trait1.randomPerks[1].isEnhanced, true, 'Should flag enhanced perks');
+  assertEqual(trait1.randomPerks[0].isEnhanced, false);
+});
+
+test('enrichItemWithPerkPools ignores items without a weapon perks socket category', () => {
+  const item = {
+    hash: 1,
+    sockets: {
+      socketEntries: [{ singleInitialItemHash: 10, randomizedPlugSetHash: 500 }],
+      socketCategories: [{ socketCategoryHash: 590099826, socketIndexes: [0] }]
+    }
+  };
+  
+  const enriched = enrichItemWithPerkPools(item, { '500': { reusablePlugItems: [] } }, {});
+  assert(enriched.enrichedPerkPools === undefined, 'Should not have enrichedPerkPools');
+});
+
+test('getSubclassTreeGroup classifies subclass plug categories', () => {
+  assertEqual(getSubclassTreeGroup('titan.arc.supers'), 'supers');
+  assertEqual(getSubclassTreeGroup('shared.void.grenades'), 'grenades');
+  assertEqual(getSubclassTreeGroup('hunter.prismatic.class_abilities'), 'classAbilities');
+  assertEqual(getSubclassTreeGroup('hunter.prismatic.aspects'), 'aspects');
+  assertEqual(getSubclassTreeGroup('shared.solar.fragments'), 'fragments');
+  assertEqual(getSubclassTreeGroup('frames'), null);
+});
+
+test('resolveSubclassTree groups socket plug sets and counts fragment slots', () => {
+  const subclass = {
+    hash: 1,
+    displayProperties: { name: 'Voidwalker' },
+    classType: 2,
+    sockets: {
+      socketEntries: [
+        { reusablePlugSetHash: 10 },
+        { reusablePlugSetHash: 11 },
+        { reusablePlugSetHash: 12 },
+        { reusablePlugSetHash: 12 },
+        { reusablePlugSetHash: 13 },
+        { reusablePlugSetHash: 13 },
+        { reusablePlugSetHash: 13 },
+        { reusablePlugSetHash: 13 },
+        { reusablePlugSetHash: 13 },
+        { reusablePlugItems: [{ plugItemHash: 400 }] }
+      ]
+    }
+  };
+  const plugSetDefs = {
+    '10': { reusablePlugItems: [{ plugItemHash: 100 }, { plugItemHash: 101 }] },
+    '11': { reusablePlugItems: [{ plugItemHash: 200 }] },
+    '12': { reusablePlugItems: [{ plugItemHash: 300 }, { plugItemHash: 301 }, { plugItemHash: 302 }] },
+    '13': { reusablePlugItems: [{ plugItemHash: 500 }, { plugItemHash: 501 }] }
+  };
+  const itemDefs = {
+    '100': { hash: 100, displayProperties: { name: 'Nova Bomb: Cataclysm' }, plug: { plugCategoryIdentifier: 'warlock.void.supers' } },
+    '101': { hash: 101, displayProperties: { name: 'Nova Warp' }, plug: { plugCategoryIdentifier: 'warlock.void.supers' } },
+    '200': { hash: 200, displayProperties: { name: 'Vortex Grenade' }, plug: { plugCategoryIdentifier: 'shared.void.grenades' } },
+    '300': { hash: 300, displayProperties: { name: 'Chaos Accelerant' }, plug: { plugCategoryIdentifier: 'warlock.void.aspects', energyCapacity: { capacityValue: 2 } } },
+    '301': { hash: 301, displayProperties: { name: 'Feed the Void' }, plug: { plugCategoryIdentifier: 'warlock.void.aspects', energyCapacity: { capacityValue: 2 } } },
+    '302': { hash: 302, displayProperties: { name: 'Child of the Old Gods' }, plug: { plugCategoryIdentifier: 'warlock.void.aspects', energyCapacity: { capacityValue: 1 } } },
+    '400': { hash: 400, displayProperties: { name: 'Healing Rift' }, plug: { plugCategoryIdentifier: 'warlock.void.class_abilities' } },
+    '500': { hash: 500, displayProperties: { name: 'Empty Fragment Socket' }, plug: { plugCategoryIdentifier: 'shared.void.fragments.empty' } },
+    '501': { hash: 501, displayProperties: { name: 'Echo of Persistence' }, plug: { plugCategoryIdentifier: 'shared.void.fragments' } }
+  };
+  
+  const tree = resolveSubclassTree(subclass, itemDefs, plugSetDefs);
+  assertEqual(tree.name, 'Voidwalker');
+  assertEqual(tree.element, 'Void', 'Should infer the element from plug categories');
+  assertEqual(tree.supers.length, 2);
+  assertEqual(tree.grenades[0].name, 'Vortex Grenade');
+  assertEqual(tree.classAbilities[0].name, 'Healing Rift', 'Should read reusablePlugItems');
+  assertEqual(tree.aspects.length, 3, 'Aspects shared by both aspect sockets should be listed once');
+  assertEqual(tree.aspects[2].fragmentSlots, 1);
+  assertEqual(tree.aspectSockets, 2);
+  assertEqual(tree.fragmentSockets, 5);
+  assertEqual(tree.fragments.length, 1, 'Empty socket placeholders should be skipped');
+  assertEqual(tree.maxFragmentSlots, 4, 'Two best aspects grant 2 + 2 fragment slots');
+});
+
+test('resolveSubclassTree skips empty socket placeholders that share the real category', () => {
+  const subclass = {
+    hash: 2,
+    displayProperties: { name: 'Prismatic Hunter' },
+    classType: 1,
+    sockets: {
+      socketEntries: [
+        { reusablePlugSetHash: 20, singleInitialItemHash: 600 },
+        { reusablePlugSetHash: 21, singleInitialItemHash: 700 }
+      ]
+    }
+  };
+  const plugSetDefs = {
+    '20': { reusablePlugItems: [{ plugItemHash: 600 }, { plugItemHash: 601 }, { plugItemHash: 602 }] },
+    '21': { reusablePlugItems: [{ plugItemHash: 700 }, { plugItemHash: 701 }] }
+  };
+  const itemDefs = {
+    '600': { hash: 600, displayProperties: { name: 'Aspektsockel (leer)' }, plug: { plugCategoryIdentifier: 'hunter.prismatic.aspects' } },
+    '601': { hash: 601, displayProperties: { name: 'On the Prowl' }, plug: { plugCategoryIdentifier: 'hunter.void.aspects', energyCapacity: { capacityValue: 2 } } },
+    '602': { hash: 602, displayProperties: { name: 'Winter\'s Shroud' }, plug: { plugCategoryIdentifier: 'hunter.prismatic.aspects', energyCapacity: { capacityValue: 2 } } },
+    '700': { hash: 700, displayProperties: { name: 'Empty Fragment Socket' }, plug: { plugCategoryIdentifier: 'shared.prismatic.fragments' } },
+    '701': { hash: 701, displayProperties: { name: 'Facet of Courage' }, plug: { plugCategoryIdentifier: 'shared.prismatic.fragments' } }
+  };
+  
+  const tree = resolveSubclassTree(subclass, itemDefs, plugSetDefs);
+  assertEqual(tree.aspects.map(aspect => aspect.name).join(','), 'On the Prowl,Winter\'s Shroud', 'The socket\'s initial placeholder should be skipped');
+  assertEqual(tree.fragments.map(fragment => fragment.name).join(','), 'Facet of Courage');
+  assertEqual(tree.element, 'Prismatic', 'A reused Void aspect should not make the tree Void');
+});
+
+test('getSubclassElement reads the element from the subclass item', () => {
+  assertEqual(getSubclassElement({ talentGrid: { hudDamageType: 7 } }, ['hunter.arc.aspects']), 'Strand');
+  assertEqual(getSubclassElement({ defaultDamageTypeHash: 3454344768 }), 'Void');
+  assertEqual(getSubclassElement({ talentGrid: { hudDamageType: 1 } }, ['hunter.solar.aspects', 'shared.prismatic.fragments']), 'Prismatic');
+  assertEqual(getSubclassElement({}, ['warlock.void.supers']), 'Void', 'Should fall back to the plug categories');
+  assertEqual(getSubclassElement({}), '');
+});
+
 test('filterUsableItems filters out redacted items', () => {
   const items = [
     { displayProperties: { name: 'Valid Item' }, equippable: true, redacted: false },
@@ -457,28 +755,97 @@ test('ARMOR_MOD_IDENTIFIERS contains expected patterns', () => {
   assert(ARMOR_MOD_IDENTIFIERS.includes('armor_tier'), 'Should include armor_tier');
 });
 
-// Integration Tests (require network access)
+// Async unit tests (no network access required)
+async function runAsyncUnitTests() {
+  await asyncTest('createRateLimiter never exceeds maxConcurrent', async () => {
+    const limiter = createRateLimiter({ maxConcurrent: 2, minRequestIntervalMs: 0 });
+    let running = 0;
+    let peak = 0;
+    const task = async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running--;
+      return running;
+    };
+    await Promise.all([1, 2, 3, 4, 5].map(() => limiter.schedule(task)));
+    assertEqual(peak, 2, 'Should run at most two tasks at once');
+  });
+  
+  await asyncTest('createRateLimiter spaces out task starts', async () => {
+    const limiter = createRateLimiter({ maxConcurrent: 5, minRequestIntervalMs: 20 });
+    const starts = [];
+    await Promise.all([1, 2, 3].map(() => limiter.schedule(async () => starts.push(Date.now()))));
+    assert(starts[2] - starts[0] >= 35, 'Three starts should span at least two intervals');
+  });
+  
+  await asyncTest('createRateLimiter propagates task errors', async () => {
+    const limiter = createRateLimiter({ maxConcurrent: 1 });
+    try {
+      await limiter.schedule(async () => { throw new Error('boom'); });
+      throw new Error('Should have thrown');
+    } catch (error) {
+      assertEqual(error.message, 'boom');
+    }
+    assertEqual(await limiter.schedule(async () => 'ok'), 'ok', 'Limiter should keep working after an error');
+  });
+  
+  await asyncTest('createBungieClient sends requests and component downloads through the injected fetch', async () => {
+    const calls = [];
+    const agent = { name: 'proxy-agent' };
+    const fakeFetch = async (url, init) => {
+      calls.push({ url, init });
+      const body = url.endsWith('/Destiny2/Manifest/') ? { ErrorCode: 1, Response: { version: '1' } } : { 1: { hash: 1 } };
+      return { ok: true, status: 200, statusText: 'OK', json: async () => body };
+    };
+    const client = createBungieClient('test-api-key', {
+      baseUrl: 'https://mirror.example/Platform',
+      contentBaseUrl: 'https://cdn.example/',
+      fetch: fakeFetch,
+      userAgent: 'BuildExporter/1.0',
+      agent,
+      minRequestIntervalMs: 0
+    });
+    assertEqual((await client.request('/Destiny2/Manifest/')).version, '1');
+    assertEqual((await client.downloadComponent('/common/destiny2_content/json/en/DestinyStatDefinition-1.json'))[1].hash, 1);
+    assertEqual(calls.map(call => call.url).join(' '),
+      'https://mirror.example/Platform/Destiny2/Manifest/ https://cdn.example/common/destiny2_content/json/en/DestinyStatDefinition-1.json');
+    for (const { init } of calls) {
+      assertEqual(init.headers['X-API-Key'], 'test-api-key');
+      assertEqual(init.headers['User-Agent'], 'BuildExporter/1.0');
+      assertEqual(init.agent, agent, 'Should pass the agent to fetch');
+    }
+  });
+}
+
+// Integration Tests: against the live API when BUNGIE_API_KEY is set, otherwise against the
+// mock Bungie API server and its synthetic fixture (see mockBungieServer.js)
 async function runIntegrationTests() {
   console.log('\n=== Integration Tests ===\n');
   
-  const apiKey = process.env.BUNGIE_API_KEY;
+  let apiKey = process.env.BUNGIE_API_KEY;
+  let mockServer = null;
   
   if (!apiKey) {
-    console.log('Skipping integration tests - BUNGIE_API_KEY environment variable not set');
-    return;
-  }
-  
-  // Check if we can reach the Bungie API with AbortController for timeout
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 5000);
-  
-  try {
-    await fetch('https://www.bungie.net', { method: 'HEAD', signal: controller.signal });
-  } catch (error) {
-    console.log('Skipping integration tests - cannot reach Bungie API (network unavailable)');
-    return;
-  } finally {
-    clearTimeout(timeoutId);
+    console.log('BUNGIE_API_KEY not set - running integration tests against the mock Bungie API server');
+    mockServer = createMockBungieServer();
+    await new Promise(resolve => mockServer.listen(0, '127.0.0.1', resolve));
+    process.env.BUNGIE_API_BASE_URL = `http://127.0.0.1:${mockServer.address().port}/Platform`;
+    configureManifestCache({ enabled: false }); // Keep the synthetic tables out of the manifest cache
+    apiKey = 'mock-api-key';
+  } else {
+    // Check if we can reach the Bungie API with AbortController for timeout
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 5000);
+    
+    try {
+      await fetch('https://www.bungie.net', { method: 'HEAD', signal: controller.signal });
+    } catch (error) {
+      console.log('Skipping integration tests - cannot reach Bungie API (network unavailable)');
+      return;
+    } finally {
+      clearTimeout(timeoutId);
+    }
   }
   
   const client = createBungieClient(apiKey);
@@ -533,9 +900,16 @@ async function runIntegrationTests() {
     // Current season should be a reasonable number (Destiny 2 started at Season 1)
     assert(seasonNumber >= 1 && seasonNumber <= 100, 'Season number should be between 1 and 100');
   });
+  
+  if (mockServer) {
+    await new Promise(resolve => mockServer.close(resolve));
+    delete process.env.BUNGIE_API_BASE_URL;
+  }
 }
 
 async function runAllTests() {
+  await runAsyncUnitTests();
+  
   try {
     await runIntegrationTests();
   } catch (error) {
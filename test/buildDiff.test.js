@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  loadSnapshot,
+  diffItem,
+  diffCategory,
+  diffBuildData,
+  generateChangeRows,
+  formatDiffAsMarkdown,
+  writeDiffReport
+} = require('../src/buildDiff');
+const { transformItemForCSV } = require('../src/csvExport');
+
+/**
+ * Simple test runner
+ */
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  testsRun++;
+  try {
+    fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+/**
+ * Creates a minimal enriched weapon for diffing
+ */
+function createWeapon(hash, name, range, perks = []) {
+  return {
+    hash,
+    displayProperties: { name, description: '' },
+    itemTypeDisplayName: 'Hand Cannon',
+    enrichedStats: {
+      '1240592695': { hash: '1240592695', name: 'Range', value: range }
+    },
+    enrichedPerks: perks.map((perkName, index) => ({ hash: index, name: perkName, isDisplayable: true }))
+  };
+}
+
+console.log('\n=== Build Diff Tests ===\n');
+
+test('diffItem returns null for identical items', () => {
+  const weapon = createWeapon(1, 'Ace of Spades', 50, ['Memento Mori']);
+  assertEqual(diffItem(weapon, createWeapon(1, 'Ace of Spades', 50, ['Memento Mori'])), null);
+});
+
+test('diffItem reports stat deltas from enrichedStats', () => {
+  const change = diffItem(createWeapon(1, 'Ace of Spades', 50), createWeapon(1, 'Ace of Spades', 55));
+  assertEqual(change.statChanges.length, 1, 'Should report one stat change');
+  assertEqual(change.statChanges[0].name, 'Range');
+  assertEqual(change.statChanges[0].oldValue, 50);
+  assertEqual(change.statChanges[0].newValue, 55);
+  assertEqual(change.statChanges[0].delta, 5);
+});
+
+test('diffItem reports added and removed perks', () => {
+  const change = diffItem(
+    createWeapon(1, 'Ace of Spades', 50, ['Memento Mori', 'Firefly']),
+    createWeapon(1, 'Ace of Spades', 50, ['Memento Mori', 'Outlaw'])
+  );
+  assertEqual(change.perksAdded.join(','), 'Outlaw');
+  assertEqual(change.perksRemoved.join(','), 'Firefly');
+});
+
+test('diffItem reports renamed items as field changes', () => {
+  const change = diffItem(createWeapon(1, 'Old Name', 50), createWeapon(1, 'New Name', 50));
+  assertEqual(change.fieldChanges[0].field, 'name');
+  assertEqual(change.name, 'New Name', 'Should use the current name');
+});
+
+test('diffCategory matches items by hash', () => {
+  const result = diffCategory(
+    [createWeapon(1, 'Kept', 50), createWeapon(2, 'Removed', 40)],
+    [createWeapon(1, 'Kept', 60), createWeapon(3, 'Added', 30)]
+  );
+  assertEqual(result.added.length, 1);
+  assertEqual(result.added[0].name, 'Added');
+  assertEqual(result.removed.length, 1);
+  assertEqual(result.removed[0].name, 'Removed');
+  assertEqual(result.changed.length, 1);
+  assertEqual(result.changed[0].hash, 1);
+});
+
+test('diffBuildData totals changes across categories and skips missing categories', () => {
+  const diff = diffBuildData(
+    { weapons: [createWeapon(1, 'A', 50)] },
+    { weapons: [createWeapon(1, 'A', 51)], armor: [{ hash: 9, displayProperties: { name: 'Helmet' } }] }
+  );
+  assertEqual(diff.totals.changed, 1);
+  assertEqual(diff.totals.added, 1);
+  assertEqual(diff.categories.armor.added[0].name, 'Helmet');
+});
+
+test('generateChangeRows produces one row per change with readable details', () => {
+  const diff = diffBuildData({ weapons: [createWeapon(1, 'A', 50)] }, { weapons: [createWeapon(1, 'A', 45)] });
+  const rows = generateChangeRows(diff);
+  assertEqual(rows.length, 1);
+  assertEqual(rows[0].category, 'Weapons');
+  assertEqual(rows[0].changeType, 'Changed');
+  assertEqual(rows[0].details, 'Range: 50 → 45 (-5)');
+});
+
+test('change rows pass through transformItemForCSV unchanged', () => {
+  const row = { category: 'Weapons', changeType: 'Added', hash: 1, name: 'A', details: '' };
+  assertEqual(transformItemForCSV(row, 'changes'), row);
+});
+
+test('formatDiffAsMarkdown lists changes per category and escapes pipes', () => {
+  const diff = diffBuildData(
+    { weapons: [createWeapon(1, 'A|B', 50)] },
+    { weapons: [createWeapon(1, 'A|B', 52), createWeapon(2, 'New Gun', 40)] },
+    { oldLabel: 'week-1', newLabel: 'week-2' }
+  );
+  const markdown = formatDiffAsMarkdown(diff);
+  assert(markdown.includes('**week-1** → **week-2**'), 'Should include labels');
+  assert(markdown.includes('## Weapons'), 'Should include category heading');
+  assert(markdown.includes('- New Gun (2)'), 'Should list added items');
+  assert(markdown.includes('A\\|B'), 'Should escape pipes in table cells');
+  assert(!markdown.includes('## Armor'), 'Should skip categories without changes');
+});
+
+test('loadSnapshot and writeDiffReport round-trip through JSON export files', () => {
+  const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-diff-test-'));
+  const oldDir = path.join(testDir, 'old');
+  const newDir = path.join(testDir, 'new');
+  fs.mkdirSync(oldDir);
+  fs.mkdirSync(newDir);
+  fs.writeFileSync(path.join(oldDir, 'weapons.json'), JSON.stringify([createWeapon(1, 'A', 50)]));
+  fs.writeFileSync(path.join(newDir, 'weapons.json'), JSON.stringify([createWeapon(1, 'A', 60)]));
+
+  const originalLog = console.log;
+  console.log = () => {};
+  let files;
+  try {
+    const diff = diffBuildData(loadSnapshot(oldDir), loadSnapshot(newDir));
+    files = writeDiffReport(diff, newDir);
+  } finally {
+    console.log = originalLog;
+  }
+
+  const written = JSON.parse(fs.readFileSync(files.json, 'utf-8'));
+  assertEqual(written.totals.changed, 1, 'changes.json should contain the diff');
+  assert(fs.readFileSync(files.markdown, 'utf-8').includes('Range: 50 → 60 (+10)'), 'changes.md should describe stat deltas');
+  fs.rmSync(testDir, { recursive: true, force: true });
+});
+
+test('loadSnapshot throws for a missing directory', () => {
+  try {
+    loadSnapshot(path.join(os.tmpdir(), 'does-not-exist-build-diff'));
+    throw new Error('Should have thrown');
+  } catch (error) {
+    assert(error.message.startsWith('Snapshot directory not found'), 'Should explain the missing directory');
+  }
+});
+
+console.log('\n=== Test Summary ===\n');
+console.log(`Total: ${testsRun}`);
+console.log(`Passed: ${testsPassed}`);
+console.log(`Failed: ${testsFailed}`);
+
+process.exit(testsFailed > 0 ? 1 : 0);
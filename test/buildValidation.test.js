@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { VALIDATION_ERRORS, parseClassType, validateBuild, loadValidationData } = require('../src/buildValidation');
+
+/**
+ * Simple test runner
+ */
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  testsRun++;
+  try {
+    fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+/**
+ * Gets the error codes of a validation result
+ */
+function codes(result) {
+  return result.errors.map(error => error.code);
+}
+
+const buildData = {
+  weapons: [
+    { hash: 1, displayProperties: { name: 'Ace of Spades' }, classType: 3, inventory: { tierType: 6 } },
+    { hash: 2, displayProperties: { name: 'Gjallarhorn' }, classType: 3, inventory: { tierType: 6 } },
+    { hash: 3, displayProperties: { name: 'Fatebringer' }, classType: 3, inventory: { tierType: 5 } }
+  ],
+  armor: [
+    { hash: 10, displayProperties: { name: 'Contraverse Hold' }, classType: 2, inventory: { tierType: 6 } },
+    { hash: 11, displayProperties: { name: 'Nezarec\'s Sin' }, classType: 2, inventory: { tierType: 6 } },
+    { hash: 12, displayProperties: { name: 'Iron Helm' }, classType: 0, inventory: { tierType: 5 } },
+    { hash: 13, displayProperties: { name: 'Warlock Robes' }, classType: 2, inventory: { tierType: 5 }, energy: { energyCapacity: 10 } }
+  ],
+  armorMods: [
+    { hash: 20, displayProperties: { name: 'Resilience Mod' }, plug: { energyCost: { energyCost: 4 } } },
+    { hash: 21, displayProperties: { name: 'Harmonic Siphon' }, plug: { energyCost: { energyCost: 1 } } },
+    { hash: 22, displayProperties: { name: 'Font of Might' }, plug: { energyCost: { energyCost: 6 } } }
+  ],
+  subclasses: [
+    { hash: 100, displayProperties: { name: 'Voidwalker' }, classType: 2 },
+    { hash: 101, displayProperties: { name: 'Sentinel' }, classType: 0 }
+  ],
+  subclassTrees: [
+    {
+      hash: 100,
+      name: 'Voidwalker',
+      classType: 2,
+      aspectSockets: 2,
+      supers: [{ hash: 200, name: 'Nova Bomb: Cataclysm' }],
+      grenades: [{ hash: 201, name: 'Vortex Grenade' }],
+      melees: [],
+      classAbilities: [{ hash: 202, name: 'Healing Rift' }],
+      movement: [],
+      aspects: [
+        { hash: 300, name: 'Chaos Accelerant', fragmentSlots: 2 },
+        { hash: 301, name: 'Feed the Void', fragmentSlots: 2 },
+        { hash: 302, name: 'Child of the Old Gods', fragmentSlots: 1 }
+      ],
+      fragments: [
+        { hash: 400, name: 'Echo of Persistence' },
+        { hash: 401, name: 'Echo of Starvation' },
+        { hash: 402, name: 'Echo of Undermining' },
+        { hash: 403, name: 'Echo of Instability' }
+      ]
+    },
+    { hash: 101, name: 'Sentinel', classType: 0, aspects: [{ hash: 310, name: 'Bastion', fragmentSlots: 2 }], fragments: [] }
+  ]
+};
+
+const validBuild = {
+  classType: 'Warlock',
+  subclass: 'Voidwalker',
+  abilities: ['Nova Bomb: Cataclysm', 'Vortex Grenade', 202],
+  aspects: ['Chaos Accelerant', 'Feed the Void'],
+  fragments: ['Echo of Persistence', 'Echo of Starvation', 'Echo of Undermining', 'Echo of Instability'],
+  weapons: ['Ace of Spades', 'Fatebringer'],
+  armor: [
+    { item: 'Contraverse Hold', mods: ['Resilience Mod', 'Harmonic Siphon'] },
+    { item: 13, mods: ['Font of Might'] }
+  ]
+};
+
+console.log('\n=== Build Validation Tests ===\n');
+
+test('parseClassType accepts enum values and names', () => {
+  assertEqual(parseClassType(2), 2);
+  assertEqual(parseClassType('hunter'), 1);
+  assertEqual(parseClassType('Guardian'), null);
+});
+
+test('validateBuild accepts a valid loadout', () => {
+  const result = validateBuild(validBuild, buildData);
+  assertEqual(result.valid, true, JSON.stringify(result.errors));
+  assertEqual(result.errors.length, 0);
+});
+
+test('validateBuild reports a build that is not an object', () => {
+  for (const [build, type] of [[null, 'null'], [undefined, 'undefined'], ['Voidwalker', 'string'], [[validBuild], 'an array']]) {
+    const result = validateBuild(build, buildData);
+    assertEqual(result.valid, false);
+    assertEqual(JSON.stringify(result.errors), JSON.stringify([
+      { code: VALIDATION_ERRORS.INVALID_BUILD, message: `Build must be an object, got ${type}`, path: '' }
+    ]));
+  }
+});
+
+test('validateBuild rejects more than one exotic weapon and armor piece', () => {
+  const result = validateBuild({
+    ...validBuild,
+    weapons: ['Ace of Spades', 'Gjallarhorn'],
+    armor: ['Contraverse Hold', 11]
+  }, buildData);
+  assertEqual(result.valid, false);
+  assert(codes(result).includes(VALIDATION_ERRORS.MULTIPLE_EXOTIC_WEAPONS));
+  assert(codes(result).includes(VALIDATION_ERRORS.MULTIPLE_EXOTIC_ARMOR));
+});
+
+test('validateBuild checks fragment count against aspect slots', () => {
+  const result = validateBuild({ ...validBuild, aspects: ['Chaos Accelerant', 'Child of the Old Gods'] }, buildData);
+  assertEqual(codes(result).join(','), VALIDATION_ERRORS.TOO_MANY_FRAGMENTS);
+  assertEqual(result.errors[0].path, 'fragments');
+});
+
+test('validateBuild checks aspect sockets and duplicate plugs', () => {
+  const result = validateBuild({
+    ...validBuild,
+    aspects: ['Chaos Accelerant', 'Feed the Void', 'Child of the Old Gods'],
+    fragments: ['Echo of Persistence', 'Echo of Persistence']
+  }, buildData);
+  assert(codes(result).includes(VALIDATION_ERRORS.TOO_MANY_ASPECTS));
+  assert(codes(result).includes(VALIDATION_ERRORS.DUPLICATE_PLUG));
+});
+
+test('validateBuild checks mod energy against armor capacity', () => {
+  const result = validateBuild({
+    ...validBuild,
+    armor: [{ item: 13, mods: ['Font of Might', 'Resilience Mod', 'Harmonic Siphon'] }]
+  }, buildData);
+  assertEqual(codes(result).join(','), VALIDATION_ERRORS.MOD_ENERGY_EXCEEDED);
+  assertEqual(result.errors[0].hash, 13);
+  assertEqual(result.errors[0].path, 'armor[0].mods');
+});
+
+test('validateBuild checks class-restricted items', () => {
+  const result = validateBuild({ ...validBuild, armor: ['Iron Helm'] }, buildData);
+  assertEqual(codes(result).join(','), VALIDATION_ERRORS.CLASS_MISMATCH);
+  assertEqual(result.errors[0].path, 'armor[0]');
+});
+
+test('validateBuild rejects plugs that belong to another subclass', () => {
+  const result = validateBuild({ ...validBuild, aspects: ['Chaos Accelerant', 'Bastion'] }, buildData);
+  assert(codes(result).includes(VALIDATION_ERRORS.PLUG_NOT_IN_SUBCLASS));
+  assertEqual(result.errors.find(error => error.code === VALIDATION_ERRORS.PLUG_NOT_IN_SUBCLASS).path, 'aspects[1]');
+});
+
+test('validateBuild reports unknown items and invalid classes', () => {
+  const result = validateBuild({ classType: 'Guardian', subclass: 'Nightstalker', weapons: ['Nope'] }, buildData);
+  assertEqual(codes(result).join(','), [
+    VALIDATION_ERRORS.INVALID_CLASS,
+    VALIDATION_ERRORS.UNKNOWN_ITEM,
+    VALIDATION_ERRORS.UNKNOWN_ITEM
+  ].join(','));
+});
+
+test('validateBuild rejects plugs when no subclass tree can be resolved', () => {
+  const missing = validateBuild({ ...validBuild, subclass: undefined, abilities: [], aspects: ['Chaos Acelerant'], fragments: ['Echo of Persistence'] }, buildData);
+  assertEqual(codes(missing).join(','), [VALIDATION_ERRORS.SUBCLASS_REQUIRED, VALIDATION_ERRORS.SUBCLASS_REQUIRED].join(','));
+  assertEqual(missing.errors.map(error => error.path).join(','), 'aspects[0],fragments[0]');
+
+  const noTree = { ...buildData, subclassTrees: [] };
+  const result = validateBuild({ ...validBuild, abilities: ['Vortex Grenade'], aspects: [], fragments: [] }, noTree);
+  assertEqual(codes(result).join(','), VALIDATION_ERRORS.SUBCLASS_REQUIRED);
+  assertEqual(result.errors[0].message, "Vortex Grenade can't be checked: no subclass tree found for Voidwalker");
+  assertEqual(result.errors[0].path, 'abilities[0]');
+});
+
+test('loadValidationData reads subclass trees from an export directory', () => {
+  const exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-validation-test-'));
+  try {
+    fs.writeFileSync(path.join(exportDir, 'weapons.json'), JSON.stringify(buildData.weapons));
+    fs.writeFileSync(path.join(exportDir, 'subclass-trees.json'), JSON.stringify(buildData.subclassTrees));
+    const data = loadValidationData(exportDir);
+    assertEqual(data.weapons.length, 3);
+    assertEqual(data.subclassTrees.length, 2);
+    assertEqual(data.armor.length, 0, 'Missing files should load as empty categories');
+  } finally {
+    fs.rmSync(exportDir, { recursive: true, force: true });
+  }
+});
+
+console.log('\n=== Test Summary ===\n');
+console.log(`Total: ${testsRun}`);
+console.log(`Passed: ${testsPassed}`);
+console.log(`Failed: ${testsFailed}`);
+
+process.exit(testsFailed > 0 ? 1 : 0);
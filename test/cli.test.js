@@ -0,0 +1,308 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  EXIT_CODES,
+  resolveExportFormats,
+  buildExportOptions,
+  formatItem,
+  formatHelp,
+  run
+} = require('../src/cli');
+const { loadExportConfig } = require('../src/exportConfig');
+const { writeCachedTable } = require('../src/manifestCache');
+
+/**
+ * Simple test runner
+ */
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  testsRun++;
+  try {
+    fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  testsRun++;
+  try {
+    await fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+function assertThrows(fn, expectedMessage) {
+  try {
+    fn();
+  } catch (error) {
+    assertEqual(error.message, expectedMessage);
+    return;
+  }
+  throw new Error('Expected function to throw');
+}
+
+/**
+ * Runs the CLI with console output captured
+ */
+async function runCli(argv) {
+  const output = [];
+  const originalLog = console.log;
+  const originalError = console.error;
+  console.log = (...args) => output.push(args.join(' '));
+  console.error = (...args) => output.push(args.join(' '));
+  try {
+    const exitCode = await run(argv);
+    return { exitCode, output: output.join('\n') };
+  } finally {
+    console.log = originalLog;
+    console.error = originalError;
+  }
+}
+
+// Commands must not reach the Bungie API from tests
+delete process.env.BUNGIE_API_KEY;
+
+const weapon = {
+  hash: 1,
+  displayProperties: { name: 'Igneous Hammer', description: 'Forged in fire.' },
+  itemTypeDisplayName: 'Hand Cannon',
+  classType: 3,
+  inventory: { tierTypeName: 'Legendary' },
+  enrichedDamageType: { name: 'Solar' },
+  enrichedStats: { '1': { name: 'Range', value: 54 }, '2': { name: 'Unused', value: 0 } },
+  enrichedIntrinsicPerk: { name: 'Aggressive Frame' },
+  enrichedPerkPools: [{ column: 'trait1', randomPerks: [{ name: 'Outlaw' }, { name: 'Incandescent' }], curatedPerks: [] }]
+};
+
+console.log('\n=== CLI Tests ===\n');
+
+test('resolveExportFormats defaults to JSON and CSV and adds format flags', () => {
+  assertEqual(resolveExportFormats({}).join(','), 'json,csv');
+  assertEqual(resolveExportFormats({ excel: true, 'excel-master': true }).join(','), 'json,csv,excel,excel-master');
+  assertEqual(resolveExportFormats({ format: ['csv,excel-master'], 'google-sheets': true }).join(','), 'csv,excel-master,google-sheets');
+  assertEqual(resolveExportFormats({ format: ['json', 'csv'] }).join(','), 'json,csv');
+  assertEqual(resolveExportFormats({ 'csv-only': true }).join(','), 'csv');
+  assertEqual(resolveExportFormats({ format: ['json'], sqlite: true, parquet: true }).join(','), 'json,sqlite,parquet');
+});
+
+test('resolveExportFormats rejects conflicting and unknown formats', () => {
+  assertThrows(() => resolveExportFormats({ 'json-only': true, 'csv-only': true }), '--json-only cannot be combined with --csv-only');
+  assertThrows(() => resolveExportFormats({ 'csv-only': true, excel: true }), '--csv-only cannot be combined with --excel');
+  assertThrows(() => resolveExportFormats({ format: ['json,pdf'] }), 'Unknown export format: pdf (expected json, csv, excel, excel-master, google-sheets, sqlite, parquet, arrow)');
+});
+
+test('buildExportOptions maps formats and validates dependent options', () => {
+  const options = buildExportOptions({ format: ['json'], 'excel-master': true, locale: 'de,FR', 'cache-dir': '/tmp/cache' });
+  assertEqual(options.json, true);
+  assertEqual(options.csv, false);
+  assertEqual(options.excelMaster, true);
+  assertEqual(options.locales.join(','), 'de,fr');
+  assertEqual(options.cacheDir, '/tmp/cache');
+  assertThrows(() => buildExportOptions({ 'google-sheets-credentials': 'creds.json' }),
+    '--google-sheets-credentials requires the google-sheets format');
+  assertThrows(() => buildExportOptions({ 'no-cache': true, 'cache-dir': '/tmp/cache' }), '--no-cache cannot be combined with --cache-dir');
+  const ndjson = buildExportOptions({ 'json-format': 'ndjson', gzip: true });
+  assertEqual(ndjson.jsonFormat, 'ndjson');
+  assertEqual(ndjson.gzip, true);
+  assertThrows(() => buildExportOptions({ 'json-format': 'jsonl' }), 'Unknown JSON format: jsonl (expected json, ndjson)');
+  assertThrows(() => buildExportOptions({ 'csv-only': true, gzip: true }), '--gzip requires the json format');
+  assertEqual(buildExportOptions({ 'no-validate': true }).validate, false);
+  assertEqual(buildExportOptions({}).validate, undefined, 'Exports validate by default');
+  assertEqual(buildExportOptions({ replay: 'fixtures/week-42' }).replay, 'fixtures/week-42');
+  assertThrows(() => buildExportOptions({ record: 'a', replay: 'b' }), '--record cannot be combined with --replay');
+});
+
+test('buildExportOptions starts from the export config and lets flags override it', () => {
+  const { options: configOptions } = loadExportConfig(path.join(__dirname, '..', 'd2data.config.yml'));
+  const options = buildExportOptions({ 'google-sheets': true, locale: 'de' }, { ...configOptions, categories: ['weapons'] });
+  assertEqual(options.json && options.csv && options.excel && options.excelMaster, true, 'Config formats should be kept');
+  assertEqual(options.googleSheets, true, 'Format flags should add to the config formats');
+  assertEqual(options.categories.join(','), 'weapons');
+  assertEqual(options.locales.join(','), 'de');
+  assertEqual(buildExportOptions({ columns: 'compact' }, configOptions).columnProfile, 'compact');
+  assertThrows(() => buildExportOptions({ columns: 'tiny' }), 'Unknown column profile: tiny (expected full, compact)');
+  const csvOnly = buildExportOptions({ 'csv-only': true }, configOptions);
+  assertEqual(csvOnly.csv && !csvOnly.json && !csvOnly.excelMaster, true, 'Format selections should replace the config formats');
+});
+
+test('formatItem summarizes an item', () => {
+  const text = formatItem(weapon, 'weapons');
+  assert(text.startsWith('Igneous Hammer (weapons, hash 1)'), 'Should start with name, category and hash');
+  assert(text.includes('Hand Cannon | Legendary | Solar'), 'Should list type, tier and element');
+  assert(text.includes('Stats: Range 54'), 'Should list non-zero stats');
+  assert(!text.includes('Unused'), 'Should skip zero stats');
+  assert(text.includes('trait1: Outlaw, Incandescent'), 'Should list perk pools');
+});
+
+test('formatHelp lists commands and command options', () => {
+  const help = formatHelp();
+  ['export', 'search', 'diff', 'show', 'cache'].forEach(command => {
+    assert(help.includes(`  ${command} `), `Should list ${command}`);
+  });
+  assert(formatHelp('export').includes('--format <value>'), 'Should list export options');
+});
+
+async function runAsyncTests() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+  const oldDir = path.join(tempDir, 'old');
+  const newDir = path.join(tempDir, 'new');
+  fs.mkdirSync(oldDir);
+  fs.mkdirSync(newDir);
+  fs.writeFileSync(path.join(oldDir, 'weapons.json'), JSON.stringify([weapon]));
+  fs.writeFileSync(path.join(newDir, 'weapons.json'), JSON.stringify([
+    weapon,
+    { hash: 2, displayProperties: { name: 'Funnelweb' }, itemTypeDisplayName: 'Submachine Gun' }
+  ]));
+
+  await asyncTest('invalid command lines exit with the usage code', async () => {
+    assertEqual((await runCli([])).exitCode, EXIT_CODES.USAGE);
+    const unknownCommand = await runCli(['launch']);
+    assertEqual(unknownCommand.exitCode, EXIT_CODES.USAGE);
+    assert(unknownCommand.output.includes('Unknown command: launch'));
+
+    const unknownOption = await runCli(['export', '--jsonn']);
+    assertEqual(unknownOption.exitCode, EXIT_CODES.USAGE);
+    assert(unknownOption.output.includes("Unknown option '--jsonn'"), 'Should name the unknown option');
+    assert(unknownOption.output.includes('Usage: d2data export'), 'Should print the command usage');
+
+    assertEqual((await runCli(['export', '--locale'])).exitCode, EXIT_CODES.USAGE, 'Missing option value');
+    assertEqual((await runCli(['export', '--locale', 'xx'])).exitCode, EXIT_CODES.USAGE, 'Unsupported locale');
+    assertEqual((await runCli(['export', './a', './b'])).exitCode, EXIT_CODES.USAGE, 'Extra argument');
+    assertEqual((await runCli(['search'])).exitCode, EXIT_CODES.USAGE, 'Missing query');
+    assertEqual((await runCli(['cache', 'purge'])).exitCode, EXIT_CODES.USAGE, 'Unknown cache action');
+  });
+
+  await asyncTest('help and version exit successfully', async () => {
+    const help = await runCli(['help', 'search']);
+    assertEqual(help.exitCode, EXIT_CODES.SUCCESS);
+    assert(help.output.includes('Usage: d2data search <query> [options]'));
+    assertEqual((await runCli(['show', '--help'])).exitCode, EXIT_CODES.SUCCESS);
+    assert((await runCli(['--version'])).output.match(/^\d+\.\d+\.\d+$/), 'Should print the package version');
+  });
+
+  await asyncTest('export fails without an API key', async () => {
+    const result = await runCli(['export', path.join(tempDir, 'export'), '--json-only']);
+    assertEqual(result.exitCode, EXIT_CODES.FAILURE);
+    assert(result.output.includes('BUNGIE_API_KEY environment variable is not set'));
+  });
+
+  await asyncTest('export replays only recorded fixtures', async () => {
+    const result = await runCli(['export', path.join(tempDir, 'export'), '--json-only', '--replay', path.join(tempDir, 'no-fixture')]);
+    assertEqual(result.exitCode, EXIT_CODES.FAILURE);
+    assert(result.output.includes('No recorded fixture found'), result.output);
+  });
+
+  await asyncTest('export fails on an invalid config file', async () => {
+    const configFile = path.join(tempDir, 'd2data.config.json');
+    fs.writeFileSync(configFile, JSON.stringify({ formats: ['pdf'] }));
+    const result = await runCli(['export', '--config', configFile]);
+    assertEqual(result.exitCode, EXIT_CODES.FAILURE);
+    assert(result.output.includes('Unknown format(s): pdf'));
+  });
+
+  await asyncTest('show prints an item from an export directory', async () => {
+    const result = await runCli(['show', '1', '--data', oldDir]);
+    assertEqual(result.exitCode, EXIT_CODES.SUCCESS);
+    assert(result.output.includes('Igneous Hammer (weapons, hash 1)'));
+
+    const json = await runCli(['show', '1', '--data', oldDir, '--json']);
+    assertEqual(JSON.parse(json.output).hash, 1);
+
+    const missing = await runCli(['show', '999', '--data', oldDir]);
+    assertEqual(missing.exitCode, EXIT_CODES.FAILURE);
+    assert(missing.output.includes('Item not found: 999'));
+  });
+
+  await asyncTest('search prints ranked results', async () => {
+    const result = await runCli(['search', 'outlaw', '--data', oldDir, '--category', 'weapons']);
+    assertEqual(result.exitCode, EXIT_CODES.SUCCESS);
+    assert(result.output.includes('[weapons] Igneous Hammer (Solar, Legendary)'));
+    assertEqual((await runCli(['search', 'outlaw', '--data', oldDir, '--limit', 'many'])).exitCode, EXIT_CODES.USAGE);
+  });
+
+  await asyncTest('diff writes a change report', async () => {
+    const reportDir = path.join(tempDir, 'report');
+    const result = await runCli(['diff', oldDir, newDir, reportDir]);
+    assertEqual(result.exitCode, EXIT_CODES.SUCCESS);
+    const report = JSON.parse(fs.readFileSync(path.join(reportDir, 'changes.json'), 'utf-8'));
+    assertEqual(report.totals.added, 1);
+
+    assertEqual((await runCli(['diff', oldDir, path.join(tempDir, 'missing')])).exitCode, EXIT_CODES.FAILURE);
+  });
+
+  await asyncTest('show and diff read templated exports with --config', async () => {
+    const templatedDir = path.join(tempDir, 'templated');
+    const configFile = path.join(tempDir, 'templated.json');
+    fs.mkdirSync(templatedDir);
+    fs.writeFileSync(path.join(templatedDir, 'weapons-2026-10-18.json'), JSON.stringify([weapon]));
+    fs.writeFileSync(configFile, JSON.stringify({ fileNames: { category: '{name}-{date}' } }));
+
+    assertEqual((await runCli(['show', '1', '--data', templatedDir])).exitCode, EXIT_CODES.FAILURE, 'Default names should not match');
+    const result = await runCli(['show', '1', '--data', templatedDir, '--config', configFile]);
+    assertEqual(result.exitCode, EXIT_CODES.SUCCESS);
+    assert(result.output.includes('Igneous Hammer (weapons, hash 1)'));
+
+    const newTemplatedDir = path.join(tempDir, 'templated-new');
+    fs.mkdirSync(newTemplatedDir);
+    fs.copyFileSync(path.join(newDir, 'weapons.json'), path.join(newTemplatedDir, 'weapons-2026-10-25.json'));
+    assertEqual((await runCli(['diff', templatedDir, newTemplatedDir, '--config', configFile])).exitCode, EXIT_CODES.SUCCESS);
+    const report = JSON.parse(fs.readFileSync(path.join(newTemplatedDir, 'changes.json'), 'utf-8'));
+    assertEqual(JSON.stringify(report.totals), JSON.stringify({ added: 1, removed: 0, changed: 0 }), 'Templated files should be compared');
+  });
+
+  await asyncTest('cache clear removes the cache directory', async () => {
+    const cacheDir = path.join(tempDir, 'cache');
+    writeCachedTable(cacheDir, 'v1', 'DestinyStatDefinition', {});
+    const result = await runCli(['cache', 'clear', '--cache-dir', cacheDir]);
+    assertEqual(result.exitCode, EXIT_CODES.SUCCESS);
+    assert(result.output.includes('(1 manifest version(s))'), result.output);
+    assert(!fs.existsSync(cacheDir), 'Cache directory should be removed');
+  });
+
+  await asyncTest('cache clear refuses directories that are not manifest caches', async () => {
+    const projectDir = path.join(tempDir, 'project');
+    fs.mkdirSync(path.join(projectDir, 'src'), { recursive: true });
+    fs.writeFileSync(path.join(projectDir, 'src', 'index.js'), '');
+    const result = await runCli(['cache', 'clear', '--cache-dir', projectDir]);
+    assertEqual(result.exitCode, EXIT_CODES.FAILURE);
+    assert(result.output.includes(`Refusing to clear ${projectDir}`), result.output);
+    assert(fs.existsSync(path.join(projectDir, 'src', 'index.js')), 'Files should be kept');
+  });
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+runAsyncTests().then(() => {
+  console.log('\n=== Test Summary ===\n');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+});
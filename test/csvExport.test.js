@@ -1,6 +1,9 @@
 const fs = require('fs');
 const path = require('path');
-const { transformItemForCSV, transformItemsForCSV, STAT_HASHES, resolveStatName, AMMO_TYPES, ENERGY_TYPE_NAMES, WEAPON_SLOT_BUCKETS, BREAKER_TYPES, DAMAGE_TYPE_NAMES, STAT_DESCRIPTIONS, extractElementFromPlugCategory, generateStatReference } = require('../src/csvExport');
+const { transformItemForCSV, transformItemsForCSV, STAT_HASHES, resolveStatName, AMMO_TYPES, ENERGY_TYPE_NAMES, WEAPON_SLOT_BUCKETS, BREAKER_TYPES, DAMAGE_TYPE_NAMES, STAT_DESCRIPTIONS, extractElementFromPlugCategory, generateStatReference, generateSubclassTreeRows, selectColumns, resolveColumnProfile, COLUMN_PROFILES, getColumnSchema, transformItemsForTable, extractStatColumns } = require('../src/csvExport');
+const ExcelJS = require('exceljs');
+const { addWorksheet } = require('../src/excelExport');
+const { dataToSheetValues } = require('../src/googleSheetsExport');
 
 /**
  * Simple test runner
@@ -480,6 +483,66 @@ test('transformItemForCSV includes enrichedIntrinsicPerk for weapons', () => {
   assertEqual(transformed.intrinsicPerkHash, 999);
 });
 
+test('transformItemForCSV includes perk pool columns for weapons', () => {
+  const item = {
+    hash: 205,
+    displayProperties: { name: 'Test Weapon' },
+    enrichedPerkPools: [
+      {
+        column: 'barrel',
+        randomPerks: [
+          { name: 'Arrowhead Brake', isEnhanced: false, currentlyCanRoll: true },
+          { name: 'Smallbore', isEnhanced: false, currentlyCanRoll: false }
+        ],
+        curatedPerks: [{ name: 'Arrowhead Brake', isEnhanced: false, currentlyCanRoll: true }]
+      },
+      {
+        column: 'trait1',
+        randomPerks: [
+          { name: 'Outlaw', description: 'Faster reload.', isEnhanced: false, currentlyCanRoll: true },
+          { name: 'Outlaw', description: 'Faster reload.', isEnhanced: true, currentlyCanRoll: true }
+        ],
+        curatedPerks: []
+      },
+      {
+        column: 'originTrait',
+        randomPerks: [],
+        curatedPerks: [{ name: 'Veist Stinger', isEnhanced: false, currentlyCanRoll: true }]
+      }
+    ]
+  };
+
+  const transformed = transformItemForCSV(item, 'weapons');
+  assertEqual(transformed.barrelPerks, 'Arrowhead Brake', 'Should leave out perks that can no longer roll');
+  assertEqual(transformed.trait1Perks, 'Outlaw, Outlaw (Enhanced)', 'Should mark enhanced perks');
+  assertEqual(transformed.originTraitPerks, 'Veist Stinger', 'Should fall back to curated perks');
+  assertEqual(transformed.curatedPerks, 'barrel: Arrowhead Brake | originTrait: Veist Stinger');
+  assertEqual(transformed.traitPerkDescriptions, 'Outlaw: Faster reload.');
+});
+
+test('generateSubclassTreeRows groups options by class, subclass and slot', () => {
+  const trees = [
+    {
+      hash: 2, name: 'Sentinel', classType: 0, element: 'Void', maxFragmentSlots: 4,
+      supers: [{ hash: 10, name: 'Ward of Dawn', description: '' }],
+      aspects: [{ hash: 11, name: 'Bastion', description: 'Overshields.', fragmentSlots: 2 }],
+      fragments: [{ hash: 12, name: 'Echo of Persistence', description: '' }]
+    },
+    {
+      hash: 1, name: 'Voidwalker', classType: 2, element: 'Void', maxFragmentSlots: 4,
+      grenades: [{ hash: 20, name: 'Vortex Grenade', description: '' }]
+    }
+  ];
+
+  const rows = generateSubclassTreeRows(trees);
+  assertEqual(rows.length, 4);
+  assertEqual(rows[0].className, 'Titan', 'Titan subclasses should come first');
+  assertEqual(rows.map(row => row.slot).join(','), 'Super,Aspect,Fragment,Grenade');
+  assertEqual(rows[1].fragmentSlots, 2, 'Aspects should list their fragment slots');
+  assertEqual(rows[2].fragmentSlots, '');
+  assertEqual(transformItemForCSV(rows[0], 'subclassTrees'), rows[0], 'Rows should pass through unchanged');
+});
+
 test('transformItemForCSV resolves subclass damageTypeName', () => {
   const item = {
     hash: 300,
@@ -740,6 +803,132 @@ test('transformItemForCSV resolves energy type name for armorMods via enum fallb
   assertEqual(transformed.energyTypeName, 'Arc', 'Should resolve via enum fallback');
 });
 
+test('compact column profile chooses, orders and renames weapon columns', () => {
+  const weapon = {
+    hash: 1,
+    displayProperties: { name: 'Igneous Hammer', description: '' },
+    itemTypeDisplayName: 'Hand Cannon',
+    inventory: { tierTypeName: 'Legendary', bucketTypeHash: 2465295065 },
+    equippingBlock: { ammoType: 1 },
+    enrichedDamageType: { name: 'Solar' },
+    enrichedStats: { '4043523819': { name: 'Impact', value: 84 }, '1240592695': { name: 'Range', value: 54 } },
+    enrichedIntrinsicPerk: { name: 'Aggressive Frame' },
+    enrichedPerkPools: [{ column: 'trait1', randomPerks: [{ name: 'Outlaw' }], curatedPerks: [] }]
+  };
+  const [row] = selectColumns(transformItemsForCSV([weapon], 'weapons'), COLUMN_PROFILES.compact.weapons, 'weapons');
+  
+  assertEqual(Object.keys(row).join(','), 'Name,Type,Tier,Slot,Element,Ammo,Frame,Trait 1,Impact,Range,Hash',
+    'Should keep profile order and leave out optional columns no row has');
+  assertEqual(row.Element, 'Solar');
+  assertEqual(row['Trait 1'], 'Outlaw');
+  assertEqual(row.Impact, 84);
+});
+
+test('compact column profile only requires columns every item has', () => {
+  for (const [category, columns] of Object.entries(COLUMN_PROFILES.compact)) {
+    const rows = transformItemsForCSV([{ hash: 1, displayProperties: { name: 'Item' } }], category);
+    const [row] = selectColumns(rows, columns, category);
+    assertEqual(row.Name, 'Item', `${category} should export the name`);
+  }
+});
+
+test('selectColumns without columns gives every row the same columns', () => {
+  const rows = selectColumns([{ name: 'A', Impact: 84 }, { name: 'B', Range: 54 }], null, 'weapons');
+  assertEqual(Object.keys(rows[0]).join(','), 'name,Impact,Range');
+  assertEqual(Object.keys(rows[1]).join(','), 'name,Impact,Range');
+  assertEqual(rows[1].Impact, '');
+});
+
+test('selectColumns rejects unknown columns and duplicate headers', () => {
+  const rows = [{ name: 'A', tierType: 'Exotic' }];
+  const messages = [
+    () => selectColumns(rows, ['name', 'rpm'], 'weapons'),
+    () => selectColumns(rows, ['name', { column: 'tierType', header: 'name' }], 'weapons')
+  ].map(fn => {
+    try {
+      fn();
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  });
+  assertEqual(messages[0], 'Unknown weapons column(s): rpm');
+  assertEqual(messages[1], 'Duplicate weapons column header(s): name');
+});
+
+test('resolveColumnProfile applies custom lists over a profile', () => {
+  const columns = resolveColumnProfile('compact', { weapons: ['name', 'hash'] });
+  assertEqual(columns.weapons.join(','), 'name,hash', 'Custom lists should replace the profile list');
+  assertEqual(columns.armor, COLUMN_PROFILES.compact.armor);
+  assertEqual(Object.keys(resolveColumnProfile()).length, 0, 'Full profile should export all columns');
+  assertEqual(resolveColumnProfile('mine', {}, { mine: { armor: ['name'] } }).armor.join(','), 'name');
+  
+  let message = null;
+  try {
+    resolveColumnProfile('tiny');
+  } catch (error) {
+    message = error.message;
+  }
+  assertEqual(message, 'Unknown column profile: tiny (expected full, compact)');
+});
+
+test('getColumnSchema keeps optional columns next to their neighbours', () => {
+  const schema = getColumnSchema([
+    { hash: 1, name: 'A', description: '', lore: 'x' },
+    { hash: 2, name: 'B', iconUrl: 'icon.png', description: '', perks: 'y' }
+  ]);
+  assertEqual(schema.join(','), 'hash,name,iconUrl,description,lore,perks');
+});
+
+test('transformItemsForTable gives every row every stat, in stat order', () => {
+  const handCannon = {
+    hash: 1,
+    displayProperties: { name: 'Hand Cannon' },
+    enrichedStats: {
+      '1240592695': { name: 'Range', value: 54 },
+      '4043523819': { name: 'Impact', value: 84 }
+    },
+    enrichedIntrinsicPerk: { name: 'Aggressive Frame' }
+  };
+  const fusionRifle = {
+    hash: 2,
+    displayProperties: { name: 'Fusion Rifle' },
+    enrichedStats: {
+      '2961396640': { name: 'Charge Time', value: 500, maximum: 1000 },
+      '4043523819': { name: 'Impact', value: 70 },
+      '9999': { name: 'Heat Generated', value: 10 }
+    },
+    enrichedIntrinsicPerk: { name: 'Rapid-Fire Frame' }
+  };
+  const rows = transformItemsForTable([handCannon, fusionRifle], 'weapons');
+  const columns = Object.keys(rows[0]);
+  const statColumns = columns.filter(column => Object.keys({ ...extractStatColumns(handCannon), ...extractStatColumns(fusionRifle) }).includes(column));
+  
+  assertEqual(statColumns.join(','), 'Impact,Range,Charge Time,Charge Time_Max,Heat Generated',
+    'Stats should be grouped by relevance, unknown stats last');
+  assertEqual(Object.keys(rows[1]).join(','), columns.join(','), 'Rows should share the same columns');
+  assertEqual(columns.indexOf('Charge Time') - columns.indexOf('Range'), 1, 'Stat columns should stay together');
+  assert(columns.indexOf('Impact') < columns.indexOf('intrinsicPerkName'), 'Stats should stay before category fields');
+  assertEqual(rows[0]['Charge Time'], '', 'Missing stats should be empty');
+  assertEqual(rows[1].Range, '');
+});
+
+test('Excel and Google Sheets keep columns the first item lacks', () => {
+  const items = [
+    { hash: 1, displayProperties: { name: 'A' }, enrichedStats: { '1': { name: 'Impact', value: 84 } } },
+    { hash: 2, displayProperties: { name: 'B' }, enrichedStats: { '2': { name: 'Draw Time', value: 612 } } }
+  ];
+  const workbook = new ExcelJS.Workbook();
+  addWorksheet(workbook, 'Weapons', items, 'weapons');
+  const headers = workbook.getWorksheet('Weapons').getRow(1).values.filter(Boolean);
+  assert(headers.includes('Draw Time'), 'Excel should include stats the first item lacks');
+  assertEqual(workbook.getWorksheet('Weapons').getRow(3).getCell(headers.indexOf('Draw Time') + 1).value, 612);
+  
+  const values = dataToSheetValues([{ name: 'A' }, { name: 'B', Impact: 84 }]);
+  assertEqual(values[0].join(','), 'name,Impact');
+  assertEqual(values[2][1], '84');
+});
+
 console.log('\n=== Test Summary ===\n');
 console.log(`Total: ${testsRun}`);
 console.log(`Passed: ${testsPassed}`);
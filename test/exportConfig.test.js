@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  renderTemplate,
+  resolveExportFileName,
+  resolveCategory,
+  selectCategories,
+  normalizeExportConfig,
+  loadExportConfig
+} = require('../src/exportConfig');
+const { selectColumns, exportAllToCSV } = require('../src/csvExport');
+
+/**
+ * Simple test runner
+ */
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  testsRun++;
+  try {
+    fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+function assertThrows(fn, expectedMessage) {
+  try {
+    fn();
+  } catch (error) {
+    assertEqual(error.message, expectedMessage);
+    return;
+  }
+  throw new Error('Expected function to throw');
+}
+
+function captureError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error.message;
+  }
+  throw new Error('Expected function to throw');
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-config-test-'));
+
+const buildData = {
+  weapons: [
+    { hash: 1, displayProperties: { name: 'Igneous Hammer' }, itemTypeDisplayName: 'Hand Cannon', inventory: { tierTypeName: 'Legendary' } }
+  ],
+  armor: [
+    { hash: 10, displayProperties: { name: 'Sunbracers' }, inventory: { tierTypeName: 'Exotic' } }
+  ],
+  aspects: [],
+  enemyWeaknesses: [{ faction: 'Fallen', shields: 'Arc' }]
+};
+
+console.log('\n=== Export Config Tests ===\n');
+
+test('renderTemplate fills known placeholders and keeps unknown ones', () => {
+  assertEqual(renderTemplate('{name}-{locale}', { name: 'weapons', locale: 'de' }), 'weapons-de');
+  assertEqual(renderTemplate('{name}-{other}', { name: 'weapons' }), 'weapons-{other}');
+});
+
+test('resolveCategory accepts build data keys and file names', () => {
+  assertEqual(resolveCategory('armor-mods'), 'armorMods');
+  assertEqual(resolveCategory('armorMods'), 'armorMods');
+  assertEqual(resolveCategory('vendors'), null);
+});
+
+test('selectCategories empties unselected categories', () => {
+  const selected = selectCategories(buildData, ['weapons']);
+  assertEqual(selected.weapons.length, 1);
+  assertEqual(selected.armor.length, 0);
+  assertEqual(selected.enemyWeaknesses.length, 0);
+  assertEqual(buildData.armor.length, 1, 'Should not modify the build data');
+  assertEqual(selectCategories(buildData, undefined), buildData);
+});
+
+test('normalizeExportConfig converts a config to export options', () => {
+  const { outputDir, options } = normalizeExportConfig({
+    outputDir: './destiny-data',
+    formats: ['json', 'csv', 'excel-master'],
+    jsonFormat: 'ndjson',
+    gzip: true,
+    locales: ['DE', 'fr'],
+    categories: ['weapons', 'armor-mods'],
+    fileNames: { category: '{name}-{locale}', master: 'build-data-{date}', sqlite: 'build-data-{locale}' },
+    columns: { weapons: ['hash', 'name'] },
+    cache: false,
+    validate: false,
+    googleSheets: { title: 'Build Data {date}', credentials: 'creds.json' }
+  }, '/configs');
+
+  assertEqual(outputDir, path.resolve('/configs', 'destiny-data'), 'Paths should be resolved against the config directory');
+  assertEqual(options.json, true);
+  assertEqual(options.csv, true);
+  assertEqual(options.excel, false);
+  assertEqual(options.excelMaster, true);
+  assertEqual(options.jsonFormat, 'ndjson');
+  assertEqual(options.gzip, true);
+  assertEqual(options.locales.join(','), 'de,fr');
+  assertEqual(options.categories.join(','), 'weapons,armorMods');
+  assertEqual(options.fileNameTemplate, '{name}-{locale}');
+  assertEqual(options.masterFileNameTemplate, 'build-data-{date}');
+  assertEqual(options.sqliteFileNameTemplate, 'build-data-{locale}');
+  assertEqual(options.columns.weapons.join(','), 'hash,name');
+  assertEqual(options.cache, false);
+  assertEqual(options.validate, false);
+  assertEqual(options.googleSheetsTitle, 'Build Data {date}');
+  assertEqual(options.googleSheetsCredentials, path.resolve('/configs', 'creds.json'));
+});
+
+test('normalizeExportConfig defaults to JSON and CSV', () => {
+  const { outputDir, options } = normalizeExportConfig({});
+  assertEqual(outputDir, undefined);
+  assertEqual(options.json && options.csv, true);
+  assertEqual(options.excel || options.excelMaster || options.googleSheets, false);
+});
+
+test('normalizeExportConfig reports every problem', () => {
+  assertThrows(() => normalizeExportConfig({
+    output: './data',
+    formats: ['json', 'pdf'],
+    jsonFormat: 'jsonl',
+    gzip: 'yes',
+    locales: ['xx'],
+    categories: ['vendors'],
+    fileNames: { category: '{name}/{hash}' },
+    columns: { weapons: [] },
+    validate: 'no'
+  }), [
+    'Invalid export config:',
+    '  - Unknown key: output',
+    '  - Unknown format(s): pdf (expected json, csv, excel, excel-master, google-sheets, sqlite, parquet, arrow)',
+    '  - Unknown jsonFormat: jsonl (expected json, ndjson)',
+    '  - gzip must be true or false',
+    '  - Unsupported locale(s): xx. Supported locales: en, fr, es, es-mx, de, it, ja, pt-br, ru, pl, ko, zh-cht, zh-chs',
+    '  - Unknown categories: vendors (expected weapons, armor, armor-mods, subclasses, subclass-trees, aspects, fragments, abilities, damage-types, artifact-mods, champion-mods, enemy-weaknesses)',
+    '  - fileNames.category has an unknown placeholder {hash} (expected {name}, {category}, {locale}, {date})',
+    '  - fileNames.category must not contain path separators',
+    '  - columns.weapons must list at least one column',
+    '  - validate must be true or false'
+  ].join('\n'));
+  assertThrows(() => normalizeExportConfig({ formats: ['csv'], jsonFormat: 'ndjson', gzip: true }), [
+    'Invalid export config:',
+    '  - jsonFormat requires the json format',
+    '  - gzip requires the json format'
+  ].join('\n'));
+  assertThrows(() => normalizeExportConfig(['json']), 'Export config must be an object');
+  assertThrows(() => normalizeExportConfig({ googleSheets: { title: '{name}', spreadsheet: 'x' } }), [
+    'Invalid export config:',
+    '  - Unknown key: googleSheets.spreadsheet',
+    '  - googleSheets.title has an unknown placeholder {name} (expected {locale}, {date})'
+  ].join('\n'));
+});
+
+test('normalizeExportConfig accepts column profiles and renamed columns', () => {
+  const { options } = normalizeExportConfig({
+    columnProfile: 'sheets',
+    columnProfiles: { sheets: { 'armor-mods': ['name', { column: 'energyCost', header: 'Cost' }] } },
+    columns: { weapons: [{ column: 'Impact', optional: true }] }
+  });
+  assertEqual(options.columnProfile, 'sheets');
+  assertEqual(options.columnProfiles.sheets.armorMods[1].header, 'Cost');
+  assertEqual(options.columns.weapons[0].optional, true);
+
+  assertThrows(() => normalizeExportConfig({
+    columnProfile: 'tiny',
+    columns: { weapons: ['name', { header: 'Tier' }, { column: 'tierType', width: 20 }] }
+  }), [
+    'Invalid export config:',
+    '  - Unknown column profile: tiny (expected full, compact)',
+    '  - columns.weapons[1] must be a column name or { column, header, optional }',
+    '  - columns.weapons[2] must be a column name or { column, header, optional }'
+  ].join('\n'));
+});
+
+test('loadExportConfig reads JSON and YAML files', () => {
+  const jsonFile = path.join(tempDir, 'export.json');
+  fs.writeFileSync(jsonFile, JSON.stringify({ outputDir: 'out', formats: ['json'] }));
+  const fromJson = loadExportConfig(jsonFile);
+  assertEqual(fromJson.outputDir, path.join(tempDir, 'out'));
+  assertEqual(fromJson.options.csv, false);
+
+  const yamlFile = path.join(tempDir, 'export.yml');
+  fs.writeFileSync(yamlFile, [
+    'formats: [csv]',
+    'categories:',
+    '  - weapons',
+    'columns:',
+    '  weapons: [name, tierType]'
+  ].join('\n'));
+  const fromYaml = loadExportConfig(yamlFile);
+  assertEqual(fromYaml.options.csv, true);
+  assertEqual(fromYaml.options.categories.join(','), 'weapons');
+  assertEqual(fromYaml.options.columns.weapons.join(','), 'name,tierType');
+});
+
+test('loadExportConfig names the file in errors', () => {
+  const invalidFile = path.join(tempDir, 'invalid.yaml');
+  fs.writeFileSync(invalidFile, 'formats: [excel-only]\n');
+  assertThrows(() => loadExportConfig(invalidFile),
+    `Invalid export config ${invalidFile}:\n  - Unknown format(s): excel-only (expected json, csv, excel, excel-master, google-sheets, sqlite, parquet, arrow)`);
+
+  const brokenFile = path.join(tempDir, 'broken.json');
+  fs.writeFileSync(brokenFile, '{ "formats": ');
+  assert(/^Cannot parse export config .*broken\.json: /.test(captureError(() => loadExportConfig(brokenFile))));
+  assert(/^Cannot read export config .*missing\.yml: /.test(captureError(() => loadExportConfig(path.join(tempDir, 'missing.yml')))));
+});
+
+test('resolveExportFileName finds files written with a file name template', () => {
+  const exportDir = path.join(tempDir, 'templated');
+  fs.mkdirSync(exportDir);
+  for (const file of ['armor-2026-10-04.json', 'armor-2026-10-11.ndjson.gz', 'armor-mods-2026-10-11.json', 'weapons-de.json', 'weapons-fr.json']) {
+    fs.writeFileSync(path.join(exportDir, file), '[]');
+  }
+
+  assertEqual(resolveExportFileName(exportDir, 'armorMods'), 'armor-mods');
+  assertEqual(resolveExportFileName(exportDir, 'armor', { fileNameTemplate: '{name}-{date}' }), 'armor-2026-10-11', 'Latest date should win');
+  assertEqual(resolveExportFileName(exportDir, 'armor', { fileNameTemplate: '{name}-{date}', date: '2026-10-04' }), 'armor-2026-10-04');
+  assertEqual(resolveExportFileName(exportDir, 'weapons', { fileNameTemplate: '{name}-{locale}', locale: 'fr' }), 'weapons-fr');
+  assertEqual(resolveExportFileName(exportDir, 'weapons', { fileNameTemplate: '{name}-{locale}' }), 'weapons-fr');
+  assertEqual(resolveExportFileName(exportDir, 'aspects', { fileNameTemplate: '{name}-{date}' }), 'aspects-{date}', 'Missing files keep the rendered name');
+});
+
+test('selectColumns keeps the selected columns in order', () => {
+  const rows = [{ hash: 1, name: 'Igneous Hammer', tierType: 'Legendary' }, { hash: 2, name: 'Funnelweb' }];
+  const selected = selectColumns(rows, ['tierType', 'name'], 'weapons');
+  assertEqual(Object.keys(selected[0]).join(','), 'tierType,name');
+  assertEqual(selected[1].tierType, '', 'Missing values should be empty');
+  assertEqual(Object.keys(selectColumns(rows, undefined, 'weapons')[1]).join(','), 'hash,name,tierType');
+  assertThrows(() => selectColumns(rows, ['name', 'rpm'], 'weapons'), 'Unknown weapons column(s): rpm');
+});
+
+test('exportAllToCSV applies file names and column selections', () => {
+  const outputDir = path.join(tempDir, 'csv');
+  fs.mkdirSync(outputDir);
+  exportAllToCSV(selectCategories(buildData, ['weapons']), outputDir, null, {
+    fileName: name => renderTemplate('{name}-{locale}', { name, locale: 'en' }),
+    columns: { weapons: ['name', 'tierType'] }
+  });
+
+  const weapons = fs.readFileSync(path.join(outputDir, 'weapons-en.csv'), 'utf-8').trim().split('\n');
+  assertEqual(weapons[0], 'name,tierType');
+  assertEqual(weapons[1], 'Igneous Hammer,Legendary');
+  assert(!fs.existsSync(path.join(outputDir, 'armor-en.csv')), 'Unselected categories should not be exported');
+  assert(fs.existsSync(path.join(outputDir, 'summary-en.csv')), 'Summary should use the file name template');
+});
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+console.log('\n=== Test Summary ===\n');
+console.log(`Total: ${testsRun}`);
+console.log(`Passed: ${testsPassed}`);
+console.log(`Failed: ${testsFailed}`);
+
+process.exit(testsFailed > 0 ? 1 : 0);
@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  enrichItemWithStats,
+  enrichItemWithPerks,
+  enrichItemWithPerkPools,
+  enrichItemWithIntrinsicPerk,
+  enrichItemWithEnergyType,
+  enrichItemWithLore,
+  resolveSubclassTree,
+  SOCKET_CATEGORIES
+} = require('../src/buildCrafting');
+const { exportEnemyWeaknessData } = require('../src/enemyWeaknesses');
+const { transformItemsForTable, generateSubclassTreeRows } = require('../src/csvExport');
+const {
+  getCategorySchema,
+  getRowSchema,
+  validateBuildData,
+  validateRows,
+  assertValidBuildData,
+  generateSchemaFiles
+} = require('../src/exportSchema');
+
+/**
+ * Simple test runner
+ */
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  testsRun++;
+  try {
+    fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+// Definitions for running the real enrichment functions
+const SOLAR_HASH = 1847026933;
+const statDefs = {
+  4043523819: { displayProperties: { name: 'Impact', description: 'Damage per shot' } },
+  1240592695: { displayProperties: { name: 'Range' } }
+};
+const statGroupDefs = {
+  100: { scaledStats: [{ statHash: 4043523819, maximumValue: 100, displayInterpolation: [{ value: 0, weight: 0 }, { value: 100, weight: 100 }] }] }
+};
+const perkDefs = {
+  900: { displayProperties: { name: 'Solar Damage', description: 'Deals Solar damage', icon: '/perk.png' }, isDisplayable: true }
+};
+const damageTypeDefs = {
+  [SOLAR_HASH]: { hash: SOLAR_HASH, enumValue: 3, displayProperties: { name: 'Solar', description: 'Burn' } }
+};
+const energyTypeDefs = {
+  728351493: { enumValue: 1, displayProperties: { name: 'Arc' }, capacityStatHash: 1, costStatHash: 2 }
+};
+const loreDefs = { 300: { displayProperties: { name: 'Hammer Lore', description: 'A story' }, subtitle: 'Part I' } };
+const itemDefs = {
+  100: { hash: 100, displayProperties: { name: 'Adaptive Frame', description: 'Dependable' } },
+  200: { hash: 200, displayProperties: { name: 'Outlaw' }, plug: { plugCategoryIdentifier: 'frames' }, perks: [{ perkHash: 900 }] },
+  201: { hash: 201, displayProperties: { name: 'Enhanced Outlaw' }, plug: { plugCategoryIdentifier: 'frames' }, inventory: { tierType: 3 } },
+  400: { hash: 400, displayProperties: { name: 'Sol Invictus', description: 'Aspect' }, plug: { plugCategoryIdentifier: 'hunter.solar.aspects', energyCapacity: { capacityValue: 2 } } },
+  401: { hash: 401, displayProperties: { name: 'Ember of Torches' }, plug: { plugCategoryIdentifier: 'shared.solar.fragments' } }
+};
+const plugSetDefs = {
+  500: { reusablePlugItems: [{ plugItemHash: 200, currentlyCanRoll: true }, { plugItemHash: 201, currentlyCanRoll: false }] },
+  600: { reusablePlugItems: [{ plugItemHash: 400 }] },
+  601: { reusablePlugItems: [{ plugItemHash: 401 }] }
+};
+
+function enrich(item) {
+  let enriched = enrichItemWithStats(item, statDefs, statGroupDefs);
+  enriched = enrichItemWithPerks(enriched, perkDefs, damageTypeDefs);
+  enriched = enrichItemWithPerkPools(enriched, plugSetDefs, itemDefs, perkDefs);
+  enriched = enrichItemWithIntrinsicPerk(enriched, itemDefs);
+  enriched = enrichItemWithEnergyType(enriched, energyTypeDefs);
+  return enrichItemWithLore(enriched, loreDefs);
+}
+
+function createBuildData() {
+  const weapon = enrich({
+    hash: 1,
+    displayProperties: { name: 'Igneous Hammer', icon: '/igneous.png' },
+    itemTypeDisplayName: 'Hand Cannon',
+    inventory: { tierTypeName: 'Legendary', tierTypeHash: 4008398120, bucketTypeHash: 1498876634 },
+    equippingBlock: { ammoType: 1 },
+    defaultDamageType: 3,
+    defaultDamageTypeHash: SOLAR_HASH,
+    damageTypeHashes: [SOLAR_HASH],
+    loreHash: 300,
+    perks: [{ perkHash: 900 }],
+    stats: { statGroupHash: 100, stats: { 4043523819: { statHash: 4043523819, value: 84 }, 1240592695: { statHash: 1240592695, value: 54 } } },
+    sockets: {
+      socketEntries: [
+        { socketTypeHash: 9, singleInitialItemHash: 100 },
+        { socketTypeHash: 8, singleInitialItemHash: 200, randomizedPlugSetHash: 500 }
+      ],
+      socketCategories: [{ socketCategoryHash: SOCKET_CATEGORIES.WEAPON_PERKS, socketIndexes: [1] }]
+    }
+  });
+  const armor = enrich({
+    hash: 2,
+    displayProperties: { name: 'Helm' },
+    classType: 0,
+    energy: { energyCapacity: 10, energyType: 1, energyTypeHash: 728351493 },
+    stats: { stats: { 2996146975: { statHash: 2996146975, value: 12 } } }
+  });
+  const mod = enrich({
+    hash: 3,
+    displayProperties: { name: 'Recovery Mod' },
+    plug: { plugCategoryIdentifier: 'enhancements.v2_general', energyCost: { energyCost: 3, energyTypeHash: 728351493, energyType: 1 } },
+    investmentStats: [{ statTypeHash: 1943323491, value: 10, isConditionallyActive: false }]
+  });
+  const subclass = {
+    hash: 10,
+    displayProperties: { name: 'Solar Hunter' },
+    classType: 1,
+    talentGrid: { hudDamageType: 3 },
+    sockets: { socketEntries: [{ reusablePlugSetHash: 600 }, { reusablePlugSetHash: 601 }] }
+  };
+
+  return {
+    weapons: [weapon],
+    armor: [armor],
+    armorMods: [mod],
+    subclasses: [subclass],
+    subclassTrees: [resolveSubclassTree(subclass, itemDefs, plugSetDefs)],
+    aspects: [enrich({ ...itemDefs[400], talentGrid: { hudDamageType: 3 } })],
+    fragments: [enrich({ ...itemDefs[401], investmentStats: [{ statTypeHash: 1735777505, value: 10 }] })],
+    abilities: [],
+    damageTypes: [{ ...damageTypeDefs[SOLAR_HASH], transparentIconPath: '/solar.png', showIcon: true, color: { red: 255, green: 0, blue: 0, alpha: 255 } }],
+    artifactMods: [],
+    championMods: [enrich({ hash: 20, displayProperties: { name: 'Anti-Barrier Scout Rifle' }, plug: { plugCategoryIdentifier: 'enhancements.champion' } })],
+    enemyWeaknesses: exportEnemyWeaknessData()
+  };
+}
+
+console.log('\n=== Export Schema Tests ===\n');
+
+test('validateBuildData accepts the output of the enrichment functions', () => {
+  const buildData = createBuildData();
+  assert(buildData.weapons[0].enrichedPerkPools, 'Fixture should have perk pools');
+  assert(buildData.armor[0].enrichedEnergyType, 'Fixture should have an energy type');
+  const { valid, errors } = validateBuildData(buildData);
+  assertEqual(valid, true, errors.join('\n'));
+});
+
+test('validateBuildData names the item and field of each mismatch', () => {
+  const buildData = createBuildData();
+  buildData.weapons[0].enrichedStats['4043523819'].value = '84';
+  buildData.weapons[0].enrichedStats['4043523819'].rank = 1;
+  buildData.armor[0].enrichedEnergyType.source = 'socket';
+  delete buildData.championMods[0].enrichedSockets;
+  buildData.enemyWeaknesses[0].damageTypeEnum = null;
+
+  const { valid, errors } = validateBuildData(buildData);
+  assertEqual(valid, false);
+  const expected = [
+    'weapons[0] (Igneous Hammer).enrichedStats.4043523819 has unknown field rank',
+    'weapons[0] (Igneous Hammer).enrichedStats.4043523819.value must be integer',
+    'armor[0] (Helm).enrichedEnergyType.source must be one of armorEnergy, modEnergyCost',
+    "championMods[0] (Anti-Barrier Scout Rifle) must have required property 'enrichedSockets'",
+    'enemyWeaknesses[0].damageTypeEnum must be integer or string'
+  ];
+  for (const message of expected) {
+    assert(errors.includes(message), `Missing "${message}" in:\n${errors.join('\n')}`);
+  }
+  assertEqual(errors.length, expected.length, errors.join('\n'));
+});
+
+test('validateBuildData allows manifest fields it does not know', () => {
+  const buildData = createBuildData();
+  buildData.weapons[0].quality = { versions: [] };
+  buildData.subclasses[0].redacted = false;
+  assertEqual(validateBuildData(buildData).valid, true);
+});
+
+test('assertValidBuildData lists the errors', () => {
+  const buildData = createBuildData();
+  buildData.weapons[0].hash = 'one';
+  buildData.armor[0].hash = 'two';
+  let message = '';
+  try {
+    assertValidBuildData(buildData, 1);
+  } catch (error) {
+    message = error.message;
+  }
+  assertEqual(message, [
+    'Build data does not match the export schema (2 error(s)):',
+    '  - weapons[0] (Igneous Hammer).hash must be integer',
+    '  ... and 1 more'
+  ].join('\n'));
+  assertValidBuildData(createBuildData());
+});
+
+test('table rows of every category match their row schemas', () => {
+  const buildData = createBuildData();
+  for (const [category, items] of Object.entries(buildData)) {
+    const rows = category === 'subclassTrees'
+      ? generateSubclassTreeRows(items)
+      : transformItemsForTable(items, category, statDefs);
+    const { valid, errors } = validateRows(rows, category);
+    assertEqual(valid, true, `${category}: ${errors.join('\n')}`);
+  }
+
+  const { errors } = validateRows([{ hash: 1, name: 'Igneous Hammer', description: '', Impact: 'high', trait1Perks: 3 }], 'weapons');
+  assertEqual(errors.join('\n'), [
+    "weapons[0] (Igneous Hammer).Impact must be number or ''",
+    'weapons[0] (Igneous Hammer).trait1Perks must be string'
+  ].join('\n'));
+});
+
+test('category schemas are standalone documents', () => {
+  const schema = getCategorySchema('weapons');
+  assertEqual(schema.$schema, 'http://json-schema.org/draft-07/schema#');
+  assertEqual(schema.type, 'array');
+  assert(schema.definitions.enrichedStat && schema.definitions.plugPerk, 'Referenced definitions should be included');
+  assert(!schema.definitions.enemyWeakness, 'Unreferenced definitions should be left out');
+  assertEqual(Object.keys(getRowSchema('enemyWeaknesses').definitions).join(','), 'enemyWeakness');
+  let message = '';
+  try {
+    getCategorySchema('vendors');
+  } catch (error) {
+    message = error.message;
+  }
+  assert(message.startsWith('Unknown category: vendors'), message);
+});
+
+test('checked-in schemas and typings are up to date', () => {
+  const root = path.join(__dirname, '..');
+  for (const [file, contents] of Object.entries(generateSchemaFiles())) {
+    const filePath = path.join(root, file);
+    assert(fs.existsSync(filePath), `${file} is missing; run npm run schemas`);
+    assert(fs.readFileSync(filePath, 'utf-8') === contents, `${file} is out of date; run npm run schemas`);
+  }
+});
+
+console.log('\n=== Test Summary ===\n');
+console.log(`Total: ${testsRun}`);
+console.log(`Passed: ${testsPassed}`);
+console.log(`Failed: ${testsFailed}`);
+
+process.exit(testsFailed > 0 ? 1 : 0);
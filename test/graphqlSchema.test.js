@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const fetch = require('node-fetch');
+const { createSchema, executeGraphQL } = require('../src/graphqlSchema');
+const { createBuildDataServer } = require('../src/server');
+const { configureManifestCache, clearCache } = require('../src/buildCrafting');
+const { writeCachedTable, clearDiskCache } = require('../src/manifestCache');
+
+/**
+ * Simple test runner
+ */
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  testsRun++;
+  try {
+    fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  testsRun++;
+  try {
+    await fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+const ENERGY_BUCKET = 2465295065;
+
+const buildData = {
+  weapons: [
+    {
+      hash: 1,
+      displayProperties: { name: 'Igneous Hammer', description: 'Forged in fire.' },
+      itemSubType: 9,
+      inventory: { bucketTypeHash: ENERGY_BUCKET, tierTypeName: 'Legendary' },
+      enrichedStats: {
+        '1240592695': { hash: '1240592695', name: 'Range', value: 54, investmentValue: 62, displayValue: 54 }
+      },
+      enrichedPerks: [],
+      enrichedDamageType: { hash: 1847026933, name: 'Solar', enumValue: 3 },
+      enrichedIntrinsicPerk: { hash: 500, name: 'Aggressive Frame', description: 'High damage, high recoil.' },
+      enrichedPerkPools: [{
+        socketIndex: 3,
+        column: 'trait1',
+        plugCategoryIdentifier: 'frames',
+        randomizedPlugSetHash: 900,
+        reusablePlugSetHash: null,
+        randomPerks: [{ hash: 600, name: 'Outlaw', description: '', plugCategoryIdentifier: 'frames', isEnhanced: false, currentlyCanRoll: true }],
+        curatedPerks: []
+      }],
+      enrichedLore: { hash: 700, name: 'Igneous Hammer', description: 'Lore text', subtitle: '' }
+    },
+    {
+      hash: 2,
+      displayProperties: { name: 'Funnelweb' },
+      itemSubType: 24,
+      inventory: { bucketTypeHash: ENERGY_BUCKET, tierTypeName: 'Legendary' }
+    }
+  ],
+  armor: [
+    { hash: 10, displayProperties: { name: 'Contraverse Hold' }, classType: 2, itemSubType: 27, enrichedEnergyType: { hash: 1, name: 'Any', source: 'armorEnergy' } }
+  ],
+  armorMods: [
+    { hash: 20, displayProperties: { name: 'Harmonic Siphon' }, plug: { plugCategoryIdentifier: 'enhancements.v2_head', energyCost: { energyCost: 1 } } },
+    { hash: 21, displayProperties: { name: 'Resilience Mod' }, plug: { plugCategoryIdentifier: 'enhancements.v2_general', energyCost: { energyCost: 3 } } }
+  ],
+  aspects: [
+    { hash: 30, displayProperties: { name: 'Chaos Accelerant' }, classType: 2, plug: { plugCategoryIdentifier: 'warlock.void.aspects', energyCapacity: { capacityValue: 2 } } }
+  ],
+  fragments: [
+    { hash: 40, displayProperties: { name: 'Echo of Persistence' }, plug: { plugCategoryIdentifier: 'shared.void.fragments' } }
+  ],
+  subclassTrees: [{
+    hash: 100,
+    name: 'Voidwalker',
+    classType: 2,
+    element: 'Void',
+    aspectSockets: 2,
+    fragmentSockets: 5,
+    maxFragmentSlots: 2,
+    supers: [{ hash: 101, name: 'Nova Bomb: Cataclysm', description: '', plugCategoryIdentifier: 'warlock.void.supers' }],
+    grenades: [],
+    melees: [],
+    classAbilities: [],
+    movement: [],
+    aspects: [{ hash: 30, name: 'Chaos Accelerant', description: '', plugCategoryIdentifier: 'warlock.void.aspects', fragmentSlots: 2 }],
+    fragments: [{ hash: 40, name: 'Echo of Persistence', description: '', plugCategoryIdentifier: 'shared.void.fragments' }]
+  }]
+};
+
+console.log('\n=== GraphQL Schema Tests ===\n');
+
+test('createSchema attaches resolvers to the schema types', () => {
+  const schema = createSchema();
+  assert(schema.getQueryType().getFields().weapons.resolve, 'Query.weapons should have a resolver');
+  assert(schema.getType('Weapon').getFields().intrinsicPerk.resolve, 'Weapon.intrinsicPerk should have a resolver');
+});
+
+async function runAsyncTests() {
+  await asyncTest('weapons query returns only the selected fields, filtered like REST', async () => {
+    const result = await executeGraphQL(buildData, '{ weapons(type: "HAND_CANNON", slot: "Energy") { name slot type } }');
+    assertEqual(result.errors, undefined);
+    assertEqual(result.data.weapons.length, 1);
+    assertEqual(JSON.stringify(result.data.weapons[0]), '{"name":"Igneous Hammer","slot":"Energy","type":"HAND_CANNON"}');
+  });
+
+  await asyncTest('weapon query resolves enriched stats, damage type, perk pools and lore', async () => {
+    const result = await executeGraphQL(buildData, `query ($hash: ID!) {
+      weapon(hash: $hash) {
+        stats { name value investmentValue }
+        damageType { name }
+        perkPools { column randomPerks { name } }
+        lore { description }
+      }
+    }`, { hash: '1' });
+    const weapon = result.data.weapon;
+    assertEqual(weapon.stats[0].name, 'Range');
+    assertEqual(weapon.stats[0].value, 54);
+    assertEqual(weapon.stats[0].investmentValue, 62);
+    assertEqual(weapon.damageType.name, 'Solar');
+    assertEqual(weapon.perkPools[0].randomPerks[0].name, 'Outlaw');
+    assertEqual(weapon.lore.description, 'Lore text');
+  });
+
+  await asyncTest('list fields support limit, offset and name filters', async () => {
+    const result = await executeGraphQL(buildData, '{ first: weapons(limit: 1) { hash } second: weapons(offset: 1) { hash } mods(energyCost: 1) { name energyCost } }');
+    assertEqual(result.data.first.length, 1);
+    assertEqual(result.data.first[0].hash, '1');
+    assertEqual(result.data.second[0].hash, '2');
+    assertEqual(result.data.mods.length, 1);
+    assertEqual(result.data.mods[0].name, 'Harmonic Siphon');
+  });
+
+  await asyncTest('fragments link to the subclasses that offer them and back', async () => {
+    const result = await executeGraphQL(buildData, `{
+      fragment(hash: "40") { name subclasses { name element className } }
+      subclass(hash: "100") { supers { name } aspects { name fragmentSlots subclasses { name } } }
+    }`);
+    assertEqual(result.data.fragment.subclasses[0].name, 'Voidwalker');
+    assertEqual(result.data.fragment.subclasses[0].className, 'Warlock');
+    assertEqual(result.data.subclass.supers[0].name, 'Nova Bomb: Cataclysm');
+    assertEqual(result.data.subclass.aspects[0].fragmentSlots, 2);
+    assertEqual(result.data.subclass.aspects[0].subclasses[0].name, 'Voidwalker');
+  });
+
+  await asyncTest('invalid filter values are reported as GraphQL errors', async () => {
+    const result = await executeGraphQL(buildData, '{ weapons(type: "LASER") { name } }');
+    assert(result.errors[0].message.startsWith('Invalid type: LASER'), 'Should report the invalid type');
+  });
+
+  await asyncTest('sandbox perks are reported as errors without manifest definitions', async () => {
+    const result = await executeGraphQL(buildData, '{ weapon(hash: "1") { name intrinsicPerk { name sandboxPerks { name } } } }');
+    assertEqual(result.data.weapon.name, 'Igneous Hammer', 'Other fields should still resolve');
+    assertEqual(result.data.weapon.intrinsicPerk, null);
+    assert(result.errors[0].message.startsWith('sandboxPerks needs the manifest definitions'), result.errors[0].message);
+    assertEqual(result.errors[0].path.join('.'), 'weapon.intrinsicPerk.sandboxPerks');
+  });
+
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'graphql-test-'));
+  const client = {
+    request: async () => ({ version: 'v1', jsonWorldComponentContentPaths: { en: {} } })
+  };
+
+  clearCache();
+  configureManifestCache({ enabled: true, directory: cacheDir });
+  writeCachedTable(cacheDir, 'v1', 'DestinyInventoryItemDefinition', {
+    '500': { hash: 500, displayProperties: { name: 'Aggressive Frame' }, perks: [{ perkHash: 800 }] },
+    '600': { hash: 600, displayProperties: { name: 'Outlaw' }, perks: [{ perkHash: 801 }] }
+  });
+  writeCachedTable(cacheDir, 'v1', 'DestinySandboxPerkDefinition', {
+    '800': { hash: 800, displayProperties: { name: 'Aggressive Frame', description: 'Deals more damage.' }, isDisplayable: true },
+    '801': { hash: 801, displayProperties: { name: 'Outlaw', description: 'Precision kills reload faster.' }, isDisplayable: true }
+  });
+
+  await asyncTest('intrinsic and pool perks follow hash links to sandbox perks', async () => {
+    const result = await executeGraphQL(buildData, `{
+      weapon(hash: "1") {
+        intrinsicPerk { sandboxPerks { name description } }
+        perkPools { randomPerks { sandboxPerks { description } } }
+      }
+    }`, {}, { client });
+    assertEqual(result.errors, undefined);
+    assertEqual(result.data.weapon.intrinsicPerk.sandboxPerks[0].description, 'Deals more damage.');
+    assertEqual(result.data.weapon.perkPools[0].randomPerks[0].sandboxPerks[0].description, 'Precision kills reload faster.');
+  });
+
+  clearCache();
+  clearDiskCache(cacheDir);
+
+  const server = createBuildDataServer(buildData);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const graphqlUrl = `http://127.0.0.1:${server.address().port}/graphql`;
+
+  await asyncTest('server answers GraphQL queries over POST and GET', async () => {
+    const response = await fetch(graphqlUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query: 'query ($class: String) { armor(class: $class) { name className } }', variables: { class: 'Warlock' } })
+    });
+    assertEqual(response.status, 200);
+    const body = await response.json();
+    assertEqual(body.data.armor[0].name, 'Contraverse Hold');
+    assertEqual(body.data.armor[0].className, 'Warlock');
+
+    const getResponse = await fetch(`${graphqlUrl}?query=${encodeURIComponent('{ aspects(element: "Void") { name } }')}`);
+    assertEqual((await getResponse.json()).data.aspects[0].name, 'Chaos Accelerant');
+  });
+
+  await asyncTest('server rejects invalid GraphQL requests with 400', async () => {
+    const invalid = await fetch(graphqlUrl, { method: 'POST', body: JSON.stringify({ query: '{ vendors { name } }' }) });
+    assertEqual(invalid.status, 400);
+    assert((await invalid.json()).errors.length > 0, 'Should report validation errors');
+
+    const missing = await fetch(graphqlUrl, { method: 'POST', body: '{}' });
+    assertEqual(missing.status, 400);
+    assertEqual((await missing.json()).errors[0].message, 'Missing GraphQL query');
+
+    const badJson = await fetch(graphqlUrl, { method: 'POST', body: '{ not json' });
+    assertEqual(badJson.status, 400);
+  });
+
+  await new Promise(resolve => server.close(resolve));
+}
+
+runAsyncTests().then(() => {
+  console.log('\n=== Test Summary ===\n');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+});
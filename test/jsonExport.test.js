@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const zlib = require('zlib');
+const {
+  getJSONExtension,
+  writeJSONFile,
+  readJSONFile,
+  findJSONFile,
+  readJSONExport
+} = require('../src/jsonExport');
+const { loadSnapshot } = require('../src/buildDiff');
+
+/**
+ * Simple test runner
+ */
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  testsRun++;
+  try {
+    fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  testsRun++;
+  try {
+    await fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+function assertThrows(fn, expectedMessage) {
+  try {
+    fn();
+  } catch (error) {
+    assertEqual(error.message, expectedMessage);
+    return;
+  }
+  throw new Error('Expected function to throw');
+}
+
+const weapons = [
+  {
+    hash: 1,
+    displayProperties: { name: 'Igneous Hammer', description: 'Line one\nline two' },
+    enrichedStats: { '4043523819': { name: 'Impact', value: 84 } },
+    enrichedPerkPools: [{ column: 'trait1', randomPerks: [{ name: 'Outlaw' }], curatedPerks: [] }]
+  },
+  { hash: 2, displayProperties: { name: 'Funnelweb' }, sockets: { socketEntries: [] } }
+];
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-export-test-'));
+
+console.log('\n=== JSON Export Tests ===\n');
+
+test('getJSONExtension names each variant', () => {
+  assertEqual(getJSONExtension(), '.json');
+  assertEqual(getJSONExtension('ndjson'), '.ndjson');
+  assertEqual(getJSONExtension('json', true), '.json.gz');
+  assertEqual(getJSONExtension('ndjson', true), '.ndjson.gz');
+  assertThrows(() => getJSONExtension('csv'), 'Unknown JSON format: csv (expected json, ndjson)');
+});
+
+async function runAsyncTests() {
+  await asyncTest('writeJSONFile writes the same pretty-printed JSON as JSON.stringify', async () => {
+    const filename = path.join(tempDir, 'weapons.json');
+    await writeJSONFile(weapons, filename);
+    assertEqual(fs.readFileSync(filename, 'utf-8'), JSON.stringify(weapons, null, 2));
+
+    const emptyFile = path.join(tempDir, 'empty.json');
+    await writeJSONFile([], emptyFile);
+    assertEqual(fs.readFileSync(emptyFile, 'utf-8'), '[]');
+  });
+
+  await asyncTest('writeJSONFile writes one item per line in NDJSON', async () => {
+    const filename = path.join(tempDir, 'weapons.ndjson');
+    await writeJSONFile(weapons, filename, { format: 'ndjson' });
+    const lines = fs.readFileSync(filename, 'utf-8').split('\n');
+    assertEqual(lines.length, 3, 'Two items and a trailing newline');
+    assertEqual(JSON.parse(lines[0]).displayProperties.description, 'Line one\nline two');
+    assertEqual(lines[2], '');
+  });
+
+  await asyncTest('writeJSONFile gzip-compresses JSON and NDJSON', async () => {
+    const jsonFile = path.join(tempDir, 'armor.json.gz');
+    await writeJSONFile(weapons, jsonFile, { gzip: true });
+    assertEqual(zlib.gunzipSync(fs.readFileSync(jsonFile)).toString('utf-8'), JSON.stringify(weapons, null, 2));
+
+    const ndjsonFile = path.join(tempDir, 'fragments.ndjson.gz');
+    await writeJSONFile(weapons, ndjsonFile, { format: 'ndjson', gzip: true });
+    assertEqual(readJSONFile(ndjsonFile).length, 2);
+  });
+
+  test('readJSONFile reads every variant back', () => {
+    for (const file of ['weapons.json', 'weapons.ndjson', 'armor.json.gz', 'fragments.ndjson.gz']) {
+      const items = readJSONFile(path.join(tempDir, file));
+      assertEqual(JSON.stringify(items), JSON.stringify(weapons), `${file} should round-trip`);
+    }
+  });
+
+  test('readJSONFile names the broken NDJSON line', () => {
+    const filename = path.join(tempDir, 'broken.ndjson');
+    fs.writeFileSync(filename, '{"hash":1}\n{"hash":\n');
+    let message = '';
+    try {
+      readJSONFile(filename);
+    } catch (error) {
+      message = error.message;
+    }
+    assert(message.startsWith(`Invalid JSON on line 2 of ${filename}`), message);
+  });
+
+  test('findJSONFile and readJSONExport look for every variant', () => {
+    assertEqual(findJSONFile(tempDir, 'armor.json'), path.join(tempDir, 'armor.json.gz'));
+    assertEqual(findJSONFile(tempDir, 'weapons.json'), path.join(tempDir, 'weapons.json'), 'Plain JSON comes first');
+    assertEqual(findJSONFile(tempDir, 'aspects.json'), null);
+    assertEqual(readJSONExport(tempDir, 'aspects.json', []).length, 0);
+  });
+
+  test('loadSnapshot reads NDJSON and gzip exports', () => {
+    const snapshot = loadSnapshot(tempDir);
+    assertEqual(snapshot.weapons.length, 2);
+    assertEqual(snapshot.armor.length, 2, 'armor.json.gz');
+    assertEqual(snapshot.fragments[1].displayProperties.name, 'Funnelweb', 'fragments.ndjson.gz');
+    assertEqual(snapshot.aspects.length, 0);
+  });
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+runAsyncTests().then(() => {
+  console.log('\n=== Test Summary ===\n');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+});
@@ -0,0 +1,161 @@
+const {
+  parseDimLoadout,
+  emitDimLoadout,
+  toDimLoadoutUrl,
+  resolveDimLoadout,
+  formatLoadoutReport
+} = require('../src/loadouts');
+
+/**
+ * Simple test runner
+ */
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  testsRun++;
+  try {
+    fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+function assertThrows(fn, expectedMessage) {
+  try {
+    fn();
+  } catch (error) {
+    assertEqual(error.message, expectedMessage);
+    return;
+  }
+  throw new Error('Expected function to throw');
+}
+
+const dimLoadout = {
+  id: 'abc-123',
+  name: 'Void Resto',
+  classType: 2,
+  clearSpace: false,
+  notes: 'Devour all day',
+  equipped: [
+    { id: '6917529', hash: 100, socketOverrides: { '0': 200, '7': 300, '8': 400 } },
+    { id: '6917530', hash: 1 },
+    { id: '6917531', hash: 10 }
+  ],
+  unequipped: [{ hash: 3 }],
+  parameters: {
+    mods: [20, 999],
+    modsByBucket: { '3448274439': [21] }
+  }
+};
+
+const buildData = {
+  weapons: [
+    { hash: 1, displayProperties: { name: 'Ace of Spades' }, itemTypeDisplayName: 'Hand Cannon', inventory: { tierType: 6 } },
+    { hash: 3, displayProperties: { name: 'Fatebringer' }, itemTypeDisplayName: 'Hand Cannon', inventory: { tierType: 5 } }
+  ],
+  armor: [
+    { hash: 10, displayProperties: { name: 'Contraverse Hold' }, itemTypeDisplayName: 'Gauntlets', inventory: { tierType: 6 } }
+  ],
+  armorMods: [
+    { hash: 20, displayProperties: { name: 'Resilience Mod' }, plug: { energyCost: { energyCost: 4 } } },
+    { hash: 21, displayProperties: { name: 'Harmonic Siphon' }, plug: { energyCost: { energyCost: 1 } } }
+  ],
+  subclasses: [{ hash: 100, displayProperties: { name: 'Voidwalker' }, classType: 2 }],
+  subclassTrees: [
+    {
+      hash: 100,
+      name: 'Voidwalker',
+      element: 'Void',
+      supers: [{ hash: 200, name: 'Nova Bomb: Cataclysm' }],
+      aspects: [{ hash: 300, name: 'Chaos Accelerant', fragmentSlots: 2 }],
+      fragments: [{ hash: 400, name: 'Echo of Persistence' }]
+    }
+  ]
+};
+
+console.log('\n=== Loadout Tests ===\n');
+
+test('parseDimLoadout normalizes hashes, socket overrides and mods', () => {
+  const loadout = parseDimLoadout(JSON.stringify(dimLoadout));
+  assertEqual(loadout.name, 'Void Resto');
+  assertEqual(loadout.equipped.length, 3);
+  assertEqual(loadout.equipped[0].socketOverrides[7], 300);
+  assertEqual(loadout.equipped[1].id, '6917530');
+  assertEqual(loadout.mods.join(','), '20,999');
+  assertEqual(loadout.modsByBucket['3448274439'][0], 21);
+});
+
+test('parseDimLoadout reads DIM loadout links', () => {
+  const url = `https://app.destinyitemmanager.com/loadouts?loadout=${encodeURIComponent(JSON.stringify(dimLoadout))}`;
+  assertEqual(parseDimLoadout(url).name, 'Void Resto');
+});
+
+test('parseDimLoadout rejects malformed loadouts', () => {
+  assertThrows(() => parseDimLoadout({ classType: 7 }), 'Invalid DIM loadout: unknown classType 7');
+  assertThrows(() => parseDimLoadout({ classType: 1, equipped: [{ id: '1' }] }), 'Invalid DIM loadout: equipped[0] has no item hash');
+  assertThrows(() => parseDimLoadout('https://app.destinyitemmanager.com/loadouts'), 'Invalid DIM loadout link: missing loadout parameter');
+});
+
+test('emitDimLoadout round-trips a parsed loadout', () => {
+  const emitted = emitDimLoadout(parseDimLoadout(dimLoadout));
+  assertEqual(emitted.id, 'abc-123');
+  assertEqual(emitted.equipped[0].socketOverrides[0], 200);
+  assertEqual(emitted.parameters.mods.length, 2);
+  assertEqual(JSON.stringify(emitDimLoadout(parseDimLoadout(emitted))), JSON.stringify(emitted));
+});
+
+test('toDimLoadoutUrl produces a link parseDimLoadout can read', () => {
+  const url = toDimLoadoutUrl(parseDimLoadout(dimLoadout));
+  assert(url.startsWith('https://app.destinyitemmanager.com/loadouts?loadout='));
+  assertEqual(parseDimLoadout(url).equipped[2].hash, 10);
+});
+
+test('resolveDimLoadout resolves items, subclass plugs and mods against build data', () => {
+  const resolved = resolveDimLoadout(parseDimLoadout(dimLoadout), buildData);
+  assertEqual(resolved.className, 'Warlock');
+  assertEqual(resolved.subclass.name, 'Voidwalker');
+  assertEqual(resolved.subclass.plugs.map(plug => plug.group).join(','), 'supers,aspects,fragments');
+  assertEqual(resolved.weapons[0].name, 'Ace of Spades');
+  assertEqual(resolved.weapons[0].isExotic, true);
+  assertEqual(resolved.armor[0].name, 'Contraverse Hold');
+  assertEqual(resolved.unequipped[0].name, 'Fatebringer');
+  assertEqual(resolved.mods.length, 2);
+  assertEqual(resolved.mods[1].slot, 'Helmet');
+  assertEqual(resolved.unresolved.length, 1, 'Unknown mod hashes should be reported, not thrown');
+  assertEqual(resolved.unresolved[0].hash, 999);
+});
+
+test('formatLoadoutReport renders a readable report', () => {
+  const report = formatLoadoutReport(resolveDimLoadout(parseDimLoadout(dimLoadout), buildData));
+  assert(report.startsWith('# Void Resto'));
+  assert(report.includes('## Subclass: Voidwalker (Void)'));
+  assert(report.includes('- Aspect: Chaos Accelerant'));
+  assert(report.includes('- Ace of Spades (Hand Cannon) — Exotic'));
+  assert(report.includes('- Helmet: Harmonic Siphon (1 energy)'));
+  assert(report.includes('- 999 (mods)'));
+});
+
+console.log('\n=== Test Summary ===\n');
+console.log(`Total: ${testsRun}`);
+console.log(`Passed: ${testsPassed}`);
+console.log(`Failed: ${testsFailed}`);
+
+process.exit(testsFailed > 0 ? 1 : 0);
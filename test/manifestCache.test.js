@@ -0,0 +1,257 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  versionToDirName,
+  getCachedTablePath,
+  readCachedTable,
+  writeCachedTable,
+  hasCacheMarker,
+  pruneStaleVersions,
+  listCachedVersions,
+  clearDiskCache
+} = require('../src/manifestCache');
+const {
+  configureManifestCache,
+  getManifestCacheOptions,
+  loadManifest,
+  loadDefinitions,
+  clearCache
+} = require('../src/buildCrafting');
+
+/**
+ * Simple test runner
+ */
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  testsRun++;
+  try {
+    fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  testsRun++;
+  try {
+    await fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-cache-test-'));
+
+/**
+ * Creates a fake client whose manifest reports the given version
+ * Definition downloads are never expected to happen when the disk cache is warm.
+ */
+function createFakeClient(version) {
+  return {
+    request: async () => ({
+      version,
+      jsonWorldComponentContentPaths: {
+        en: { DestinyStatDefinition: '/common/destiny2_content/json/en/DestinyStatDefinition.json' }
+      }
+    })
+  };
+}
+
+console.log('\n=== Manifest Cache Tests ===\n');
+
+test('versionToDirName keeps safe manifest version characters', () => {
+  assertEqual(versionToDirName('229574.24.05.10.1900-1-bnet.55245'), '229574.24.05.10.1900-1-bnet.55245');
+  assertEqual(versionToDirName('a/b:c'), 'a_b_c', 'Should replace path separators and colons');
+});
+
+test('writeCachedTable and readCachedTable round-trip a table', () => {
+  writeCachedTable(cacheDir, 'v1', 'DestinyStatDefinition', { '123': { hash: 123 } });
+  const cached = readCachedTable(cacheDir, 'v1', 'DestinyStatDefinition');
+  assert(cached, 'Should read the cached table');
+  assertEqual(cached['123'].hash, 123, 'Should preserve table contents');
+});
+
+test('readCachedTable returns null for a missing table', () => {
+  assertEqual(readCachedTable(cacheDir, 'v1', 'DestinyLoreDefinition'), null);
+});
+
+test('readCachedTable returns null when the stored version does not match', () => {
+  const filename = getCachedTablePath(cacheDir, 'v1', 'DestinyStatDefinition');
+  const stored = JSON.parse(fs.readFileSync(filename, 'utf-8'));
+  stored.version = 'v0';
+  fs.writeFileSync(filename, JSON.stringify(stored));
+  assertEqual(readCachedTable(cacheDir, 'v1', 'DestinyStatDefinition'), null);
+});
+
+test('readCachedTable treats corrupted files as a cache miss', () => {
+  const filename = getCachedTablePath(cacheDir, 'v1', 'DestinyStatDefinition');
+  fs.writeFileSync(filename, '{"version": "v1", "definit');
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    assertEqual(readCachedTable(cacheDir, 'v1', 'DestinyStatDefinition'), null);
+  } finally {
+    console.warn = originalWarn;
+  }
+});
+
+test('pruneStaleVersions removes directories of other manifest versions', () => {
+  writeCachedTable(cacheDir, 'v1', 'DestinyStatDefinition', {});
+  writeCachedTable(cacheDir, 'v2', 'DestinyStatDefinition', {});
+  const removed = pruneStaleVersions(cacheDir, 'v2');
+  assertEqual(removed.length, 1, 'Should remove one stale version');
+  assertEqual(removed[0], 'v1');
+  const versions = listCachedVersions(cacheDir);
+  assertEqual(versions.length, 1);
+  assertEqual(versions[0], 'v2');
+});
+
+test('pruneStaleVersions leaves everything but cached table directories alone', () => {
+  assert(hasCacheMarker(cacheDir), 'The cache root should carry the marker');
+  const siblings = [path.join(cacheDir, 'src', 'index.js'), path.join(cacheDir, 'notes', 'en', 'readme.txt'), path.join(cacheDir, 'v1', 'en', 'DestinyStatDefinition.json.bak')];
+  for (const file of siblings) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, 'keep');
+  }
+  fs.mkdirSync(path.join(cacheDir, 'empty'));
+
+  assertEqual(pruneStaleVersions(cacheDir, 'v2').length, 0, 'Should only prune directories of cached tables');
+  assertEqual(listCachedVersions(cacheDir).join(','), 'v2');
+  for (const file of siblings) {
+    assert(fs.existsSync(file), `${file} should survive`);
+  }
+  assert(fs.existsSync(path.join(cacheDir, 'empty')));
+
+  for (const name of ['src', 'notes', 'v1', 'empty']) {
+    fs.rmSync(path.join(cacheDir, name), { recursive: true });
+  }
+});
+
+test('directories without the cache marker are never pruned or cleared', () => {
+  const otherDir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-cache-other-'));
+  fs.mkdirSync(path.join(otherDir, 'src'));
+  fs.writeFileSync(path.join(otherDir, 'src', 'index.js'), 'keep');
+  writeCachedTable(otherDir, 'v1', 'DestinyStatDefinition', {});
+  writeCachedTable(otherDir, 'v2', 'DestinyStatDefinition', {});
+  assert(!hasCacheMarker(otherDir), 'A directory with other files should not become a cache root');
+
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    assertEqual(pruneStaleVersions(otherDir, 'v2').length, 0);
+  } finally {
+    console.warn = originalWarn;
+  }
+  let message = '';
+  try {
+    clearDiskCache(otherDir);
+  } catch (error) {
+    message = error.message;
+  }
+  assert(message.startsWith(`Refusing to clear ${otherDir}`), message);
+  assert(fs.existsSync(path.join(otherDir, 'src', 'index.js')) && fs.existsSync(path.join(otherDir, 'v1')), 'Nothing should be deleted');
+  fs.rmSync(otherDir, { recursive: true });
+});
+
+test('caches created before the marker existed are adopted', () => {
+  const legacyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-cache-legacy-'));
+  fs.mkdirSync(path.join(legacyDir, 'v1', 'en'), { recursive: true });
+  fs.writeFileSync(path.join(legacyDir, 'v1', 'en', 'DestinyStatDefinition.json'), '{}');
+  writeCachedTable(legacyDir, 'v2', 'DestinyStatDefinition', {});
+  assert(hasCacheMarker(legacyDir), 'A directory of version directories should get the marker');
+  assertEqual(pruneStaleVersions(legacyDir, 'v2').join(','), 'v1');
+  clearDiskCache(legacyDir);
+  assert(!fs.existsSync(legacyDir), 'Clearing should remove the cache root');
+});
+
+async function runAsyncTests() {
+  await asyncTest('loadDefinitions serves tables from the disk cache for the current version', async () => {
+    clearCache();
+    configureManifestCache({ enabled: true, directory: cacheDir });
+    writeCachedTable(cacheDir, 'v3', 'DestinyStatDefinition', { '392767087': { hash: 392767087 } });
+
+    const definitions = await loadDefinitions(createFakeClient('v3'), 'DestinyStatDefinition');
+    assert(definitions['392767087'], 'Should load definitions from disk without downloading');
+  });
+
+  await asyncTest('loadDefinitions keeps tables of different locales separate', async () => {
+    writeCachedTable(cacheDir, 'v3', 'DestinyStatDefinition', { '1': { displayProperties: { name: 'Erholung' } } }, 'de');
+
+    const english = await loadDefinitions(createFakeClient('v3'), 'DestinyStatDefinition');
+    const german = await loadDefinitions(createFakeClient('v3'), 'DestinyStatDefinition', 'de');
+    assert(english['392767087'], 'English table should be unchanged');
+    assertEqual(german['1'].displayProperties.name, 'Erholung', 'German table should be loaded from its own cache file');
+    assert(getCachedTablePath(cacheDir, 'v3', 'DestinyStatDefinition', 'de').includes(path.join('v3', 'de')),
+      'Locale should be part of the cache path');
+  });
+
+  await asyncTest('clearCache with locale only releases that locale', async () => {
+    fs.rmSync(getCachedTablePath(cacheDir, 'v3', 'DestinyStatDefinition', 'de'));
+    clearCache({ locale: 'de' });
+
+    const english = await loadDefinitions(createFakeClient('v3'), 'DestinyStatDefinition');
+    assert(english['392767087'], 'English table should still be in memory');
+    try {
+      await loadDefinitions(createFakeClient('v3'), 'DestinyStatDefinition', 'de');
+      throw new Error('Should have thrown');
+    } catch (error) {
+      assertEqual(error.message, "Locale 'de' not found in manifest", 'German table should no longer be cached');
+    }
+  });
+
+  await asyncTest('loadManifest invalidates cached tables when the manifest version changes', async () => {
+    clearCache();
+    writeCachedTable(cacheDir, 'v3', 'DestinyStatDefinition', {});
+
+    await loadManifest(createFakeClient('v4'));
+    assertEqual(listCachedVersions(cacheDir).length, 0, 'Tables from the previous version should be removed');
+  });
+
+  await asyncTest('clearCache with disk option removes the cache directory', async () => {
+    writeCachedTable(cacheDir, 'v4', 'DestinyStatDefinition', {});
+    clearCache({ disk: true });
+    assert(!fs.existsSync(cacheDir), 'Cache directory should be deleted');
+  });
+
+  test('configureManifestCache ignores undefined options', () => {
+    configureManifestCache({ enabled: false, directory: undefined });
+    const options = getManifestCacheOptions();
+    assertEqual(options.enabled, false);
+    assertEqual(options.directory, cacheDir, 'Directory should be unchanged');
+  });
+}
+
+runAsyncTests().then(() => {
+  clearDiskCache(cacheDir);
+
+  console.log('\n=== Test Summary ===\n');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+});
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const fetch = require('node-fetch');
+const { createBungieClient, getApiBaseUrl, getContentBaseUrl } = require('../src/bungieClient');
+const { clearCache, configureManifestCache, loadDefinitions } = require('../src/buildCrafting');
+const { exportBuildCraftingData } = require('../src/exportData');
+const { createMockBungieServer, MOCK_SCENARIOS } = require('../src/mockBungieServer');
+
+/**
+ * Simple test runner
+ */
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function asyncTest(name, fn) {
+  testsRun++;
+  try {
+    await fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+async function captureError(fn) {
+  try {
+    await fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected an error');
+}
+
+const MANIFEST_PATH = '/Platform/Destiny2/Manifest/';
+
+// Fast retries so the retry tests don't wait on real backoff delays
+const FAST_RETRIES = { retries: 2, retryBaseDelayMs: 1, retryMaxDelayMs: 5, minRequestIntervalMs: 0 };
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'd2-mock-bungie-test-'));
+
+async function runTests() {
+  console.log('\n=== Mock Bungie Server Tests ===\n');
+
+  const server = createMockBungieServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  process.env.BUNGIE_API_BASE_URL = `${origin}/Platform`;
+  process.env.BUNGIE_API_KEY = 'mock-api-key';
+  configureManifestCache({ enabled: false });
+
+  const countRequests = pathname => server.requests.filter(request => request.path === pathname).length;
+
+  await asyncTest('BUNGIE_API_BASE_URL points the client and manifest downloads at the mock server', async () => {
+    assertEqual(getApiBaseUrl(), `${origin}/Platform`);
+    assertEqual(getContentBaseUrl(), origin, 'Content should default to the origin of the API base URL');
+    process.env.BUNGIE_CONTENT_BASE_URL = 'http://content.example/';
+    assertEqual(getContentBaseUrl(), 'http://content.example');
+    delete process.env.BUNGIE_CONTENT_BASE_URL;
+
+    const manifest = await createBungieClient('mock-api-key').request('/Destiny2/Manifest/');
+    assertEqual(manifest.version, server.fixture.manifestVersion);
+    const statsPath = manifest.jsonWorldComponentContentPaths.en.DestinyStatDefinition;
+    const stats = await (await fetch(`${origin}${statsPath}`)).json();
+    assertEqual(stats['4043523819'].displayProperties.name, 'Impact');
+    assertEqual(server.requests.find(request => request.path === MANIFEST_PATH).apiKey, 'mock-api-key');
+  });
+
+  await asyncTest('requests without an API key or for unknown paths are rejected', async () => {
+    const response = await fetch(`${origin}${MANIFEST_PATH}`);
+    assertEqual(response.status, 401);
+    assertEqual((await response.json()).ErrorStatus, 'ApiKeyMissingFromRequest');
+    assertEqual((await fetch(`${origin}/Platform/Destiny2/Milestones/`, { headers: { 'X-API-Key': 'key' } })).status, 404);
+    assertEqual((await fetch(`${origin}/common/destiny2_content/json/fr/DestinyStatDefinition.json`)).status, 404);
+  });
+
+  await asyncTest('the full export pipeline runs against the mock server', async () => {
+    clearCache();
+    const before = countRequests(MANIFEST_PATH);
+    const outputDir = path.join(tempDir, 'export');
+    const summary = await exportBuildCraftingData(outputDir, { json: true, csv: true, sqlite: true, cache: false });
+    for (const [category, count] of Object.entries(summary.counts)) {
+      assert(count > 0, `Expected ${category} in the export`);
+    }
+    for (const file of ['weapons.json', 'weapons.csv', 'subclass-trees.json', 'destiny2-build-data.sqlite', 'summary.json']) {
+      assert(fs.existsSync(path.join(outputDir, file)), `${file} should be written`);
+    }
+    const weapons = JSON.parse(fs.readFileSync(path.join(outputDir, 'weapons.json'), 'utf-8'));
+    assertEqual(weapons[0].enrichedPerkPools[0].randomPerks.map(perk => perk.name).join(','), 'Outlaw,Rampage');
+    assertEqual(countRequests(MANIFEST_PATH) - before, 1, 'The export should request the manifest once');
+  });
+
+  await asyncTest('maintenance and throttling responses are retried', async () => {
+    const client = createBungieClient('mock-api-key', FAST_RETRIES);
+    const before = countRequests(MANIFEST_PATH);
+    server.respondNext(MANIFEST_PATH, 'maintenance');
+    server.respondNext(MANIFEST_PATH, { ...MOCK_SCENARIOS.endpointThrottled, envelope: { ...MOCK_SCENARIOS.endpointThrottled.envelope, ThrottleSeconds: 0 } });
+    const manifest = await client.request('/Destiny2/Manifest/');
+    assertEqual(manifest.version, server.fixture.manifestVersion);
+    assertEqual(countRequests(MANIFEST_PATH) - before, 3);
+  });
+
+  await asyncTest('ThrottleSeconds is honored before retrying', async () => {
+    const client = createBungieClient('mock-api-key', FAST_RETRIES);
+    server.respondNext(MANIFEST_PATH, 'throttled');
+    const start = Date.now();
+    await client.request('/Destiny2/Manifest/');
+    assert(Date.now() - start >= 1000, 'Should wait ThrottleSeconds (1s) before retrying');
+  });
+
+  await asyncTest('timeouts are retried', async () => {
+    const client = createBungieClient('mock-api-key', { ...FAST_RETRIES, timeoutMs: 100 });
+    const before = countRequests(MANIFEST_PATH);
+    server.respondNext(MANIFEST_PATH, 'slow');
+    await client.request('/Destiny2/Manifest/');
+    assertEqual(countRequests(MANIFEST_PATH) - before, 2);
+  });
+
+  await asyncTest('error envelopes fail without retrying', async () => {
+    const client = createBungieClient('mock-api-key', FAST_RETRIES);
+    const before = countRequests(MANIFEST_PATH);
+    server.respondNext(MANIFEST_PATH, 'error');
+    const error = await captureError(() => client.request('/Destiny2/Manifest/'));
+    assertEqual(error.name, 'BungieApiError');
+    assertEqual(error.errorCode, 7);
+    assertEqual(error.message, 'Bungie API error: Unable to parse your parameters.');
+    assertEqual(countRequests(MANIFEST_PATH) - before, 1);
+  });
+
+  await asyncTest('server errors fail once the retries are used up', async () => {
+    const client = createBungieClient('mock-api-key', FAST_RETRIES);
+    const before = countRequests(MANIFEST_PATH);
+    server.respondNext(MANIFEST_PATH, 'serverError', 3);
+    const error = await captureError(() => client.request('/Destiny2/Manifest/'));
+    assertEqual(error.status, 500);
+    assertEqual(countRequests(MANIFEST_PATH) - before, 3, 'Should make the first attempt and two retries');
+  });
+
+  await asyncTest('manifest component downloads go through the client and are retried', async () => {
+    clearCache();
+    const client = createBungieClient('mock-api-key', FAST_RETRIES);
+    const componentPath = Object.keys(server.fixture.components).find(file => file.includes('/DestinyLoreDefinition-'));
+    const before = countRequests(componentPath);
+    server.respondNext(componentPath, 'serverError');
+    await loadDefinitions(client, 'DestinyLoreDefinition');
+    const downloads = server.requests.filter(request => request.path === componentPath);
+    assertEqual(downloads.length - before, 2, 'Should retry the failed download');
+    assertEqual(downloads[downloads.length - 1].apiKey, 'mock-api-key', 'Should send the client headers');
+  });
+
+  await asyncTest('failed manifest component downloads are reported', async () => {
+    clearCache();
+    const client = createBungieClient('mock-api-key', FAST_RETRIES);
+    const componentPath = Object.keys(server.fixture.components).find(file => file.includes('/DestinyLoreDefinition-'));
+    server.respondNext(componentPath, 'serverError', 3);
+    const error = await captureError(() => loadDefinitions(client, 'DestinyLoreDefinition'));
+    assertEqual(error.message, 'Failed to download manifest component: 500 Internal Server Error');
+    assertEqual(error.status, 500);
+  });
+
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(tempDir, { recursive: true, force: true });
+
+  console.log('\n=== Test Summary ===\n');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+runTests();
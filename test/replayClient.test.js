@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { getAllBuildCraftingData, clearCache, configureManifestCache, ITEM_CATEGORIES } = require('../src/buildCrafting');
+const { exportBuildCraftingData } = require('../src/exportData');
+const { loadSnapshot } = require('../src/buildDiff');
+const { loadValidationData } = require('../src/buildValidation');
+const {
+  createRecordingClient,
+  createReplayClient,
+  loadFixture,
+  getResponseFile,
+  getComponentFile,
+  FIXTURE_INDEX_FILE
+} = require('../src/replayClient');
+
+/**
+ * Simple test runner
+ */
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function asyncTest(name, fn) {
+  testsRun++;
+  try {
+    await fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+function test(name, fn) {
+  testsRun++;
+  try {
+    fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+async function assertRejects(fn, expectedMessage) {
+  try {
+    await fn();
+  } catch (error) {
+    if (!error.message.includes(expectedMessage)) {
+      throw new Error(`Expected error containing "${expectedMessage}" but got "${error.message}"`);
+    }
+    return;
+  }
+  throw new Error(`Expected error containing "${expectedMessage}"`);
+}
+
+// A small manifest served by a fake live client
+const TABLES = {
+  DestinyInventoryItemDefinition: {
+    1: {
+      hash: 1,
+      displayProperties: { name: 'Igneous Hammer' },
+      itemTypeDisplayName: 'Hand Cannon',
+      itemCategoryHashes: [ITEM_CATEGORIES.WEAPON],
+      inventory: { tierTypeName: 'Legendary' },
+      stats: { stats: { 4043523819: { statHash: 4043523819, value: 84 } } }
+    },
+    2: {
+      hash: 2,
+      displayProperties: { name: 'Helm' },
+      itemCategoryHashes: [ITEM_CATEGORIES.ARMOR],
+      classType: 0
+    },
+    3: {
+      hash: 3,
+      displayProperties: { name: 'Recovery Mod' },
+      itemCategoryHashes: [ITEM_CATEGORIES.ARMOR_MODS],
+      plug: { plugCategoryIdentifier: 'enhancements.v2_general', energyCost: { energyCost: 3 } }
+    },
+    4: { hash: 4, displayProperties: { name: 'Redacted' }, itemCategoryHashes: [ITEM_CATEGORIES.WEAPON], redacted: true }
+  },
+  DestinyStatDefinition: { 4043523819: { displayProperties: { name: 'Impact' } } },
+  DestinySeasonDefinition: { 50: { hash: 50, seasonNumber: 26, displayProperties: { name: 'Season of the Test' }, startDate: '2020-01-01T00:00:00Z' } }
+};
+const TABLE_NAMES = [
+  'DestinyInventoryItemDefinition', 'DestinyStatDefinition', 'DestinyStatGroupDefinition', 'DestinySandboxPerkDefinition',
+  'DestinyDamageTypeDefinition', 'DestinySeasonDefinition', 'DestinyEnergyTypeDefinition', 'DestinySocketTypeDefinition',
+  'DestinySocketCategoryDefinition', 'DestinyPlugSetDefinition', 'DestinyLoreDefinition'
+];
+const MANIFEST = {
+  version: '229574.24.05.10.1900-1',
+  jsonWorldComponentContentPaths: {
+    en: Object.fromEntries(TABLE_NAMES.map(name => [name, `/common/destiny2_content/json/en/${name}-abc.json`]))
+  }
+};
+
+function createFakeClient() {
+  const calls = [];
+  return {
+    calls,
+    async request(endpoint) {
+      calls.push(endpoint);
+      if (endpoint !== '/Destiny2/Manifest/') throw new Error(`Unexpected request: ${endpoint}`);
+      return MANIFEST;
+    },
+    async downloadComponent(componentPath) {
+      calls.push(componentPath);
+      const name = TABLE_NAMES.find(table => componentPath.includes(`/${table}-`));
+      return TABLES[name] || {};
+    },
+    headers: {},
+    options: {}
+  };
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'd2-replay-test-'));
+const fixtureDir = path.join(tempDir, 'fixture');
+
+console.log('\n=== Replay Client Tests ===\n');
+
+test('fixture file names are derived from endpoints and component paths', () => {
+  assertEqual(getResponseFile('/Destiny2/Manifest/'), 'responses/Destiny2_Manifest.json');
+  assertEqual(getComponentFile('/common/destiny2_content/json/de/DestinyStatDefinition-abc.json'),
+    'components/common/destiny2_content/json/de/DestinyStatDefinition-abc.json.gz');
+  assertEqual(getComponentFile('/../../etc/passwd'), 'components/etc/passwd.gz', 'Should stay inside the fixture directory');
+});
+
+(async () => {
+  let recorded;
+
+  await asyncTest('recording client saves responses and components while passing them through', async () => {
+    // Tables served from the disk cache wouldn't go through the client
+    configureManifestCache({ enabled: false });
+    clearCache();
+    const live = createFakeClient();
+    const recording = createRecordingClient(live, fixtureDir, { recordedAt: new Date('2026-10-11T00:00:00Z') });
+    recorded = await getAllBuildCraftingData(recording);
+    assertEqual(recorded.weapons.length, 1, 'Should pass the live data through');
+
+    const fixture = loadFixture(fixtureDir);
+    assertEqual(fixture.recordedAt, '2026-10-11T00:00:00.000Z');
+    assertEqual(fixture.manifestVersion, MANIFEST.version);
+    assertEqual(Object.keys(fixture.responses).join(','), '/Destiny2/Manifest/');
+    const downloaded = live.calls.filter(call => call !== '/Destiny2/Manifest/');
+    assert(downloaded.length > 0, 'Tables should be downloaded through the live client');
+    assertEqual(Object.keys(fixture.components).sort().join(','), downloaded.sort().join(','), 'Every downloaded table should be recorded');
+    for (const file of [...Object.values(fixture.responses), ...Object.values(fixture.components)]) {
+      assert(fs.existsSync(path.join(fixtureDir, file)), `${file} should exist`);
+    }
+  });
+
+  await asyncTest('replay client reproduces the recorded data without the live client', async () => {
+    clearCache();
+    const replay = createReplayClient(fixtureDir);
+    const replayed = await getAllBuildCraftingData(replay);
+    assertEqual(JSON.stringify(replayed), JSON.stringify(recorded));
+    await assertRejects(() => replay.request('/Destiny2/Milestones/'), 'No recorded response for /Destiny2/Milestones/');
+    await assertRejects(() => replay.downloadComponent('/common/destiny2_content/json/fr/DestinyStatDefinition-abc.json'),
+      'No recorded manifest component /common/destiny2_content/json/fr/DestinyStatDefinition-abc.json');
+  });
+
+  await asyncTest('replayed exports need no API key and are identical on every run', async () => {
+    delete process.env.BUNGIE_API_KEY;
+    const outputs = [path.join(tempDir, 'export-1'), path.join(tempDir, 'export-2')];
+    for (const outputDir of outputs) {
+      const summary = await exportBuildCraftingData(outputDir, { json: true, csv: true, replay: fixtureDir, fileNameTemplate: '{name}-{date}' });
+      assertEqual(summary.exportDate, '2026-10-11T00:00:00.000Z', 'Should use the recording date');
+      assertEqual(summary.counts.weapons, 1);
+    }
+
+    const files = fs.readdirSync(outputs[0]).sort();
+    assert(files.includes('weapons-2026-10-11.json') && files.includes('weapons-2026-10-11.csv'), files.join(', '));
+    assertEqual(fs.readdirSync(outputs[1]).sort().join(','), files.join(','));
+    for (const file of files) {
+      assert(fs.readFileSync(path.join(outputs[0], file)).equals(fs.readFileSync(path.join(outputs[1], file))), `${file} should be identical`);
+    }
+  });
+
+  await asyncTest('templated exports are read back and diffed by their file name template', async () => {
+    const previousDir = path.join(tempDir, 'export-1');
+    const fileNameTemplate = '{name}-{date}';
+    assertEqual(loadSnapshot(previousDir).weapons.length, 0, 'Default names should not find templated files');
+    assertEqual(loadSnapshot(previousDir, { fileNameTemplate }).weapons.length, 1);
+    assertEqual(loadValidationData(previousDir, { fileNameTemplate, date: '2026-10-11' }).weapons.length, 1);
+
+    const summary = await exportBuildCraftingData(previousDir, {
+      json: true,
+      replay: fixtureDir,
+      fileNameTemplate,
+      exportDate: '2026-10-18',
+      diffAgainst: previousDir
+    });
+    assertEqual(JSON.stringify(summary.changes), JSON.stringify({ added: 0, removed: 0, changed: 0 }), 'Same data should show no changes');
+    assert(fs.existsSync(path.join(previousDir, 'weapons-2026-10-18.json')));
+    assertEqual(loadSnapshot(previousDir, { fileNameTemplate }).weapons.length, 1, 'Latest date should be read');
+  });
+
+  await asyncTest('recording replaces an existing fixture but not other directories', async () => {
+    const staleFile = path.join(fixtureDir, 'components', 'stale.json.gz');
+    fs.writeFileSync(staleFile, '');
+    createRecordingClient(createFakeClient(), fixtureDir);
+    assert(!fs.existsSync(staleFile), 'Files of the previous recording should be removed');
+    assertEqual(Object.keys(loadFixture(fixtureDir).components).length, 0);
+
+    const otherDir = path.join(tempDir, 'other');
+    fs.mkdirSync(otherDir);
+    fs.writeFileSync(path.join(otherDir, 'notes.txt'), 'keep');
+    let message = '';
+    try {
+      createRecordingClient(createFakeClient(), otherDir);
+    } catch (error) {
+      message = error.message;
+    }
+    assert(message.startsWith(`Refusing to record into ${otherDir}`), message);
+    assert(fs.existsSync(path.join(otherDir, 'notes.txt')));
+  });
+
+  await asyncTest('export rejects missing fixtures and combined record/replay', async () => {
+    await assertRejects(() => exportBuildCraftingData(path.join(tempDir, 'export-3'), { json: true, replay: path.join(tempDir, 'missing') }),
+      `No recorded fixture found in ${path.join(tempDir, 'missing')}`);
+    await assertRejects(() => exportBuildCraftingData(path.join(tempDir, 'export-3'), { json: true, record: 'a', replay: 'b' }),
+      'record and replay cannot be used together');
+    fs.writeFileSync(path.join(tempDir, 'other', FIXTURE_INDEX_FILE), JSON.stringify({ formatVersion: 99 }));
+    await assertRejects(() => exportBuildCraftingData(path.join(tempDir, 'export-3'), { json: true, replay: path.join(tempDir, 'other') }),
+      'Unsupported fixture format version');
+  });
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+
+  console.log('\n=== Test Summary ===\n');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+})();
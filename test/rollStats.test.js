@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  addInvestmentStats,
+  calculateRollStats,
+  computeRollStats,
+  compareRollStats,
+  parseHashList
+} = require('../src/rollStats');
+const { configureManifestCache, clearCache, enrichItemWithStats } = require('../src/buildCrafting');
+const { writeCachedTable, clearDiskCache } = require('../src/manifestCache');
+
+/**
+ * Simple test runner
+ */
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  testsRun++;
+  try {
+    fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  testsRun++;
+  try {
+    await fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+const RANGE = '1240592695';
+const STABILITY = '155624089';
+
+const statDefs = {
+  [RANGE]: { displayProperties: { name: 'Range' } },
+  [STABILITY]: { displayProperties: { name: 'Stability' } }
+};
+
+// Range is displayed at half its investment value above 50; Stability is displayed as-is
+const statGroupDefs = {
+  '777': {
+    scaledStats: [
+      { statHash: Number(RANGE), maximumValue: 100, displayInterpolation: [{ value: 0, weight: 0 }, { value: 50, weight: 50 }, { value: 150, weight: 100 }] },
+      { statHash: Number(STABILITY), maximumValue: 100, displayInterpolation: [{ value: 0, weight: 0 }, { value: 100, weight: 100 }] }
+    ]
+  }
+};
+
+const weapon = {
+  hash: 1000,
+  displayProperties: { name: 'Test Hand Cannon' },
+  stats: {
+    statGroupHash: 777,
+    stats: {
+      [RANGE]: { statHash: Number(RANGE), value: 40 },
+      [STABILITY]: { statHash: Number(STABILITY), value: 50 }
+    }
+  }
+};
+
+const barrel = {
+  hash: 2000,
+  displayProperties: { name: 'Hammer-Forged Rifling' },
+  investmentStats: [{ statTypeHash: Number(RANGE), value: 10, isConditionallyActive: false }]
+};
+
+const magazine = {
+  hash: 2001,
+  displayProperties: { name: 'Flared Magwell' },
+  investmentStats: [{ statTypeHash: Number(STABILITY), value: 15, isConditionallyActive: false }]
+};
+
+const masterwork = {
+  hash: 3000,
+  displayProperties: { name: 'Masterworked: Range' },
+  investmentStats: [
+    { statTypeHash: Number(RANGE), value: 20, isConditionallyActive: false },
+    { statTypeHash: Number(STABILITY), value: 3, isConditionallyActive: true }
+  ]
+};
+
+console.log('\n=== Roll Stats Tests ===\n');
+
+test('addInvestmentStats skips conditionally active stats by default', () => {
+  const totals = addInvestmentStats({}, masterwork.investmentStats);
+  assertEqual(totals[RANGE], 20);
+  assertEqual(totals[STABILITY], undefined, 'Conditional stat should be skipped');
+  assertEqual(addInvestmentStats({}, masterwork.investmentStats, true)[STABILITY], 3,
+    'Conditional stat should be included when requested');
+});
+
+test('calculateRollStats sums plug investment stats onto the base stats', () => {
+  const roll = calculateRollStats(weapon, [barrel, magazine], statDefs, statGroupDefs);
+  assertEqual(roll.weaponName, 'Test Hand Cannon');
+  assertEqual(roll.stats[RANGE].investmentValue, 50);
+  assertEqual(roll.stats[RANGE].value, 50);
+  assertEqual(roll.stats[RANGE].delta, 10);
+  assertEqual(roll.stats[STABILITY].value, 65);
+  assertEqual(roll.stats[STABILITY].name, 'Stability');
+});
+
+test('calculateRollStats re-runs stat group interpolation on the combined value', () => {
+  const roll = calculateRollStats(weapon, [barrel, masterwork], statDefs, statGroupDefs);
+  assertEqual(roll.stats[RANGE].investmentValue, 70);
+  assertEqual(roll.stats[RANGE].value, 60, 'Investment 70 should interpolate to 60');
+  assertEqual(roll.stats[STABILITY].value, 50, 'Conditional masterwork stat should not apply');
+});
+
+test('calculateRollStats without plugs matches enrichItemWithStats', () => {
+  const interpolated = { ...weapon, stats: { ...weapon.stats, stats: { ...weapon.stats.stats, [RANGE]: { value: 90 } } } };
+  const { enrichedStats } = enrichItemWithStats(interpolated, statDefs, statGroupDefs);
+  const roll = calculateRollStats(interpolated, [], statDefs, statGroupDefs);
+  assertEqual(Object.keys(roll.stats).sort().join(','), Object.keys(enrichedStats).sort().join(','));
+  for (const [statHash, stat] of Object.entries(enrichedStats)) {
+    assertEqual(roll.stats[statHash].value, stat.value, `${stat.name} should match the exported value`);
+    assertEqual(roll.stats[statHash].baseValue, stat.value);
+    assertEqual(roll.stats[statHash].investmentValue, stat.investmentValue);
+  }
+  assertEqual(roll.stats[RANGE].value, 70, 'Range should be interpolated');
+});
+
+test('compareRollStats reports per-stat differences between two rolls', () => {
+  const rollA = calculateRollStats(weapon, [barrel], statDefs, statGroupDefs);
+  const rollB = calculateRollStats(weapon, [magazine], statDefs, statGroupDefs);
+  const comparison = compareRollStats(rollA, rollB);
+  const range = comparison.find(stat => stat.hash === RANGE);
+  const stability = comparison.find(stat => stat.hash === STABILITY);
+  assertEqual(range.delta, -10);
+  assertEqual(stability.delta, 15);
+});
+
+test('index.js exports the roll stat calculator', () => {
+  const index = require('../index');
+  assertEqual(index.computeRollStats, computeRollStats);
+  assertEqual(index.calculateRollStats, calculateRollStats);
+  assertEqual(index.compareRollStats, compareRollStats);
+});
+
+test('parseHashList splits comma-separated hashes', () => {
+  assertEqual(parseHashList('1, 2,,3').join('|'), '1|2|3');
+  assertEqual(parseHashList(undefined).length, 0);
+});
+
+async function runAsyncTests() {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'roll-stats-test-'));
+  const client = {
+    request: async () => ({ version: 'v1', jsonWorldComponentContentPaths: { en: {} } })
+  };
+
+  clearCache();
+  configureManifestCache({ enabled: true, directory: cacheDir });
+  writeCachedTable(cacheDir, 'v1', 'DestinyInventoryItemDefinition', {
+    '1000': weapon, '2000': barrel, '2001': magazine, '3000': masterwork
+  });
+  writeCachedTable(cacheDir, 'v1', 'DestinyStatDefinition', statDefs);
+  writeCachedTable(cacheDir, 'v1', 'DestinyStatGroupDefinition', statGroupDefs);
+
+  await asyncTest('computeRollStats loads definitions and includes the masterwork', async () => {
+    const roll = await computeRollStats(1000, [2000], 3000, { client });
+    assertEqual(roll.plugs.length, 2, 'Masterwork should be added to the plugs');
+    assertEqual(roll.stats[RANGE].value, 60);
+  });
+
+  await asyncTest('computeRollStats throws for unknown plugs', async () => {
+    try {
+      await computeRollStats(1000, [9999], null, { client });
+      throw new Error('Should have thrown');
+    } catch (error) {
+      assertEqual(error.message, 'Plug not found: 9999');
+    }
+  });
+
+  await asyncTest('computeRollStats needs a client or BUNGIE_API_KEY', async () => {
+    const apiKey = process.env.BUNGIE_API_KEY;
+    delete process.env.BUNGIE_API_KEY;
+    try {
+      await computeRollStats(1000, [2000]);
+      throw new Error('Should have thrown');
+    } catch (error) {
+      assertEqual(error.message, 'computeRollStats needs a Bungie API client (options.client) or BUNGIE_API_KEY');
+    } finally {
+      if (apiKey !== undefined) process.env.BUNGIE_API_KEY = apiKey;
+    }
+  });
+
+  clearCache();
+  clearDiskCache(cacheDir);
+  assert(!fs.existsSync(cacheDir), 'Temporary cache should be removed');
+}
+
+runAsyncTests().then(() => {
+  console.log('\n=== Test Summary ===\n');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+});
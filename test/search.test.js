@@ -0,0 +1,187 @@
+const {
+  tokenize,
+  editDistance,
+  createSearchIndex,
+  buildSearchIndex,
+  search
+} = require('../src/search');
+
+/**
+ * Simple test runner
+ */
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  testsRun++;
+  try {
+    fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+function assertThrows(fn, expectedMessage) {
+  try {
+    fn();
+  } catch (error) {
+    assertEqual(error.message, expectedMessage);
+    return;
+  }
+  throw new Error('Expected function to throw');
+}
+
+const buildData = {
+  weapons: [
+    {
+      hash: 1,
+      displayProperties: { name: 'Sunshot', description: '' },
+      itemTypeDisplayName: 'Hand Cannon',
+      classType: 3,
+      inventory: { tierTypeName: 'Exotic' },
+      enrichedDamageType: { name: 'Solar' },
+      enrichedIntrinsicPerk: { name: 'Sun Blast', description: 'Defeated targets explode and scorch nearby enemies.' },
+      flavorText: 'Behold the sun, its light will guide you.'
+    },
+    {
+      hash: 2,
+      displayProperties: { name: 'Calus Mini-Tool' },
+      itemTypeDisplayName: 'Submachine Gun',
+      classType: 3,
+      inventory: { tierTypeName: 'Legendary' },
+      enrichedDamageType: { name: 'Solar' },
+      enrichedPerkPools: [{
+        column: 'trait1',
+        randomPerks: [{ name: 'Incandescent', description: 'Final blows spread scorch to nearby targets.' }],
+        curatedPerks: []
+      }]
+    }
+  ],
+  armor: [
+    {
+      hash: 10,
+      displayProperties: { name: 'Sunbracers', description: '' },
+      classType: 2,
+      inventory: { tierTypeName: 'Exotic' },
+      enrichedPerks: [{ name: 'Helium Spirals', description: 'Solar grenade final blows grant unlimited grenades.' }],
+      enrichedLore: { description: 'Forged in the heart of a dying star.' }
+    },
+    {
+      hash: 11,
+      displayProperties: { name: 'Hallowfire Heart', description: '' },
+      classType: 0,
+      inventory: { tierTypeName: 'Exotic' },
+      enrichedPerks: [{ name: 'Sunlit Heart', description: 'Increases Solar ability recharge while your super is charged.' }]
+    }
+  ],
+  fragments: [
+    {
+      hash: 40,
+      displayProperties: { name: 'Ember of Char', description: 'Your Solar Ignitions spread scorch to affected targets.' },
+      plug: { plugCategoryIdentifier: 'shared.solar.fragments' }
+    },
+    {
+      hash: 41,
+      displayProperties: { name: 'Whisper of Chains', description: 'While near frozen targets you take less damage.' },
+      plug: { plugCategoryIdentifier: 'shared.stasis.fragments' }
+    }
+  ],
+  aspects: [
+    {
+      hash: 30,
+      displayProperties: { name: 'Touch of Flame', description: 'Your Solar grenades have enhanced functionality and scorch targets.' },
+      classType: 2,
+      plug: { plugCategoryIdentifier: 'warlock.solar.aspects' }
+    }
+  ]
+};
+
+const index = createSearchIndex(buildData);
+
+console.log('\n=== Search Tests ===\n');
+
+test('tokenize lower-cases and splits on punctuation', () => {
+  assertEqual(tokenize('Calus Mini-Tool: SCORCH!').join('|'), 'calus|mini|tool|scorch');
+  assertEqual(tokenize('').length, 0);
+});
+
+test('editDistance counts edits and stops past the limit', () => {
+  assertEqual(editDistance('incandecent', 'incandescent', 2), 1);
+  assertEqual(editDistance('scorch', 'scorch', 1), 0);
+  assertEqual(editDistance('arc', 'void', 1), 2, 'Should give up once past the limit');
+});
+
+test('createSearchIndex indexes every item with a name', () => {
+  assertEqual(index.documents.length, 7);
+  assert(index.postings.has('incandescent'), 'Perk pool names should be indexed');
+  assert(index.postings.has('star'), 'Lore should be indexed');
+});
+
+test('search finds everything that interacts with scorch', () => {
+  const results = search('scorch', {}, index);
+  const names = results.map(result => result.name);
+  assertEqual(results.length, 4);
+  ['Sunshot', 'Calus Mini-Tool', 'Ember of Char', 'Touch of Flame'].forEach(name => {
+    assert(names.includes(name), `Should find ${name}`);
+  });
+  const miniTool = results.find(result => result.name === 'Calus Mini-Tool');
+  assertEqual(miniTool.matchedFields.join('|'), 'perkDescriptions');
+  assert(miniTool.snippet.includes('spread scorch'), 'Snippet should show the matching text');
+});
+
+test('search ranks name matches above description matches', () => {
+  const results = search('heart', {}, index);
+  assertEqual(results.map(result => result.name).join('|'), 'Hallowfire Heart|Sunbracers', 'Name match should outrank a lore match');
+  assert(results[0].score > results[1].score);
+  assertEqual(results[1].matchedFields.join('|'), 'lore');
+});
+
+test('search tolerates typos and requires every query term', () => {
+  assertEqual(search('incandecent', {}, index)[0].name, 'Calus Mini-Tool');
+  assertEqual(search('incandecent', { fuzzy: false }, index).length, 0);
+  assertEqual(search('solar grenade', {}, index).map(result => result.name).sort().join('|'), 'Sunbracers|Touch of Flame');
+});
+
+test('search applies category, element, class and tier filters', () => {
+  assertEqual(search('scorch', { category: 'fragments' }, index).map(result => result.name).join('|'), 'Ember of Char');
+  assertEqual(search('scorch', { category: ['weapons', 'aspects'], tier: 'exotic' }, index).map(result => result.name).join('|'), 'Sunshot');
+  assertEqual(search('solar', { class: 'Titan' }, index).map(result => result.name).includes('Sunbracers'), false);
+  assertEqual(search('solar', { class: 'Titan', category: 'armor' }, index)[0].name, 'Hallowfire Heart');
+  assertEqual(search('targets', { element: 'Stasis' }, index).map(result => result.name).join('|'), 'Whisper of Chains');
+  assertEqual(search('scorch', { limit: 2 }, index).length, 2);
+});
+
+test('search validates filters and requires an index', () => {
+  assertThrows(() => search('scorch', { category: 'vendors' }, index),
+    'Unknown search category: vendors (expected one of weapons, armor, armorMods, subclasses, aspects, fragments, abilities, artifactMods, championMods)');
+  assertThrows(() => search('scorch', { class: 'Gunslinger' }, index), 'Invalid class: Gunslinger');
+  assertThrows(() => search('scorch'), 'Search index not built; call buildSearchIndex(buildData) first');
+
+  buildSearchIndex(buildData);
+  assertEqual(search('Ember')[0].hash, 40, 'Should use the default index once built');
+  assertEqual(search('  ').length, 0);
+});
+
+console.log('\n=== Test Summary ===\n');
+console.log(`Total: ${testsRun}`);
+console.log(`Passed: ${testsPassed}`);
+console.log(`Failed: ${testsFailed}`);
+
+process.exit(testsFailed > 0 ? 1 : 0);
@@ -0,0 +1,179 @@
+const fetch = require('node-fetch');
+const { handleApiRequest, createBuildDataServer } = require('../src/server');
+const { exportEnemyWeaknessData } = require('../src/enemyWeaknesses');
+
+/**
+ * Simple test runner
+ */
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+  testsRun++;
+  try {
+    fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  testsRun++;
+  try {
+    await fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+const ENERGY_BUCKET = 2465295065;
+const KINETIC_BUCKET = 1498876634;
+
+const buildData = {
+  weapons: [
+    { hash: 1, displayProperties: { name: 'Ace of Spades' }, itemSubType: 9, inventory: { bucketTypeHash: KINETIC_BUCKET, tierTypeName: 'Exotic' } },
+    { hash: 2, displayProperties: { name: 'Igneous Hammer' }, itemSubType: 9, inventory: { bucketTypeHash: ENERGY_BUCKET, tierTypeName: 'Legendary' } },
+    { hash: 3, displayProperties: { name: 'Fatebringer' }, itemSubType: 9, inventory: { bucketTypeHash: ENERGY_BUCKET, tierTypeName: 'Legendary' } },
+    { hash: 4, displayProperties: { name: 'Funnelweb' }, itemSubType: 24, inventory: { bucketTypeHash: ENERGY_BUCKET, tierTypeName: 'Legendary' } }
+  ],
+  armor: [
+    { hash: 10, displayProperties: { name: 'Contraverse Hold' }, classType: 2, itemSubType: 27 },
+    { hash: 11, displayProperties: { name: 'Synthoceps' }, classType: 0, itemSubType: 27 }
+  ],
+  armorMods: [
+    { hash: 20, displayProperties: { name: 'Harmonic Siphon' }, plug: { energyCost: { energyCost: 1 } } },
+    { hash: 21, displayProperties: { name: 'Resilience Mod' }, plug: { energyCost: { energyCost: 3 } } }
+  ],
+  aspects: [
+    { hash: 30, displayProperties: { name: 'Weavewalk' }, classType: 2, plug: { plugCategoryIdentifier: 'warlock.strand.aspects' } },
+    { hash: 31, displayProperties: { name: 'Chaos Accelerant' }, classType: 2, plug: { plugCategoryIdentifier: 'warlock.void.aspects' } }
+  ],
+  enemyWeaknesses: exportEnemyWeaknessData()
+};
+
+const get = requestUrl => handleApiRequest(buildData, 'GET', requestUrl);
+
+console.log('\n=== Server Tests ===\n');
+
+test('GET /weapons filters by type and slot', () => {
+  const response = get('/weapons?type=HAND_CANNON&slot=Energy');
+  assertEqual(response.status, 200);
+  assertEqual(response.body.total, 2);
+  assert(response.body.data.every(weapon => weapon.itemSubType === 9), 'Only hand cannons should be returned');
+  assert(response.body.data.every(weapon => weapon.inventory.bucketTypeHash === ENERGY_BUCKET), 'Only energy weapons should be returned');
+});
+
+test('GET /weapons accepts readable type names and name search', () => {
+  assertEqual(get('/weapons?type=hand%20cannon').body.total, 3);
+  assertEqual(get('/weapons?name=ace').body.data[0].hash, 1);
+});
+
+test('GET /weapons paginates results', () => {
+  const response = get('/weapons?page=2&pageSize=3');
+  assertEqual(response.body.data.length, 1);
+  assertEqual(response.body.data[0].hash, 4);
+  assertEqual(response.body.page, 2);
+  assertEqual(response.body.totalPages, 2);
+  assertEqual(get('/weapons?pageSize=1000').status, 400);
+  assertEqual(get('/weapons?page=0').status, 400);
+});
+
+test('GET /weapons/:hash returns the item or 404', () => {
+  assertEqual(get('/weapons/3').body.displayProperties.name, 'Fatebringer');
+  const missing = get('/weapons/999');
+  assertEqual(missing.status, 404);
+  assertEqual(missing.body.error, 'Item not found: 999');
+});
+
+test('GET /armor filters by class', () => {
+  const response = get('/armor?class=Warlock');
+  assertEqual(response.body.total, 1);
+  assertEqual(response.body.data[0].hash, 10);
+});
+
+test('GET /mods filters by energy cost', () => {
+  const response = get('/mods?energyCost=1');
+  assertEqual(response.body.total, 1);
+  assertEqual(response.body.data[0].displayProperties.name, 'Harmonic Siphon');
+});
+
+test('GET /aspects filters by element', () => {
+  const response = get('/aspects?element=Strand');
+  assertEqual(response.body.total, 1);
+  assertEqual(response.body.data[0].hash, 30);
+});
+
+test('GET /enemies/:faction returns shields and champions', () => {
+  assert(get('/enemies').body.factions.includes('Lucent Hive'), 'Faction list should include Lucent Hive');
+
+  const response = get('/enemies/fallen');
+  assertEqual(response.body.faction, 'Fallen');
+  assert(response.body.shields.length > 0, 'Should include Fallen shields');
+  assert(response.body.champions.some(champion => champion.name === 'Barrier Champion'), 'Should include champions that appear');
+  assertEqual(get('/enemies/lucent-hive').body.faction, 'Lucent Hive');
+  assertEqual(get('/enemies/Ghosts').status, 404);
+});
+
+test('invalid filters and routes return JSON errors', () => {
+  assertEqual(get('/weapons?type=LASER').status, 400);
+  assertEqual(get('/weapons?slot=Heavy').status, 400);
+  assertEqual(get('/weapons?color=red').body.error, 'Unknown filter: color (supported: name, class, element, tier, type, slot)');
+  assertEqual(get('/mods?energyCost=cheap').status, 400);
+  assertEqual(get('/vendors').status, 404);
+  assertEqual(handleApiRequest(buildData, 'POST', '/weapons').status, 405);
+  assertEqual(get('/weapons/%E0%A4%A').status, 400);
+  assertEqual(get('/weapons/%E0%A4%A').body.error, 'Malformed URL path segment: %E0%A4%A');
+});
+
+async function runAsyncTests() {
+  const server = createBuildDataServer(buildData);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  await asyncTest('server responds with JSON over HTTP', async () => {
+    const response = await fetch(`${baseUrl}/weapons?type=HAND_CANNON&slot=Energy`);
+    assertEqual(response.status, 200);
+    assert(response.headers.get('content-type').startsWith('application/json'), 'Should respond with JSON');
+    const body = await response.json();
+    assertEqual(body.total, 2);
+
+    const missing = await fetch(`${baseUrl}/armor/999`);
+    assertEqual(missing.status, 404);
+    assertEqual((await missing.json()).error, 'Item not found: 999');
+
+    const malformed = await fetch(`${baseUrl}/weapons/%E0%A4%A`);
+    assertEqual(malformed.status, 400, 'Malformed percent-encoding should not be a server error');
+  });
+
+  await new Promise(resolve => server.close(resolve));
+}
+
+runAsyncTests().then(() => {
+  console.log('\n=== Test Summary ===\n');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+});
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const initSqlJs = require('sql.js');
+const { createBuildDataDatabase, exportToSQLite } = require('../src/sqliteExport');
+
+/**
+ * Simple test runner
+ */
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function asyncTest(name, fn) {
+  testsRun++;
+  try {
+    await fn();
+    testsPassed++;
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    testsFailed++;
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+/**
+ * Runs a query and returns its rows as objects
+ */
+function query(db, sql, params = []) {
+  const statement = db.prepare(sql);
+  statement.bind(params);
+  const rows = [];
+  while (statement.step()) {
+    rows.push(statement.getAsObject());
+  }
+  statement.free();
+  return rows;
+}
+
+const SOLAR_HASH = 1847026933;
+const DISCIPLINE_HASH = 1735777505;
+const STRENGTH_HASH = 4244567218;
+
+const buildData = {
+  damageTypes: [
+    { hash: SOLAR_HASH, enumValue: 3, displayProperties: { name: 'Solar', icon: '/solar.png' } },
+    { hash: 2303181850, enumValue: 2, displayProperties: { name: 'Arc' } }
+  ],
+  weapons: [
+    {
+      hash: 1,
+      displayProperties: { name: 'Igneous Hammer', icon: '/igneous.png' },
+      itemTypeDisplayName: 'Hand Cannon',
+      inventory: { tierTypeName: 'Legendary', bucketTypeHash: 1498876634 },
+      equippingBlock: { ammoType: 1 },
+      classType: 3,
+      defaultDamageType: 3,
+      defaultDamageTypeHash: SOLAR_HASH,
+      enrichedDamageType: { hash: SOLAR_HASH, name: 'Solar' },
+      seasonHash: 2809059425,
+      enrichedStats: { '4043523819': { name: 'Impact', value: 84 } },
+      enrichedIntrinsicPerk: { hash: 100, name: 'Adaptive Frame' },
+      sockets: {
+        socketEntries: [
+          { socketTypeHash: 9, singleInitialItemHash: 100 },
+          { socketTypeHash: 8, randomizedPlugSetHash: 500 }
+        ]
+      },
+      enrichedPerkPools: [{
+        socketIndex: 1,
+        column: 'trait1',
+        randomizedPlugSetHash: 500,
+        randomPerks: [
+          { hash: 200, name: 'Outlaw', currentlyCanRoll: true },
+          { hash: 201, name: 'Incandescent', currentlyCanRoll: false }
+        ],
+        curatedPerks: [{ hash: 201, name: 'Incandescent', currentlyCanRoll: true }]
+      }]
+    }
+  ],
+  fragments: [
+    {
+      hash: 10,
+      displayProperties: { name: 'Ember of Torches' },
+      plug: { plugCategoryIdentifier: 'shared.fragments.solar' },
+      investmentStats: [{ statTypeHash: DISCIPLINE_HASH, value: 10 }]
+    },
+    {
+      hash: 11,
+      displayProperties: { name: 'Ember of Benevolence' },
+      plug: { plugCategoryIdentifier: 'shared.fragments.solar' },
+      investmentStats: [{ statTypeHash: DISCIPLINE_HASH, value: -10 }]
+    },
+    {
+      hash: 12,
+      displayProperties: { name: 'Spark of Discharge' },
+      plug: { plugCategoryIdentifier: 'shared.fragments.arc' },
+      investmentStats: [{ statTypeHash: DISCIPLINE_HASH, value: 10 }, { statTypeHash: STRENGTH_HASH, value: 10 }]
+    }
+  ],
+  artifactMods: [{ hash: 20, displayProperties: { name: 'Anti-Barrier Scout Rifle' } }],
+  championMods: [{ hash: 20, displayProperties: { name: 'Anti-Barrier Scout Rifle' } }],
+  enemyWeaknesses: [
+    { faction: 'Fallen', enemyType: 'Captain', shieldType: 'Solar', effectiveDamageType: 'Solar', damageTypeEnum: 3 },
+    { faction: 'Hive', enemyType: 'Champion', shieldType: 'None', effectiveDamageType: 'Any', damageTypeEnum: 'N/A' }
+  ]
+};
+
+const seasonDefs = {
+  2809059425: { displayProperties: { name: 'Season of the Haunted' }, seasonNumber: 17, startDate: '2022-05-24T17:00:00Z' }
+};
+
+console.log('\n=== SQLite Export Tests ===\n');
+
+async function runTests() {
+  const db = await createBuildDataDatabase(buildData, { seasonDefs });
+
+  await asyncTest('answers "all Solar fragments that boost Discipline"', async () => {
+    const rows = query(db, `
+      SELECT items.name, item_stats.value
+      FROM items
+      JOIN item_stats ON item_stats.item_hash = items.hash AND item_stats.kind = 'investment'
+      JOIN stats ON stats.hash = item_stats.stat_hash
+      WHERE items.category = 'fragments' AND items.element = 'Solar'
+        AND stats.name = 'Discipline' AND item_stats.value > 0`);
+    assertEqual(rows.length, 1);
+    assertEqual(rows[0].name, 'Ember of Torches');
+    assertEqual(rows[0].value, 10);
+  });
+
+  await asyncTest('stores items with resolved columns', async () => {
+    const [weapon] = query(db, 'SELECT * FROM items WHERE hash = 1');
+    assertEqual(weapon.category, 'weapons');
+    assertEqual(weapon.element, 'Solar');
+    assertEqual(weapon.damage_type_hash, SOLAR_HASH);
+    assertEqual(weapon.ammo_type, 'Primary');
+    assertEqual(weapon.weapon_slot, 'Kinetic');
+    assertEqual(weapon.intrinsic_perk_hash, 100);
+    assertEqual(weapon.icon_url, 'https://www.bungie.net/igneous.png');
+
+    const [season] = query(db, 'SELECT seasons.* FROM items JOIN seasons ON seasons.hash = items.season_hash WHERE items.hash = 1');
+    assertEqual(season.name, 'Season of the Haunted');
+    assertEqual(season.season_number, 17);
+  });
+
+  await asyncTest('stores an item in several categories once', async () => {
+    assertEqual(query(db, 'SELECT COUNT(*) AS count FROM items WHERE hash = 20')[0].count, 1);
+    const categories = query(db, 'SELECT category FROM item_categories WHERE item_hash = 20 ORDER BY category');
+    assertEqual(categories.map(row => row.category).join(','), 'artifactMods,championMods');
+  });
+
+  await asyncTest('stores sockets, rollable perks and plug sets', async () => {
+    const plugs = query(db, `
+      SELECT perks.name, socket_plugs.is_random, socket_plugs.is_curated, socket_plugs.currently_can_roll, sockets.perk_column
+      FROM socket_plugs
+      JOIN sockets USING (item_hash, socket_index)
+      JOIN perks ON perks.hash = socket_plugs.perk_hash
+      WHERE socket_plugs.item_hash = 1
+      ORDER BY perks.name`);
+    assertEqual(plugs.length, 2);
+    assertEqual(plugs[0].name, 'Incandescent');
+    assertEqual(plugs[0].is_curated, 1);
+    assertEqual(plugs[0].currently_can_roll, 0, 'Random roll availability should win over the curated entry');
+    assertEqual(plugs[1].perk_column, 'trait1');
+
+    const members = query(db, 'SELECT perk_hash FROM plug_set_members WHERE plug_set_hash = 500 ORDER BY perk_hash');
+    assertEqual(members.map(row => row.perk_hash).join(','), '200,201');
+    assertEqual(query(db, 'SELECT COUNT(*) AS count FROM sockets WHERE item_hash = 1')[0].count, 2);
+  });
+
+  await asyncTest('links enemy weaknesses to damage types', async () => {
+    const rows = query(db, `
+      SELECT enemy_weaknesses.faction, damage_types.name AS damage_type
+      FROM enemy_weaknesses
+      LEFT JOIN damage_types ON damage_types.hash = enemy_weaknesses.damage_type_hash
+      ORDER BY enemy_weaknesses.id`);
+    assertEqual(rows[0].damage_type, 'Solar');
+    assertEqual(rows[1].damage_type, null);
+  });
+
+  await asyncTest('keeps every foreign key valid', async () => {
+    assertEqual(query(db, 'PRAGMA foreign_key_check').length, 0);
+    assertEqual(query(db, 'SELECT name FROM stats WHERE hash = ?', [STRENGTH_HASH])[0].name, 'Strength');
+  });
+
+  db.close();
+
+  await asyncTest('exportToSQLite writes a database file', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-export-test-'));
+    const filename = path.join(tempDir, 'build-data.sqlite');
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+      await exportToSQLite(buildData, filename, { seasonDefs });
+    } finally {
+      console.log = originalLog;
+    }
+
+    const SQL = await initSqlJs();
+    const file = new SQL.Database(fs.readFileSync(filename));
+    assertEqual(query(file, 'SELECT COUNT(*) AS count FROM items')[0].count, 5);
+    assert(query(file, "SELECT name FROM sqlite_master WHERE type = 'index' AND name = 'items_element'").length === 1,
+      'Indexes should be written');
+    file.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+}
+
+runTests().then(() => {
+  console.log('\n=== Test Summary ===\n');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+});
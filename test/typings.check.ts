@@ -0,0 +1,66 @@
+// Type-checked by `npm run typecheck` (not run): exercises the declarations of the public API.
+
+import { createBungieClient } from '../src/bungieClient';
+import { getAllBuildCraftingData, BuildData, EnrichedItem } from '../src/buildCrafting';
+import { transformItemForCSV, generateSubclassTreeRows } from '../src/csvExport';
+import { exportBuildCraftingData } from '../src/exportData';
+import { validateBuildData, getCategorySchema } from '../src/exportSchema';
+import { createRecordingClient, createReplayClient } from '../src/replayClient';
+import { createMockBungieServer, MOCK_SCENARIOS } from '../src/mockBungieServer';
+import { computeRollStats, compareRollStats, RollStats } from '..';
+
+async function example(): Promise<void> {
+  const client = createBungieClient('api-key', { retries: 1 });
+  const buildData: BuildData = await getAllBuildCraftingData(client, { locale: 'de' });
+
+  const weapon: EnrichedItem = buildData.weapons[0];
+  const impact: number | undefined = weapon.enrichedStats?.['4043523819']?.value;
+  const element: string | undefined = weapon.enrichedDamageType?.name;
+  const pools: string[] = (weapon.enrichedPerkPools || []).map(pool => pool.column);
+  const enhanced: boolean[] = (weapon.enrichedPerkPools || []).flatMap(pool => pool.randomPerks.map(perk => perk.isEnhanced));
+
+  const row = transformItemForCSV(weapon, 'weapons');
+  const slot: string | undefined = row.weaponSlot;
+  const seasonHash: number | '' | undefined = row.seasonHash;
+  const modRow = transformItemForCSV(buildData.armorMods[0], 'armorMods');
+  const energyCost: number | '' | undefined = modRow.energyCost;
+  const treeRows = generateSubclassTreeRows(buildData.subclassTrees);
+  const slots: Array<number | ''> = treeRows.map(treeRow => treeRow.fragmentSlots);
+
+  const damageTypeEnum: number | string = buildData.enemyWeaknesses[0].damageTypeEnum;
+
+  const { valid, errors } = validateBuildData(buildData);
+  const schema = getCategorySchema('weapons');
+
+  const summary = await exportBuildCraftingData('./data', { json: true, jsonFormat: 'ndjson', validate: false });
+
+  const recording = createRecordingClient(client, './fixtures/week-42');
+  await getAllBuildCraftingData(recording);
+  const replayed: BuildData = await getAllBuildCraftingData(createReplayClient('./fixtures/week-42'), { locale: 'en' });
+  const recordedAt: string = recording.fixture.recordedAt;
+  await exportBuildCraftingData('./data', { replay: './fixtures/week-42', exportDate: recordedAt });
+
+  const mock = createMockBungieServer().listen(0, '127.0.0.1', () => {
+    mock.respondNext('/Platform/Destiny2/Manifest/', 'maintenance', 2);
+    mock.respondNext('/Platform/Destiny2/Manifest/', { ...MOCK_SCENARIOS.throttled, delayMs: 10 });
+  });
+  const manifestVersion: string | null = mock.fixture.manifestVersion;
+
+  const mirrored = createBungieClient('api-key', {
+    baseUrl: 'https://mirror.example/Platform',
+    userAgent: 'BuildExporter/1.0',
+    fetch: async (url, init) => ({ ok: true, status: 200, statusText: 'OK', json: async () => ({ url, headers: init.headers }) })
+  });
+  const contentBaseUrl: string = mirrored.options.contentBaseUrl;
+  const stats = await mirrored.downloadComponent('/common/destiny2_content/json/en/DestinyStatDefinition.json');
+  await exportBuildCraftingData('./data', { clientOptions: { agent: {}, timeoutMs: 5000 } });
+
+  const roll: RollStats = await computeRollStats(weapon.hash, [3250034553], null, { client, includeConditional: true });
+  const rangeDelta: number = compareRollStats(roll, await computeRollStats(weapon.hash, []))[0].delta;
+
+  console.log(impact, element, pools, enhanced, slot, seasonHash, energyCost, slots, damageTypeEnum, valid, errors, schema, summary.exportDate, replayed, manifestVersion, contentBaseUrl, stats, rangeDelta);
+}
+
+declare const console: { log(...values: unknown[]): void };
+
+example();